@@ -1,171 +1,230 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import {
   Play,
-  Pause,
   StepForward,
   Square,
   Terminal,
   AlertTriangle,
   CheckCircle,
   Clock,
-  SkipForward,
   Rewind,
   Settings,
   Download,
 } from "lucide-react";
 import axios from "axios";
+import { io } from "socket.io-client";
+
+const sampleDocument = `# Network Connectivity Troubleshooting
+
+## Basic Connectivity
+
+1. Test basic internet connectivity: \`ping -c 3 google.com\`
+2. Verify DNS resolution: \`nslookup company.com\`
+3. Test HTTP connectivity: \`curl -I https://company.com\`
+
+## Network Configuration
+
+1. Check IP configuration: \`ip addr show\`
+2. Verify routing table: \`ip route\`
+`;
+
+/**
+ * Collect the variables visible in an execution state, innermost frame last
+ * @param {Object} state - Execution state
+ * @returns {Object} - Variable values by name
+ */
+function collectVariables(state) {
+  const variables = { ...(state?.memory?.persistent_vars || {}) };
+  (state?.stack || []).forEach((frame) =>
+    Object.assign(variables, frame.variables)
+  );
+  return variables;
+}
 
 function ExecutionMonitor() {
   const [session, setSession] = useState(null);
-  const [isExecuting, setIsExecuting] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
-  const [currentStep, setCurrentStep] = useState(0);
+  const [status, setStatus] = useState("idle");
+  const [isBusy, setIsBusy] = useState(false);
+  const [currentStep, setCurrentStep] = useState(null);
+  const [completedSteps, setCompletedSteps] = useState(0);
   const [executionLog, setExecutionLog] = useState([]);
   const [variables, setVariables] = useState({});
   const [debuggerOutput, setDebuggerOutput] = useState("");
   const terminalRef = useRef(null);
+  const logId = useRef(0);
 
-  const sampleProgram = {
-    title: "Network Connectivity Troubleshooting",
-    procedures: [
-      {
-        name: "basic_connectivity",
-        steps: [
-          {
-            command: "ping google.com -c 3",
-            description: "Test basic internet connectivity",
-          },
-          {
-            command: "nslookup company.com",
-            description: "Verify DNS resolution",
-          },
-          {
-            command: "curl -I https://company.com",
-            description: "Test HTTP connectivity",
-          },
-        ],
-      },
-      {
-        name: "network_config",
-        steps: [
-          { command: "ip addr show", description: "Check IP configuration" },
-          { command: "ip route", description: "Verify routing table" },
-          {
-            command: "sudo netstat -tulpn",
-            description: "Check listening ports",
-          },
-        ],
-      },
-    ],
-  };
+  const isExecuting = Boolean(session) && status !== "closed";
+  const isRunning = status === "running" || isBusy;
 
   const debuggerCommands = [
     { name: "run", description: "Start execution" },
+    { name: "continue", description: "Run to the next breakpoint or the end" },
     { name: "step", description: "Execute next step" },
-    { name: "continue", description: "Continue execution" },
-    { name: "pause", description: "Pause execution" },
+    { name: "step_into", description: "Step into a procedure call" },
+    { name: "step_out", description: "Run to the end of this procedure" },
     { name: "stop", description: "Stop execution" },
     { name: "restart", description: "Restart program" },
     { name: "vars", description: "Show variables" },
-    { name: "skip", description: "Skip current step" },
   ];
 
-  useEffect(() => {
-    // Simulate loading a session
-    setSession({
-      id: "session_123",
-      program: sampleProgram,
-      status: "ready",
-      created: new Date().toISOString(),
-    });
-
-    // Initialize variables
-    setVariables({
-      $TARGET_HOST: "company.com",
-      $TIMEOUT: "30",
-      $LOG_FILE: "/tmp/network_test.log",
-    });
-  }, []);
-
-  const addLogEntry = (type, message, step = null) => {
+  const addLogEntry = useCallback((type, message, step = null) => {
+    logId.current += 1;
     const entry = {
-      id: Date.now(),
+      id: logId.current,
       timestamp: new Date().toISOString(),
       type,
       message,
       step,
-      stepNumber: currentStep,
     };
     setExecutionLog((prev) => [...prev, entry]);
-  };
+  }, []);
 
-  const handleStart = async () => {
-    if (!session) return;
+  const appendOutput = useCallback((text) => {
+    setDebuggerOutput((prev) => prev + text);
+  }, []);
+
+  // Live events for the session: /execution/<execution_id>
+  useEffect(() => {
+    if (!session) return undefined;
+
+    const socket = io(`/execution/${session.id}`);
+
+    socket.on("connect_error", (error) => {
+      addLogEntry("error", "Live updates unavailable: " + error.message);
+    });
+
+    socket.on("state", (snapshot) => {
+      if (!snapshot?.state) return;
+      setStatus(snapshot.state.status);
+      setCompletedSteps(snapshot.state.execution_history.length);
+      setVariables(collectVariables(snapshot.state));
+    });
+
+    socket.on("status-change", ({ status: next }) => {
+      setStatus(next);
+    });
+
+    socket.on("step-started", (step) => {
+      setCurrentStep(step);
+      appendOutput(`\n▶ ${step.description || step.step_id}\n`);
+    });
+
+    socket.on("stdout", ({ chunk }) => appendOutput(chunk));
+    socket.on("stderr", ({ chunk }) => appendOutput(chunk));
+
+    socket.on("step-completed", (entry) => {
+      setCompletedSteps((prev) => prev + 1);
+      setCurrentStep(null);
+      if (entry.success) {
+        addLogEntry("success", `Step ${entry.step_id} completed`, entry);
+      } else {
+        addLogEntry("error", `Step ${entry.step_id} failed`, entry);
+      }
+    });
+
+    socket.on("breakpoint-hit", ({ step_id }) => {
+      addLogEntry("warning", `Breakpoint hit at ${step_id}`);
+    });
+
+    socket.on("input-requested", ({ prompt }) => {
+      addLogEntry("warning", `Waiting for input: ${prompt || "choose"}`);
+    });
+
+    socket.on("approval-requested", ({ step_id, risk_level }) => {
+      addLogEntry("warning", `Step ${step_id} needs approval (${risk_level})`);
+    });
+
+    socket.on("session-closed", ({ reason }) => {
+      setStatus("closed");
+      setCurrentStep(null);
+      addLogEntry("info", `Session closed: ${reason}`);
+    });
+
+    return () => socket.disconnect();
+  }, [session, addLogEntry, appendOutput]);
+
+  useEffect(() => {
+    if (terminalRef.current) {
+      terminalRef.current.scrollTop = terminalRef.current.scrollHeight;
+    }
+  }, [debuggerOutput]);
 
-    setIsExecuting(true);
-    setIsPaused(false);
-    addLogEntry("info", "Starting program execution");
+  const handleStart = async () => {
+    setIsBusy(true);
+    setExecutionLog([]);
+    setDebuggerOutput("");
+    setCompletedSteps(0);
+    setCurrentStep(null);
+    addLogEntry("info", "Compiling program");
 
     try {
-      const response = await axios.post("/api/executor/start", {
-        program: session.program,
-        sessionId: session.id,
+      const lexerResponse = await axios.post("/api/lexer/parse", {
+        markdown: sampleDocument,
+      });
+      const transpilerResponse = await axios.post("/api/transpiler/transpile", {
+        ast: lexerResponse.data.ast,
+      });
+      const program = transpilerResponse.data.program;
+      const analyzerResponse = await axios.post("/api/analyzer/analyze", {
+        program,
+      });
+
+      const response = await axios.post("/api/execution/start", {
+        program,
+        analysis: analyzerResponse.data.analysis,
       });
 
-      addLogEntry("success", "Execution started successfully");
+      setSession({ id: response.data.execution_id, program });
+      setStatus(response.data.state.status);
+      setVariables(collectVariables(response.data.state));
+      addLogEntry("success", "Execution started");
     } catch (error) {
-      addLogEntry("error", "Failed to start execution: " + error.message);
-      setIsExecuting(false);
+      const errors = error.response?.data?.errors;
+      addLogEntry(
+        "error",
+        "Failed to start execution: " +
+          (errors ? errors.map((e) => e.message).join("; ") : error.message)
+      );
+    } finally {
+      setIsBusy(false);
     }
   };
 
-  const handleStep = async () => {
-    if (!session || !isExecuting) return;
+  // Output and progress arrive as socket events while the request runs
+  const sendCommand = async (command) => {
+    if (!isExecuting) return;
 
+    setIsBusy(true);
     try {
-      const response = await axios.post("/api/executor/step", {
-        sessionId: session.id,
+      const response = await axios.post("/api/execution/step", {
+        execution_id: session.id,
+        command,
       });
-
-      const currentProcedure =
-        session.program.procedures[Math.floor(currentStep / 3)] ||
-        session.program.procedures[0];
-      const stepIndex = currentStep % 3;
-      const step = currentProcedure.steps[stepIndex];
-
-      if (step) {
-        addLogEntry("info", `Executing: ${step.command}`, step);
-        setDebuggerOutput(
-          (prev) => prev + `\n$ ${step.command}\n> ${step.description}\n`
-        );
-        setCurrentStep((prev) => prev + 1);
+      if (response.data.state) {
+        setVariables(collectVariables(response.data.state));
       }
     } catch (error) {
-      addLogEntry("error", "Step execution failed: " + error.message);
+      addLogEntry("error", `${command} failed: ` + error.message);
+    } finally {
+      setIsBusy(false);
     }
   };
 
-  const handlePause = () => {
-    setIsPaused(true);
-    addLogEntry("warning", "Execution paused");
-  };
-
-  const handleStop = () => {
-    setIsExecuting(false);
-    setIsPaused(false);
-    setCurrentStep(0);
-    addLogEntry("info", "Execution stopped");
-    setDebuggerOutput("");
-  };
+  const handleStop = async () => {
+    if (!isExecuting) return;
 
-  const handleContinue = () => {
-    setIsPaused(false);
-    addLogEntry("info", "Execution resumed");
+    try {
+      await axios.delete(`/api/execution/${session.id}`);
+    } catch (error) {
+      addLogEntry("error", "Failed to stop execution: " + error.message);
+    }
   };
 
-  const handleSkip = () => {
-    setCurrentStep((prev) => prev + 1);
-    addLogEntry("warning", "Step skipped");
+  const handleRestart = async () => {
+    await sendCommand("reset");
+    setCompletedSteps(0);
+    setDebuggerOutput("");
+    addLogEntry("info", "Execution reset");
   };
 
   const executeDebuggerCommand = (command) => {
@@ -176,37 +235,30 @@ function ExecutionMonitor() {
         handleStart();
         break;
       case "step":
-        handleStep();
+        sendCommand("step_over");
         break;
       case "continue":
-        handleContinue();
-        break;
-      case "pause":
-        handlePause();
+      case "step_into":
+      case "step_out":
+        sendCommand(cmd);
         break;
       case "stop":
         handleStop();
         break;
-      case "skip":
-        handleSkip();
+      case "restart":
+        handleRestart();
         break;
       case "vars":
-        setDebuggerOutput(
-          (prev) =>
-            prev +
-            "\nVariables:\n" +
+        appendOutput(
+          "\nVariables:\n" +
             Object.entries(variables)
-              .map(([k, v]) => `  ${k} = ${v}`)
+              .map(([k, v]) => `  $${k} = ${JSON.stringify(v)}`)
               .join("\n") +
             "\n"
         );
         break;
-      case "restart":
-        handleStop();
-        setTimeout(handleStart, 100);
-        break;
       default:
-        setDebuggerOutput((prev) => prev + `\nUnknown command: ${cmd}\n`);
+        appendOutput(`\nUnknown command: ${cmd}\n`);
     }
   };
 
@@ -245,19 +297,9 @@ function ExecutionMonitor() {
     );
   };
 
-  const getCurrentProcedure = () => {
-    if (!session?.program?.procedures) return null;
-    return (
-      session.program.procedures[Math.floor(currentStep / 3)] ||
-      session.program.procedures[0]
-    );
-  };
-
-  const getCurrentStepInfo = () => {
-    const procedure = getCurrentProcedure();
-    if (!procedure) return null;
-    const stepIndex = currentStep % 3;
-    return procedure.steps[stepIndex];
+  const getProgress = () => {
+    const total = getTotalSteps();
+    return total ? Math.min(100, (completedSteps / total) * 100) : 0;
   };
 
   return (
@@ -273,7 +315,7 @@ function ExecutionMonitor() {
           </div>
           <div className="flex items-center space-x-3">
             <div className="text-sm text-gray-600">
-              Session: {session?.id || "None"}
+              Session: {session?.id || "None"} ({status})
             </div>
             <button className="p-2 text-gray-400 hover:text-gray-600">
               <Settings className="h-5 w-5" />
@@ -286,39 +328,35 @@ function ExecutionMonitor() {
           <div className="flex items-center space-x-2">
             <button
               onClick={handleStart}
-              disabled={isExecuting}
+              disabled={isExecuting || isBusy}
               className="flex items-center px-3 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
             >
               <Play className="h-4 w-4 mr-1" />
               Start
             </button>
             <button
-              onClick={isPaused ? handleContinue : handlePause}
-              disabled={!isExecuting}
+              onClick={() => sendCommand("continue")}
+              disabled={!isExecuting || isRunning}
               className="flex items-center px-3 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 disabled:opacity-50"
             >
-              {isPaused ? (
-                <Play className="h-4 w-4 mr-1" />
-              ) : (
-                <Pause className="h-4 w-4 mr-1" />
-              )}
-              {isPaused ? "Continue" : "Pause"}
+              <Play className="h-4 w-4 mr-1" />
+              Continue
             </button>
             <button
-              onClick={handleStep}
-              disabled={!isExecuting || !isPaused}
+              onClick={() => sendCommand("step_over")}
+              disabled={!isExecuting || isRunning}
               className="flex items-center px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
             >
               <StepForward className="h-4 w-4 mr-1" />
               Step
             </button>
             <button
-              onClick={handleSkip}
-              disabled={!isExecuting}
+              onClick={handleRestart}
+              disabled={!isExecuting || isRunning}
               className="flex items-center px-3 py-2 bg-orange-600 text-white rounded-md hover:bg-orange-700 disabled:opacity-50"
             >
-              <SkipForward className="h-4 w-4 mr-1" />
-              Skip
+              <Rewind className="h-4 w-4 mr-1" />
+              Restart
             </button>
             <button
               onClick={handleStop}
@@ -333,12 +371,12 @@ function ExecutionMonitor() {
           {/* Progress */}
           <div className="flex items-center space-x-4">
             <div className="text-sm text-gray-600">
-              Step {currentStep} of {getTotalSteps()}
+              Step {completedSteps} of {getTotalSteps()}
             </div>
             <div className="w-32 bg-gray-200 rounded-full h-2">
               <div
                 className="bg-primary-600 h-2 rounded-full transition-all"
-                style={{ width: `${(currentStep / getTotalSteps()) * 100}%` }}
+                style={{ width: `${getProgress()}%` }}
               />
             </div>
           </div>
@@ -354,13 +392,13 @@ function ExecutionMonitor() {
               <h3 className="text-lg font-semibold text-gray-900 mb-3">
                 Current Step
               </h3>
-              {getCurrentStepInfo() ? (
+              {currentStep ? (
                 <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                   <p className="font-medium text-blue-900">
-                    {getCurrentStepInfo().description}
+                    {currentStep.description || currentStep.type}
                   </p>
                   <code className="text-sm text-blue-700 bg-blue-100 px-2 py-1 rounded mt-2 block">
-                    {getCurrentStepInfo().command}
+                    {currentStep.step_id}
                   </code>
                 </div>
               ) : (
@@ -382,9 +420,11 @@ function ExecutionMonitor() {
                     className="flex justify-between items-center p-2 bg-gray-50 rounded"
                   >
                     <code className="text-sm font-medium text-gray-900">
-                      {key}
+                      ${key}
+                    </code>
+                    <code className="text-sm text-gray-600">
+                      {JSON.stringify(value)}
                     </code>
-                    <code className="text-sm text-gray-600">{value}</code>
                   </div>
                 ))}
               </div>
@@ -453,9 +493,9 @@ function ExecutionMonitor() {
                       <p className="text-xs opacity-75 mt-1">
                         {new Date(entry.timestamp).toLocaleTimeString()}
                       </p>
-                      {entry.step && (
+                      {entry.step?.error && (
                         <code className="text-xs bg-black bg-opacity-10 px-1 py-0.5 rounded mt-1 block">
-                          {entry.step.command}
+                          {entry.step.error}
                         </code>
                       )}
                     </div>
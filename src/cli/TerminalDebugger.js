@@ -0,0 +1,440 @@
+const readline = require("readline");
+
+const HELP = `Commands:
+  step, s              Run the current step, stepping over procedure calls
+  into, i              Run the current step, entering procedure calls
+  out, o               Run until the current procedure returns
+  continue, c          Run until a breakpoint, input, approval or the end
+  break, b [step_id]   Set a breakpoint at a step or a code block line,
+                       or list breakpoints
+  delete, d <step_id>  Remove a breakpoint
+  inspect, p <var>     Show a variable, e.g. p ping.packet_loss
+  evaluate, e <expr>   Evaluate an expression, e.g. e $ping.avg_ms < 100
+  choose <option>      Pick an option (its number or ID) for a pending choice
+  approve <reason>     Approve the step awaiting approval
+  reject <reason>      Reject the step awaiting approval
+  rollback             Run the compensation chain after a failure
+  where, w             Show the current step
+  list, l              List the steps of the current procedure
+  help, h              Show this help
+  quit, q              Stop the session and exit`;
+
+/**
+ * TerminalDebugger - Interactive line-based debugger over an execution session
+ */
+class TerminalDebugger {
+  /**
+   * @param {Object} executionService - Execution engine
+   * @param {Object} streams - Input and output streams
+   */
+  constructor(executionService, streams = {}) {
+    this.executionService = executionService;
+    this.input = streams.input || process.stdin;
+    this.output = streams.output || process.stdout;
+    this.sessionId = null;
+    this.historyShown = 0;
+    this.commands = this.initializeCommands();
+  }
+
+  /**
+   * Start a session and read commands until quit or end of input
+   * @param {Object} program - Transpiled program
+   * @param {Object} analysis - Semantic analysis results
+   * @param {Object} options - Execution options
+   * @returns {number} - Exit code: 0 when the program completed
+   */
+  async start(program, analysis, options = {}) {
+    const started = await this.executionService.startExecution(
+      program,
+      analysis,
+      options
+    );
+    if (!started.success) {
+      started.errors.forEach((error) => this.print(`❌ ${error.message}`));
+      return 1;
+    }
+
+    this.sessionId = started.execution_id;
+    this.print(`🐞 Debugging ${program.name} (type "help" for commands)`);
+    await this.showLocation();
+
+    const lines = readline.createInterface({
+      input: this.input,
+      terminal: false,
+    });
+    this.prompt();
+
+    for await (const line of lines) {
+      const keepGoing = await this.handle(line.trim());
+      if (!keepGoing) {
+        break;
+      }
+      this.prompt();
+    }
+    lines.close();
+
+    const result = await this.executionService.getExecutionState(
+      this.sessionId
+    );
+    await this.executionService.stopExecution(this.sessionId);
+
+    return result && result.state.status === "completed" ? 0 : 1;
+  }
+
+  /**
+   * Run one debugger command line
+   * @param {string} line - Command line
+   * @returns {boolean} - False once the user quits
+   */
+  async handle(line) {
+    if (!line) {
+      return true;
+    }
+
+    const [name] = line.split(/\s+/);
+    const argument = line.slice(name.length).trim();
+    const command = this.commands[name.toLowerCase()];
+    if (!command) {
+      this.print(`Unknown command '${name}' (type "help" for commands)`);
+      return true;
+    }
+    if (command.argument && !argument) {
+      this.print(`Usage: ${name} <${command.argument}>`);
+      return true;
+    }
+
+    try {
+      return (await command.run(argument)) !== false;
+    } catch (error) {
+      this.print(`❌ ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Initialize the command table, aliases included
+   * @returns {Object} - Commands by name
+   */
+  initializeCommands() {
+    const execute = (debugCommand) => ({
+      run: () => this.execute(debugCommand),
+    });
+
+    const commands = {
+      step: execute("step_over"),
+      into: execute("step_into"),
+      out: execute("step_out"),
+      continue: execute("continue"),
+      rollback: execute("rollback"),
+      break: { run: (stepId) => this.setBreakpoint(stepId) },
+      delete: {
+        argument: "step_id",
+        run: (stepId) => this.removeBreakpoint(stepId),
+      },
+      inspect: {
+        argument: "variable",
+        run: (variable) =>
+          this.query("inspect", { variable: variable.replace(/^\$/, "") }),
+      },
+      evaluate: {
+        argument: "expression",
+        run: (expression) => this.query("evaluate", { expression }),
+      },
+      choose: { argument: "option", run: (option) => this.choose(option) },
+      approve: {
+        argument: "reason",
+        run: (reason) => this.decide("approve", reason),
+      },
+      reject: {
+        argument: "reason",
+        run: (reason) => this.decide("reject", reason),
+      },
+      where: { run: () => this.showLocation() },
+      list: { run: () => this.listSteps() },
+      help: { run: () => this.print(HELP) },
+      quit: { run: () => false },
+    };
+
+    const aliases = {
+      s: "step",
+      n: "step",
+      next: "step",
+      i: "into",
+      o: "out",
+      c: "continue",
+      b: "break",
+      d: "delete",
+      p: "inspect",
+      e: "evaluate",
+      eval: "evaluate",
+      w: "where",
+      l: "list",
+      h: "help",
+      q: "quit",
+      exit: "quit",
+    };
+    Object.entries(aliases).forEach(([alias, name]) => {
+      commands[alias] = commands[name];
+    });
+
+    return commands;
+  }
+
+  /**
+   * Run a stepping command and show what happened
+   * @param {string} command - Debug command
+   * @param {Object} params - Command parameters
+   */
+  async execute(command, params = {}) {
+    const result = await this.executionService.executeStep(
+      this.sessionId,
+      command,
+      params
+    );
+    if (result.error && !result.state) {
+      throw new Error(result.error);
+    }
+
+    await this.showProgress();
+    if (result.error) {
+      this.print(`❌ ${result.error}`);
+    }
+    await this.showLocation();
+  }
+
+  /**
+   * Run inspect or evaluate and print the value
+   * @param {string} command - inspect or evaluate
+   * @param {Object} params - Command parameters
+   */
+  async query(command, params) {
+    const result = await this.executionService.executeStep(
+      this.sessionId,
+      command,
+      params
+    );
+    if (!result.success) {
+      throw new Error(result.error || `${command} failed`);
+    }
+
+    const value = command === "inspect" ? result.value : result.result;
+    this.print(
+      typeof value === "string" ? value : JSON.stringify(value, null, 2)
+    );
+    if (command === "inspect" && result.type) {
+      this.print(`  (${result.type}, from ${result.source})`);
+    }
+  }
+
+  /**
+   * Select an option of the pending choice by number or ID
+   * @param {string} option - Option number (1-based) or ID
+   */
+  async choose(option) {
+    const { state } = await this.executionService.getExecutionState(
+      this.sessionId
+    );
+    const pending = state.pending_input;
+    if (!pending) {
+      throw new Error("No choice is pending");
+    }
+
+    const byNumber = /^\d+$/.test(option)
+      ? pending.options[parseInt(option, 10) - 1]
+      : null;
+    await this.execute("choose", {
+      option_id: byNumber ? byNumber.id : option,
+    });
+  }
+
+  /**
+   * Approve or reject the step awaiting approval
+   * @param {string} decision - approve or reject
+   * @param {string} reason - Reason recorded in the audit trail
+   */
+  async decide(decision, reason) {
+    await this.execute(decision, {
+      reason: reason,
+      approver: process.env.USER || "terminal",
+    });
+  }
+
+  /**
+   * Set a breakpoint, or list breakpoints when no step is given. A number
+   * is a markdown line inside a code block.
+   * @param {string} stepId - Step ID or line number
+   */
+  async setBreakpoint(stepId) {
+    if (!stepId) {
+      const { state } = await this.executionService.getExecutionState(
+        this.sessionId
+      );
+      this.print(
+        state.breakpoints.length
+          ? `Breakpoints: ${state.breakpoints.join(", ")}`
+          : "No breakpoints"
+      );
+      return;
+    }
+
+    const session = await this.executionService.store.get(this.sessionId);
+    const isLine = /^\d+$/.test(stepId);
+    const known = session.program.procedures.some((procedure) =>
+      procedure.steps.some((step) => step.id === stepId)
+    );
+    if (!isLine && !known) {
+      throw new Error(`Unknown step '${stepId}' (type "list" for step IDs)`);
+    }
+
+    const result = await this.executionService.manageBreakpoint(
+      this.sessionId,
+      isLine ? parseInt(stepId, 10) : stepId,
+      "set"
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    this.print(`🔴 Breakpoint set at ${result.step_id}`);
+  }
+
+  /**
+   * Remove a breakpoint
+   * @param {string} stepId - Step ID
+   */
+  async removeBreakpoint(stepId) {
+    await this.executionService.manageBreakpoint(
+      this.sessionId,
+      stepId,
+      "remove"
+    );
+    this.print(`⚪ Breakpoint removed from ${stepId}`);
+  }
+
+  /**
+   * Print the steps that ran since the last command
+   */
+  async showProgress() {
+    const { state } = await this.executionService.getExecutionState(
+      this.sessionId
+    );
+    const history = state.execution_history;
+
+    for (const entry of history.slice(this.historyShown)) {
+      this.print(
+        `${entry.success ? "✅" : "❌"} ${entry.step_id} (${
+          entry.duration_ms
+        } ms)`
+      );
+      const text = entry.success ? entry.output : entry.error;
+      if (text) {
+        this.print(this.indent(String(text)));
+      }
+    }
+    this.historyShown = history.length;
+  }
+
+  /**
+   * Print the session status and the step about to run
+   */
+  async showLocation() {
+    const session = await this.executionService.store.get(this.sessionId);
+    const state = session.state;
+
+    switch (state.status) {
+      case "completed":
+        this.print("🏁 Execution completed");
+        return;
+      case "error":
+        this.print(
+          `💥 Stopped after ${state.error_state?.step_id}: ${state.error_state?.error}`
+        );
+        if (state.rollback && state.rollback.status === "available") {
+          this.print(
+            `   ${state.rollback.actions.length} rollback action(s) available (type "rollback")`
+          );
+        }
+        return;
+      default:
+        break;
+    }
+
+    const step = this.executionService.getCurrentStep(session);
+    if (!step) {
+      return;
+    }
+    const marker = state.breakpoints.includes(step.id) ? "🔴" : "➡️ ";
+    this.print(
+      `${marker} ${step.id} [${step.type}] ${step.description || ""}`.trimEnd()
+    );
+
+    if (state.pending_input) {
+      state.pending_input.options.forEach((option, index) =>
+        this.print(`   ${index + 1}. ${option.description} (${option.id})`)
+      );
+      this.print('   Pick one with "choose <number>"');
+    }
+    if (state.pending_approval) {
+      const pending = state.pending_approval;
+      this.print(`   ⚠️  ${pending.risk_level} risk, approval required:`);
+      pending.commands.forEach((command) => this.print(`     $ ${command}`));
+      pending.reasons.forEach((reason) => this.print(`     - ${reason}`));
+      this.print('   Answer with "approve <reason>" or "reject <reason>"');
+    }
+  }
+
+  /**
+   * List the steps of the current procedure
+   */
+  async listSteps() {
+    const session = await this.executionService.store.get(this.sessionId);
+    const { procedure_id, step_index } = session.state.current_step;
+    const procedure = session.program.procedures.find(
+      (p) => p.id === procedure_id
+    );
+
+    this.print(`${procedure.name}:`);
+    procedure.steps.forEach((step, index) => {
+      const marker = index === step_index ? "➡️ " : "  ";
+      const breakpoint = session.state.breakpoints.includes(step.id)
+        ? " 🔴"
+        : "";
+      // Sub-steps indent under their parent: 2.1 by one level, 2.1.1 by two
+      const depth = step.number ? step.number.split(".").length - 1 : 0;
+      this.print(
+        `${marker} ${"  ".repeat(depth)}${step.id} [${step.type}] ${
+          step.description || ""
+        }${breakpoint}`
+      );
+    });
+  }
+
+  /**
+   * Indent multi-line text under a step line
+   * @param {string} text - Text
+   * @returns {string} - Indented text
+   */
+  indent(text) {
+    return text
+      .trimEnd()
+      .split("\n")
+      .map((line) => `   ${line}`)
+      .join("\n");
+  }
+
+  /**
+   * Show the prompt
+   */
+  prompt() {
+    this.output.write("(entran) ");
+  }
+
+  /**
+   * Write a line to the output stream
+   * @param {string} text - Text
+   */
+  print(text) {
+    this.output.write(`${text}\n`);
+  }
+}
+
+module.exports = TerminalDebugger;
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const PipelineService = require("../services/PipelineService");
+const TranspilerService = require("../services/TranspilerService");
+const TerminalDebugger = require("./TerminalDebugger");
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: entran <command> <file.md> [options]
+
+Commands:
+  validate   Check that the document compiles and print its AST
+  compile    Print the transpiled program
+  run        Run the document to completion; exits non-zero on failure
+  debug      Step through the document in an interactive debugger
+
+Options:
+  --allow-unknown-tools        Skip tool registry validation
+  --doc-root <dir>             Resolve included runbooks from this directory
+                               (default: the document's directory)
+  --analysis                   compile: include the semantic analysis
+  --json                       run: print the full run report as JSON
+  --input <name=value>         Set a program input (repeatable)
+  --dry-run                    Record commands instead of running them
+  --allow-tool <tool>          Allow a tool beyond the program's own (repeatable)
+  --env <KEY=VALUE>            Set a command environment variable (repeatable)
+  --inherit-env                Pass this shell's environment to commands
+  --cwd <dir>                  Working directory for commands
+  --persistent-shell           Run commands in one shell that keeps its
+                               directory and environment between steps
+  --approval-threshold <risk>  low, medium, high (default) or none
+  --rollback <policy>          offer (default), auto or off
+  --choice-policy <policy>     prompt, auto or first
+  -h, --help                   Show this help
+`;
+
+const OPTIONS = {
+  "allow-unknown-tools": { type: "boolean" },
+  "doc-root": { type: "string" },
+  analysis: { type: "boolean" },
+  json: { type: "boolean" },
+  input: { type: "string", multiple: true },
+  "dry-run": { type: "boolean" },
+  "allow-tool": { type: "string", multiple: true },
+  env: { type: "string", multiple: true },
+  "inherit-env": { type: "boolean" },
+  cwd: { type: "string" },
+  "persistent-shell": { type: "boolean" },
+  "approval-threshold": { type: "string" },
+  rollback: { type: "string" },
+  "choice-policy": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Parse repeated NAME=VALUE flags
+ * @param {Array} pairs - Flag values
+ * @param {string} flag - Flag name for error messages
+ * @returns {Object} - Values by name
+ */
+function parseAssignments(pairs, flag) {
+  const values = {};
+  for (const pair of pairs || []) {
+    const match = pair.match(/^([A-Za-z_]\w*)=(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid ${flag} '${pair}', expected NAME=VALUE`);
+    }
+    values[match[1]] = match[2];
+  }
+  return values;
+}
+
+/**
+ * Build execution options from command-line flags
+ * @param {Object} flags - Parsed flags
+ * @param {string} defaultChoicePolicy - Choice policy when none is given
+ * @returns {Object} - Execution options
+ */
+function buildExecutionOptions(flags, defaultChoicePolicy) {
+  return {
+    inputs: parseAssignments(flags.input, "--input"),
+    tool_validation: !flags["allow-unknown-tools"],
+    dry_run: Boolean(flags["dry-run"]),
+    allowed_tools: flags["allow-tool"] || [],
+    env: parseAssignments(flags.env, "--env"),
+    inherit_env: Boolean(flags["inherit-env"]),
+    working_directory: flags.cwd || null,
+    persistent_shell: Boolean(flags["persistent-shell"]),
+    approval_threshold: flags["approval-threshold"] || "high",
+    rollback_policy: flags.rollback || "offer",
+    choice_policy: flags["choice-policy"] || defaultChoicePolicy,
+  };
+}
+
+/**
+ * Print the errors of a failed stage
+ * @param {Object} result - Failed compile or run result
+ */
+function printErrors(result) {
+  console.error(`❌ ${result.stage || "execution"} failed:`);
+  for (const error of result.errors) {
+    console.error(`  - ${error.message}`);
+    if (error.suggestion) {
+      console.error(`    ${error.suggestion}`);
+    }
+  }
+}
+
+/**
+ * Print compile warnings, such as conditions that cannot be checked
+ * @param {Array} warnings - Transpile warnings
+ */
+function printWarnings(warnings = []) {
+  for (const warning of warnings) {
+    console.error(`⚠️  ${warning.message}`);
+    if (warning.suggestion) {
+      console.error(`    ${warning.suggestion}`);
+    }
+  }
+}
+
+/**
+ * Print a human-readable run report
+ * @param {Object} report - Run report
+ */
+function printReport(report) {
+  const icons = {
+    passed: "✅",
+    failed: "❌",
+    handled: "⚠️ ",
+    not_run: "⏭️ ",
+  };
+
+  for (const step of report.steps) {
+    const timing =
+      step.duration_ms !== undefined ? ` (${step.duration_ms} ms)` : "";
+    console.log(
+      `${icons[step.status]} ${step.step_id} ${
+        step.description || ""
+      }${timing}`.trimEnd()
+    );
+    if (step.status === "failed" || step.status === "handled") {
+      console.log(`     ${step.error}`);
+    }
+    if (step.unresolved) {
+      console.log(`     ❔ ${step.output}`);
+    }
+  }
+
+  for (const assertion of report.assertions.filter((a) => !a.passed)) {
+    console.log(`❌ Expectation failed: ${assertion.subject}`);
+    console.log(`     expected: ${assertion.expected}`);
+    console.log(`     actual:   ${assertion.actual}`);
+  }
+
+  if (report.pending_input) {
+    console.log(`⏸️  Stopped for input at ${report.pending_input.step_id}`);
+  }
+  if (report.pending_approval) {
+    console.log(
+      `⏸️  Stopped for approval of ${report.pending_approval.step_id} (${report.pending_approval.risk_level} risk)`
+    );
+  }
+
+  const { summary } = report;
+  console.log(
+    `\n${report.success ? "✅" : "❌"} ${report.program}: ${report.status} - ${
+      summary.passed
+    } passed, ${summary.failed} failed, ${summary.handled} handled, ${
+      summary.not_run
+    } not run${
+      summary.unresolved ? `, ${summary.unresolved} unresolved` : ""
+    }; ${summary.assertions_passed}/${
+      summary.assertions_passed + summary.assertions_failed
+    } expectations met (${report.duration_ms} ms)`
+  );
+}
+
+/**
+ * Run the entran command line
+ * @param {Array} argv - Arguments after the node binary and script
+ * @returns {number} - Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values: flags, positionals } = parsed;
+  const [command, file] = positionals;
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return flags.help ? EXIT_SUCCESS : EXIT_USAGE;
+  }
+  if (!["validate", "compile", "run", "debug"].includes(command)) {
+    console.error(`Unknown command '${command}'\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (!file) {
+    console.error(`Missing markdown file\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  let markdown;
+  let options;
+  try {
+    markdown = fs.readFileSync(file, "utf8");
+    options = buildExecutionOptions(
+      flags,
+      command === "debug" ? "prompt" : "auto"
+    );
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  const pipeline = new PipelineService({
+    transpilerService: new TranspilerService({
+      documentRoot: flags["doc-root"] || path.dirname(path.resolve(file)),
+    }),
+  });
+  const { tool_validation, ...executionOptions } = options;
+  const source_path = path.resolve(file);
+
+  if (command === "run") {
+    const result = await pipeline.run(markdown, { ...options, source_path });
+    if (!result.report) {
+      printErrors(result);
+      return EXIT_FAILURE;
+    }
+
+    if (flags.json) {
+      console.log(JSON.stringify(result.report, null, 2));
+    } else {
+      printWarnings(result.report.warnings);
+      printReport(result.report);
+    }
+    return result.report.success ? EXIT_SUCCESS : EXIT_FAILURE;
+  }
+
+  const compiled = await pipeline.compile(markdown, {
+    tool_validation,
+    source_path,
+  });
+  if (!compiled.success) {
+    printErrors(compiled);
+    return EXIT_FAILURE;
+  }
+  printWarnings(compiled.warnings);
+
+  switch (command) {
+    case "validate":
+      console.log(JSON.stringify(compiled.ast, null, 2));
+      return EXIT_SUCCESS;
+
+    case "compile":
+      console.log(
+        JSON.stringify(
+          flags.analysis
+            ? { program: compiled.program, analysis: compiled.analysis }
+            : compiled.program,
+          null,
+          2
+        )
+      );
+      return EXIT_SUCCESS;
+
+    default: {
+      const terminalDebugger = new TerminalDebugger(pipeline.executionService);
+      return await terminalDebugger.start(
+        compiled.program,
+        compiled.analysis,
+        executionOptions
+      );
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.stack || error.message);
+      process.exit(EXIT_FAILURE);
+    }
+  );
+}
+
+module.exports = { main };
@@ -1,4 +1,5 @@
 const express = require("express");
+const http = require("http");
 const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
@@ -11,14 +12,24 @@ const transpilerRoutes = require("./routes/transpiler");
 const analyzerRoutes = require("./routes/analyzer");
 const executionRoutes = require("./routes/execution");
 const optimizerRoutes = require("./routes/optimizer");
+const runRoutes = require("./routes/run");
+
+// Import real-time execution streaming
+const { attachExecutionSocket } = require("./socket");
 
 // Import middleware
 const { errorHandler } = require("./middleware/errorHandler");
 const { validateRequest } = require("./middleware/validation");
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3001;
 
+const allowedOrigins =
+  process.env.NODE_ENV === "production"
+    ? ["https://entran.app"]
+    : ["http://localhost:3000", "http://localhost:3001"];
+
 // Security middleware
 app.use(
   helmet({
@@ -37,10 +48,7 @@ app.use(
 // CORS configuration
 app.use(
   cors({
-    origin:
-      process.env.NODE_ENV === "production"
-        ? ["https://entran.app"]
-        : ["http://localhost:3000", "http://localhost:3001"],
+    origin: allowedOrigins,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
@@ -83,6 +91,7 @@ app.use("/api/lexer", lexerRoutes);
 app.use("/api/transpiler", transpilerRoutes);
 app.use("/api/analyzer", analyzerRoutes);
 app.use("/api/execution", executionRoutes);
+app.use("/api/run", runRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
@@ -106,6 +115,12 @@ app.use("*", (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
+// WebSocket streaming: one namespace per execution session
+attachExecutionSocket(server, executionRoutes.executionService, {
+  cors: { origin: allowedOrigins, credentials: true },
+  cleanupEmptyChildNamespaces: true,
+});
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully");
@@ -118,10 +133,11 @@ process.on("SIGINT", () => {
 });
 
 // Start server
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🚀 ENTRAN Server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+  console.log(`📡 Execution events: ws://localhost:${PORT}/execution/<id>`);
 
   if (process.env.NODE_ENV !== "production") {
     console.log(`🎯 API Base URL: http://localhost:${PORT}/api`);
@@ -45,6 +45,7 @@ const programSchema = Joi.object({
   procedures: Joi.array().items(Joi.object()).required(),
   execution_order: Joi.array().items(Joi.string()).required(),
   global_memory: Joi.object().default({}),
+  inputs: Joi.object().default({}),
   error_handling: Joi.object().default({}),
 }).unknown(true);
 
@@ -70,6 +71,50 @@ const analyzeSchema = Joi.object({
   }).default({}),
 });
 
+/**
+ * Schema for execution options
+ */
+const executionOptionsSchema = Joi.object({
+  debug_mode: Joi.boolean().default(true),
+  timeout: Joi.number().integer().min(1000).max(300000).default(30000),
+  memory_limit: Joi.number()
+    .integer()
+    .min(1024)
+    .max(1024 * 1024 * 100)
+    .default(1024 * 1024 * 10),
+  output_limit: Joi.number()
+    .integer()
+    .min(1024)
+    .max(1024 * 1024 * 50)
+    .default(1024 * 1024),
+  choice_policy: Joi.string()
+    .valid("prompt", "auto", "first")
+    .default("prompt"),
+  dry_run: Joi.boolean().default(false),
+  allowed_tools: Joi.array().items(Joi.string()).default([]),
+  working_directory: Joi.string().allow(null).default(null),
+  env: Joi.object()
+    .pattern(/^[A-Za-z_]\w*$/, Joi.string())
+    .default({}),
+  inherit_env: Joi.boolean().default(false),
+  persistent_shell: Joi.boolean().default(false),
+  approval_threshold: Joi.string()
+    .valid("low", "medium", "high", "none")
+    .default("high"),
+  rollback_policy: Joi.string().valid("offer", "auto", "off").default("offer"),
+  inputs: Joi.object()
+    .pattern(
+      /^[A-Za-z_]\w*$/,
+      Joi.alternatives().try(
+        Joi.string().allow(""),
+        Joi.number(),
+        Joi.boolean(),
+        Joi.array().items(Joi.string())
+      )
+    )
+    .default({}),
+});
+
 /**
  * Schemas for execution requests
  */
@@ -77,37 +122,74 @@ const executionSchema = {
   start: Joi.object({
     program: programSchema.required(),
     analysis: Joi.object().required(),
-    options: Joi.object({
-      debug_mode: Joi.boolean().default(true),
-      timeout: Joi.number().integer().min(1000).max(300000).default(30000),
-      memory_limit: Joi.number()
-        .integer()
-        .min(1024)
-        .max(1024 * 1024 * 100)
-        .default(1024 * 1024 * 10),
-    }).default({}),
+    options: executionOptionsSchema.default({}),
   }),
 
   step: Joi.object({
     execution_id: Joi.string().uuid().required(),
     command: Joi.string()
-      .valid("step_over", "step_into", "step_out", "continue", "pause", "reset")
+      .valid(
+        "step_over",
+        "step_into",
+        "step_out",
+        "continue",
+        "pause",
+        "reset",
+        "rollback"
+      )
       .required(),
   }),
 
+  choose: Joi.object({
+    execution_id: Joi.string().uuid().required(),
+    option_id: Joi.string().required(),
+    continue_execution: Joi.boolean().default(false),
+  }),
+
+  approval: Joi.object({
+    execution_id: Joi.string().uuid().required(),
+    decision: Joi.string().valid("approve", "reject").required(),
+    reason: Joi.string().trim().min(1).max(1000).required(),
+    approver: Joi.string().max(200).default("unknown"),
+    continue_execution: Joi.boolean().default(false),
+  }),
+
   breakpoint: Joi.object({
     execution_id: Joi.string().uuid().required(),
-    step_id: Joi.string().required(),
+    step_id: Joi.string(),
+    line: Joi.number().integer().min(1),
     action: Joi.string().valid("set", "remove").required(),
-  }),
+  }).xor("step_id", "line"),
 };
 
+/**
+ * Schema for headless run requests: markdown through all four stages
+ */
+const runSchema = markdownSchema.keys({
+  options: executionOptionsSchema
+    .keys({
+      tool_validation: Joi.boolean().default(true),
+      choice_policy: Joi.string()
+        .valid("prompt", "auto", "first")
+        .default("auto"),
+    })
+    .default({}),
+});
+
 /**
  * Schema for execution state updates
  */
 const executionStateSchema = Joi.object({
   status: Joi.string()
-    .valid("initialized", "running", "paused", "completed", "error")
+    .valid(
+      "initialized",
+      "running",
+      "paused",
+      "awaiting_input",
+      "pending_approval",
+      "completed",
+      "error"
+    )
     .required(),
   current_step: Joi.object({
     procedure_id: Joi.string().required(),
@@ -164,7 +246,9 @@ module.exports = {
   transpileSchema,
   programSchema,
   analyzeSchema,
+  executionOptionsSchema,
   executionSchema,
+  runSchema,
   executionStateSchema,
   parameterSchemas,
 };
@@ -15,11 +15,27 @@ router.post(
   validateRequest(executionSchema.start),
   async (req, res, next) => {
     try {
-      const { program, analysis } = req.body;
+      const { program, analysis, options } = req.body;
 
       console.log("🚀 Starting program execution");
 
-      const result = await executionService.startExecution(program, analysis);
+      const result = await executionService.startExecution(
+        program,
+        analysis,
+        options
+      );
+
+      if (!result.success) {
+        console.log(`❌ Execution not started: ${result.errors.length} errors`);
+        return res.status(400).json({
+          success: false,
+          errors: result.errors,
+          metadata: {
+            error_count: result.errors.length,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
 
       console.log(`✅ Execution started with ID: ${result.execution_id}`);
       res.json({
@@ -70,6 +86,98 @@ router.post(
   }
 );
 
+/**
+ * POST /api/execution/choose
+ * Resume a session awaiting a choice with the selected option
+ */
+router.post(
+  "/choose",
+  validateRequest(executionSchema.choose),
+  async (req, res, next) => {
+    try {
+      const { execution_id, option_id, continue_execution } = req.body;
+
+      console.log(
+        `👉 Selecting option ${option_id} for session ${execution_id}`
+      );
+
+      const result = await executionService.executeStep(
+        execution_id,
+        "choose",
+        { option_id, continue_execution }
+      );
+
+      if (!result.success && !result.state) {
+        return res.status(404).json({
+          success: false,
+          error: result.error,
+          execution_id: execution_id,
+        });
+      }
+
+      res.status(result.success ? 200 : 400).json({
+        success: result.success,
+        state: result.state,
+        error: result.error,
+        metadata: {
+          option_id: option_id,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error("Choice selection error:", error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/execution/approval
+ * Approve or reject a high-risk step awaiting approval
+ */
+router.post(
+  "/approval",
+  validateRequest(executionSchema.approval),
+  async (req, res, next) => {
+    try {
+      const { execution_id, decision, reason, approver, continue_execution } =
+        req.body;
+
+      console.log(
+        `🛡️ ${approver} chose to ${decision} pending step for session ${execution_id}`
+      );
+
+      const result = await executionService.executeStep(
+        execution_id,
+        decision,
+        { reason, approver, continue_execution }
+      );
+
+      if (!result.success && !result.state) {
+        return res.status(404).json({
+          success: false,
+          error: result.error,
+          execution_id: execution_id,
+        });
+      }
+
+      res.status(result.success ? 200 : 400).json({
+        success: result.success,
+        state: result.state,
+        error: result.error,
+        metadata: {
+          decision: decision,
+          rejected: result.rejected || false,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error("Approval error:", error);
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/execution/breakpoint
  * Set or remove breakpoints
@@ -79,24 +187,33 @@ router.post(
   validateRequest(executionSchema.breakpoint),
   async (req, res, next) => {
     try {
-      const { execution_id, step_id, action } = req.body;
+      const { execution_id, step_id, line, action } = req.body;
+      const target = step_id || line;
 
       console.log(
-        `🔴 ${action} breakpoint at ${step_id} for session ${execution_id}`
+        `🔴 ${action} breakpoint at ${target} for session ${execution_id}`
       );
 
       const result = await executionService.manageBreakpoint(
         execution_id,
-        step_id,
+        target,
         action
       );
 
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: result.error,
+          execution_id: execution_id,
+        });
+      }
+
       res.json({
         success: true,
         breakpoints: result.breakpoints,
         metadata: {
           action_performed: action,
-          step_id: step_id,
+          step_id: result.step_id,
           timestamp: new Date().toISOString(),
         },
       });
@@ -170,7 +287,7 @@ router.delete("/:execution_id", async (req, res, next) => {
  */
 router.get("/sessions", async (req, res, next) => {
   try {
-    const sessions = executionService.getActiveSessions();
+    const sessions = await executionService.getActiveSessions();
 
     res.json({
       success: true,
@@ -190,17 +307,24 @@ router.get("/sessions", async (req, res, next) => {
  * GET /api/execution/health
  * Health check for execution service
  */
-router.get("/health", (req, res) => {
-  const healthStatus = executionService.getHealthStatus();
-
-  res.json({
-    service: "execution",
-    status: healthStatus.status,
-    active_sessions: healthStatus.activeSessions,
-    memory_usage: healthStatus.memoryUsage,
-    version: "1.0.0",
-    timestamp: new Date().toISOString(),
-  });
+router.get("/health", async (req, res, next) => {
+  try {
+    const healthStatus = await executionService.getHealthStatus();
+
+    res.json({
+      service: "execution",
+      status: healthStatus.status,
+      session_store: healthStatus.sessionStore,
+      active_sessions: healthStatus.activeSessions,
+      memory_usage: healthStatus.memoryUsage,
+      version: "1.0.0",
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Execution health error:", error);
+    next(error);
+  }
 });
 
 module.exports = router;
+module.exports.executionService = executionService;
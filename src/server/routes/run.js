@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const PipelineService = require("../../services/PipelineService");
+const { validateRequest } = require("../middleware/validation");
+const { runSchema } = require("../middleware/schemas");
+const { executionService } = require("./execution");
+
+// Runs share the execution engine so their events stream like any session
+const pipelineService = new PipelineService({ executionService });
+
+/**
+ * POST /api/run
+ * Lex, transpile, analyze and run a markdown document to completion
+ */
+router.post("/", validateRequest(runSchema), async (req, res, next) => {
+  try {
+    const { markdown, options } = req.body;
+
+    console.log("🏃 Running document headlessly");
+
+    const result = await pipelineService.run(markdown, options);
+
+    if (!result.report) {
+      const stage = result.stage || "execution";
+      console.log(`❌ Run failed in ${stage} stage`);
+      return res.status(400).json({
+        success: false,
+        stage: stage,
+        errors: result.errors,
+        metadata: {
+          error_count: result.errors.length,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const { report } = result;
+    console.log(
+      `${report.success ? "✅" : "❌"} Run ${report.status}: ${
+        report.summary.passed
+      } passed, ${report.summary.failed} failed`
+    );
+    res.json({
+      success: report.success,
+      report: report,
+      metadata: {
+        execution_id: report.execution_id,
+        duration_ms: report.duration_ms,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Run error:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
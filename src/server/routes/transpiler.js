@@ -28,6 +28,7 @@ router.post(
         res.json({
           success: true,
           program: result.program,
+          warnings: result.warnings || [],
           metadata: {
             procedures: result.program.procedures.length,
             tools_used: result.program.tools.length,
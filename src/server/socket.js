@@ -0,0 +1,82 @@
+const { Server } = require("socket.io");
+
+/**
+ * Execution events forwarded from ExecutionService to socket clients
+ */
+const EXECUTION_EVENTS = [
+  "step-started",
+  "stdout",
+  "stderr",
+  "step-completed",
+  "breakpoint-hit",
+  "input-requested",
+  "approval-requested",
+  "status-change",
+];
+
+/**
+ * Attach Socket.IO to the HTTP server and stream live execution events.
+ * Each execution session has its own namespace: /execution/<execution_id>
+ * @param {http.Server} server - HTTP server
+ * @param {ExecutionService} executionService - Execution service emitting events
+ * @param {Object} options - Socket.IO server options
+ * @returns {Server} - Socket.IO server
+ */
+function attachExecutionSocket(server, executionService, options = {}) {
+  const io = new Server(server, options);
+  const namespaces = new Map();
+
+  const sessionNamespaces = io.of(/^\/execution\/[\w-]+$/);
+
+  // Reject connections to sessions that do not exist
+  sessionNamespaces.use(async (socket, next) => {
+    const executionId = getExecutionId(socket.nsp);
+    if (!(await executionService.store.has(executionId))) {
+      return next(new Error("Execution session not found"));
+    }
+    next();
+  });
+
+  sessionNamespaces.on("connection", async (socket) => {
+    const executionId = getExecutionId(socket.nsp);
+    namespaces.set(executionId, socket.nsp);
+
+    // Send a snapshot so late subscribers start from the current state
+    const snapshot = await executionService.getExecutionState(executionId);
+    socket.emit("state", snapshot);
+  });
+
+  EXECUTION_EVENTS.forEach((event) => {
+    executionService.on(event, (payload) => {
+      const namespace = namespaces.get(payload.execution_id);
+      if (namespace) {
+        namespace.emit(event, payload);
+      }
+    });
+  });
+
+  executionService.on("session-closed", (payload) => {
+    const namespace = namespaces.get(payload.execution_id);
+    if (namespace) {
+      namespace.emit("session-closed", payload);
+      namespace.disconnectSockets(true);
+      namespaces.delete(payload.execution_id);
+    }
+  });
+
+  return io;
+}
+
+/**
+ * Extract execution ID from a session namespace
+ * @param {Namespace} namespace - Socket.IO namespace
+ * @returns {string} - Execution ID
+ */
+function getExecutionId(namespace) {
+  return namespace.name.substring("/execution/".length);
+}
+
+module.exports = {
+  attachExecutionSocket,
+  EXECUTION_EVENTS,
+};
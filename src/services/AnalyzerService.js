@@ -120,6 +120,7 @@ class AnalyzerService {
     const procedureAnalysis = {
       id: procedure.id,
       name: procedure.name,
+      parent: procedure.parent || null,
       intent: intent_recognition
         ? this.recognizeProcedureIntent(procedure)
         : "unknown",
@@ -308,34 +309,88 @@ class AnalyzerService {
         });
       }
 
-      // Data dependency (output of one step used in another)
-      if (step.assign_to) {
+      // Data dependency (output of one step, or a data table, used in
+      // another)
+      const variable =
+        step.type === "data_table" ? step.variable : step.assign_to;
+      if (variable) {
         for (let j = i + 1; j < procedure.steps.length; j++) {
           const laterStep = procedure.steps[j];
-          if (this.stepUsesVariable(laterStep, step.assign_to)) {
+          if (this.stepUsesVariable(laterStep, variable)) {
             relationships.push({
               type: "data_dependency",
               source: step.id,
               target: laterStep.id,
-              variable: step.assign_to,
-              description: `Step depends on variable ${step.assign_to}`,
+              variable: variable,
+              description: `Step depends on variable ${variable}`,
             });
           }
         }
       }
 
-      // Conditional dependency
-      if (step.type === "conditional") {
-        if (step.true_branch) {
-          relationships.push({
-            type: "conditional",
-            source: step.id,
-            target: step.true_branch.id || "next_step",
-            condition: "true",
-            description: "Conditional execution path",
-          });
-        }
+      // Nesting: a sub-step (2.1) hangs off the step it is indented under
+      if (step.parent_step) {
+        relationships.push({
+          type: "substep",
+          source: step.parent_step,
+          target: step.id,
+          description: `Sub-step ${step.number} of ${step.parent_step}`,
+        });
+      }
+
+      // Conditional dependency, one edge per branch
+      this.describeBranches(step).forEach((branch) => {
+        relationships.push({
+          type: "conditional",
+          source: step.id,
+          target: branch.id,
+          condition: branch.outcome,
+          description: `Conditional execution path (${branch.outcome})`,
+        });
+      });
+
+      // Sub-procedure call
+      if (step.type === "call") {
+        relationships.push({
+          type: "call",
+          source: step.id,
+          target: step.procedure,
+          description: `Calls sub-procedure ${step.procedure}`,
+        });
+      }
+
+      // Expectation checked against an earlier command's output
+      if (step.type === "assertion" && step.source.step_id) {
+        relationships.push({
+          type: "assertion",
+          source: step.source.step_id,
+          target: step.id,
+          description: `Output checked by expectation: ${step.subject}`,
+        });
+      }
+
+      // Loop back edge
+      if (step.type === "loop") {
+        relationships.push({
+          type: "loop",
+          source: step.id,
+          target: step.id,
+          description:
+            step.loop_type === "for_each"
+              ? `Repeats for each ${step.variable} in ${step.collection}`
+              : "Repeats until condition holds",
+        });
       }
+
+      // Jumps made by the step itself, its branches or its options
+      this.describeJumps(step).forEach((jump) => {
+        relationships.push({
+          type: "jump",
+          source: jump.source,
+          target: jump.procedure,
+          description: `Jumps to procedure ${jump.procedure}`,
+        });
+      });
     }
 
     return relationships;
@@ -351,15 +406,90 @@ class AnalyzerService {
     return {
       id: step.id,
       type: step.type,
+      number: step.number || null,
+      parent_step: step.parent_step || null,
       intent: this.recognizeStepIntent(step),
       entities: this.extractStepEntities(step),
       risk_factors: this.identifyStepRisks(step),
       dependencies: this.identifyStepDependencies(step, procedure),
       estimated_duration: this.estimateStepDuration(step),
       rollback_possible: this.canRollback(step),
+      branches: this.describeBranches(step),
     };
   }
 
+  /**
+   * Describe the true/false branches of a conditional step, the options
+   * of a choice step or the rows of a decision table
+   * @param {Object} step - Step object
+   * @returns {Array} - Branches with graph node ID, outcome and label
+   */
+  describeBranches(step) {
+    if (step.type === "decision_table") {
+      return step.rows.map((row) => ({
+        id: row.id,
+        outcome: "row",
+        action_type: row.action ? row.action.type : null,
+        label: row.description,
+        jump_target:
+          row.action && row.action.type === "jump"
+            ? row.action.procedure
+            : undefined,
+      }));
+    }
+    if (step.type === "choice") {
+      return (step.options || []).map((option) => ({
+        id: option.id,
+        outcome: "option",
+        action_type: option.action ? option.action.type : null,
+        label: option.description,
+      }));
+    }
+    if (step.type !== "conditional") {
+      return [];
+    }
+
+    return [
+      ["true", step.true_branch],
+      ["false", step.false_branch],
+    ]
+      .filter(([, action]) => action)
+      .map(([outcome, action]) => ({
+        id: action.id || `${step.id}_${outcome}`,
+        outcome: outcome,
+        action_type: action.type,
+        label: action.command || action.message || action.label || action.type,
+        jump_target: action.type === "jump" ? action.procedure : undefined,
+      }));
+  }
+
+  /**
+   * Describe the jumps a step can make, from the step or one of its branches
+   * @param {Object} step - Step object
+   * @returns {Array} - Jumps with graph source node and target procedure
+   */
+  describeJumps(step) {
+    const jumps = [];
+
+    if (step.type === "jump") {
+      jumps.push({ source: step.id, procedure: step.procedure });
+    }
+
+    this.describeBranches(step).forEach((branch) => {
+      if (branch.jump_target) {
+        jumps.push({ source: branch.id, procedure: branch.jump_target });
+      }
+    });
+
+    (step.options || []).forEach((option) => {
+      if (option.action && option.action.type === "jump") {
+        jumps.push({ source: step.id, procedure: option.action.procedure });
+      }
+    });
+
+    return jumps;
+  }
+
   /**
    * Extract global entities that span multiple procedures
    * @param {Object} program - Program object
@@ -456,6 +586,7 @@ class AnalyzerService {
         id: proc.id,
         type: "procedure",
         label: proc.name,
+        parent: proc.parent,
         intent: proc.intent,
         risk_level: proc.risk_level,
       });
@@ -465,11 +596,22 @@ class AnalyzerService {
         nodes.push({
           id: step.id,
           type: "step",
-          label: step.type,
-          parent: proc.id,
+          label: step.number ? `${step.number} ${step.type}` : step.type,
+          parent: step.parent_step || proc.id,
           intent: step.intent,
           risk_factors: step.risk_factors,
         });
+
+        // Add branch nodes for conditional steps
+        (step.branches || []).forEach((branch) => {
+          nodes.push({
+            id: branch.id,
+            type: "branch",
+            label: branch.label,
+            parent: step.id,
+            outcome: branch.outcome,
+          });
+        });
       });
     });
 
@@ -481,6 +623,7 @@ class AnalyzerService {
           target: rel.target,
           type: rel.type,
           label: rel.description,
+          condition: rel.condition,
         });
       });
     });
@@ -533,6 +676,12 @@ class AnalyzerService {
       return `<span class="condition" title="Condition">${match}</span>`;
     });
 
+    // Annotate loops
+    const loopPattern = /\b(?:repeat|retry)\b[^.\n]*?\buntil\b|\bfor each\b/gi;
+    annotated = annotated.replace(loopPattern, (match) => {
+      return `<span class="loop" title="Loop">${match}</span>`;
+    });
+
     return annotated;
   }
 
@@ -634,10 +783,18 @@ class AnalyzerService {
       if (step.tool === "systemctl") return "service_management";
       return "command_execution";
     }
+    if (step.type === "script") return "script_execution";
+    if (step.type === "code") return "code_execution";
 
     if (step.type === "conditional") return "condition_check";
     if (step.type === "assignment") return "data_storage";
     if (step.type === "choice") return "user_interaction";
+    if (step.type === "decision_table") return "condition_check";
+    if (step.type === "data_table") return "data_storage";
+    if (step.type === "call") return "procedure_call";
+    if (step.type === "jump") return "control_transfer";
+    if (step.type === "loop") return "iteration";
+    if (step.type === "assertion") return "verification";
 
     return "unknown";
   }
@@ -678,10 +835,12 @@ class AnalyzerService {
   identifyStepRisks(step) {
     const risks = [];
 
-    if (step.type === "command") {
+    if (step.type === "command" || step.type === "script") {
+      const command = step.command || step.script;
+
       // Check for potentially dangerous commands
       const dangerousCommands = ["rm", "del", "format", "fdisk", "mkfs"];
-      if (dangerousCommands.some((cmd) => step.command.includes(cmd))) {
+      if (dangerousCommands.some((cmd) => command.includes(cmd))) {
         risks.push({
           type: "data_loss",
           level: "high",
@@ -691,7 +850,7 @@ class AnalyzerService {
 
       // Check for network-affecting commands
       const networkCommands = ["iptables", "ip route", "ifconfig"];
-      if (networkCommands.some((cmd) => step.command.includes(cmd))) {
+      if (networkCommands.some((cmd) => command.includes(cmd))) {
         risks.push({
           type: "network_disruption",
           level: "medium",
@@ -701,8 +860,8 @@ class AnalyzerService {
 
       // Check for service-affecting commands
       if (
-        step.command.includes("systemctl stop") ||
-        step.command.includes("service stop")
+        command.includes("systemctl stop") ||
+        command.includes("service stop")
       ) {
         risks.push({
           type: "service_disruption",
@@ -712,6 +871,23 @@ class AnalyzerService {
       }
     }
 
+    if (step.type === "code") {
+      risks.push(...this.identifyCodeRisks(step));
+    }
+
+    // Loops carry the risks of the steps they repeat, decision tables
+    // those of the commands their rows may run
+    if (step.type === "loop") {
+      step.body.forEach((bodyStep) =>
+        risks.push(...this.identifyStepRisks(bodyStep))
+      );
+    }
+    if (step.type === "decision_table") {
+      step.rows
+        .filter((row) => row.action && row.action.type === "command")
+        .forEach((row) => risks.push(...this.identifyStepRisks(row.action)));
+    }
+
     return risks;
   }
 
@@ -769,13 +945,30 @@ class AnalyzerService {
   estimateStepDuration(step) {
     const baseDurations = {
       command: 2,
+      script: 5,
+      code: 5,
       conditional: 1,
       assignment: 0.5,
       choice: 10, // User interaction time
+      decision_table: 1,
+      data_table: 0.1,
       analysis: 1,
       note: 0.1,
+      call: 0.1, // Callee duration is estimated with its own procedure
+      jump: 0.1,
+      assertion: 0.1,
     };
 
+    // Loops take one body run (plus wait) per expected iteration
+    if (step.type === "loop") {
+      const iterations = step.max_iterations || 3;
+      const bodyDuration = step.body.reduce(
+        (total, bodyStep) => total + this.estimateStepDuration(bodyStep),
+        0
+      );
+      return iterations * (bodyDuration + (step.wait_ms || 0) / 1000);
+    }
+
     let duration = baseDurations[step.type] || 1;
 
     // Adjust based on specific tools
@@ -786,17 +979,61 @@ class AnalyzerService {
     return duration;
   }
 
+  /**
+   * Identify risk factors for a code step from what its language can
+   * change; shell patterns such as "rm" say nothing about python or SQL
+   * @param {Object} step - Code step
+   * @returns {Array} - Risk factors
+   */
+  identifyCodeRisks(step) {
+    const risks = [];
+
+    if (step.language === "sqlite") {
+      if (/\b(?:drop|delete|truncate)\b/i.test(step.code)) {
+        risks.push({
+          type: "data_loss",
+          level: "high",
+          description: "SQL may delete data",
+        });
+      } else if (/\b(?:insert|update|alter|replace)\b/i.test(step.code)) {
+        risks.push({
+          type: "data_change",
+          level: "medium",
+          description: "SQL modifies the database",
+        });
+      }
+    }
+
+    if (step.language === "http") {
+      const method = (step.command.match(/ -X (\w+)/) || [])[1];
+      if (["POST", "PUT", "PATCH", "DELETE"].includes(method)) {
+        risks.push({
+          type: "remote_change",
+          level: "medium",
+          description: `${method} request may change remote state`,
+        });
+      }
+    }
+
+    return risks;
+  }
+
   /**
    * Check if step can be rolled back
    * @param {Object} step - Step object
    * @returns {boolean} - True if rollback is possible
    */
   canRollback(step) {
-    if (step.type !== "command") return true;
+    if (step.rollback) return true;
+    if (step.type === "loop") {
+      return step.body.every((bodyStep) => this.canRollback(bodyStep));
+    }
+    if (step.type !== "command" && step.type !== "script") return true;
 
     // Commands that can't be easily rolled back
     const irreversibleCommands = ["rm", "del", "format", "mkfs", "dd"];
-    return !irreversibleCommands.some((cmd) => step.command.includes(cmd));
+    const command = step.command || step.script;
+    return !irreversibleCommands.some((cmd) => command.includes(cmd));
   }
 
   /**
@@ -1246,6 +1483,26 @@ class AnalyzerService {
         description: "Procedures work with same entities",
         strength: "weak",
       },
+      call: {
+        description: "Step invokes a sub-procedure",
+        strength: "strong",
+      },
+      substep: {
+        description: "Step is nested under another step",
+        strength: "strong",
+      },
+      jump: {
+        description: "Step transfers control to another procedure",
+        strength: "strong",
+      },
+      loop: {
+        description: "Step repeats until its loop finishes",
+        strength: "medium",
+      },
+      assertion: {
+        description: "Expectation checks output from another step",
+        strength: "strong",
+      },
       tool_dependency: {
         description: "Step requires specific tool",
         strength: "strong",
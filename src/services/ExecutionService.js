@@ -1,19 +1,69 @@
+const EventEmitter = require("events");
 const { v4: uuidv4 } = require("uuid");
-const { exec, spawn } = require("child_process");
-const { promisify } = require("util");
-const { generateId } = require("../utils/helpers");
-
-const execAsync = promisify(exec);
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  generateId,
+  sleep,
+  retryWithBackoff,
+  truncateUtf8,
+} = require("../utils/helpers");
+const { createSessionStore } = require("./SessionStore");
+const { parseToolOutput } = require("../utils/outputParsers");
+const {
+  VARIABLE_REFERENCE_PATTERN,
+  parseVariableReference,
+  readPath,
+  describeValueType,
+  formatVariableValue,
+} = require("../utils/variableReferences");
+const {
+  evaluateAst,
+  evaluateExpressionText,
+  isTruthy,
+} = require("../utils/expressions");
+const {
+  quoteForContext,
+  quoteContextAt,
+  extractCommandTools,
+  extractScriptTools,
+} = require("../utils/shell");
+const { resolveInputValues } = require("../utils/inputs");
+const { matchesSample } = require("../utils/codeRunners");
+const TranspilerService = require("./TranspilerService");
+const PersistentShell = require("./PersistentShell");
 
 /**
  * ExecutionService - Stage 4: Execution Engine
  * Provides step-by-step interpretation, shell command execution, and debugging capabilities
+ *
+ * Emits live execution events, each carrying the session's execution_id:
+ * step-started, stdout, stderr, step-completed, breakpoint-hit,
+ * input-requested, approval-requested, status-change and session-closed
  */
-class ExecutionService {
-  constructor() {
-    this.sessions = new Map();
+class ExecutionService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.store - Session store (defaults to Redis when
+   *   REDIS_URL is set, otherwise in-memory)
+   * @param {Object} options.toolRegistry - Registered tools that programs may
+   *   be allowed to run (defaults to the transpiler's registry)
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || createSessionStore();
+    this.toolRegistry =
+      options.toolRegistry || new TranspilerService().toolRegistry;
     this.commandTimeout = 30000; // 30 seconds default timeout
+    this.outputLimit = 1024 * 1024; // 1MB per stream per step
     this.maxConcurrentSessions = 10;
+    this.maxLoopIterations = 100; // Hard cap for any loop
+    this.riskLevels = ["low", "medium", "high"];
+    // Persistent shells by session ID; processes cannot live in the
+    // serialized session
+    this.shells = new Map();
   }
 
   /**
@@ -26,7 +76,7 @@ class ExecutionService {
   async startExecution(program, analysis, options = {}) {
     try {
       // Check session limits
-      if (this.sessions.size >= this.maxConcurrentSessions) {
+      if ((await this.store.size()) >= this.maxConcurrentSessions) {
         throw new Error(
           `Maximum concurrent sessions (${this.maxConcurrentSessions}) reached`
         );
@@ -38,9 +88,63 @@ class ExecutionService {
         memory_limit = 10 * 1024 * 1024, // 10MB default
         auto_continue = false,
         risk_level = "medium",
+        output_limit = this.outputLimit,
+        choice_policy = "prompt",
+        dry_run = false,
+        allowed_tools = [],
+        working_directory = null,
+        env = {},
+        inherit_env = false,
+        persistent_shell = false,
+        approval_threshold = "high",
+        rollback_policy = "offer",
+        inputs = {},
       } = options;
 
+      // Inputs are checked against their declarations before anything runs
+      const resolvedInputs = resolveInputValues(program.inputs, inputs);
+      if (resolvedInputs.errors.length > 0) {
+        return {
+          success: false,
+          errors: resolvedInputs.errors.map((message) => ({
+            type: "input_error",
+            message: message,
+          })),
+        };
+      }
+
       const sessionId = uuidv4();
+      const policy = this.createExecutionPolicy(program, sessionId, {
+        allowed_tools,
+        working_directory,
+        env,
+        inherit_env,
+        persistent_shell,
+      });
+
+      // Steps running a tool outside the allowlist could only fail, and a
+      // continue policy would hide it, so such a run does not start. A
+      // $variable naming the tool is checked once it is resolved.
+      const blockedTools = (program.tools || []).filter(
+        (tool) => !tool.startsWith("$") && !policy.allowed_tools.includes(tool)
+      );
+      if (blockedTools.length > 0) {
+        return {
+          success: false,
+          errors: [
+            {
+              type: "tool_not_allowed",
+              tools: blockedTools,
+              message: `The execution policy blocks ${blockedTools
+                .map((tool) => `'${tool}'`)
+                .join(", ")}: not in the tool registry`,
+              suggestion:
+                "Allow them with the allowed_tools option (entran --allow-tool <tool>)",
+            },
+          ],
+        };
+      }
+
       const session = {
         id: sessionId,
         program: program,
@@ -51,19 +155,35 @@ class ExecutionService {
           memory_limit,
           auto_continue,
           risk_level,
+          output_limit,
+          choice_policy,
+          dry_run,
+          approval_threshold,
+          rollback_policy,
         },
-        state: this.createInitialState(program, analysis),
+        policy: policy,
+        inputs: resolvedInputs.values,
+        state: this.createInitialState(
+          program,
+          analysis,
+          resolvedInputs.values
+        ),
         createdAt: new Date(),
         lastActivity: new Date(),
         commandHistory: [],
+        auditTrail: [],
         totalStepsExecuted: 0,
       };
 
-      this.sessions.set(sessionId, session);
+      // Skip leading procedures without steps, e.g. a problem description
+      this.settleCurrentStep(session);
+
+      await this.store.set(sessionId, session);
 
       // If auto-continue is enabled, start execution immediately
       if (auto_continue) {
-        await this.executeStep(sessionId, "continue");
+        const result = await this.executeStep(sessionId, "continue");
+        session.state = result.state || session.state;
       }
 
       return {
@@ -91,6 +211,191 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Run a program headlessly from start to finish and close its session.
+   * Runs stop early when a choice needs input or a step needs approval.
+   * @param {Object} program - Transpiled program
+   * @param {Object} analysis - Semantic analysis results
+   * @param {Object} options - Execution options (see startExecution)
+   * @returns {Object} - Run report
+   */
+  async runToCompletion(program, analysis, options = {}) {
+    const started = await this.startExecution(program, analysis, {
+      ...options,
+      debug_mode: false,
+      auto_continue: false,
+    });
+    if (!started.success) {
+      return started;
+    }
+
+    const result = await this.executeStep(started.execution_id, "continue");
+    const session = await this.store.get(started.execution_id);
+    if (!session) {
+      return {
+        success: false,
+        errors: [
+          {
+            type: "execution_run_error",
+            message: result.error || "Session ended before the report",
+          },
+        ],
+      };
+    }
+
+    const report = this.buildRunReport(session);
+    await this.closeSession(session, "finished");
+
+    return {
+      success: report.success,
+      report: report,
+    };
+  }
+
+  /**
+   * Build the report of a finished run: per-step status, outputs and
+   * durations, assertion results and the final variables
+   * @param {Object} session - Execution session
+   * @returns {Object} - Run report
+   */
+  buildRunReport(session) {
+    const state = session.state;
+    const handled = new Map(
+      state.handled_errors.map((entry) => [entry.step_id, entry])
+    );
+
+    // Fold retried and looped runs of a step into one row
+    const runs = new Map();
+    for (const entry of state.execution_history) {
+      const row = runs.get(entry.step_id) || { runs: 0, duration_ms: 0 };
+      row.runs++;
+      row.duration_ms += entry.duration_ms || 0;
+      row.last = entry;
+      runs.set(entry.step_id, row);
+    }
+
+    const steps = [];
+    const describeRow = (stepId, procedureId, step) => {
+      const row = runs.get(stepId);
+      runs.delete(stepId);
+      if (!row) {
+        return {
+          step_id: stepId,
+          procedure_id: procedureId,
+          type: step.type,
+          description: step.description || null,
+          status: "not_run",
+        };
+      }
+
+      const entry = row.last;
+      const status = entry.success
+        ? "passed"
+        : handled.has(stepId)
+        ? "handled"
+        : "failed";
+      const stepReport = {
+        step_id: stepId,
+        procedure_id: procedureId,
+        type: entry.type,
+        description: step ? step.description || null : null,
+        status: status,
+        runs: row.runs,
+        duration_ms: row.duration_ms,
+        output: entry.output,
+        error: entry.error,
+      };
+      if (entry.exit_code !== undefined) {
+        stepReport.exit_code = entry.exit_code;
+      }
+      if (entry.sample_matched !== undefined) {
+        stepReport.sample_matched = entry.sample_matched;
+      }
+      if (entry.unresolved) {
+        stepReport.unresolved = true;
+      }
+      if (status === "handled") {
+        stepReport.error_policy = handled.get(stepId).policy;
+        stepReport.tolerated = handled.get(stepId).tolerated;
+      }
+      return stepReport;
+    };
+
+    for (const procedure of session.program.procedures) {
+      for (const step of procedure.steps) {
+        steps.push(describeRow(step.id, procedure.id, step));
+      }
+    }
+    for (const stepId of Array.from(runs.keys())) {
+      steps.push(describeRow(stepId, null, null));
+    }
+
+    const count = (status) =>
+      steps.filter((step) => step.status === status).length;
+    const assertionsFailed = state.assertions.filter((a) => !a.passed).length;
+    const untolerated = steps.filter(
+      (step) =>
+        step.status === "failed" ||
+        (step.status === "handled" && !step.tolerated)
+    ).length;
+    const finishedAt = new Date();
+
+    return {
+      success:
+        state.status === "completed" &&
+        assertionsFailed === 0 &&
+        untolerated === 0,
+      execution_id: session.id,
+      program: session.program.name,
+      status: state.status,
+      started_at: state.started_at,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt.getTime() - new Date(state.started_at).getTime(),
+      dry_run: session.options.dry_run,
+      summary: {
+        total_steps: steps.length,
+        passed: count("passed"),
+        failed: count("failed"),
+        handled: count("handled"),
+        not_run: count("not_run"),
+        unresolved: steps.filter((step) => step.unresolved).length,
+        assertions_passed: state.assertions.length - assertionsFailed,
+        assertions_failed: assertionsFailed,
+      },
+      steps: steps,
+      assertions: state.assertions,
+      variables: this.snapshotVariables(session),
+      error: state.error_state,
+      handled_errors: state.handled_errors,
+      pending_input: state.pending_input,
+      pending_approval: state.pending_approval,
+      rollback: state.rollback,
+      planned_commands: state.planned_commands,
+    };
+  }
+
+  /**
+   * Collect every variable visible from the innermost frame, with the
+   * precedence getVariable uses
+   * @param {Object} session - Execution session
+   * @returns {Object} - Variable values by name
+   */
+  snapshotVariables(session) {
+    const { heap, memory, stack } = session.state;
+    const variables = {};
+
+    Object.entries(heap.parsed_outputs).forEach(([name, entry]) => {
+      variables[name] = entry.value;
+    });
+    Object.entries(heap.tool_outputs).forEach(([name, entry]) => {
+      variables[name] = entry.output;
+    });
+    Object.assign(variables, memory.persistent_vars);
+    stack.forEach((frame) => Object.assign(variables, frame.variables));
+
+    return variables;
+  }
+
   /**
    * Execute a debugging command (step, continue, pause, etc.)
    * @param {string} sessionId - Session ID
@@ -99,29 +404,36 @@ class ExecutionService {
    * @returns {Object} - Execution result
    */
   async executeStep(sessionId, command, params = {}) {
+    let session = null;
+
     try {
-      const session = this.sessions.get(sessionId);
-      if (!session) {
-        throw new Error("Session not found");
-      }
+      // Commands on a session run one at a time so that none of them
+      // saves over another's changes
+      return await this.store.withLock(sessionId, async () => {
+        session = await this.store.get(sessionId);
+        if (!session) {
+          throw new Error("Session not found");
+        }
 
-      session.lastActivity = new Date();
-      const result = await this.processDebugCommand(session, command, params);
+        session.lastActivity = new Date();
+        const result = await this.processDebugCommand(session, command, params);
 
-      // Update session state
-      session.commandHistory.push({
-        command: command,
-        params: params,
-        timestamp: new Date().toISOString(),
-        result: result.success,
-      });
+        // Update session state
+        session.commandHistory.push({
+          command: command,
+          params: params,
+          timestamp: new Date().toISOString(),
+          result: result.success,
+        });
+        await this.store.set(sessionId, session);
 
-      return result;
+        return result;
+      });
     } catch (error) {
       return {
         success: false,
         error: error.message,
-        state: this.sessions.get(sessionId)?.state || null,
+        state: session?.state || null,
       };
     }
   }
@@ -159,17 +471,28 @@ class ExecutionService {
       case "inspect":
         return this.inspectVariable(session, params.variable);
 
+      case "choose":
+        return await this.choose(session, params);
+
+      case "approve":
+      case "reject":
+        return await this.decideApproval(session, command, params);
+
+      case "rollback":
+        return await this.runRollback(session);
+
       default:
         throw new Error(`Unknown debug command: ${command}`);
     }
   }
 
   /**
-   * Execute single step (step over)
+   * Execute a single instruction, entering sub-procedure calls.
+   * Leaves the session running; debugger commands settle the final status.
    * @param {Object} session - Execution session
    * @returns {Object} - Step result
    */
-  async stepOver(session) {
+  async stepInstruction(session) {
     if (
       session.state.status === "completed" ||
       session.state.status === "error"
@@ -186,22 +509,71 @@ class ExecutionService {
       return this.completeExecution(session);
     }
 
-    session.state.status = "running";
+    const pending = session.state.pending_input;
+    if (pending && !pending.selected_option) {
+      return {
+        success: false,
+        state: session.state,
+        awaiting_input: true,
+        error: `Awaiting input for step ${pending.step_id}`,
+      };
+    }
+
+    // Risky steps wait for an approver before they run
+    const approval = this.requireApproval(session, currentStep);
+    if (approval) {
+      return approval;
+    }
+
+    this.setStatus(session, "running");
 
     try {
-      const stepResult = await this.executeCurrentStep(session, currentStep);
+      let stepResult = await this.executeCurrentStep(session, currentStep);
+
+      // Choice steps without a selection suspend on the current step
+      if (stepResult.awaiting_input) {
+        return {
+          success: true,
+          state: session.state,
+          step_result: stepResult,
+          awaiting_input: true,
+          message: "Awaiting input",
+        };
+      }
+
+      // Failed steps may be retried, skipped or handed to a handler
+      if (!stepResult.success) {
+        stepResult = await this.applyErrorPolicy(
+          session,
+          currentStep,
+          stepResult
+        );
+      }
 
       if (stepResult.success) {
-        this.advanceToNextStep(session);
+        // Call and jump steps move the pointer themselves; loops stay on
+        // the current step until their last iteration
+        if (
+          !stepResult.entered_procedure &&
+          !stepResult.jumped_to &&
+          !stepResult.repeat_step
+        ) {
+          this.advanceToNextStep(session, stepResult.skip_steps);
+        }
         session.totalStepsExecuted++;
 
         // Check if we've hit a breakpoint
         if (this.isBreakpoint(session, session.state.current_step.step_id)) {
-          session.state.status = "paused";
+          this.setStatus(session, "paused");
+          this.emitEvent(session, "breakpoint-hit", {
+            step_id: session.state.current_step.step_id,
+            procedure_id: session.state.current_step.procedure_id,
+          });
           return {
             success: true,
             state: session.state,
             step_result: stepResult,
+            breakpoint_hit: true,
             message: "Paused at breakpoint",
           };
         }
@@ -210,15 +582,20 @@ class ExecutionService {
         if (!this.getCurrentStep(session)) {
           return this.completeExecution(session);
         }
-
-        session.state.status = "paused";
       } else {
-        session.state.status = "error";
+        this.setStatus(session, "error");
         session.state.error_state = {
           step_id: currentStep.id,
           error: stepResult.error,
           timestamp: new Date().toISOString(),
         };
+        if (stepResult.attempts) {
+          session.state.error_state.attempts = stepResult.attempts;
+        }
+        if (stepResult.diff) {
+          session.state.error_state.diff = stepResult.diff;
+        }
+        await this.compensateFailure(session);
       }
 
       return {
@@ -227,12 +604,13 @@ class ExecutionService {
         step_result: stepResult,
       };
     } catch (error) {
-      session.state.status = "error";
+      this.setStatus(session, "error");
       session.state.error_state = {
         step_id: currentStep.id,
         error: error.message,
         timestamp: new Date().toISOString(),
       };
+      await this.compensateFailure(session);
 
       return {
         success: false,
@@ -242,14 +620,45 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Execute single step, running sub-procedure calls to completion
+   * @param {Object} session - Execution session
+   * @returns {Object} - Step result
+   */
+  async stepOver(session) {
+    return this.settleStatus(session, await this.runOver(session));
+  }
+
+  /**
+   * Execute the current step and any sub-procedure call it makes
+   * @param {Object} session - Execution session
+   * @returns {Object} - Step result
+   */
+  async runOver(session) {
+    const depth = session.state.stack.length;
+    let result = await this.stepInstruction(session);
+
+    while (
+      result.success &&
+      !result.breakpoint_hit &&
+      !result.awaiting_input &&
+      !result.awaiting_approval &&
+      session.state.stack.length > depth &&
+      this.getCurrentStep(session)
+    ) {
+      result = await this.stepInstruction(session);
+    }
+
+    return result;
+  }
+
   /**
    * Step into procedure calls
    * @param {Object} session - Execution session
    * @returns {Object} - Step result
    */
   async stepInto(session) {
-    // For now, same as step over since we don't have nested procedures yet
-    return await this.stepOver(session);
+    return this.settleStatus(session, await this.stepInstruction(session));
   }
 
   /**
@@ -258,23 +667,34 @@ class ExecutionService {
    * @returns {Object} - Step result
    */
   async stepOut(session) {
-    // Execute until end of current procedure
-    while (
-      this.getCurrentStep(session) &&
-      this.getCurrentStep(session).procedure_id ===
-        session.state.current_step.procedure_id
-    ) {
-      const result = await this.stepOver(session);
-      if (!result.success || session.state.status === "error") {
-        return result;
+    const depth = session.state.stack.length;
+    const procedureId = session.state.current_step.procedure_id;
+
+    // Inside a call, run until its frame is popped; at the top level, run
+    // until the end of the current procedure
+    const inCurrentProcedure = () =>
+      depth > 1
+        ? session.state.stack.length >= depth
+        : session.state.current_step.procedure_id === procedureId;
+
+    while (this.getCurrentStep(session) && inCurrentProcedure()) {
+      const result = await this.runOver(session);
+      if (
+        !result.success ||
+        result.breakpoint_hit ||
+        result.awaiting_input ||
+        result.awaiting_approval ||
+        session.state.status === "error"
+      ) {
+        return this.settleStatus(session, result);
       }
     }
 
-    return {
+    return this.settleStatus(session, {
       success: true,
       state: session.state,
       message: "Stepped out of procedure",
-    };
+    });
   }
 
   /**
@@ -283,17 +703,24 @@ class ExecutionService {
    * @returns {Object} - Execution result
    */
   async continue(session) {
-    session.state.status = "running";
+    if (
+      session.state.status === "completed" ||
+      session.state.status === "error"
+    ) {
+      return this.stepInstruction(session);
+    }
+
+    this.setStatus(session, "running");
 
     while (this.getCurrentStep(session) && session.state.status === "running") {
-      const result = await this.stepOver(session);
+      const result = await this.stepInstruction(session);
 
       if (!result.success) {
         return result;
       }
 
-      // Check if we hit a breakpoint or were paused
-      if (session.state.status === "paused") {
+      // Check if we hit a breakpoint
+      if (result.breakpoint_hit) {
         return {
           success: true,
           state: session.state,
@@ -301,9 +728,13 @@ class ExecutionService {
         };
       }
 
+      if (result.awaiting_input || result.awaiting_approval) {
+        return result;
+      }
+
       // Prevent infinite loops with a reasonable limit
       if (session.totalStepsExecuted > 1000) {
-        session.state.status = "error";
+        this.setStatus(session, "error");
         session.state.error_state = {
           error: "Execution exceeded step limit (1000 steps)",
           timestamp: new Date().toISOString(),
@@ -327,318 +758,2110 @@ class ExecutionService {
   }
 
   /**
-   * Pause execution
+   * Resume a session awaiting a choice with the selected option
    * @param {Object} session - Execution session
-   * @returns {Object} - Pause result
+   * @param {Object} params - option_id and optional continue_execution flag
+   * @returns {Object} - Step result
    */
-  pause(session) {
-    if (session.state.status === "running") {
-      session.state.status = "paused";
+  async choose(session, params) {
+    const pending = session.state.pending_input;
+    if (session.state.status !== "awaiting_input" || !pending) {
+      throw new Error("Execution is not awaiting input");
     }
 
-    return {
-      success: true,
-      state: session.state,
-      message: "Execution paused",
-    };
+    if (!pending.options.some((option) => option.id === params.option_id)) {
+      throw new Error(
+        `Unknown option '${params.option_id}' for step ${pending.step_id}`
+      );
+    }
+
+    pending.selected_option = params.option_id;
+
+    if (params.continue_execution) {
+      const result = await this.stepInstruction(session);
+      if (!result.success || session.state.status !== "running") {
+        return this.settleStatus(session, result);
+      }
+      return await this.continue(session);
+    }
+
+    return await this.stepOver(session);
   }
 
   /**
-   * Reset execution to beginning
+   * Pause before a step whose risk is at or above the session's approval
+   * threshold, unless an approver has already approved it
    * @param {Object} session - Execution session
-   * @returns {Object} - Reset result
+   * @param {Object} step - Step about to run
+   * @returns {Object|null} - Result for a paused session, or null to run
    */
-  reset(session) {
-    session.state = this.createInitialState(session.program, session.analysis);
-    session.totalStepsExecuted = 0;
-    session.commandHistory = [];
+  requireApproval(session, step) {
+    const pending = session.state.pending_approval;
+    if (pending && pending.step_id === step.id) {
+      if (pending.approved) {
+        session.state.pending_approval = null;
+        return null;
+      }
+      this.setStatus(session, "pending_approval");
+      return {
+        success: false,
+        state: session.state,
+        awaiting_approval: true,
+        error: `Awaiting approval for step ${step.id}`,
+      };
+    }
+
+    const threshold = session.options.approval_threshold;
+    if (!this.riskLevels.includes(threshold) || session.options.dry_run) {
+      return null;
+    }
+
+    const risk = this.assessStepRisk(session, step);
+    if (
+      this.riskLevels.indexOf(risk.level) < this.riskLevels.indexOf(threshold)
+    ) {
+      return null;
+    }
+
+    session.state.pending_approval = {
+      step_id: step.id,
+      procedure_id: session.state.current_step.procedure_id,
+      risk_level: risk.level,
+      commands: risk.commands,
+      reasons: risk.reasons,
+      requested_at: new Date().toISOString(),
+    };
+    this.recordAudit(session, "approval_requested", {
+      step_id: step.id,
+      risk_level: risk.level,
+      commands: risk.commands,
+    });
+    this.setStatus(session, "pending_approval");
+    this.emitEvent(
+      session,
+      "approval-requested",
+      session.state.pending_approval
+    );
 
     return {
       success: true,
       state: session.state,
-      message: "Execution reset to beginning",
+      awaiting_approval: true,
+      message: `Step ${step.id} (${risk.level} risk) awaits approval`,
     };
   }
 
   /**
-   * Execute the current step
+   * Assess the risk of a step from the commands it may run and the risk
+   * factors semantic analysis found for it
    * @param {Object} session - Execution session
-   * @param {Object} step - Step to execute
-   * @returns {Object} - Step execution result
+   * @param {Object} step - Step object
+   * @returns {Object} - { level, commands, reasons }
    */
-  async executeCurrentStep(session, step) {
-    const startTime = Date.now();
+  assessStepRisk(session, step) {
+    const commands = this.collectStepCommands(step).map((command) =>
+      this.resolveCommandVariables(session, command)
+    );
+    const reasons = [];
+    let level = "low";
 
-    try {
-      let result;
+    const raise = (candidate) => {
+      if (this.riskLevels.indexOf(candidate) > this.riskLevels.indexOf(level)) {
+        level = candidate;
+      }
+    };
 
-      switch (step.type) {
-        case "command":
-          result = await this.executeCommand(session, step);
-          break;
+    commands.forEach((command) => {
+      const commandRisk = this.assessCommandRisk(command);
+      raise(commandRisk);
+      if (commandRisk !== "low") {
+        reasons.push(`${commandRisk} risk command: ${command}`);
+      }
+    });
 
-        case "conditional":
-          result = await this.executeConditional(session, step);
-          break;
+    // Code is judged by semantic analysis rather than shell patterns, but
+    // approvers still see the command that runs it
+    if (step.type === "code") {
+      commands.push(step.command);
+    }
 
-        case "assignment":
-          result = this.executeAssignment(session, step);
-          break;
+    const stepAnalysis = (session.analysis?.procedures || [])
+      .flatMap((procedure) => procedure.steps || [])
+      .find((analyzed) => analyzed.id === step.id);
+    (stepAnalysis?.risk_factors || []).forEach((factor) => {
+      raise(factor.level);
+      reasons.push(factor.description);
+    });
 
-        case "choice":
-          result = await this.executeChoice(session, step);
-          break;
+    return { level, commands, reasons };
+  }
 
-        case "analysis":
-          result = this.executeAnalysis(session, step);
-          break;
+  /**
+   * Collect the commands a step may run, including branches, choice
+   * options, decision table rows and loop bodies
+   * @param {Object} step - Step object
+   * @returns {Array} - Command strings
+   */
+  collectStepCommands(step) {
+    const actions = [step, step.true_branch, step.false_branch];
+    (step.options || []).forEach((option) => actions.push(option.action));
+    if (step.type === "decision_table") {
+      step.rows.forEach((row) => actions.push(row.action));
+    }
 
-        case "note":
-          result = this.executeNote(session, step);
-          break;
+    const commands = actions
+      .filter(
+        (action) =>
+          action && (action.type === "command" || action.type === "script")
+      )
+      .map((action) => action.command || action.script);
+    (step.body || []).forEach((bodyStep) =>
+      commands.push(...this.collectStepCommands(bodyStep))
+    );
+    return commands;
+  }
 
-        default:
-          result = {
-            success: false,
-            error: `Unknown step type: ${step.type}`,
-          };
+  /**
+   * Approve or reject the step awaiting approval
+   * @param {Object} session - Execution session
+   * @param {string} decision - approve or reject
+   * @param {Object} params - reason, approver and continue_execution flag
+   * @returns {Object} - Step result
+   */
+  async decideApproval(session, decision, params) {
+    const pending = session.state.pending_approval;
+    if (session.state.status !== "pending_approval" || !pending) {
+      throw new Error("Execution is not awaiting approval");
+    }
+    if (!params.reason) {
+      throw new Error("A reason is required to approve or reject a step");
+    }
+
+    this.recordAudit(
+      session,
+      decision === "approve" ? "approved" : "rejected",
+      {
+        step_id: pending.step_id,
+        risk_level: pending.risk_level,
+        commands: pending.commands,
+        approver: params.approver || "unknown",
+        reason: params.reason,
       }
+    );
 
-      // Record execution in history
-      session.state.execution_history.push({
-        step_id: step.id,
-        type: step.type,
-        started_at: new Date(startTime).toISOString(),
-        completed_at: new Date().toISOString(),
-        duration_ms: Date.now() - startTime,
-        success: result.success,
-        output: result.output || null,
-        error: result.error || null,
-      });
+    if (decision === "reject") {
+      return await this.rejectStep(session, pending, params);
+    }
 
-      return result;
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        output: null,
-      };
+    pending.approved = true;
+
+    if (params.continue_execution) {
+      const result = await this.stepInstruction(session);
+      if (!result.success || session.state.status !== "running") {
+        return this.settleStatus(session, result);
+      }
+      return await this.continue(session);
     }
+
+    return await this.stepOver(session);
   }
 
   /**
-   * Execute shell command
+   * Fail the step awaiting approval without running it
    * @param {Object} session - Execution session
-   * @param {Object} step - Command step
-   * @returns {Object} - Command result
+   * @param {Object} pending - Pending approval
+   * @param {Object} params - reason and approver
+   * @returns {Object} - Step result
    */
-  async executeCommand(session, step) {
-    try {
-      // Check if this is a risky command and we're in safe mode
-      if (session.options.risk_level === "low") {
-        const riskLevel = this.assessCommandRisk(step.command);
-        if (riskLevel === "high") {
-          return {
-            success: false,
-            error: "High-risk command blocked in safe mode",
-            output: null,
-            risk_level: riskLevel,
-          };
-        }
-      }
+  async rejectStep(session, pending, params) {
+    const error = `Step rejected by ${params.approver || "approver"}: ${
+      params.reason
+    }`;
+    const timestamp = new Date().toISOString();
+
+    session.state.pending_approval = null;
+    session.state.execution_history.push({
+      step_id: pending.step_id,
+      type: "approval",
+      started_at: pending.requested_at,
+      completed_at: timestamp,
+      duration_ms: Date.now() - Date.parse(pending.requested_at),
+      success: false,
+      output: null,
+      error: error,
+    });
+    this.setStatus(session, "error");
+    session.state.error_state = {
+      step_id: pending.step_id,
+      error: error,
+      timestamp: timestamp,
+    };
+    await this.compensateFailure(session);
 
-      // Replace variables in command
-      const resolvedCommand = this.resolveVariables(session, step.command);
+    return {
+      success: true,
+      state: session.state,
+      rejected: true,
+      message: error,
+    };
+  }
+
+  /**
+   * Remember how to undo a step that succeeded
+   * @param {Object} session - Execution session
+   * @param {Object} step - Executed step
+   * @param {Object} result - Step result
+   */
+  registerCompensation(session, step, result) {
+    if (!step.rollback || !result.success || result.dry_run) {
+      return;
+    }
+
+    session.state.compensation_stack.push({
+      step_id: step.id,
+      procedure_id: session.state.current_step.procedure_id,
+      action: step.rollback,
+      registered_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * After a failed step, offer the compensation chain or run it right away,
+   * depending on the session's rollback policy
+   * @param {Object} session - Execution session
+   * @param {string} failedStepId - Step whose failure is compensated;
+   *   defaults to the step in the error state
+   */
+  async compensateFailure(
+    session,
+    failedStepId = session.state.error_state?.step_id
+  ) {
+    const stack = session.state.compensation_stack;
+    if (session.options.rollback_policy === "off" || stack.length === 0) {
+      return;
+    }
+
+    session.state.rollback = {
+      status: "available",
+      failed_step_id: failedStepId || null,
+      actions: stack
+        .slice()
+        .reverse()
+        .map((entry) => ({
+          step_id: entry.step_id,
+          type: entry.action.type,
+          command: entry.action.command || null,
+          source: entry.action.source,
+        })),
+    };
+
+    if (session.options.rollback_policy === "auto") {
+      await this.runRollback(session);
+    }
+  }
+
+  /**
+   * Run the compensation chain of a failed execution in reverse order.
+   * Every action is attempted even if an earlier one fails.
+   * @param {Object} session - Execution session
+   * @returns {Object} - Rollback result
+   */
+  async runRollback(session) {
+    const stack = session.state.compensation_stack;
+    if (
+      session.state.status !== "error" &&
+      session.state.rollback?.status !== "available"
+    ) {
+      throw new Error("Rollback is only available after a failed step");
+    }
+    if (stack.length === 0) {
+      throw new Error("No rollback actions recorded");
+    }
+
+    const rollback = session.state.rollback || {
+      failed_step_id: session.state.error_state?.step_id || null,
+    };
+    rollback.status = "running";
+    rollback.results = [];
+    session.state.rollback = rollback;
+
+    while (stack.length > 0) {
+      const entry = stack.pop();
+      const action = { ...entry.action, id: `${entry.step_id}_rollback` };
+      const result =
+        action.type === "command" || action.type === "log"
+          ? await this.executeAction(session, action)
+          : { success: false, error: `Cannot roll back with ${action.type}` };
+
+      rollback.results.push({
+        step_id: entry.step_id,
+        command: action.command || null,
+        success: result.success,
+        output: result.output || null,
+        error: result.error || null,
+        completed_at: new Date().toISOString(),
+      });
+    }
+
+    rollback.status = rollback.results.every((result) => result.success)
+      ? "completed"
+      : "partial";
+
+    return {
+      success: rollback.status === "completed",
+      state: session.state,
+      rollback: rollback,
+      message: `Rollback ${rollback.status}: ${rollback.results.length} action(s)`,
+    };
+  }
+
+  /**
+   * Apply the error policy of a failed step: retry it with backoff,
+   * continue past it, jump to a handler procedure, or abort (the result
+   * is returned unchanged and the caller halts)
+   * @param {Object} session - Execution session
+   * @param {Object} step - Failed step
+   * @param {Object} result - Failed step result
+   * @returns {Object} - Final step result
+   */
+  async applyErrorPolicy(session, step, result) {
+    const policy = this.resolveErrorPolicy(session, step, result);
+
+    let finalResult = result;
+    if (policy.action === "retry") {
+      finalResult = await this.retryStep(session, step, result, policy);
+    }
+    if (
+      finalResult.success ||
+      (policy.action !== "continue" && policy.action !== "jump")
+    ) {
+      return finalResult;
+    }
+
+    // Only a step's own "(on error: ...)" says its failure is expected;
+    // failures caught by procedure or program policies still fail the run
+    const handled = {
+      step_id: step.id,
+      procedure_id: session.state.current_step.procedure_id,
+      error: finalResult.error,
+      policy: policy.action,
+      tolerated: Boolean(step.on_error),
+      timestamp: new Date().toISOString(),
+    };
+    session.state.handled_errors.push(handled);
+
+    // Handlers can read what went wrong
+    const rootFrame = session.state.stack[0];
+    rootFrame.variables.last_error = finalResult.error || "";
+    rootFrame.variables.last_error_step = step.id;
+
+    if (policy.action === "jump") {
+      const jumpResult = this.executeJump(session, policy.target);
+      if (!jumpResult.success) {
+        return {
+          ...finalResult,
+          error: `${finalResult.error}; ${jumpResult.error}`,
+        };
+      }
+      handled.handler = jumpResult.jumped_to;
+      return {
+        ...jumpResult,
+        output: `${finalResult.error}. ${jumpResult.output}`,
+        handled_error: handled,
+      };
+    }
+
+    return {
+      ...finalResult,
+      success: true,
+      output:
+        finalResult.output || `Continuing after error: ${finalResult.error}`,
+      handled_error: handled,
+    };
+  }
+
+  /**
+   * Find the error policy for a failed step. Step annotations win over
+   * procedure annotations, which win over the program's error_handling
+   * entry for the kind of failure (tool, condition or assertion).
+   * @param {Object} session - Execution session
+   * @param {Object} step - Failed step
+   * @param {Object} result - Failed step result
+   * @returns {Object} - Policy with action, max_retries, delay_ms and target
+   */
+  resolveErrorPolicy(session, step, result) {
+    const handling = session.program.error_handling || {};
+    const procedure = this.findProcedure(
+      session,
+      session.state.current_step.procedure_id
+    );
+    const kind = result.condition_error
+      ? "condition"
+      : step.type === "assertion"
+      ? "assertion"
+      : "tool";
+
+    const policy = step.on_error ||
+      procedure?.on_error || { action: handling[`on_${kind}_error`] };
+
+    const resolved = {
+      action: policy.action || "abort",
+      max_retries: policy.max_retries ?? handling.max_retries ?? 3,
+      delay_ms: policy.delay_ms ?? handling.retry_delay ?? 1000,
+      target: policy.target || null,
+    };
+
+    // Program-level jumps go to error_handling.handler (an ID or anchor)
+    if (resolved.action === "jump" && !resolved.target && handling.handler) {
+      const anchor = String(handling.handler).replace(/^#/, "");
+      const handler = session.program.procedures.find(
+        (p) => p.id === anchor || p.anchor === anchor
+      );
+      resolved.target = {
+        type: "jump",
+        anchor: anchor,
+        procedure: handler?.id || null,
+      };
+    }
+    if (resolved.action === "jump" && !resolved.target) {
+      resolved.action = "abort";
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Re-run a failed step with exponential backoff until it succeeds or
+   * the policy's retries are used up
+   * @param {Object} session - Execution session
+   * @param {Object} step - Failed step
+   * @param {Object} firstResult - Result of the run that already failed
+   * @param {Object} policy - Resolved error policy
+   * @returns {Object} - Result of the last attempt, with the attempt count
+   */
+  async retryStep(session, step, firstResult, policy) {
+    let attempts = 0;
+    let last = firstResult;
+
+    try {
+      await retryWithBackoff(
+        async () => {
+          attempts++;
+          // The first attempt is the run that already failed
+          if (attempts > 1) {
+            last = await this.executeCurrentStep(session, step);
+          }
+          if (!last.success) {
+            throw new Error(last.error);
+          }
+        },
+        policy.max_retries,
+        policy.delay_ms
+      );
+    } catch (error) {
+      // Retries used up; the last failure stands
+    }
+
+    return { ...last, attempts: attempts };
+  }
+
+  /**
+   * Append an entry to the session's audit trail
+   * @param {Object} session - Execution session
+   * @param {string} event - Audit event
+   * @param {Object} details - Event details
+   */
+  recordAudit(session, event, details) {
+    session.auditTrail.push({
+      event: event,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Pause a session left running by a finished debugger command
+   * @param {Object} session - Execution session
+   * @param {Object} result - Command result
+   * @returns {Object} - Command result
+   */
+  settleStatus(session, result) {
+    if (session.state.status === "running") {
+      this.setStatus(session, "paused");
+    }
+
+    return result;
+  }
+
+  /**
+   * Pause execution
+   * @param {Object} session - Execution session
+   * @returns {Object} - Pause result
+   */
+  pause(session) {
+    if (session.state.status === "running") {
+      this.setStatus(session, "paused");
+    }
+
+    return {
+      success: true,
+      state: session.state,
+      message: "Execution paused",
+    };
+  }
+
+  /**
+   * Reset execution to beginning
+   * @param {Object} session - Execution session
+   * @returns {Object} - Reset result
+   */
+  reset(session) {
+    session.state = this.createInitialState(
+      session.program,
+      session.analysis,
+      session.inputs
+    );
+    this.settleCurrentStep(session);
+    session.totalStepsExecuted = 0;
+    session.commandHistory = [];
+    this.closeSessionShell(session.id);
+
+    return {
+      success: true,
+      state: session.state,
+      message: "Execution reset to beginning",
+    };
+  }
+
+  /**
+   * Execute the current step
+   * @param {Object} session - Execution session
+   * @param {Object} step - Step to execute
+   * @returns {Object} - Step execution result
+   */
+  async executeCurrentStep(session, step) {
+    const startTime = Date.now();
+
+    this.emitEvent(session, "step-started", {
+      step_id: step.id,
+      procedure_id: session.state.current_step.procedure_id,
+      type: step.type,
+      description: step.description || null,
+    });
+
+    try {
+      const result = await this.runStep(session, step);
+
+      if (result.awaiting_input) {
+        return result;
+      }
+      this.registerCompensation(session, step, result);
+
+      // Record execution in history
+      const historyEntry = {
+        step_id: step.id,
+        type: step.type,
+        started_at: new Date(startTime).toISOString(),
+        completed_at: new Date().toISOString(),
+        duration_ms: Date.now() - startTime,
+        success: result.success,
+        output: result.output || null,
+        error: result.error || null,
+      };
+      if (result.exit_code !== undefined) {
+        historyEntry.exit_code = result.exit_code;
+        historyEntry.signal = result.signal;
+        historyEntry.command_duration_ms = result.duration_ms;
+        historyEntry.truncated = result.truncated;
+      }
+      if (result.sample_matched !== undefined) {
+        historyEntry.sample_matched = result.sample_matched;
+      }
+      if (result.branch_taken !== undefined) {
+        historyEntry.branch_taken = result.branch_taken;
+      }
+      if (result.iteration !== undefined) {
+        historyEntry.iteration = result.iteration;
+      }
+      if (result.unresolved) {
+        historyEntry.unresolved = true;
+      }
+      session.state.execution_history.push(historyEntry);
+      this.emitEvent(session, "step-completed", historyEntry);
+
+      return result;
+    } catch (error) {
+      this.emitEvent(session, "step-completed", {
+        step_id: step.id,
+        type: step.type,
+        duration_ms: Date.now() - startTime,
+        success: false,
+        output: null,
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        output: null,
+      };
+    }
+  }
+
+  /**
+   * Dispatch step to the executor for its type
+   * @param {Object} session - Execution session
+   * @param {Object} step - Step to execute
+   * @returns {Object} - Step execution result
+   */
+  async runStep(session, step) {
+    switch (step.type) {
+      case "command":
+      case "script":
+      case "code":
+        return await this.executeCommand(session, step);
+
+      case "conditional":
+        return await this.executeConditional(session, step);
+
+      case "assignment":
+        return this.executeAssignment(session, step);
+
+      case "choice":
+        return await this.executeChoice(session, step);
+
+      case "decision_table":
+        return await this.executeDecisionTable(session, step);
+
+      case "data_table":
+        return this.executeDataTable(session, step);
+
+      case "analysis":
+        return this.executeAnalysis(session, step);
+
+      case "note":
+        return this.executeNote(session, step);
+
+      case "call":
+        return this.executeCall(session, step);
+
+      case "jump":
+        return this.executeJump(session, step);
+
+      case "loop":
+        return await this.executeLoop(session, step);
+
+      case "assertion":
+        return this.executeAssertion(session, step);
+
+      default:
+        return {
+          success: false,
+          error: `Unknown step type: ${step.type}`,
+        };
+    }
+  }
+
+  /**
+   * Execute shell command, a script step's whole script in one shell, or
+   * a code step's command from its language runner
+   * @param {Object} session - Execution session
+   * @param {Object} step - Command, script or code step
+   * @returns {Object} - Command result
+   */
+  async executeCommand(session, step) {
+    const isScript = step.type === "script";
+    const isCode = step.type === "code";
+    const source = isScript ? step.script : step.command;
+
+    try {
+      // Check if this is a risky command and we're in safe mode
+      if (session.options.risk_level === "low") {
+        const riskLevel = this.assessCommandRisk(source);
+        if (riskLevel === "high") {
+          return {
+            success: false,
+            error: "High-risk command blocked in safe mode",
+            output: null,
+            risk_level: riskLevel,
+          };
+        }
+      }
+
+      // Replace variables in command, shell-quoting their values; code in
+      // languages that use $ themselves is left as written
+      const resolvedCommand =
+        isCode && !step.substitute
+          ? source
+          : this.resolveCommandVariables(session, source, step.shell_variables);
+
+      // A code step runs only its interpreter; the code is not shell
+      const violation = this.checkCommandPolicy(
+        session,
+        resolvedCommand,
+        isCode
+          ? [step.tool]
+          : isScript
+          ? extractScriptTools(resolvedCommand)
+          : extractCommandTools(resolvedCommand)
+      );
+      if (violation) {
+        return {
+          success: false,
+          error: violation.error,
+          output: null,
+          command: resolvedCommand,
+          policy_violation: violation,
+        };
+      }
+
+      if (session.options.dry_run) {
+        return this.recordDryRun(session, step, resolvedCommand);
+      }
+
+      // Execute the command, capturing output chunks as they arrive
+      const result = await this.spawnCommand(session, step, resolvedCommand);
+      const output = result.stdout.trim() || result.stderr.trim();
+
+      // Parse output of registered tools into a typed heap object, even
+      // when the command failed (e.g. ping with 100% packet loss); scripts
+      // mix the output of several tools
+      const parsed = isScript
+        ? null
+        : this.storeParsedOutput(
+            session,
+            step,
+            resolvedCommand,
+            result.stdout.trim()
+          );
+
+      // Samples from the document are informational, never a failure
+      const sample =
+        step.sample_output !== undefined
+          ? { sample_matched: matchesSample(result.stdout, step.sample_output) }
+          : {};
+
+      if (result.exit_code !== 0) {
+        return {
+          success: false,
+          error: this.describeCommandFailure(result),
+          output: output || null,
+          command: resolvedCommand,
+          parsed_output: parsed,
+          ...sample,
+          ...result,
+        };
+      }
+
+      // Store output in heap if step has assignment
+      if (step.assign_to) {
+        session.state.heap.tool_outputs[step.assign_to] = {
+          command: resolvedCommand,
+          output: output,
+          parsed: parsed ? parsed.value : null,
+          output_type: parsed ? parsed.output_type : null,
+          timestamp: new Date().toISOString(),
+        };
+
+        // Also store in current stack frame variables
+        const currentFrame =
+          session.state.stack[session.state.stack.length - 1];
+        currentFrame.variables[step.assign_to] = output;
+      }
+
+      return {
+        success: true,
+        output: output,
+        command: resolvedCommand,
+        parsed_output: parsed,
+        ...sample,
+        ...result,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        output: null,
+        command: source,
+      };
+    }
+  }
+
+  /**
+   * Build the execution policy for a session: the tools the program may run,
+   * the working directory and environment its commands see, and whether
+   * they share one persistent shell
+   * @param {Object} program - Transpiled program
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Policy options from startExecution
+   * @returns {Object} - Execution policy
+   */
+  createExecutionPolicy(program, sessionId, options) {
+    // Only tools the program declares and the registry knows, plus any the
+    // caller explicitly allows
+    const allowedTools = new Set(
+      (program.tools || []).filter((tool) => this.toolRegistry[tool])
+    );
+    options.allowed_tools.forEach((tool) => allowedTools.add(tool));
+
+    return {
+      allowed_tools: Array.from(allowedTools),
+      working_directory:
+        options.working_directory ||
+        path.join(os.tmpdir(), `entran-${sessionId}`),
+      owns_working_directory: !options.working_directory,
+      env: options.env,
+      inherit_env: options.inherit_env,
+      persistent_shell: Boolean(options.persistent_shell),
+    };
+  }
+
+  /**
+   * Check a resolved command against the session's execution policy
+   * @param {Object} session - Execution session
+   * @param {string} command - Resolved command
+   * @param {Array} tools - Tools the command runs (defaults to those of a
+   *   single command line)
+   * @returns {Object|null} - Violation, or null if the command may run
+   */
+  checkCommandPolicy(session, command, tools = extractCommandTools(command)) {
+    const allowed = new Set(session.policy.allowed_tools);
+    const blocked = tools.filter((tool) => !allowed.has(tool));
+
+    if (blocked.length === 0) {
+      return null;
+    }
+
+    return {
+      type: "tool_not_allowed",
+      tools: blocked,
+      error: `Command blocked by execution policy: ${blocked
+        .map((tool) => `'${tool}'`)
+        .join(", ")} not in the program's allowed tools`,
+    };
+  }
+
+  /**
+   * Record a command that would run in dry-run mode
+   * @param {Object} session - Execution session
+   * @param {Object} step - Command step
+   * @param {string} command - Resolved command
+   * @returns {Object} - Step result
+   */
+  recordDryRun(session, step, command) {
+    session.state.planned_commands.push({
+      step_id: step.id || null,
+      command: command,
+      working_directory: session.policy.working_directory,
+      risk_level:
+        step.type === "code"
+          ? this.assessStepRisk(session, step).level
+          : this.assessCommandRisk(command),
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: true,
+      output: `[dry run] ${command}`,
+      command: command,
+      dry_run: true,
+    };
+  }
+
+  /**
+   * Build the working directory and environment for a command, creating
+   * the session's own working directory on first use
+   * @param {Object} session - Execution session
+   * @returns {Object} - spawn options
+   */
+  buildSpawnOptions(session) {
+    const policy = session.policy;
+    fs.mkdirSync(policy.working_directory, { recursive: true });
+
+    const baseEnv = policy.inherit_env
+      ? process.env
+      : {
+          PATH: process.env.PATH,
+          LANG: process.env.LANG || "C.UTF-8",
+          TERM: process.env.TERM || "dumb",
+          HOME: policy.working_directory,
+        };
+
+    return {
+      cwd: policy.working_directory,
+      env: { ...baseEnv, ...policy.env },
+    };
+  }
+
+  /**
+   * Parse command output with the registered tool parser and store the
+   * typed object on the heap under the parser's name (e.g. $ping, $dns)
+   * @param {Object} session - Execution session
+   * @param {Object} step - Command step
+   * @param {string} command - Resolved command
+   * @param {string} output - Command stdout
+   * @returns {Object|null} - Parsed output or null if the tool has no parser
+   */
+  storeParsedOutput(session, step, command, output) {
+    const parsed = parseToolOutput(command, output);
+    if (!parsed) {
+      return null;
+    }
+
+    session.state.heap.parsed_outputs[parsed.name] = {
+      output_type: parsed.output_type,
+      value: parsed.value,
+      command: command,
+      step_id: step.id || null,
+      timestamp: new Date().toISOString(),
+    };
+
+    return parsed;
+  }
+
+  /**
+   * Get the session's persistent shell, creating it on first use
+   * @param {Object} session - Execution session
+   * @returns {PersistentShell} - Shell for the session
+   */
+  getSessionShell(session) {
+    if (!this.shells.has(session.id)) {
+      this.shells.set(
+        session.id,
+        new PersistentShell(this.buildSpawnOptions(session))
+      );
+    }
+    return this.shells.get(session.id);
+  }
+
+  /**
+   * Run a shell command, capturing stdout/stderr chunks into the session heap
+   * and emitting them as they arrive. Output beyond the session's
+   * output_limit is dropped and replaced with a truncation marker. With a
+   * persistent shell policy the command runs in the session's shell (scripts
+   * in a subshell of it); otherwise each command gets a fresh shell.
+   * @param {Object} session - Execution session
+   * @param {Object} step - Step being executed
+   * @param {string} command - Resolved command
+   * @returns {Promise<Object>} - Output, exit code, signal and duration
+   */
+  spawnCommand(session, step, command) {
+    const limit = session.options.output_limit || this.outputLimit;
+    const timeout = session.options.timeout || this.commandTimeout;
+    const startTime = Date.now();
+
+    const capture = {
+      command: command,
+      stdout: "",
+      stderr: "",
+      bytes: { stdout: 0, stderr: 0 },
+      omitted: { stdout: 0, stderr: 0 },
+      running: true,
+      started_at: new Date(startTime).toISOString(),
+    };
+    session.state.heap.temp_objects[step.id || "evaluate"] = capture;
+
+    const receive = (stream, chunk) => {
+      const chunkBytes = Buffer.byteLength(chunk);
+      const remaining = limit - capture.bytes[stream];
+
+      // Once a chunk was cut, later ones are dropped too so that the kept
+      // output has no gap
+      if (remaining <= 0 || capture.omitted[stream] > 0) {
+        capture.omitted[stream] += chunkBytes;
+        return;
+      }
+
+      const kept =
+        chunkBytes <= remaining ? chunk : truncateUtf8(chunk, remaining);
+      capture[stream] += kept;
+      capture.bytes[stream] += Buffer.byteLength(kept);
+      capture.omitted[stream] += chunkBytes - Buffer.byteLength(kept);
+
+      this.emitEvent(session, stream, {
+        step_id: step.id || null,
+        chunk: kept,
+      });
+    };
+
+    const finish = (code, signal, timedOut) => {
+      ["stdout", "stderr"].forEach((stream) => {
+        const omitted = capture.omitted[stream];
+        if (omitted > 0) {
+          const marker = `[... output truncated: ${omitted} bytes omitted ...]`;
+          capture[stream] += `\n${marker}`;
+        }
+      });
+
+      capture.running = false;
+      capture.exit_code = code;
+      capture.signal = signal;
+      capture.timed_out = timedOut;
+      capture.duration_ms = Date.now() - startTime;
+
+      return {
+        stdout: capture.stdout,
+        stderr: capture.stderr,
+        exit_code: code,
+        signal: signal,
+        timed_out: timedOut,
+        truncated: capture.omitted.stdout + capture.omitted.stderr > 0,
+        duration_ms: capture.duration_ms,
+      };
+    };
+
+    if (session.policy.persistent_shell) {
+      const shell = this.getSessionShell(session);
+      return shell
+        .run(command, {
+          timeout: timeout,
+          onOutput: receive,
+          subshell: step.type === "script",
+        })
+        .then(
+          (result) => {
+            session.state.shell = {
+              pid: shell.pid,
+              cwd: shell.cwd,
+              exited: result.shell_exited,
+            };
+            return {
+              ...finish(result.exit_code, result.signal, result.timed_out),
+              shell_exited: result.shell_exited,
+            };
+          },
+          (error) => {
+            capture.running = false;
+            throw error;
+          }
+        );
+    }
+
+    return new Promise((resolve, reject) => {
+      // Own process group so a timeout also stops the shell's children
+      const child = spawn(command, {
+        shell: step.shell || true,
+        detached: true,
+        ...this.buildSpawnOptions(session),
+      });
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, "SIGTERM");
+        } catch (error) {
+          child.kill("SIGTERM");
+        }
+      }, timeout);
+
+      ["stdout", "stderr"].forEach((stream) => {
+        child[stream].setEncoding("utf8");
+        child[stream].on("data", (chunk) => receive(stream, chunk));
+      });
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        capture.running = false;
+        reject(error);
+      });
+
+      child.on("close", (code, signal) => {
+        clearTimeout(timer);
+        resolve(finish(code, signal, timedOut));
+      });
+    });
+  }
+
+  /**
+   * Describe why a command failed
+   * @param {Object} result - Result from spawnCommand
+   * @returns {string} - Error message
+   */
+  describeCommandFailure(result) {
+    // The next command starts a fresh shell in the original directory
+    const reset = result.shell_exited
+      ? "; persistent shell ended, directory and environment reset"
+      : "";
+
+    if (result.timed_out) {
+      return `Command timed out after ${result.duration_ms}ms${reset}`;
+    }
+    if (result.signal) {
+      return `Command terminated by signal ${result.signal}${reset}`;
+    }
+
+    const detail = result.stderr.trim();
+    return `Command exited with code ${result.exit_code}${
+      detail ? `: ${detail}` : ""
+    }${reset}`;
+  }
+
+  /**
+   * Execute conditional step
+   * @param {Object} session - Execution session
+   * @param {Object} step - Conditional step
+   * @returns {Object} - Conditional result
+   */
+  async executeConditional(session, step) {
+    try {
+      let conditionResult;
+      if (step.condition.type === "prose_check") {
+        const answer = this.resolveProseCondition(session, step);
+        if (answer.request) {
+          return answer.request;
+        }
+        if (answer.unresolved) {
+          // Neither branch nor the guarded sub-steps run on a guess
+          return {
+            success: true,
+            output: `Condition not checked: '${step.condition.text}' cannot be evaluated automatically`,
+            ...(step.substeps ? { skip_steps: step.substeps.length } : {}),
+            condition_result: null,
+            branch_taken: "unresolved",
+            unresolved: true,
+          };
+        }
+        conditionResult = answer.value;
+      } else {
+        conditionResult = Boolean(
+          this.evaluateCondition(session, step.condition)
+        );
+      }
+      const branch = conditionResult ? "true" : "false";
+      const action = conditionResult ? step.true_branch : step.false_branch;
+
+      // Sub-steps nested under the condition run only when it holds
+      const skip =
+        !conditionResult && step.substeps
+          ? { skip_steps: step.substeps.length }
+          : {};
+
+      if (action) {
+        const result = await this.executeAction(session, action);
+        return {
+          ...result,
+          ...skip,
+          condition_result: conditionResult,
+          branch_taken: branch,
+        };
+      }
+
+      return {
+        success: true,
+        output: `Condition evaluated to: ${conditionResult}`,
+        ...skip,
+        condition_result: conditionResult,
+        branch_taken: branch,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Condition evaluation failed: ${error.message}`,
+        output: null,
+        condition_error: true,
+      };
+    }
+  }
+
+  /**
+   * Execute assignment step
+   * @param {Object} session - Execution session
+   * @param {Object} step - Assignment step
+   * @returns {Object} - Assignment result
+   */
+  executeAssignment(session, step) {
+    try {
+      const value = this.resolveVariables(session, step.value);
+      const currentFrame = session.state.stack[session.state.stack.length - 1];
+
+      if (step.assign_to === "memory" || step.assign_to === "global") {
+        session.state.memory.persistent_vars[step.variable || "temp"] = value;
+      } else {
+        currentFrame.variables[step.assign_to] = value;
+      }
+
+      return {
+        success: true,
+        output: `Assigned: ${step.assign_to} = ${value}`,
+        variable: step.assign_to,
+        value: value,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Assignment failed: ${error.message}`,
+        output: null,
+      };
+    }
+  }
+
+  /**
+   * Execute decision table step: run the action of the first row whose
+   * conditions all hold
+   * @param {Object} session - Execution session
+   * @param {Object} step - Decision table step
+   * @returns {Object} - Result of the row's action
+   */
+  async executeDecisionTable(session, step) {
+    let row;
+    try {
+      row = step.rows.find((candidate) =>
+        candidate.conditions.every((condition) =>
+          condition.type === "output_match"
+            ? this.sourceOutputContains(session, step.source, condition.text)
+            : this.evaluateCondition(session, condition)
+        )
+      );
+    } catch (error) {
+      return {
+        success: false,
+        error: `Condition evaluation failed: ${error.message}`,
+        output: null,
+        condition_error: true,
+      };
+    }
+
+    if (!row) {
+      return {
+        success: true,
+        output: "No row of the decision table matched",
+        branch_taken: "none",
+      };
+    }
+
+    const matched = `Matched row ${step.rows.indexOf(row) + 1}: ${
+      row.description
+    }`;
+    const result = row.action
+      ? await this.executeAction(session, row.action)
+      : { success: true };
+
+    return {
+      ...result,
+      output: result.output ? `${matched}\n${result.output}` : matched,
+      matched_row: row.values,
+      branch_taken: row.id,
+    };
+  }
+
+  /**
+   * Check whether the output a decision table reads contains text,
+   * ignoring case
+   * @param {Object} session - Execution session
+   * @param {Object|null} source - { step_id } or { variable }
+   * @param {string} text - Text to look for
+   * @returns {boolean} - True if the output contains the text
+   */
+  sourceOutputContains(session, source, text) {
+    const input = source ? this.getAssertionInput(session, source) : null;
+    return Boolean(
+      input && input.output.toLowerCase().includes(text.toLowerCase())
+    );
+  }
+
+  /**
+   * Execute data table step: load its rows into a variable, one object per
+   * row keyed by column, with $variables in text cells resolved
+   * @param {Object} session - Execution session
+   * @param {Object} step - Data table step
+   * @returns {Object} - Load result
+   */
+  executeDataTable(session, step) {
+    const currentFrame = session.state.stack[session.state.stack.length - 1];
+    const rows = step.rows.map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [
+          key,
+          typeof value === "string"
+            ? this.resolveVariables(session, value)
+            : value,
+        ])
+      )
+    );
+    currentFrame.variables[step.variable] = rows;
+
+    return {
+      success: true,
+      output: `Loaded ${rows.length} row(s) into $${step.variable}`,
+      variable: step.variable,
+    };
+  }
+
+  /**
+   * Execute choice step (user interaction)
+   * @param {Object} session - Execution session
+   * @param {Object} step - Choice step
+   * @returns {Object} - Choice result
+   */
+  async executeChoice(session, step) {
+    if (!step.options || step.options.length === 0) {
+      return {
+        success: true,
+        output: "Choice presented: 0 options available",
+        options: [],
+      };
+    }
+
+    // A user selection made through the choose command takes precedence
+    const pending = session.state.pending_input;
+    let selectedOption = null;
+    let selectedBy = "user";
+
+    if (pending && pending.step_id === step.id && pending.selected_option) {
+      selectedOption = step.options.find(
+        (option) => option.id === pending.selected_option
+      );
+    } else {
+      selectedOption = this.selectOptionByPolicy(session, step);
+      selectedBy = "policy";
+    }
+
+    // Options such as "If DNS fails, ..." cannot be checked, so an auto
+    // run leaves the choice unresolved rather than stopping for input
+    if (
+      !selectedOption &&
+      session.options.choice_policy === "auto" &&
+      step.options.some(
+        (option) => option.condition && option.condition.type === "prose_check"
+      )
+    ) {
+      return {
+        success: true,
+        output: `Choice not made: no option's condition could be checked automatically`,
+        unresolved: true,
+      };
+    }
+
+    if (!selectedOption) {
+      return this.requestChoice(session, step);
+    }
+
+    session.state.pending_input = null;
+
+    const selected = `Selected option: ${selectedOption.description}`;
+    const result = selectedOption.action
+      ? await this.executeAction(session, selectedOption.action)
+      : { success: true };
+
+    // The option's action result carries on, so a jump or call it makes
+    // moves the pointer just as the same step would
+    return {
+      ...result,
+      output: result.output ? `${selected}\n${result.output}` : selected,
+      selected_option: selectedOption,
+      selected_by: selectedBy,
+      action_result: result,
+    };
+  }
+
+  /**
+   * Select a choice option without user input, per the session's policy:
+   * "prompt" always asks, "first" takes the first option and "auto" takes
+   * the first option whose condition holds against prior outputs
+   * @param {Object} session - Execution session
+   * @param {Object} step - Choice step
+   * @returns {Object|null} - Selected option or null to ask the user
+   */
+  selectOptionByPolicy(session, step) {
+    switch (session.options.choice_policy) {
+      case "first":
+        return step.options[0];
+
+      case "auto":
+        return (
+          step.options.find((option) => {
+            if (!option.condition) return false;
+            try {
+              return this.evaluateCondition(session, option.condition);
+            } catch (error) {
+              return false;
+            }
+          }) || null
+        );
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Suspend execution until the user selects a choice option
+   * @param {Object} session - Execution session
+   * @param {Object} step - Choice step
+   * @returns {Object} - Awaiting input result
+   */
+  requestChoice(session, step) {
+    session.state.pending_input = {
+      step_id: step.id,
+      type: "choice",
+      prompt: step.description,
+      options: step.options.map((option) => ({
+        id: option.id,
+        description: option.description,
+      })),
+      requested_at: new Date().toISOString(),
+    };
+
+    this.setStatus(session, "awaiting_input");
+    this.emitEvent(session, "input-requested", session.state.pending_input);
+
+    return {
+      success: true,
+      awaiting_input: true,
+      output: `Choice presented: ${step.options.length} options available`,
+      options: session.state.pending_input.options,
+    };
+  }
+
+  /**
+   * Settle a prose condition such as "If DNS fails", which has no
+   * expression to evaluate: the user's answer when one was given, a yes/no
+   * question under the prompt policy, otherwise unresolved
+   * @param {Object} session - Execution session
+   * @param {Object} step - Conditional step
+   * @returns {Object} - { value }, { request } with the awaiting result,
+   *   or { unresolved: true }
+   */
+  resolveProseCondition(session, step) {
+    const pending = session.state.pending_input;
+    if (pending && pending.step_id === step.id && pending.selected_option) {
+      session.state.pending_input = null;
+      return { value: pending.selected_option === "yes" };
+    }
+
+    if (session.options.choice_policy !== "prompt") {
+      return { unresolved: true };
+    }
+
+    session.state.pending_input = {
+      step_id: step.id,
+      type: "condition",
+      prompt: `Does this hold: ${step.condition.text}?`,
+      options: [
+        { id: "yes", description: `Yes, ${step.condition.text}` },
+        { id: "no", description: "No" },
+      ],
+      requested_at: new Date().toISOString(),
+    };
 
-      // Execute the command
-      const { stdout, stderr } = await execAsync(resolvedCommand, {
-        timeout: session.options.timeout,
-        maxBuffer: 1024 * 1024, // 1MB buffer
+    this.setStatus(session, "awaiting_input");
+    this.emitEvent(session, "input-requested", session.state.pending_input);
+
+    return {
+      request: {
+        success: true,
+        awaiting_input: true,
+        output: `Question asked: ${session.state.pending_input.prompt}`,
+        options: session.state.pending_input.options,
+      },
+    };
+  }
+
+  /**
+   * Execute analysis step
+   * @param {Object} session - Execution session
+   * @param {Object} step - Analysis step
+   * @returns {Object} - Analysis result
+   */
+  executeAnalysis(session, step) {
+    const inputs = {};
+
+    // Collect input variables
+    if (step.input) {
+      step.input.forEach((varName) => {
+        inputs[varName] = this.getVariable(session, varName);
       });
+    }
 
-      const output = stdout.trim() || stderr.trim();
+    // Extract variables if specified
+    const extracted = {};
+    if (step.extract) {
+      step.extract.forEach((varName) => {
+        extracted[varName] = this.extractFromDescription(
+          step.description,
+          varName
+        );
+      });
+    }
 
-      // Store output in heap if step has assignment
-      if (step.assign_to) {
-        session.state.heap.tool_outputs[step.assign_to] = {
-          command: resolvedCommand,
-          output: output,
-          timestamp: new Date().toISOString(),
-        };
+    return {
+      success: true,
+      output: `Analysis: ${step.description}`,
+      inputs: inputs,
+      extracted: extracted,
+    };
+  }
 
-        // Also store in current stack frame variables
-        const currentFrame =
-          session.state.stack[session.state.stack.length - 1];
-        currentFrame.variables[step.assign_to] = output;
-      }
+  /**
+   * Execute note step
+   * @param {Object} session - Execution session
+   * @param {Object} step - Note step
+   * @returns {Object} - Note result
+   */
+  executeNote(session, step) {
+    return {
+      success: true,
+      output: `Note (${step.level || "info"}): ${step.message}`,
+      level: step.level,
+      message: step.message,
+    };
+  }
 
+  /**
+   * Execute call step by pushing a stack frame for the sub-procedure. The
+   * frame holds the call's arguments; the variable named by the step's
+   * assign_to receives the procedure's return value once it finishes.
+   * @param {Object} session - Execution session
+   * @param {Object} step - Call step
+   * @returns {Object} - Call result
+   */
+  executeCall(session, step) {
+    const procedure = this.findProcedure(session, step.procedure);
+    if (!procedure) {
       return {
-        success: true,
-        output: output,
-        command: resolvedCommand,
-        stdout: stdout,
-        stderr: stderr,
+        success: false,
+        error: `Procedure '${step.procedure}' not found`,
+        output: null,
       };
-    } catch (error) {
+    }
+
+    const args = this.resolveCallArguments(session, step, procedure);
+    if (args.errors.length > 0) {
       return {
         success: false,
-        error: error.message,
-        output: error.stdout || error.stderr || null,
-        command: step.command,
+        error: `Cannot call ${procedure.name}: ${args.errors.join("; ")}`,
+        output: null,
       };
     }
+
+    const current = session.state.current_step;
+    session.state.stack.push({
+      procedure: procedure.id,
+      variables: args.values,
+      return_address: `${current.procedure_id}:${current.step_index + 1}`,
+      return_to: step.assign_to || null,
+      library: procedure.library || null,
+      created_at: new Date().toISOString(),
+    });
+
+    current.procedure_id = procedure.id;
+    current.step_index = 0;
+    current.instruction_pointer++;
+    this.settleCurrentStep(session);
+
+    return {
+      success: true,
+      output: `Entered procedure: ${procedure.name}`,
+      entered_procedure: procedure.id,
+    };
   }
 
   /**
-   * Execute conditional step
+   * Resolve a call's arguments against the procedure's parameters. A lone
+   * variable reference passes its typed value; other text is substituted.
    * @param {Object} session - Execution session
-   * @param {Object} step - Conditional step
-   * @returns {Object} - Conditional result
+   * @param {Object} step - Call step
+   * @param {Object} procedure - Called procedure
+   * @returns {Object} - { values, errors } as from resolveInputValues
    */
-  async executeConditional(session, step) {
+  resolveCallArguments(session, step, procedure) {
+    const supplied = {};
+    for (const [name, text] of Object.entries(step.arguments || {})) {
+      supplied[name] = this.isSingleReference(text)
+        ? this.getVariable(session, text.replace(/^\$\{?|\}$/g, ""))
+        : this.resolveVariables(session, text);
+    }
+
+    if (!procedure.parameters) {
+      return { values: supplied, errors: [] };
+    }
+
+    return resolveInputValues(procedure.parameters, supplied, "parameter");
+  }
+
+  /**
+   * Evaluate a procedure's "Returns:" declaration in its own frame
+   * @param {Object} session - Execution session
+   * @param {Object} procedure - Finished procedure
+   * @returns {*} - Return value, or undefined if it declares none
+   */
+  evaluateReturnValue(session, procedure) {
+    const expression = procedure && procedure.returns;
+    if (!expression) {
+      return undefined;
+    }
+
+    if (this.isSingleReference(expression)) {
+      return this.getVariable(session, expression.replace(/^\$\{?|\}$/g, ""));
+    }
     try {
-      const conditionResult = this.evaluateCondition(session, step.condition);
+      return this.evaluateConditionExpression(session, { expression });
+    } catch (error) {
+      return this.resolveVariables(session, expression);
+    }
+  }
 
-      if (conditionResult) {
-        // Execute true branch
-        if (step.true_branch) {
-          return await this.executeAction(session, step.true_branch);
-        }
-      } else {
-        // Execute false branch
-        if (step.false_branch) {
-          return await this.executeAction(session, step.false_branch);
-        }
+  /**
+   * Execute jump by transferring control to another procedure. Jumps leave
+   * any sub-procedure calls in progress; once the target finishes, execution
+   * continues along the execution order from there. Jumps within an included
+   * runbook only leave the calls made inside it, so its caller still resumes.
+   * @param {Object} session - Execution session
+   * @param {Object} action - Jump step or action
+   * @returns {Object} - Jump result
+   */
+  executeJump(session, action) {
+    const procedure = this.findProcedure(session, action.procedure);
+    if (!procedure) {
+      return {
+        success: false,
+        error: `Jump target '${action.anchor || action.procedure}' not found`,
+        output: null,
+      };
+    }
+
+    // Find the call that entered the target's runbook, if it is included
+    const stack = session.state.stack;
+    let entry = stack.length;
+    while (
+      procedure.library &&
+      entry > 1 &&
+      stack[entry - 1].library === procedure.library
+    ) {
+      entry--;
+    }
+
+    stack.splice(entry < stack.length ? entry + 1 : 1);
+
+    const current = session.state.current_step;
+    current.procedure_id = procedure.id;
+    current.step_index = 0;
+    current.instruction_pointer++;
+    this.settleCurrentStep(session);
+
+    return {
+      success: true,
+      output: `Jumped to procedure: ${procedure.name}`,
+      jumped_to: procedure.id,
+    };
+  }
+
+  /**
+   * Execute one iteration of a loop step. The loop stays the current step
+   * until it finishes; its counter lives in the stack frame's loops map
+   * so it is visible while stepping.
+   * @param {Object} session - Execution session
+   * @param {Object} step - Loop step
+   * @returns {Object} - Iteration result
+   */
+  async executeLoop(session, step) {
+    const frame = session.state.stack[session.state.stack.length - 1];
+    frame.loops = frame.loops || {};
+
+    let loop = frame.loops[step.id];
+    if (!loop) {
+      loop = this.createLoopCounter(session, step);
+      if (loop.error) {
+        return { success: false, error: loop.error, output: null };
+      }
+      if (loop.max_iterations === 0) {
+        return {
+          success: true,
+          output: `Loop over $${step.collection} has no items`,
+          iteration: 0,
+        };
       }
+      frame.loops[step.id] = loop;
+    } else if (step.wait_ms) {
+      await sleep(step.wait_ms);
+    }
+
+    loop.iteration++;
+    if (step.loop_type === "for_each") {
+      loop.item = loop.items[loop.iteration - 1];
+      frame.variables[step.variable] = loop.item;
+    }
 
+    const bodyResult = await this.executeLoopBody(session, step);
+    if (
+      !bodyResult.success ||
+      bodyResult.entered_procedure ||
+      bodyResult.jumped_to
+    ) {
+      delete frame.loops[step.id];
+      return { ...bodyResult, iteration: loop.iteration };
+    }
+
+    // "Retry until DNS resolves" cannot be checked, so the loop stops
+    // after one pass instead of running to its limit
+    if (step.condition && step.condition.type === "prose_check") {
+      delete frame.loops[step.id];
       return {
-        success: true,
-        output: `Condition evaluated to: ${conditionResult}`,
-        condition_result: conditionResult,
+        success: bodyResult.success,
+        output: `Loop stopped after ${loop.iteration} iteration(s): '${step.condition.text}' cannot be evaluated automatically`,
+        iteration: loop.iteration,
+        body_result: bodyResult,
+        unresolved: true,
       };
+    }
+
+    let finished;
+    try {
+      finished =
+        step.loop_type === "for_each"
+          ? loop.iteration >= loop.max_iterations
+          : Boolean(this.evaluateCondition(session, step.condition));
     } catch (error) {
+      delete frame.loops[step.id];
       return {
         success: false,
         error: `Condition evaluation failed: ${error.message}`,
         output: null,
+        iteration: loop.iteration,
+        condition_error: true,
+      };
+    }
+
+    if (finished) {
+      delete frame.loops[step.id];
+      return {
+        success: true,
+        output: `Loop finished after ${loop.iteration} iteration(s)`,
+        iteration: loop.iteration,
+        body_result: bodyResult,
+      };
+    }
+
+    if (loop.iteration >= loop.max_iterations) {
+      delete frame.loops[step.id];
+      return {
+        success: false,
+        error: `Loop condition not met after ${loop.iteration} iteration(s)`,
+        output: bodyResult.output || null,
+        iteration: loop.iteration,
+      };
+    }
+
+    return {
+      success: true,
+      output: `Iteration ${loop.iteration}/${loop.max_iterations}: ${
+        bodyResult.output || "done"
+      }`,
+      iteration: loop.iteration,
+      repeat_step: true,
+      body_result: bodyResult,
+    };
+  }
+
+  /**
+   * Create iteration counter for a loop entering its first iteration
+   * @param {Object} session - Execution session
+   * @param {Object} step - Loop step
+   * @returns {Object} - Loop counter, or { error } if the loop cannot run
+   */
+  createLoopCounter(session, step) {
+    const counter = {
+      iteration: 0,
+      max_iterations: Math.min(
+        step.max_iterations || this.maxLoopIterations,
+        this.maxLoopIterations
+      ),
+      started_at: new Date().toISOString(),
+    };
+
+    if (step.loop_type !== "for_each") {
+      return counter;
+    }
+
+    const value = this.getVariable(session, step.collection);
+    if (value === undefined || value === null) {
+      return { error: `Loop collection '$${step.collection}' is not defined` };
+    }
+
+    const items = Array.isArray(value)
+      ? value
+      : String(value)
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line.length > 0);
+
+    if (items.length > this.maxLoopIterations) {
+      return {
+        error: `Loop over '$${step.collection}' has ${items.length} items, exceeding the ${this.maxLoopIterations} iteration cap`,
       };
     }
+
+    return { ...counter, items: items, max_iterations: items.length };
   }
 
   /**
-   * Execute assignment step
+   * Run the body of a loop once, stopping at the first failure. Nested
+   * loops run to completion within the enclosing iteration.
    * @param {Object} session - Execution session
-   * @param {Object} step - Assignment step
-   * @returns {Object} - Assignment result
+   * @param {Object} step - Loop step
+   * @returns {Object} - Result of the last body step
    */
-  executeAssignment(session, step) {
-    try {
-      const value = this.resolveVariables(session, step.value);
-      const currentFrame = session.state.stack[session.state.stack.length - 1];
+  async executeLoopBody(session, step) {
+    let result = { success: true, output: null };
 
-      if (step.assign_to === "memory" || step.assign_to === "global") {
-        session.state.memory.persistent_vars[step.variable || "temp"] = value;
-      } else {
-        currentFrame.variables[step.assign_to] = value;
+    for (const bodyStep of step.body) {
+      result = await this.runStep(session, bodyStep);
+      while (result.success && result.repeat_step) {
+        result = await this.runStep(session, bodyStep);
       }
+      this.registerCompensation(session, bodyStep, result);
+
+      if (!result.success || result.entered_procedure || result.jumped_to) {
+        break;
+      }
+    }
+
+    return result;
+  }
 
+  /**
+   * Execute assertion step by checking an earlier command output against
+   * the expectation's comparator. A failed assertion fails the run with an
+   * expected vs. actual diff.
+   * @param {Object} session - Execution session
+   * @param {Object} step - Assertion step
+   * @returns {Object} - Assertion result
+   */
+  executeAssertion(session, step) {
+    // A dry run has no real output to check
+    if (session.options.dry_run) {
       return {
         success: true,
-        output: `Assigned: ${step.assign_to} = ${value}`,
-        variable: step.assign_to,
-        value: value,
+        output: `[dry run] expectation not checked: ${step.subject}`,
+        dry_run: true,
       };
-    } catch (error) {
+    }
+
+    const input = this.getAssertionInput(session, step.source);
+    const expected = this.describeExpectation(step.comparator);
+
+    let check;
+    if (!input) {
+      check = {
+        passed: false,
+        actual: `no output recorded for ${
+          step.source.step_id || `$${step.source.variable}`
+        }`,
+      };
+    } else if (input.failed) {
+      // Output of a command that failed proves nothing about the
+      // expectation, e.g. "ping: not found" has no round-trip time
+      check = {
+        passed: false,
+        actual: `${step.source.step_id} failed: ${input.error}`,
+      };
+    } else {
+      check = this.checkComparator(step.comparator, input);
+    }
+
+    const diff = { expected: expected, actual: check.actual };
+    session.state.assertions.push({
+      step_id: step.id,
+      subject: step.subject,
+      source: step.source,
+      passed: check.passed,
+      ...diff,
+      checked_at: new Date().toISOString(),
+    });
+
+    if (!check.passed) {
       return {
         success: false,
-        error: `Assignment failed: ${error.message}`,
-        output: null,
+        error: `Expectation failed: ${step.subject}\n  expected: ${expected}\n  actual:   ${check.actual}`,
+        output: input ? input.output : null,
+        diff: diff,
       };
     }
+
+    return {
+      success: true,
+      output: `Expectation met: ${step.subject} (${check.actual})`,
+      diff: diff,
+    };
+  }
+
+  /**
+   * Look up the output an assertion checks
+   * @param {Object} session - Execution session
+   * @param {Object} source - { step_id, branch } or { variable }
+   * @returns {Object|null} - { output, failed, error } or null if missing
+   */
+  getAssertionInput(session, source) {
+    if (source.variable) {
+      const value = this.getVariable(session, source.variable);
+      return value === undefined ? null : { output: String(value) };
+    }
+
+    const entry = [...session.state.execution_history]
+      .reverse()
+      .find((historyEntry) => historyEntry.step_id === source.step_id);
+    // A condition whose other branch ran never ran the checked command
+    if (!entry || (source.branch && entry.branch_taken !== source.branch)) {
+      return null;
+    }
+
+    return {
+      output: entry.output || "",
+      failed: !entry.success,
+      error: entry.error,
+    };
+  }
+
+  /**
+   * Check output against a comparator
+   * @param {Object} comparator - Assertion comparator
+   * @param {Object} input - { output }
+   * @returns {Object} - { passed, actual }
+   */
+  checkComparator(comparator, input) {
+    const output = input.output;
+
+    switch (comparator.type) {
+      case "latency": {
+        // Only a time the command reported counts; how long the command
+        // itself took says nothing about the round trip it measures
+        const latency = this.extractLatency(output);
+        if (latency === undefined) {
+          return { passed: false, actual: "no latency in output" };
+        }
+        return {
+          passed:
+            comparator.operator === "<="
+              ? latency <= comparator.value_ms
+              : latency < comparator.value_ms,
+          actual: `${latency}ms`,
+        };
+      }
+
+      case "status_code": {
+        const statusCodes = [...output.matchAll(/HTTP\/[\d.]+\s+(\d{3})/g)];
+        const bareCode = output.trim().match(/^(\d{3})$/);
+        const code = statusCodes.length
+          ? parseInt(statusCodes[statusCodes.length - 1][1], 10)
+          : bareCode
+          ? parseInt(bareCode[1], 10)
+          : null;
+        if (code === null) {
+          return { passed: false, actual: "no HTTP status code in output" };
+        }
+        return {
+          passed: code >= comparator.min && code <= comparator.max,
+          actual: `status ${code}`,
+        };
+      }
+
+      case "substring":
+        return {
+          passed: output.includes(comparator.value),
+          actual: this.summarizeOutput(output),
+        };
+
+      case "regex":
+        return {
+          passed: new RegExp(comparator.pattern, comparator.flags).test(output),
+          actual: this.summarizeOutput(output),
+        };
+
+      default:
+        return {
+          passed: false,
+          actual: `unknown comparator: ${comparator.type}`,
+        };
+    }
+  }
+
+  /**
+   * Extract round-trip latency from ping-style output, preferring the
+   * rtt summary average over individual reply times
+   * @param {string} output - Command output
+   * @returns {number|undefined} - Latency in milliseconds
+   */
+  extractLatency(output) {
+    const summary = output.match(/(?:rtt|round-trip)[^=]*=\s*[\d.]+\/([\d.]+)/);
+    if (summary) {
+      return parseFloat(summary[1]);
+    }
+
+    const times = [...output.matchAll(/time[=<]\s*([\d.]+)\s*ms/g)].map(
+      (match) => parseFloat(match[1])
+    );
+    return times.length ? Math.max(...times) : undefined;
   }
 
   /**
-   * Execute choice step (user interaction)
-   * @param {Object} session - Execution session
-   * @param {Object} step - Choice step
-   * @returns {Object} - Choice result
+   * Describe what a comparator expects
+   * @param {Object} comparator - Assertion comparator
+   * @returns {string} - Human readable expectation
    */
-  async executeChoice(session, step) {
-    // In automated mode, select first option
-    // In interactive mode, this would wait for user input
-    const selectedOption = step.options[0];
-
-    if (selectedOption && selectedOption.action) {
-      const result = await this.executeAction(session, selectedOption.action);
-      return {
-        success: result.success,
-        output: `Selected option: ${selectedOption.description}`,
-        selected_option: selectedOption,
-        action_result: result,
-      };
+  describeExpectation(comparator) {
+    switch (comparator.type) {
+      case "latency":
+        return `latency ${comparator.operator} ${comparator.value_ms}ms`;
+      case "status_code":
+        return comparator.min === comparator.max
+          ? `status ${comparator.min}`
+          : `status ${comparator.min}-${comparator.max}`;
+      case "substring":
+        return `output containing "${comparator.value}"`;
+      case "regex":
+        return `output matching /${comparator.pattern}/${comparator.flags}`;
+      default:
+        return comparator.type;
     }
-
-    return {
-      success: true,
-      output: `Choice presented: ${step.options.length} options available`,
-      options: step.options,
-    };
   }
 
   /**
-   * Execute analysis step
-   * @param {Object} session - Execution session
-   * @param {Object} step - Analysis step
-   * @returns {Object} - Analysis result
+   * Shorten output for assertion diffs
+   * @param {string} output - Command output
+   * @returns {string} - First 200 characters of output
    */
-  executeAnalysis(session, step) {
-    const inputs = {};
+  summarizeOutput(output) {
+    const text = output.trim();
+    return text.length > 200 ? `${text.substring(0, 200)}...` : `"${text}"`;
+  }
 
-    // Collect input variables
-    if (step.input) {
-      step.input.forEach((varName) => {
-        inputs[varName] = this.getVariable(session, varName);
-      });
-    }
+  // ==================== SUPPORTING METHODS ====================
 
-    // Extract variables if specified
-    const extracted = {};
-    if (step.extract) {
-      step.extract.forEach((varName) => {
-        extracted[varName] = this.extractFromDescription(
-          step.description,
-          varName
-        );
+  /**
+   * Update session status and notify listeners when it changes
+   * @param {Object} session - Execution session
+   * @param {string} status - New status
+   */
+  setStatus(session, status) {
+    const previous = session.state.status;
+    session.state.status = status;
+
+    if (previous !== status) {
+      this.emitEvent(session, "status-change", {
+        status: status,
+        previous_status: previous,
       });
     }
-
-    return {
-      success: true,
-      output: `Analysis: ${step.description}`,
-      inputs: inputs,
-      extracted: extracted,
-    };
   }
 
   /**
-   * Execute note step
+   * Emit a live execution event for a session
    * @param {Object} session - Execution session
-   * @param {Object} step - Note step
-   * @returns {Object} - Note result
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
    */
-  executeNote(session, step) {
-    return {
-      success: true,
-      output: `Note (${step.level || "info"}): ${step.message}`,
-      level: step.level,
-      message: step.message,
-    };
+  emitEvent(session, event, payload = {}) {
+    this.emit(event, {
+      execution_id: session.id,
+      timestamp: new Date().toISOString(),
+      ...payload,
+    });
   }
 
-  // ==================== SUPPORTING METHODS ====================
-
   /**
-   * Execute an action (from conditional or choice)
+   * Execute an action (from conditional, choice or decision table). A call
+   * returns to the step after the one whose action made it.
    * @param {Object} session - Execution session
    * @param {Object} action - Action to execute
    * @returns {Object} - Action result
@@ -646,6 +2869,7 @@ class ExecutionService {
   async executeAction(session, action) {
     switch (action.type) {
       case "command":
+      case "script":
         return await this.executeCommand(session, action);
       case "log":
         return {
@@ -653,6 +2877,10 @@ class ExecutionService {
           output: action.message,
           message: action.message,
         };
+      case "jump":
+        return this.executeJump(session, action);
+      case "call":
+        return this.executeCall(session, action);
       default:
         return {
           success: false,
@@ -661,6 +2889,16 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Find procedure by ID
+   * @param {Object} session - Execution session
+   * @param {string} procedureId - Procedure ID
+   * @returns {Object|null} - Procedure or null if not found
+   */
+  findProcedure(session, procedureId) {
+    return session.program.procedures.find((p) => p.id === procedureId) || null;
+  }
+
   /**
    * Get current step being executed
    * @param {Object} session - Execution session
@@ -670,9 +2908,7 @@ class ExecutionService {
     const currentProcedureId = session.state.current_step.procedure_id;
     const currentStepIndex = session.state.current_step.step_index;
 
-    const procedure = session.program.procedures.find(
-      (p) => p.id === currentProcedureId
-    );
+    const procedure = this.findProcedure(session, currentProcedureId);
     if (!procedure) return null;
 
     return procedure.steps[currentStepIndex] || null;
@@ -681,52 +2917,108 @@ class ExecutionService {
   /**
    * Advance to next step in execution
    * @param {Object} session - Execution session
+   * @param {number} skip - Following steps to pass over, e.g. the sub-steps
+   *   of a condition that does not hold
    */
-  advanceToNextStep(session) {
-    const currentProcedureId = session.state.current_step.procedure_id;
-    const procedure = session.program.procedures.find(
-      (p) => p.id === currentProcedureId
+  advanceToNextStep(session, skip = 0) {
+    const procedure = this.findProcedure(
+      session,
+      session.state.current_step.procedure_id
     );
 
     if (!procedure) return;
 
-    session.state.current_step.step_index++;
-    session.state.current_step.instruction_pointer++;
+    session.state.current_step.step_index += 1 + skip;
+    session.state.current_step.instruction_pointer += 1 + skip;
 
-    // If we've finished this procedure, move to next one
-    if (session.state.current_step.step_index >= procedure.steps.length) {
-      const currentProcIndex =
-        session.program.execution_order.indexOf(currentProcedureId);
-      const nextProcedureId =
-        session.program.execution_order[currentProcIndex + 1];
-
-      if (nextProcedureId) {
-        session.state.current_step.procedure_id = nextProcedureId;
-        session.state.current_step.step_index = 0;
+    this.settleCurrentStep(session);
+  }
 
-        // Update step_id to first step of next procedure
-        const nextProcedure = session.program.procedures.find(
-          (p) => p.id === nextProcedureId
+  /**
+   * Move the pointer past finished procedures, returning from sub-procedure
+   * calls or moving on through the execution order, and sync step_id
+   * @param {Object} session - Execution session
+   */
+  settleCurrentStep(session) {
+    const current = session.state.current_step;
+    let procedure = this.findProcedure(session, current.procedure_id);
+
+    while (procedure && current.step_index >= procedure.steps.length) {
+      if (session.state.stack.length > 1) {
+        // Return to the caller, handing it the called procedure's return
+        // value (the procedure finishing may be a jump target within it)
+        const frame = session.state.stack[session.state.stack.length - 1];
+        const value = this.evaluateReturnValue(
+          session,
+          this.findProcedure(session, frame.procedure)
+        );
+        session.state.stack.pop();
+        if (frame.return_to && value !== undefined) {
+          session.state.stack[session.state.stack.length - 1].variables[
+            frame.return_to
+          ] = value;
+        }
+        const separator = frame.return_address.lastIndexOf(":");
+        current.procedure_id = frame.return_address.substring(0, separator);
+        current.step_index = parseInt(
+          frame.return_address.substring(separator + 1),
+          10
+        );
+      } else {
+        // If we've finished this procedure, move to next one
+        const nextProcedureId = this.nextProcedureInOrder(
+          session,
+          current.procedure_id
         );
-        session.state.current_step.step_id =
-          nextProcedure?.steps[0]?.id || "unknown";
+
+        if (!nextProcedureId) break;
+
+        current.procedure_id = nextProcedureId;
+        current.step_index = 0;
       }
-    } else {
-      // Update step_id to current step
-      session.state.current_step.step_id =
-        procedure.steps[session.state.current_step.step_index]?.id || "unknown";
+
+      procedure = this.findProcedure(session, current.procedure_id);
+    }
+
+    current.step_id = procedure?.steps[current.step_index]?.id || "unknown";
+  }
+
+  /**
+   * Find the procedure that follows in the execution order. Sub-procedures
+   * reached by a jump continue after their top-level ancestor.
+   * @param {Object} session - Execution session
+   * @param {string} procedureId - Finished procedure ID
+   * @returns {string|undefined} - Next procedure ID
+   */
+  nextProcedureInOrder(session, procedureId) {
+    const order = session.program.execution_order;
+    let id = procedureId;
+
+    while (id && !order.includes(id)) {
+      id = this.findProcedure(session, id)?.parent;
     }
+
+    return id ? order[order.indexOf(id) + 1] : undefined;
   }
 
   /**
-   * Complete execution
+   * Complete execution. A failure that a procedure or program policy
+   * continued past still fails the run, so its compensation chain is
+   * offered now that the run is over.
    * @param {Object} session - Execution session
    * @returns {Object} - Completion result
    */
-  completeExecution(session) {
-    session.state.status = "completed";
+  async completeExecution(session) {
+    this.setStatus(session, "completed");
     session.state.completed_at = new Date().toISOString();
 
+    const failure = session.state.handled_errors.find(
+      (entry) => !entry.tolerated
+    );
+    if (failure) {
+      await this.compensateFailure(session, failure.step_id);
+    }
+
     return {
       success: true,
       state: session.state,
@@ -760,23 +3052,106 @@ class ExecutionService {
   resolveVariables(session, text) {
     if (!text) return text;
 
-    return text.replace(/\$(\w+)/g, (match, varName) => {
-      const value = this.getVariable(session, varName);
-      return value !== undefined ? value : match;
+    return text.replace(VARIABLE_REFERENCE_PATTERN, (match, braced, bare) => {
+      const value = this.lookupVariable(
+        session,
+        parseVariableReference(braced || bare)
+      );
+      return value !== undefined ? formatVariableValue(value) : match;
     });
   }
 
+  /**
+   * Resolve variables in a command, quoting each value for the shell so
+   * that variable content cannot add words or commands
+   * @param {Object} session - Execution session
+   * @param {string} command - Command with variables
+   * @param {Array} shellVariables - Names the script assigns itself; their
+   *   references are left to the shell
+   * @returns {string} - Resolved command
+   */
+  resolveCommandVariables(session, command, shellVariables = []) {
+    if (!command) return command;
+
+    return command.replace(
+      VARIABLE_REFERENCE_PATTERN,
+      (match, braced, bare, offset) => {
+        const reference = parseVariableReference(braced || bare);
+        if (shellVariables.includes(reference.name)) {
+          return match;
+        }
+
+        // ${LOGFILE:-/var/log/syslog} is the shell's own default unless
+        // LOGFILE is one of the program's variables
+        if (
+          reference.fallback !== undefined &&
+          !this.isProgramVariable(session, reference.name)
+        ) {
+          return match;
+        }
+
+        const value = this.lookupVariable(session, reference);
+        if (value === undefined) {
+          return match;
+        }
+        return quoteForContext(
+          formatVariableValue(value),
+          quoteContextAt(command, offset)
+        );
+      }
+    );
+  }
+
+  /**
+   * Check whether a name belongs to the interpreter rather than the shell:
+   * it has a value, or the program takes it as an input or parameter or
+   * assigns it in a step
+   * @param {Object} session - Execution session
+   * @param {string} name - Variable name
+   * @returns {boolean} - True for the program's own variables
+   */
+  isProgramVariable(session, name) {
+    if (this.getVariable(session, name) !== undefined) {
+      return true;
+    }
+
+    const program = session.program;
+    if (program.inputs && program.inputs[name] !== undefined) {
+      return true;
+    }
+
+    const assigns = (step) =>
+      Boolean(step) &&
+      (step.assign_to === name ||
+        (["loop", "data_table"].includes(step.type) &&
+          step.variable === name) ||
+        (step.body || []).some(assigns));
+
+    return program.procedures.some(
+      (procedure) =>
+        (procedure.parameters && procedure.parameters[name] !== undefined) ||
+        (procedure.variables && procedure.variables[name] !== undefined) ||
+        procedure.steps.some(assigns)
+    );
+  }
+
   /**
    * Get variable value from session
    * @param {Object} session - Execution session
-   * @param {string} varName - Variable name
+   * @param {string} varName - Variable name or reference such as
+   *   dns.answers[0].address or {name:-default}
    * @returns {*} - Variable value
    */
   getVariable(session, varName) {
-    // Check current stack frame
-    const currentFrame = session.state.stack[session.state.stack.length - 1];
-    if (currentFrame.variables[varName] !== undefined) {
-      return currentFrame.variables[varName];
+    if (/[.[{]|:-/.test(varName)) {
+      return this.lookupVariable(session, parseVariableReference(varName));
+    }
+
+    // Check stack frames, innermost first
+    for (let i = session.state.stack.length - 1; i >= 0; i--) {
+      if (session.state.stack[i].variables[varName] !== undefined) {
+        return session.state.stack[i].variables[varName];
+      }
     }
 
     // Check persistent memory
@@ -789,9 +3164,74 @@ class ExecutionService {
       return session.state.heap.tool_outputs[varName].output;
     }
 
+    // Check parsed tool outputs
+    if (session.state.heap.parsed_outputs[varName] !== undefined) {
+      return session.state.heap.parsed_outputs[varName].value;
+    }
+
     return undefined;
   }
 
+  /**
+   * Look up a parsed variable reference. Paths are read from the typed
+   * value first and from the raw output second, so $ping.packet_loss reads
+   * the parsed ping result while $ping.lines[0] reads the raw text.
+   * @param {Object} session - Execution session
+   * @param {Object} reference - Reference from parseVariableReference
+   * @returns {*} - Value, the reference default, or undefined
+   */
+  lookupVariable(session, reference) {
+    let value;
+
+    if (reference.path.length === 0) {
+      value = this.getVariable(session, reference.name);
+    } else {
+      const candidates = [
+        this.getStructuredVariable(session, reference.name),
+        this.getVariable(session, reference.name),
+      ];
+      for (const candidate of candidates) {
+        value = readPath(candidate, reference.path);
+        if (value !== undefined) break;
+      }
+    }
+
+    if (
+      (value === undefined || value === "") &&
+      reference.fallback !== undefined
+    ) {
+      return reference.fallback;
+    }
+
+    return value;
+  }
+
+  /**
+   * Get variable as a typed object: an object-valued variable, the parsed
+   * output of an assigned command, or the latest parsed output of a tool
+   * @param {Object} session - Execution session
+   * @param {string} name - Variable or parser name
+   * @returns {*} - Typed value
+   */
+  getStructuredVariable(session, name) {
+    const value = this.getVariable(session, name);
+    if (value !== null && typeof value === "object") {
+      return value;
+    }
+
+    const toolOutput = session.state.heap.tool_outputs[name];
+    if (toolOutput && toolOutput.parsed) {
+      return toolOutput.parsed;
+    }
+
+    const parsedOutput = session.state.heap.parsed_outputs[name];
+    if (parsedOutput) {
+      return parsedOutput.value;
+    }
+
+    return value;
+  }
+
   /**
    * Evaluate condition
    * @param {Object} session - Execution session
@@ -800,26 +3240,55 @@ class ExecutionService {
    */
   evaluateCondition(session, condition) {
     switch (condition.type) {
-      case "equality_check":
-        const varValue = this.getVariable(session, condition.variable);
-        return varValue == condition.value;
+      case "expression":
+        return isTruthy(this.evaluateConditionExpression(session, condition));
 
+      // Conditions compiled before the expression language
+      case "equality_check":
       case "contains_check":
-        const containerValue = this.getVariable(session, condition.variable);
-        return (
-          containerValue && containerValue.toString().includes(condition.value)
+        return evaluateAst(
+          {
+            type: condition.type === "equality_check" ? "compare" : "contains",
+            operator: "==",
+            left: {
+              type: "reference",
+              reference: `$${condition.variable}`,
+            },
+            right: { type: "literal", value: condition.value },
+          },
+          (reference) => this.getVariable(session, reference.substring(1))
         );
 
       case "boolean_check":
-        // Simple boolean expression evaluation
-        const resolved = this.resolveVariables(session, condition.expression);
-        return Boolean(resolved);
+        try {
+          return isTruthy(
+            this.evaluateConditionExpression(session, {
+              expression: condition.expression,
+            })
+          );
+        } catch (error) {
+          return false;
+        }
 
+      // Prose such as "If DNS fails" cannot be checked automatically
+      case "prose_check":
       default:
         return false;
     }
   }
 
+  /**
+   * Evaluate a condition expression against session variables
+   * @param {Object} session - Execution session
+   * @param {Object} condition - Condition with expression text
+   * @returns {*} - Expression value
+   */
+  evaluateConditionExpression(session, condition) {
+    return evaluateExpressionText(condition.expression, (reference) =>
+      this.getVariable(session, reference.substring(1))
+    );
+  }
+
   /**
    * Assess command risk level
    * @param {string} command - Command to assess
@@ -892,10 +3361,9 @@ class ExecutionService {
     try {
       const resolved = this.resolveVariables(session, expression);
 
-      // If it's a simple variable lookup
-      if (expression.startsWith("$")) {
-        const varName = expression.substring(1);
-        const value = this.getVariable(session, varName);
+      // If it's a single variable reference, return the typed value
+      if (this.isSingleReference(expression.trim())) {
+        const value = this.getVariable(session, expression.trim());
         return {
           success: true,
           result: value,
@@ -916,6 +3384,18 @@ class ExecutionService {
         };
       }
 
+      // Conditions and arithmetic, e.g. "$loss > 50%" or "length($out) * 2"
+      try {
+        return {
+          success: true,
+          result: this.evaluateConditionExpression(session, { expression }),
+          expression: expression,
+          resolved: resolved,
+        };
+      } catch (error) {
+        // Not an expression; fall through to plain text substitution
+      }
+
       return {
         success: true,
         result: resolved,
@@ -930,16 +3410,27 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Check whether an expression is exactly one variable reference
+   * @param {string} expression - Expression
+   * @returns {boolean} - True for e.g. $out.lines[2] or ${name:-default}
+   */
+  isSingleReference(expression) {
+    const pattern = new RegExp(`^(?:${VARIABLE_REFERENCE_PATTERN.source})$`);
+    return pattern.test(expression);
+  }
+
   /**
    * Inspect variable details
    * @param {Object} session - Execution session
-   * @param {string} varName - Variable name
+   * @param {string} varName - Variable name or reference path
    * @returns {Object} - Variable inspection
    */
   inspectVariable(session, varName) {
-    const value = this.getVariable(session, varName);
+    const reference = parseVariableReference(varName);
+    const raw = this.lookupVariable(session, reference);
 
-    if (value === undefined) {
+    if (raw === undefined) {
       return {
         success: false,
         error: `Variable '${varName}' not found`,
@@ -947,16 +3438,59 @@ class ExecutionService {
       };
     }
 
+    // A whole tool output is shown as its parsed object, with the raw text
+    const value =
+      reference.path.length === 0
+        ? this.getStructuredVariable(session, reference.name)
+        : raw;
+
     return {
       success: true,
       variable: varName,
       value: value,
-      type: typeof value,
-      length: value?.length || 0,
-      source: this.findVariableSource(session, varName),
+      raw: value !== raw ? raw : undefined,
+      type: describeValueType(value),
+      output_type: this.findOutputType(session, reference),
+      length: this.describeValueLength(value),
+      source: this.findVariableSource(session, reference.name),
     };
   }
 
+  /**
+   * Find the parsed output type behind a reference to a whole tool output
+   * @param {Object} session - Execution session
+   * @param {Object} reference - Parsed variable reference
+   * @returns {string|null} - Output type, e.g. ping_result
+   */
+  findOutputType(session, reference) {
+    if (reference.path.length > 0) {
+      return null;
+    }
+
+    const toolOutput = session.state.heap.tool_outputs[reference.name];
+    if (toolOutput && toolOutput.parsed) {
+      return toolOutput.output_type || null;
+    }
+
+    const parsedOutput = session.state.heap.parsed_outputs[reference.name];
+    return parsedOutput ? parsedOutput.output_type : null;
+  }
+
+  /**
+   * Describe the size of a value: characters, elements or object keys
+   * @param {*} value - Value
+   * @returns {number} - Length
+   */
+  describeValueLength(value) {
+    if (typeof value === "string" || Array.isArray(value)) {
+      return value.length;
+    }
+    if (value !== null && typeof value === "object") {
+      return Object.keys(value).length;
+    }
+    return 0;
+  }
+
   /**
    * Find where variable was defined
    * @param {Object} session - Execution session
@@ -969,6 +3503,14 @@ class ExecutionService {
       return "local_variable";
     }
 
+    if (
+      session.state.stack.some(
+        (frame) => frame.variables[varName] !== undefined
+      )
+    ) {
+      return "enclosing_frame";
+    }
+
     if (session.state.memory.persistent_vars[varName] !== undefined) {
       return "persistent_memory";
     }
@@ -977,6 +3519,10 @@ class ExecutionService {
       return "tool_output";
     }
 
+    if (session.state.heap.parsed_outputs[varName] !== undefined) {
+      return "parsed_output";
+    }
+
     return "unknown";
   }
 
@@ -997,41 +3543,61 @@ class ExecutionService {
    * @param {Object} analysis - Analysis object
    * @returns {number} - Estimated duration in seconds
    */
+  estimateTotalDuration(analysis) {
+    return (analysis?.procedures || []).reduce(
+      (total, proc) => total + (proc.estimated_duration || 0),
+      0
+    );
+  }
+
   // ==================== SESSION MANAGEMENT ====================
 
   /**
    * Manage breakpoints (set/remove)
    * @param {string} sessionId - Session ID
-   * @param {string} stepId - Step ID for breakpoint
+   * @param {string|number} stepId - Step ID for breakpoint, or the markdown
+   *   line of a code block step
    * @param {string} action - 'set' or 'remove'
    * @returns {Object} - Breakpoint result
    */
   async manageBreakpoint(sessionId, stepId, action) {
     try {
-      const session = this.sessions.get(sessionId);
-      if (!session) {
-        throw new Error("Session not found");
-      }
+      return await this.store.withLock(sessionId, async () => {
+        const session = await this.store.get(sessionId);
+        if (!session) {
+          throw new Error("Session not found");
+        }
+
+        // A line number maps to the code block step compiled from that line
+        if (typeof stepId === "number") {
+          const step = this.findStepAtLine(session, stepId);
+          if (!step) {
+            throw new Error(`No code block step at line ${stepId}`);
+          }
+          stepId = step.id;
+        }
 
-      const breakpoints = session.state.breakpoints || [];
+        const breakpoints = session.state.breakpoints || [];
 
-      if (action === "set" && !breakpoints.includes(stepId)) {
-        breakpoints.push(stepId);
-      } else if (action === "remove") {
-        const index = breakpoints.indexOf(stepId);
-        if (index > -1) {
-          breakpoints.splice(index, 1);
+        if (action === "set" && !breakpoints.includes(stepId)) {
+          breakpoints.push(stepId);
+        } else if (action === "remove") {
+          const index = breakpoints.indexOf(stepId);
+          if (index > -1) {
+            breakpoints.splice(index, 1);
+          }
         }
-      }
 
-      session.state.breakpoints = breakpoints;
+        session.state.breakpoints = breakpoints;
+        await this.store.set(sessionId, session);
 
-      return {
-        success: true,
-        breakpoints: breakpoints,
-        action: action,
-        step_id: stepId,
-      };
+        return {
+          success: true,
+          breakpoints: breakpoints,
+          action: action,
+          step_id: stepId,
+        };
+      });
     } catch (error) {
       return {
         success: false,
@@ -1040,13 +3606,31 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Find the step compiled from a markdown line, using the source_lines
+   * that code block steps record
+   * @param {Object} session - Execution session
+   * @param {number} line - Markdown line (1-based)
+   * @returns {Object|undefined} - Step
+   */
+  findStepAtLine(session, line) {
+    return session.program.procedures
+      .flatMap((procedure) => procedure.steps)
+      .find(
+        (step) =>
+          step.source_lines &&
+          step.source_lines[0] <= line &&
+          line <= step.source_lines[1]
+      );
+  }
+
   /**
    * Get execution state for session
    * @param {string} sessionId - Session ID
    * @returns {Object|null} - Execution state
    */
   async getExecutionState(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = await this.store.get(sessionId);
     if (!session) {
       return null;
     }
@@ -1060,6 +3644,7 @@ class ExecutionService {
         last_activity: session.lastActivity.toISOString(),
         total_steps_executed: session.totalStepsExecuted,
         command_history_length: session.commandHistory.length,
+        audit_trail: session.auditTrail,
       },
     };
   }
@@ -1070,31 +3655,36 @@ class ExecutionService {
    * @returns {Object} - Stop result
    */
   async stopExecution(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      return {
-        success: false,
-        error: "Session not found",
-      };
-    }
+    // Waits for a running command, which would otherwise save the session
+    // again after it is deleted
+    return this.store.withLock(sessionId, async () => {
+      const session = await this.store.get(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: "Session not found",
+        };
+      }
 
-    const deleted = this.sessions.delete(sessionId);
+      const deleted = await this.closeSession(session, "stopped");
 
-    return {
-      success: true,
-      stopped: deleted,
-      session_id: sessionId,
-      final_state: session.state.status,
-      steps_executed: session.totalStepsExecuted,
-    };
+      return {
+        success: true,
+        stopped: deleted,
+        session_id: sessionId,
+        final_state: session.state.status,
+        steps_executed: session.totalStepsExecuted,
+      };
+    });
   }
 
   /**
    * Get list of active sessions
    * @returns {Array} - Active sessions
    */
-  getActiveSessions() {
-    return Array.from(this.sessions.values()).map((session) => ({
+  async getActiveSessions() {
+    const sessions = await this.store.list();
+    return sessions.map((session) => ({
       id: session.id,
       created_at: session.createdAt.toISOString(),
       last_activity: session.lastActivity.toISOString(),
@@ -1109,12 +3699,13 @@ class ExecutionService {
    * Get health status of execution service
    * @returns {Object} - Health status
    */
-  getHealthStatus() {
+  async getHealthStatus() {
     const memoryUsage = process.memoryUsage();
 
     return {
       status: "healthy",
-      activeSessions: this.sessions.size,
+      sessionStore: this.store.type,
+      activeSessions: await this.store.size(),
       maxConcurrentSessions: this.maxConcurrentSessions,
       memoryUsage: {
         rss: `${Math.round(memoryUsage.rss / 1024 / 1024)}MB`,
@@ -1131,10 +3722,13 @@ class ExecutionService {
    * Create initial execution state
    * @param {Object} program - Program object
    * @param {Object} analysis - Analysis object
+   * @param {Object} inputs - Resolved input values seeding the root frame
    * @returns {Object} - Initial state
    */
-  createInitialState(program, analysis = null) {
-    const firstProcedure = program.procedures[0];
+  createInitialState(program, analysis = null, inputs = {}) {
+    const firstProcedure =
+      program.procedures.find((p) => p.id === program.execution_order?.[0]) ||
+      program.procedures[0];
     const firstStep = firstProcedure?.steps[0];
 
     return {
@@ -1148,7 +3742,7 @@ class ExecutionService {
       stack: [
         {
           procedure: firstProcedure?.id || "main",
-          variables: {},
+          variables: { ...inputs },
           return_address: null,
           created_at: new Date().toISOString(),
         },
@@ -1156,6 +3750,7 @@ class ExecutionService {
       heap: {
         tool_outputs: {},
         temp_objects: {},
+        parsed_outputs: {},
       },
       memory: {
         persistent_vars: {},
@@ -1167,7 +3762,15 @@ class ExecutionService {
         },
       },
       execution_history: [],
+      assertions: [],
+      planned_commands: [],
       breakpoints: [],
+      pending_input: null,
+      pending_approval: null,
+      shell: null,
+      compensation_stack: [],
+      rollback: null,
+      handled_errors: [],
       error_state: null,
       started_at: new Date().toISOString(),
       analysis_summary: analysis
@@ -1185,23 +3788,56 @@ class ExecutionService {
   /**
    * Cleanup inactive sessions (older than 1 hour)
    */
-  cleanupInactiveSessions() {
+  async cleanupInactiveSessions() {
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
 
-    for (const [sessionId, session] of this.sessions.entries()) {
+    for (const session of await this.store.list()) {
       if (session.lastActivity < oneHourAgo) {
-        this.sessions.delete(sessionId);
+        await this.closeSession(session, "inactive");
       }
     }
   }
 
+  /**
+   * Delete a session and release what it owns
+   * @param {Object} session - Execution session
+   * @param {string} reason - Close reason sent with session-closed
+   * @returns {Promise<boolean>} - True if the session was deleted
+   */
+  async closeSession(session, reason) {
+    const deleted = await this.store.delete(session.id);
+    this.closeSessionShell(session.id);
+
+    if (session.policy && session.policy.owns_working_directory) {
+      fs.rmSync(session.policy.working_directory, {
+        recursive: true,
+        force: true,
+      });
+    }
+
+    this.emitEvent(session, "session-closed", { reason });
+    return deleted;
+  }
+
+  /**
+   * Stop a session's persistent shell, if it has one
+   * @param {string} sessionId - Session ID
+   */
+  closeSessionShell(sessionId) {
+    const shell = this.shells.get(sessionId);
+    if (shell) {
+      shell.close();
+      this.shells.delete(sessionId);
+    }
+  }
+
   /**
    * Get detailed session information
    * @param {string} sessionId - Session ID
    * @returns {Object|null} - Detailed session info
    */
-  getSessionDetails(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async getSessionDetails(sessionId) {
+    const session = await this.store.get(sessionId);
     if (!session) {
       return null;
     }
@@ -1223,10 +3859,13 @@ class ExecutionService {
         : null,
       state: session.state,
       options: session.options,
+      inputs: session.inputs,
+      policy: session.policy,
       created_at: session.createdAt.toISOString(),
       last_activity: session.lastActivity.toISOString(),
       total_steps_executed: session.totalStepsExecuted,
       command_history: session.commandHistory.slice(-10), // Last 10 commands
+      audit_trail: session.auditTrail,
     };
   }
 }
@@ -1,4 +1,5 @@
 const marked = require("marked");
+const yaml = require("js-yaml");
 const { validateMarkdownSyntax } = require("../utils/markdownValidator");
 
 class LexerService {
@@ -35,8 +36,19 @@ class LexerService {
    */
   async parse(markdown) {
     try {
+      // Split off YAML front matter; its lines are blanked so line numbers
+      // in the rest of the document stay the same
+      const frontMatter = this.extractFrontMatter(markdown);
+      if (frontMatter.error) {
+        return {
+          success: false,
+          errors: [frontMatter.error],
+        };
+      }
+      const body = frontMatter.body;
+
       // First, validate basic syntax
-      const validation = this.validateSyntax(markdown);
+      const validation = this.validateSyntax(body);
       if (!validation.valid) {
         return {
           success: false,
@@ -45,10 +57,13 @@ class LexerService {
       }
 
       // Parse tokens using marked lexer
-      const tokens = marked.lexer(markdown);
+      const tokens = marked.lexer(body);
 
       // Build structured AST
       const ast = this.buildAST(tokens, markdown);
+      if (frontMatter.data) {
+        ast.metadata.front_matter = frontMatter.data;
+      }
 
       // Validate AST structure
       const astValidation = this.validateAST(ast);
@@ -79,6 +94,40 @@ class LexerService {
     }
   }
 
+  /**
+   * Extract YAML front matter delimited by "---" lines at the very top
+   * @param {string} markdown - Raw markdown content
+   * @returns {Object} - { body, data } or { error } for invalid YAML
+   */
+  extractFrontMatter(markdown) {
+    const match = markdown.match(
+      /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/
+    );
+    if (!match) {
+      return { body: markdown, data: null };
+    }
+
+    const blankLines = "\n".repeat((match[0].match(/\n/g) || []).length);
+    const body = blankLines + markdown.slice(match[0].length);
+
+    try {
+      const data = yaml.load(match[1]);
+      if (data !== undefined && data !== null && typeof data !== "object") {
+        throw new Error("front matter must be a mapping");
+      }
+      return { body, data: data || {} };
+    } catch (error) {
+      return {
+        error: {
+          line: error.mark ? error.mark.line + 2 : 1,
+          type: "front_matter_error",
+          message: `Invalid front matter: ${error.reason || error.message}`,
+          suggestion: "Write front matter as a YAML mapping between --- lines",
+        },
+      };
+    }
+  }
+
   /**
    * Validate markdown syntax without full parsing
    * @param {string} markdown - Raw markdown content
@@ -203,26 +252,67 @@ class LexerService {
           id: this.generateHeaderId(token.text),
         };
 
-      case "list":
+      case "list": {
+        let itemLine = lineNumber;
         return {
           ...baseNode,
           ordered: token.ordered,
           start: token.start,
-          items: token.items.map((item, index) => ({
-            text: item.text,
-            index: index + 1,
-            raw: item.raw,
-            tokens: item.tokens,
-          })),
+          items: token.items.map((item, index) => {
+            const node = {
+              text: item.text,
+              index: index + 1,
+              line: itemLine,
+              raw: item.raw,
+              tokens: item.tokens,
+            };
+
+            // Indented lists under an item become its children, and the
+            // item's text stops at them
+            let offset = 0;
+            const children = [];
+            for (const child of item.tokens || []) {
+              if (child.type === "list") {
+                children.push(this.tokenToASTNode(child, itemLine + offset));
+              }
+              offset += (child.raw.match(/\n/g) || []).length;
+            }
+            if (children.length > 0) {
+              node.text = item.tokens
+                .filter((child) => child.type !== "list")
+                .map((child) => child.text || "")
+                .join("\n")
+                .trim();
+              node.children = children;
+            }
+
+            itemLine += (item.raw.match(/\n/g) || []).length;
+            return node;
+          }),
         };
+      }
 
-      case "code":
+      case "code": {
+        // The fence's info string is the language plus optional flags,
+        // e.g. ```bash per-line; untagged fences have no language
+        const [lang, ...meta] = (token.lang || "").trim().split(/\s+/);
         return {
           ...baseNode,
-          lang: token.lang || "text",
+          lang: lang || null,
+          meta: meta.join(" ") || null,
           text: token.text,
           escaped: token.escaped,
         };
+      }
+
+      case "table":
+        // Cells keep their markdown text; the header is one row of names
+        return {
+          ...baseNode,
+          header: token.header.map((cell) => cell.text),
+          align: token.align,
+          rows: token.rows.map((row) => row.map((cell) => cell.text)),
+        };
 
       case "blockquote":
         return {
@@ -277,6 +367,7 @@ class LexerService {
       procedures: 0,
       code_blocks: 0,
       lists: 0,
+      tables: 0,
     };
 
     // Count different elements
@@ -292,6 +383,9 @@ class LexerService {
         case "list":
           metadata.lists++;
           break;
+        case "table":
+          metadata.tables++;
+          break;
       }
     }
 
@@ -349,6 +443,8 @@ class LexerService {
       "prerequisites",
       "implementation",
       "references",
+      "inputs",
+      "parameters",
     ];
 
     const sectionName = procedure.text.toLowerCase();
@@ -356,10 +452,14 @@ class LexerService {
       sectionName.includes(desc)
     );
 
-    // Only require numbered steps for non-descriptive sections
+    // Only require numbered steps (or a code block or table to run) for
+    // non-descriptive sections
     if (!isDescriptiveSection) {
       const hasSteps = procedure.children.some(
-        (child) => child.type === "list" && child.ordered
+        (child) =>
+          (child.type === "list" && child.ordered) ||
+          child.type === "code" ||
+          child.type === "table"
       );
 
       if (!hasSteps) {
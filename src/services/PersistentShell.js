@@ -0,0 +1,241 @@
+const { spawn } = require("child_process");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * PersistentShell - One long-lived bash process per execution session, so
+ * that `cd`, `export`, shell functions and options carry over between steps.
+ *
+ * Each command is passed to `eval` as a single-quoted word, so a syntax
+ * error cannot swallow what follows, with stdin from /dev/null so it cannot
+ * read the next command. It is followed by a sentinel line on stdout carrying
+ * the exit status and working directory, and one on stderr. The sentinel
+ * holds a fresh random token per command, so output cannot fake it.
+ *
+ * A command that exits the shell or times out (which kills the shell's
+ * process group) ends that shell; the next command starts a fresh one.
+ */
+class PersistentShell {
+  /**
+   * @param {Object} spawnOptions - cwd and env for the shell process
+   */
+  constructor(spawnOptions) {
+    this.spawnOptions = spawnOptions;
+    this.child = null;
+    this.cwd = spawnOptions.cwd;
+    this.pending = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Process ID of the running shell
+   * @returns {number|null} - PID, or null when no shell is running
+   */
+  get pid() {
+    return this.child ? this.child.pid : null;
+  }
+
+  /**
+   * Run a command in the shell, after any command already queued
+   * @param {string} command - Shell command or script
+   * @param {Object} options - Run options
+   * @param {number} options.timeout - Milliseconds before the shell is killed
+   * @param {Function} options.onOutput - Called with (stream, chunk) as
+   *   output arrives
+   * @param {boolean} options.subshell - Run in a subshell that inherits the
+   *   directory and environment but cannot change them or exit the shell
+   * @returns {Promise<Object>} - stdout, stderr, exit_code, signal, timed_out,
+   *   shell_exited and cwd
+   */
+  run(command, options = {}) {
+    const result = this.queue.then(() => this.execute(command, options));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Start the shell process in its own process group
+   */
+  start() {
+    const child = spawn("bash", ["--noprofile", "--norc"], {
+      ...this.spawnOptions,
+      detached: true,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    // Writing to a shell that just exited fails with EPIPE; the close
+    // handler reports the exit instead
+    child.stdin.on("error", () => {});
+
+    ["stdout", "stderr"].forEach((stream) => {
+      child[stream].setEncoding("utf8");
+      child[stream].on("data", (chunk) => {
+        if (this.pending && this.pending.child === child) {
+          this.pending.receive(stream, chunk);
+        }
+      });
+    });
+
+    child.on("error", (error) => {
+      if (this.child === child) {
+        this.child = null;
+      }
+      if (this.pending && this.pending.child === child) {
+        this.pending.fail(error);
+      }
+    });
+
+    child.on("close", (code, signal) => {
+      if (this.child === child) {
+        this.child = null;
+        this.cwd = this.spawnOptions.cwd;
+      }
+      if (this.pending && this.pending.child === child) {
+        this.pending.exited(code, signal);
+      }
+    });
+
+    this.child = child;
+  }
+
+  /**
+   * Write one command and wait for both sentinels, or for the shell to end
+   * @param {string} command - Shell command or script
+   * @param {Object} options - See run
+   * @returns {Promise<Object>} - Command result
+   */
+  execute(command, options) {
+    const { timeout = 30000, onOutput = () => {}, subshell = false } = options;
+    if (!this.child) {
+      this.start();
+    }
+    const child = this.child;
+
+    const token = `__entran_${uuidv4().replace(/-/g, "")}__`;
+    const quoted = `'${command.replace(/'/g, "'\\''")}'`;
+    const body = subshell ? `( eval ${quoted} )` : `{ eval ${quoted}; }`;
+    const input = [
+      `${body} < /dev/null`,
+      "__entran_status=$?",
+      `printf '\\n${token} %d %s\\n' "$__entran_status" "$PWD"`,
+      `printf '\\n${token}\\n' >&2`,
+      "",
+    ].join("\n");
+
+    // Hold back enough of each stream to recognise a sentinel split across
+    // chunks
+    const holdBack = token.length + 1;
+
+    return new Promise((resolve, reject) => {
+      const output = { stdout: "", stderr: "" };
+      const buffered = { stdout: "", stderr: "" };
+      const done = { stdout: null, stderr: null };
+      let timedOut = false;
+
+      const emit = (stream, text) => {
+        if (text) {
+          output[stream] += text;
+          onOutput(stream, text);
+        }
+      };
+
+      const settle = (result) => {
+        clearTimeout(timer);
+        this.pending = null;
+        resolve({
+          stdout: output.stdout,
+          stderr: output.stderr,
+          timed_out: timedOut,
+          cwd: this.cwd,
+          ...result,
+        });
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this.kill(child);
+      }, timeout);
+
+      this.pending = {
+        child: child,
+
+        receive: (stream, chunk) => {
+          if (done[stream]) {
+            return;
+          }
+          buffered[stream] += chunk;
+
+          const start = buffered[stream].indexOf(`\n${token}`);
+          if (start === -1) {
+            const safe = Math.max(0, buffered[stream].length - holdBack);
+            emit(stream, buffered[stream].slice(0, safe));
+            buffered[stream] = buffered[stream].slice(safe);
+            return;
+          }
+
+          const end = buffered[stream].indexOf("\n", start + 1);
+          if (end === -1) {
+            return;
+          }
+          emit(stream, buffered[stream].slice(0, start));
+          done[stream] = buffered[stream].slice(start + 1, end);
+          buffered[stream] = "";
+
+          if (done.stdout && done.stderr) {
+            const [, status, ...cwd] = done.stdout.split(" ");
+            this.cwd = cwd.join(" ") || this.cwd;
+            settle({
+              exit_code: parseInt(status, 10),
+              signal: null,
+              shell_exited: false,
+            });
+          }
+        },
+
+        exited: (code, signal) => {
+          emit("stdout", buffered.stdout);
+          emit("stderr", buffered.stderr);
+          settle({
+            exit_code: code,
+            signal: signal,
+            shell_exited: true,
+          });
+        },
+
+        fail: (error) => {
+          clearTimeout(timer);
+          this.pending = null;
+          reject(error);
+        },
+      };
+
+      child.stdin.write(input);
+    });
+  }
+
+  /**
+   * Kill a shell process and everything it started
+   * @param {Object} child - Shell process
+   */
+  kill(child) {
+    try {
+      process.kill(-child.pid, "SIGTERM");
+    } catch (error) {
+      child.kill("SIGTERM");
+    }
+  }
+
+  /**
+   * Stop the shell. A command still running ends as if the shell exited.
+   */
+  close() {
+    if (this.child) {
+      const child = this.child;
+      this.child = null;
+      this.cwd = this.spawnOptions.cwd;
+      child.stdin.end();
+      this.kill(child);
+    }
+  }
+}
+
+module.exports = PersistentShell;
@@ -0,0 +1,108 @@
+const LexerService = require("./LexerService");
+const TranspilerService = require("./TranspilerService");
+const AnalyzerService = require("./AnalyzerService");
+const ExecutionService = require("./ExecutionService");
+
+/**
+ * PipelineService - Runs the four stages back to back
+ * Compiles markdown into an analyzed program and runs it headlessly
+ */
+class PipelineService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.executionService - Execution engine to run
+   *   programs on (defaults to a new ExecutionService)
+   */
+  constructor(options = {}) {
+    this.lexerService = options.lexerService || new LexerService();
+    this.transpilerService =
+      options.transpilerService || new TranspilerService();
+    this.analyzerService = options.analyzerService || new AnalyzerService();
+    this.executionService = options.executionService || new ExecutionService();
+  }
+
+  /**
+   * Lex, transpile and analyze a markdown document
+   * @param {string} markdown - Markdown source
+   * @param {Object} options - Compile options
+   * @param {boolean} options.tool_validation - Reject unregistered tools
+   * @param {string} options.source_path - Path of the document, so that
+   *   runbooks including it are reported as cycles
+   * @returns {Object} - AST, program, analysis and transpile warnings, or
+   *   the failing stage's errors
+   */
+  async compile(markdown, options = {}) {
+    const { tool_validation = true, source_path = null } = options;
+
+    const parsed = await this.lexerService.parse(markdown);
+    if (!parsed.success) {
+      return this.stageFailure("lexer", parsed.errors);
+    }
+
+    const transpiled = await this.transpilerService.transpile(parsed.ast, {
+      tool_validation,
+      source_path,
+    });
+    if (!transpiled.success) {
+      return this.stageFailure("transpiler", transpiled.errors);
+    }
+
+    const analyzed = await this.analyzerService.analyze(transpiled.program);
+    if (!analyzed.success) {
+      return this.stageFailure("analyzer", analyzed.errors);
+    }
+
+    return {
+      success: true,
+      ast: parsed.ast,
+      program: transpiled.program,
+      analysis: analyzed.analysis,
+      warnings: transpiled.warnings || [],
+    };
+  }
+
+  /**
+   * Compile a markdown document and run the program to completion
+   * @param {string} markdown - Markdown source
+   * @param {Object} options - Compile options plus execution options
+   * @returns {Object} - Run report with the transpile warnings, or the
+   *   failing stage's errors
+   */
+  async run(markdown, options = {}) {
+    const { tool_validation, source_path, ...executionOptions } = options;
+
+    const compiled = await this.compile(markdown, {
+      tool_validation,
+      source_path,
+    });
+    if (!compiled.success) {
+      return compiled;
+    }
+
+    const result = await this.executionService.runToCompletion(
+      compiled.program,
+      compiled.analysis,
+      executionOptions
+    );
+    if (result.report) {
+      result.report.warnings = compiled.warnings;
+    }
+    return result;
+  }
+
+  /**
+   * Build the result for a stage that failed
+   * @param {string} stage - Stage name
+   * @param {Array} errors - Stage errors
+   * @returns {Object} - Failure result
+   */
+  stageFailure(stage, errors) {
+    return {
+      success: false,
+      stage: stage,
+      errors: errors || [],
+    };
+  }
+}
+
+module.exports = PipelineService;
@@ -0,0 +1,391 @@
+const { createClient } = require("redis");
+const { v4: uuidv4 } = require("uuid");
+const { sleep } = require("../utils/helpers");
+
+/**
+ * Session stores for execution sessions.
+ *
+ * Every store implements the same async interface:
+ *   get(id), set(id, session), delete(id), has(id), list(), size(),
+ *   withLock(id, task)
+ *
+ * withLock runs a get, mutate, set sequence on one session at a time, so
+ * concurrent commands on a session cannot overwrite each other's changes.
+ *
+ * Sessions are plain objects except for the createdAt/lastActivity dates,
+ * which serializeSession/deserializeSession convert so that a session
+ * (program, stack, heap, breakpoints, history) rehydrates losslessly.
+ */
+
+/**
+ * Serialize execution session to JSON
+ * @param {Object} session - Execution session
+ * @returns {string} - JSON representation
+ */
+function serializeSession(session) {
+  return JSON.stringify({
+    ...session,
+    createdAt: toISOString(session.createdAt),
+    lastActivity: toISOString(session.lastActivity),
+  });
+}
+
+/**
+ * Rehydrate execution session from JSON
+ * @param {string} json - JSON produced by serializeSession
+ * @returns {Object} - Execution session
+ */
+function deserializeSession(json) {
+  const session = JSON.parse(json);
+  session.createdAt = new Date(session.createdAt);
+  session.lastActivity = new Date(session.lastActivity);
+  return session;
+}
+
+/**
+ * Convert date-like value to ISO string
+ * @param {Date|string} value - Date or ISO string
+ * @returns {string} - ISO string
+ */
+function toISOString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Run tasks with the same key one after another within this process
+ * @param {Map} queues - Tail of each key's queue
+ * @param {string} key - Queue key
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} - Task result
+ */
+function runExclusive(queues, key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) {
+      queues.delete(key);
+    }
+  });
+
+  return run;
+}
+
+// Deletes the lock only if this holder still owns it
+const RELEASE_LOCK_SCRIPT = `if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+/**
+ * In-memory session store (single process, lost on restart)
+ */
+class MemorySessionStore {
+  constructor() {
+    this.type = "memory";
+    this.sessions = new Map();
+    this.locks = new Map();
+  }
+
+  /**
+   * Run a task while holding the session's lock
+   * @param {string} sessionId - Session ID
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} - Task result
+   */
+  async withLock(sessionId, task) {
+    return runExclusive(this.locks, sessionId, task);
+  }
+
+  /**
+   * Load session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Session or null if not found
+   */
+  async get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Save session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Execution session
+   */
+  async set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+  }
+
+  /**
+   * Delete session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True if a session was deleted
+   */
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Check whether session exists
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True if session exists
+   */
+  async has(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * List all stored sessions
+   * @returns {Promise<Array>} - Sessions
+   */
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+
+  /**
+   * Count stored sessions
+   * @returns {Promise<number>} - Session count
+   */
+  async size() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Redis-backed session store, shared across server processes.
+ *
+ * Accepts either a Redis URL or a ready client. Any client exposing the
+ * node-redis v4 methods get, set, del, exists, sAdd, sRem, sMembers,
+ * pExpire and eval works, so tests can pass an in-process fake instead of
+ * a redis-server.
+ *
+ * Session locks are Redis keys set with NX and an expiry that is renewed
+ * while the task runs, so a crashed process cannot hold a session forever.
+ */
+class RedisSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.client - Existing Redis client
+   * @param {string} options.url - Redis URL used when no client is given
+   * @param {string} options.prefix - Key prefix
+   * @param {number} options.ttl - Session expiry in seconds
+   * @param {number} options.lockTtl - Lock expiry in milliseconds
+   * @param {number} options.lockTimeout - How long to wait for a session
+   *   locked by another process, in milliseconds
+   * @param {number} options.lockRetryDelay - Delay between lock attempts
+   */
+  constructor(options = {}) {
+    const {
+      client = null,
+      url = "redis://localhost:6379",
+      prefix = "entran:",
+      ttl = 60 * 60, // 1 hour, matching inactive session cleanup
+      lockTtl = 30 * 1000,
+      lockTimeout = 5 * 60 * 1000, // a continue may run a whole program
+      lockRetryDelay = 50,
+    } = options;
+
+    this.type = "redis";
+    this.client = client || createClient({ url });
+    this.prefix = prefix;
+    this.ttl = ttl;
+    this.lockTtl = lockTtl;
+    this.lockTimeout = lockTimeout;
+    this.lockRetryDelay = lockRetryDelay;
+    this.connecting = null;
+    this.locks = new Map();
+    this.lastError = null;
+
+    // Without a listener a dropped connection's error event would crash
+    // the process; node-redis reconnects on its own
+    if (typeof this.client.on === "function") {
+      this.client.on("error", (error) => {
+        if (!this.lastError || this.lastError.message !== error.message) {
+          console.error(`Redis session store error: ${error.message}`);
+        }
+        this.lastError = error;
+      });
+    }
+  }
+
+  /**
+   * Connect the client on first use
+   * @returns {Object} - Connected client
+   */
+  async connection() {
+    if (typeof this.client.connect === "function" && !this.client.isOpen) {
+      if (!this.connecting) {
+        this.connecting = this.client.connect().finally(() => {
+          this.connecting = null;
+        });
+      }
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  /**
+   * Build Redis key for a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Redis key
+   */
+  sessionKey(sessionId) {
+    return `${this.prefix}session:${sessionId}`;
+  }
+
+  /**
+   * Build Redis key for the set of session IDs
+   * @returns {string} - Redis key
+   */
+  indexKey() {
+    return `${this.prefix}sessions`;
+  }
+
+  /**
+   * Build Redis key for a session's lock
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Redis key
+   */
+  lockKey(sessionId) {
+    return `${this.prefix}lock:${sessionId}`;
+  }
+
+  /**
+   * Run a task while holding the session's lock, waiting for tasks in this
+   * process first and then for other processes
+   * @param {string} sessionId - Session ID
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} - Task result
+   */
+  async withLock(sessionId, task) {
+    return runExclusive(this.locks, sessionId, async () => {
+      const client = await this.connection();
+      const key = this.lockKey(sessionId);
+      const token = uuidv4();
+      const deadline = Date.now() + this.lockTimeout;
+
+      while (!(await client.set(key, token, { NX: true, PX: this.lockTtl }))) {
+        if (Date.now() >= deadline) {
+          throw new Error(`Session ${sessionId} is locked by another process`);
+        }
+        await sleep(this.lockRetryDelay);
+      }
+
+      const renewal = setInterval(() => {
+        client.pExpire(key, this.lockTtl).catch(() => {});
+      }, Math.max(this.lockTtl / 3, 1));
+      renewal.unref();
+
+      try {
+        return await task();
+      } finally {
+        clearInterval(renewal);
+        await client.eval(RELEASE_LOCK_SCRIPT, {
+          keys: [key],
+          arguments: [token],
+        });
+      }
+    });
+  }
+
+  /**
+   * Load session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Session or null if not found
+   */
+  async get(sessionId) {
+    const client = await this.connection();
+    const json = await client.get(this.sessionKey(sessionId));
+    return json ? deserializeSession(json) : null;
+  }
+
+  /**
+   * Save session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Execution session
+   */
+  async set(sessionId, session) {
+    const client = await this.connection();
+    await client.set(this.sessionKey(sessionId), serializeSession(session), {
+      EX: this.ttl,
+    });
+    await client.sAdd(this.indexKey(), sessionId);
+  }
+
+  /**
+   * Delete session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True if a session was deleted
+   */
+  async delete(sessionId) {
+    const client = await this.connection();
+    const deleted = await client.del(this.sessionKey(sessionId));
+    await client.sRem(this.indexKey(), sessionId);
+    return deleted > 0;
+  }
+
+  /**
+   * Check whether session exists
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True if session exists
+   */
+  async has(sessionId) {
+    const client = await this.connection();
+    return (await client.exists(this.sessionKey(sessionId))) > 0;
+  }
+
+  /**
+   * List all stored sessions
+   * @returns {Promise<Array>} - Sessions
+   */
+  async list() {
+    const client = await this.connection();
+    const sessionIds = await client.sMembers(this.indexKey());
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await this.get(sessionId);
+      if (session) {
+        sessions.push(session);
+      } else {
+        // Session key expired; drop it from the index
+        await client.sRem(this.indexKey(), sessionId);
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Count stored sessions
+   * @returns {Promise<number>} - Session count
+   */
+  async size() {
+    return (await this.list()).length;
+  }
+}
+
+/**
+ * Create session store from configuration, falling back to memory
+ * @param {Object} options - Store options
+ * @param {string} options.redisUrl - Redis URL (defaults to REDIS_URL env)
+ * @returns {MemorySessionStore|RedisSessionStore} - Session store
+ */
+function createSessionStore(options = {}) {
+  const { redisUrl = process.env.REDIS_URL, ...redisOptions } = options;
+
+  if (redisUrl) {
+    return new RedisSessionStore({ ...redisOptions, url: redisUrl });
+  }
+
+  return new MemorySessionStore();
+}
+
+module.exports = {
+  MemorySessionStore,
+  RedisSessionStore,
+  createSessionStore,
+  serializeSession,
+  deserializeSession,
+};
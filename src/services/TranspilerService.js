@@ -1,17 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+const LexerService = require("./LexerService");
 const {
   extractTroubleshootingPatterns,
   isCommand,
   extractTool,
 } = require("../utils/markdownValidator");
 const { generateId } = require("../utils/helpers");
+const { findOutputParser } = require("../utils/outputParsers");
+const { parseExpression } = require("../utils/expressions");
+const {
+  extractCommandTools,
+  splitScriptLines,
+  extractScriptTools,
+  listScriptVariables,
+} = require("../utils/shell");
+const {
+  normalizeInputDeclaration,
+  parseInputDeclarationText,
+} = require("../utils/inputs");
+const { findCodeRunner, isSampleLanguage } = require("../utils/codeRunners");
+const {
+  inferColumnRole,
+  toColumnKey,
+  parseCellValue,
+  isWildcardCell,
+} = require("../utils/tables");
 
 /**
  * TranspilerService - Stage 2: Convert AST to LLM-optimized program format
  * Transforms parsed markdown AST into structured execution format with tool definitions
  */
 class TranspilerService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.documentRoot - Directory included runbooks are
+   *   resolved from (defaults to $ENTRAN_DOC_ROOT or the working directory)
+   * @param {Object} options.lexerService - Lexer for included runbooks
+   */
+  constructor(options = {}) {
+    this.documentRoot = path.resolve(
+      options.documentRoot || process.env.ENTRAN_DOC_ROOT || process.cwd()
+    );
+    this.lexerService = options.lexerService || new LexerService();
     this.toolRegistry = this.initializeToolRegistry();
+    this.expectationTools = this.initializeExpectationTools();
+    this.conditionPhrases = this.initializeConditionPhrases();
+    this.rollbackInverses = this.initializeRollbackInverses();
+    this.shellLanguages = this.initializeShellLanguages();
   }
 
   /**
@@ -26,13 +62,37 @@ class TranspilerService {
         optimize = true,
         include_metadata = true,
         tool_validation = true,
+        source_path = null,
+        namespace = null,
+        include_chain = [],
       } = options;
 
       // Extract basic program info
       const programInfo = this.extractProgramInfo(ast);
 
+      // Collect typed inputs from front matter and "## Inputs" sections
+      const inputs = this.extractInputs(ast);
+      if (inputs.errors.length > 0) {
+        return {
+          success: false,
+          errors: inputs.errors,
+        };
+      }
+
       // Convert AST nodes to procedures
-      const procedures = this.convertToProcedures(ast);
+      const procedures = this.convertToProcedures(ast, namespace);
+
+      // Link procedures included from other runbooks
+      const includeChain = source_path
+        ? [...include_chain, path.resolve(this.documentRoot, source_path)]
+        : include_chain;
+      const linked = await this.linkIncludes(procedures, includeChain);
+      if (linked.errors.length > 0) {
+        return {
+          success: false,
+          errors: linked.errors,
+        };
+      }
 
       // Extract and validate tools
       const usedTools = this.extractUsedTools(procedures);
@@ -46,7 +106,61 @@ class TranspilerService {
         }
       }
 
-      // Build execution order
+      // Resolve anchor links to procedure IDs
+      const jumpValidation = this.resolveJumpTargets(procedures);
+      if (!jumpValidation.valid) {
+        return {
+          success: false,
+          errors: jumpValidation.errors,
+        };
+      }
+
+      // Reject conditions that do not parse as expressions
+      const conditionValidation = this.validateConditions(procedures);
+      if (!conditionValidation.valid) {
+        return {
+          success: false,
+          errors: conditionValidation.errors,
+        };
+      }
+
+      // Reject "on error" annotations that name no known policy
+      const policyValidation = this.validateErrorPolicies(procedures);
+      if (!policyValidation.valid) {
+        return {
+          success: false,
+          errors: policyValidation.errors,
+        };
+      }
+
+      // Reject procedure parameters that do not declare a valid input
+      const parameterValidation = this.validateParameters(procedures);
+      if (!parameterValidation.valid) {
+        return {
+          success: false,
+          errors: parameterValidation.errors,
+        };
+      }
+
+      // Reject code blocks their runner cannot turn into a command
+      const codeValidation = this.validateCodeBlocks(procedures);
+      if (!codeValidation.valid) {
+        return {
+          success: false,
+          errors: codeValidation.errors,
+        };
+      }
+
+      // Reject tables that cannot be loaded or decided
+      const tableValidation = this.validateTables(procedures);
+      if (!tableValidation.valid) {
+        return {
+          success: false,
+          errors: tableValidation.errors,
+        };
+      }
+
+      // Build execution order (the default path; jumps may leave it)
       const executionOrder = this.buildExecutionOrder(procedures);
 
       // Create transpiled program
@@ -57,9 +171,13 @@ class TranspilerService {
         procedures: procedures,
         execution_order: executionOrder,
         global_memory: {},
+        inputs: inputs.inputs,
         error_handling: {
           on_tool_error: "continue",
           on_condition_error: "abort",
+          on_assertion_error: "abort",
+          max_retries: 3,
+          retry_delay: 1000,
           timeout: 30000,
         },
       };
@@ -81,6 +199,7 @@ class TranspilerService {
       return {
         success: true,
         program: program,
+        warnings: this.findProseConditions(procedures),
       };
     } catch (error) {
       return {
@@ -117,9 +236,10 @@ class TranspilerService {
   /**
    * Convert AST sections to structured procedures
    * @param {Object} ast - Input AST
+   * @param {string|null} namespace - ID prefix for an included runbook
    * @returns {Array} - Array of procedures
    */
-  convertToProcedures(ast) {
+  convertToProcedures(ast, namespace = null) {
     const procedures = [];
 
     // Find all H2 sections (procedures)
@@ -128,9 +248,335 @@ class TranspilerService {
     );
 
     for (const section of procedureSections) {
-      const procedure = this.convertSectionToProcedure(section);
-      if (procedure) {
-        procedures.push(procedure);
+      if (this.isInputSection(section)) {
+        continue;
+      }
+      if (/expected results?/i.test(section.text)) {
+        procedures.push(
+          this.convertExpectationSection(section, procedures, namespace)
+        );
+      } else {
+        procedures.push(...this.convertSectionTree(section, null, namespace));
+      }
+    }
+
+    return procedures;
+  }
+
+  /**
+   * Check whether a section declares the program's inputs
+   * @param {Object} section - AST section node
+   * @returns {boolean} - True for "## Inputs" and "## Parameters"
+   */
+  isInputSection(section) {
+    return /^(?:inputs|parameters)$/i.test(section.text.trim());
+  }
+
+  /**
+   * Collect input declarations from the "inputs" key of the front matter
+   * and the bullets of "## Inputs" sections
+   * @param {Object} ast - Input AST
+   * @returns {Object} - { inputs, errors } with inputs keyed by name
+   */
+  extractInputs(ast) {
+    const declarations = [];
+    const errors = [];
+    const declarationError = (message) =>
+      errors.push({
+        type: "input_declaration_error",
+        message: message,
+        suggestion:
+          "Declare inputs as `name` (type, default value): description, with types string, number, integer, boolean, host or list",
+      });
+
+    const frontMatter = (ast.metadata && ast.metadata.front_matter) || {};
+    const declared = frontMatter.inputs || frontMatter.parameters;
+    if (declared && (typeof declared !== "object" || Array.isArray(declared))) {
+      declarationError("Front matter 'inputs' must map input names to types");
+    } else if (declared) {
+      declarations.push(...Object.entries(declared));
+    }
+
+    const sections = ast.children.filter(
+      (child) =>
+        child.type === "heading" &&
+        child.level === 2 &&
+        this.isInputSection(child)
+    );
+    for (const section of sections) {
+      for (const node of section.children || []) {
+        if (node.type !== "list") continue;
+
+        for (const item of node.items) {
+          const parsed = parseInputDeclarationText(item.text);
+          if (parsed) {
+            declarations.push([parsed.name, parsed.spec]);
+          } else {
+            declarationError(`Cannot read input declaration '${item.text}'`);
+          }
+        }
+      }
+    }
+
+    const inputs = {};
+    for (const [name, spec] of declarations) {
+      if (inputs[name]) {
+        declarationError(`Input '${name}' is declared more than once`);
+        continue;
+      }
+      const normalized = normalizeInputDeclaration(name, spec);
+      if (normalized.error) {
+        declarationError(normalized.error);
+      } else {
+        inputs[name] = normalized.input;
+      }
+    }
+
+    return { inputs, errors };
+  }
+
+  /**
+   * Convert an "Expected Results" section into a procedure of assertion
+   * steps. Bullets in the section and its subsections are checked against
+   * the output of the latest earlier command they refer to; bullets without
+   * a recognisable comparator or command become notes.
+   * @param {Object} section - AST section node
+   * @param {Array} previousProcedures - Procedures compiled before it
+   * @param {string|null} namespace - ID prefix for an included runbook
+   * @returns {Object} - Procedure object
+   */
+  convertExpectationSection(section, previousProcedures, namespace = null) {
+    const procedureId = this.generateProcedureId(section.text, namespace);
+    const sources = previousProcedures
+      .flatMap((proc) => proc.steps)
+      .flatMap((step) => this.collectExpectationSources(step));
+
+    const procedure = {
+      id: procedureId,
+      name: section.text,
+      anchor: section.id,
+      parent: null,
+      scope: "local",
+      variables: {},
+      steps: [],
+      output: {},
+    };
+
+    const lists = (section.children || []).flatMap((child) =>
+      child.type === "list"
+        ? [child]
+        : (child.children || []).filter((node) => node.type === "list")
+    );
+
+    lists.forEach((list) => {
+      list.items.forEach((item) => {
+        procedure.steps.push(
+          this.createExpectationStep(
+            item.text.trim(),
+            procedure.steps.length + 1,
+            procedureId,
+            sources
+          )
+        );
+      });
+    });
+
+    return procedure;
+  }
+
+  /**
+   * List what an expectation can check in a step: the tools each command,
+   * script or code block under it runs, including loop bodies and
+   * condition branches, whose output is recorded under the step itself
+   * @param {Object} step - Program step
+   * @returns {Array} - { step_id, tools, branch } candidates
+   */
+  collectExpectationSources(step) {
+    const toolsOf = (action) => {
+      if (!action) {
+        return [];
+      }
+      switch (action.type) {
+        case "command":
+        case "code":
+          return action.tool ? [action.tool] : [];
+        case "script":
+          return extractScriptTools(action.script);
+        default:
+          return [];
+      }
+    };
+
+    if (step.type === "conditional") {
+      return ["true", "false"]
+        .map((branch) => ({
+          step_id: step.id,
+          tools: toolsOf(step[`${branch}_branch`]),
+          branch: branch,
+        }))
+        .filter((candidate) => candidate.tools.length > 0);
+    }
+
+    if (step.type === "loop") {
+      return (step.body || [])
+        .flatMap((bodyStep) => this.collectExpectationSources(bodyStep))
+        .map(({ tools }) => ({ step_id: step.id, tools: tools }));
+    }
+
+    const tools = toolsOf(step);
+    return tools.length > 0 ? [{ step_id: step.id, tools: tools }] : [];
+  }
+
+  /**
+   * Create assertion step from an expectation bullet such as
+   * "**Ping responses**: Should receive replies with RTT < 100ms"
+   * @param {string} text - Bullet text
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @param {Array} sources - Earlier steps to bind to
+   * @returns {Object} - Assertion step, or note step if it cannot be checked
+   */
+  createExpectationStep(text, stepIndex, procedureId, sources) {
+    const subjectMatch = text.match(/^\*\*([^*]+)\*\*:?\s*(.*)$/);
+    const subject = subjectMatch ? subjectMatch[1].trim() : text;
+    const expectation = subjectMatch ? subjectMatch[2].trim() : text;
+
+    const comparator = this.parseExpectationComparator(expectation);
+    const source = comparator
+      ? this.bindExpectationSource(text, comparator, sources)
+      : null;
+
+    if (!comparator || !source) {
+      return {
+        id: `${procedureId}_note_${stepIndex}`,
+        type: "note",
+        level: "info",
+        message: `Expectation not checked automatically: ${text}`,
+        description: text,
+      };
+    }
+
+    return {
+      id: `${procedureId}_assert_${stepIndex}`,
+      type: "assertion",
+      subject: subject,
+      source: source,
+      comparator: comparator,
+      expected: expectation,
+      description: text,
+    };
+  }
+
+  /**
+   * Parse comparator for latency, status code, substring or regex checks
+   * @param {string} text - Expectation text
+   * @returns {Object|null} - Comparator or null if none is recognised
+   */
+  parseExpectationComparator(text) {
+    const regexMatch = text.match(/\bmatch(?:es)?\s+\/(.+)\/([gimsuy]*)/i);
+    if (regexMatch) {
+      return { type: "regex", pattern: regexMatch[1], flags: regexMatch[2] };
+    }
+
+    const statusMatch =
+      text.match(/status(?:\s+codes?)?\s+(\d{3})(?:\s*[-–]\s*(\d{3}))?/i) ||
+      text.match(/\b(\d{3})(?:\s*[-–]\s*(\d{3}))?\s+status/i);
+    if (statusMatch) {
+      return {
+        type: "status_code",
+        min: parseInt(statusMatch[1], 10),
+        max: parseInt(statusMatch[2] || statusMatch[1], 10),
+      };
+    }
+
+    const latencyMatch = text.match(
+      /(<=?|under|below|within|less than)\s*(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\s*(ms|milliseconds?|s|secs?|seconds?)\b/i
+    );
+    if (latencyMatch) {
+      const bound = parseFloat(latencyMatch[3] || latencyMatch[2]);
+      const unit = latencyMatch[4].toLowerCase();
+      const inclusive = /^(<=|within)$/i.test(latencyMatch[1]);
+      return {
+        type: "latency",
+        operator: inclusive ? "<=" : "<",
+        value_ms: unit.startsWith("m") ? bound : bound * 1000,
+      };
+    }
+
+    const substringMatch = text.match(
+      /\b(?:contain|include|show|display|print|output|return|report)s?\s+(?:["'`]([^"'`]+)["'`]|([A-Z][A-Z0-9_]+)\b)/
+    );
+    if (substringMatch) {
+      return {
+        type: "substring",
+        value: substringMatch[1] || substringMatch[2],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Bind expectation to a $variable it names or to the latest earlier
+   * step running a tool it refers to
+   * @param {string} text - Expectation text
+   * @param {Object} comparator - Parsed comparator
+   * @param {Array} sources - Candidates from collectExpectationSources
+   * @returns {Object|null} - Source { variable } or { step_id, tool, branch }
+   */
+  bindExpectationSource(text, comparator, sources) {
+    const variableMatch = text.match(/\$(\w+)/);
+    if (variableMatch) {
+      return { variable: variableMatch[1] };
+    }
+
+    const words = text.toLowerCase();
+    const tools = new Set();
+    Object.entries(this.expectationTools).forEach(([keyword, keywordTools]) => {
+      if (words.includes(keyword)) {
+        keywordTools.forEach((tool) => tools.add(tool));
+      }
+    });
+    if (comparator.type === "status_code") {
+      this.expectationTools.http.forEach((tool) => tools.add(tool));
+    }
+
+    const step = [...sources]
+      .reverse()
+      .find((candidate) => candidate.tools.some((tool) => tools.has(tool)));
+    if (!step) {
+      return null;
+    }
+
+    const source = {
+      step_id: step.step_id,
+      tool: step.tools.find((tool) => tools.has(tool)),
+    };
+    if (step.branch) {
+      source.branch = step.branch;
+    }
+    return source;
+  }
+
+  /**
+   * Convert a section and its nested subsections to a flat list of procedures
+   * @param {Object} section - AST section node
+   * @param {string|null} parentId - Parent procedure ID for subsections
+   * @param {string|null} namespace - ID prefix for an included runbook
+   * @returns {Array} - Procedure followed by its sub-procedures
+   */
+  convertSectionTree(section, parentId = null, namespace = null) {
+    const procedure = this.convertSectionToProcedure(
+      section,
+      parentId,
+      namespace
+    );
+    if (!procedure) return [];
+
+    const procedures = [procedure];
+    for (const child of section.children || []) {
+      if (child.type === "heading" && child.children) {
+        procedures.push(...this.convertSectionTree(child, procedure.id));
       }
     }
 
@@ -140,14 +586,20 @@ class TranspilerService {
   /**
    * Convert individual AST section to procedure
    * @param {Object} section - AST section node
+   * @param {string|null} parentId - Parent procedure ID for subsections
+   * @param {string|null} namespace - ID prefix for an included runbook
    * @returns {Object} - Procedure object
    */
-  convertSectionToProcedure(section) {
-    const procedureId = this.generateProcedureId(section.text);
+  convertSectionToProcedure(section, parentId = null, namespace = null) {
+    const procedureId = parentId
+      ? this.generateSubprocedureId(parentId, section.text)
+      : this.generateProcedureId(section.text, namespace);
 
     const procedure = {
       id: procedureId,
       name: section.text,
+      anchor: section.id,
+      parent: parentId,
       scope: "local",
       variables: {},
       steps: [],
@@ -157,14 +609,64 @@ class TranspilerService {
     // Process all children of this section
     if (section.children) {
       let stepIndex = 1;
+      let caption = null;
+
+      for (const [index, child] of section.children.entries()) {
+        // "**Otherwise:**" paragraphs complete the preceding conditional
+        if (this.attachElseParagraph(child, procedure.steps)) {
+          continue;
+        }
 
-      for (const child of section.children) {
-        const steps = this.processContentNode(child, stepIndex, procedureId);
+        // "**Rollback:**" paragraphs undo the preceding step
+        if (this.attachRollbackParagraph(child, procedure.steps)) {
+          continue;
+        }
+
+        // text, output and console blocks show what the preceding step
+        // prints; they never run
+        if (this.attachSampleBlock(child, procedure.steps)) {
+          continue;
+        }
+
+        // "**On error:**" paragraphs set the procedure's error policy
+        if (this.attachErrorPolicyParagraph(child, procedure)) {
+          continue;
+        }
+
+        // "**Parameters:**" and "**Returns:**" paragraphs declare how
+        // callers pass values in and get a result back
+        if (this.attachSignatureParagraph(child, procedure)) {
+          continue;
+        }
+
+        // Blank lines produce no steps and keep a caption with its table
+        if (child.type === "space") {
+          continue;
+        }
+
+        // A paragraph ending in ":" right before a table is its caption
+        const next = section.children
+          .slice(index + 1)
+          .find((sibling) => sibling.type !== "space");
+        if (next && next.type === "table" && this.matchTableCaption(child)) {
+          caption = child.text.trim();
+          continue;
+        }
+
+        const steps = this.processContentNode(
+          caption ? { ...child, caption } : child,
+          stepIndex,
+          procedureId
+        );
+        caption = null;
+        steps.forEach((step) => this.bindDecisionSource(step, procedure.steps));
         procedure.steps.push(...steps);
-        stepIndex += steps.length;
+        stepIndex += steps.filter((step) => !step.parent_step).length;
       }
     }
 
+    procedure.steps.forEach((step) => this.inferRollback(step));
+
     return procedure;
   }
 
@@ -185,6 +687,10 @@ class TranspilerService {
         return this.processCodeNode(node, stepIndex, procedureId);
       case "blockquote":
         return this.processBlockquoteNode(node, stepIndex, procedureId);
+      case "heading":
+        return this.processHeadingNode(node, stepIndex, procedureId);
+      case "table":
+        return this.processTableNode(node, stepIndex, procedureId);
       default:
         return [];
     }
@@ -200,21 +706,55 @@ class TranspilerService {
   processListNode(listNode, startIndex, procedureId) {
     const steps = [];
 
+    // Sub-steps compiled from nested lists do not take a top-level number
+    const topLevel = () => steps.filter((step) => !step.parent_step);
+
     if (listNode.ordered) {
       // Ordered list - each item is a step
-      listNode.items.forEach((item, index) => {
-        const step = this.createStepFromListItem(
+      listNode.items.forEach((item) => {
+        // "Otherwise ..." items become the false branch of the previous step
+        const alternative = this.matchElseClause(item.text.trim());
+        const previous = steps[steps.length - 1];
+
+        // "Rollback: ..." items undo the previous step
+        const rollback = this.matchRollbackClause(item.text.trim());
+        if (rollback && previous) {
+          previous.rollback = this.createRollbackAction(rollback);
+          return;
+        }
+        const previousItem = topLevel().pop();
+        if (alternative && this.acceptsElseBranch(previousItem)) {
+          this.attachElseBranch(previousItem, alternative, item.text.trim());
+          return;
+        }
+
+        const number = startIndex + topLevel().length;
+        let step = this.createStepFromListItem(
           item,
-          startIndex + index,
-          procedureId
+          `${procedureId}_step_${number}`
         );
-        if (step) {
+
+        // A bare "Repeat until ..." item retries the previous command
+        if (this.isBareLoop(step) && previous && previous.type === "command") {
+          steps.pop();
+          step.id = previous.id;
+          step.body = [{ ...previous, id: `${previous.id}_body` }];
+        }
+
+        if (step && item.children) {
+          const nested = this.createSubsteps(item, step, String(number));
+          step = nested.step;
+          steps.push(step, ...nested.substeps);
+        } else if (step) {
           steps.push(step);
         }
       });
     } else {
       // Unordered list - treat as alternative options or sub-steps
-      const step = this.createChoiceStep(listNode, startIndex, procedureId);
+      const step = this.createChoiceStep(
+        listNode,
+        `${procedureId}_choice_${startIndex}`
+      );
       if (step) {
         steps.push(step);
       }
@@ -226,13 +766,124 @@ class TranspilerService {
   /**
    * Create step from ordered list item
    * @param {Object} item - List item
-   * @param {number} stepIndex - Step index
-   * @param {string} procedureId - Parent procedure ID
+   * @param {string} stepId - Step ID
    * @returns {Object} - Step object
    */
-  createStepFromListItem(item, stepIndex, procedureId) {
-    const stepId = `${procedureId}_step_${stepIndex}`;
-    const text = item.text.trim();
+  createStepFromListItem(item, stepId) {
+    const { text, policy } = this.extractStepErrorPolicy(item.text.trim());
+    const step = this.createStepFromText(stepId, text);
+
+    if (step && policy) {
+      step.on_error = policy;
+    }
+
+    return step;
+  }
+
+  /**
+   * Compile the lists indented under an ordered item. Ordered items become
+   * numbered sub-steps (2.1, 2.2) with IDs extending the parent's, and an
+   * unordered list becomes a choice between its bullets; a parent that only
+   * introduces the bullets ("2. Pick a fix:") becomes that choice itself.
+   * Sub-steps under a condition run only when it holds.
+   * @param {Object} item - List item with nested list children
+   * @param {Object} parent - Step compiled from the item
+   * @param {string} number - Parent's step number, e.g. "2" or "2.1"
+   * @returns {Object} - { step, substeps }: the parent (or the choice
+   *   replacing it) and its sub-steps in execution order
+   */
+  createSubsteps(item, parent, number) {
+    let step = parent;
+    const substeps = [];
+    let count = 0;
+
+    // "4. If $status != 200:" has no action of its own; it guards its
+    // sub-steps
+    const guard = item.text.trim().match(/^(?:if|when)\s+(.+?)\s*:?$/i);
+    if (step.type === "analysis" && guard) {
+      const { input, extract, ...rest } = step;
+      step = {
+        ...rest,
+        type: "conditional",
+        condition: this.parseCondition(guard[1]),
+        true_branch: null,
+        false_branch: null,
+      };
+    }
+
+    for (const listNode of item.children) {
+      if (!listNode.ordered) {
+        if (step.type === "analysis" && count === 0) {
+          step = {
+            ...this.createChoiceStep(listNode, step.id),
+            description: step.description,
+          };
+          continue;
+        }
+
+        count++;
+        substeps.push({
+          ...this.createChoiceStep(listNode, `${parent.id}_${count}`),
+          parent_step: step.id,
+          number: `${number}.${count}`,
+        });
+        continue;
+      }
+
+      for (const child of listNode.items) {
+        count++;
+        const substep = this.createStepFromListItem(
+          child,
+          `${parent.id}_${count}`
+        );
+        if (!substep) {
+          continue;
+        }
+        substep.parent_step = step.id;
+        substep.number = `${number}.${count}`;
+
+        if (child.children) {
+          const nested = this.createSubsteps(child, substep, substep.number);
+          substeps.push(nested.step, ...nested.substeps);
+        } else {
+          substeps.push(substep);
+        }
+      }
+    }
+
+    if (substeps.length > 0) {
+      step.substeps = substeps.map((substep) => substep.id);
+    }
+    return { step, substeps };
+  }
+
+  /**
+   * Create step from the text of a list item or loop body
+   * @param {string} stepId - Step ID
+   * @param {string} text - Step text
+   * @returns {Object} - Step object
+   */
+  createStepFromText(stepId, text) {
+    // Check if this is a loop ("repeat until ...", "for each ... in ...")
+    const loop = this.createLoopStep(stepId, text);
+    if (loop) {
+      return loop;
+    }
+
+    // Check if this runs a procedure from another runbook
+    const include = this.createIncludeStep(stepId, text);
+    if (include) {
+      return include;
+    }
+
+    // Items opening with a condition are conditionals even when their
+    // branches contain commands
+    if (/^(?:\*\*[^*]+\*\*:?\s*)?(?:if|when|unless)\b/i.test(text)) {
+      const conditional = this.createConditionalStep(stepId, text);
+      if (conditional) {
+        return conditional;
+      }
+    }
 
     // Check if this is a command step
     const commandMatch = text.match(/`([^`]+)`/);
@@ -252,21 +903,22 @@ class TranspilerService {
       };
     }
 
-    // Check if this is a conditional step
-    const conditionMatch = text.match(
-      /\b(if|when|unless)\s+(.+?)[,:]?\s*(then)?\s*(.+)/i
-    );
-    if (conditionMatch) {
+    // Check if this is a jump to another procedure
+    const action = this.parseAction(text);
+    if (action.type === "jump") {
       return {
         id: stepId,
-        type: "conditional",
-        condition: this.parseCondition(conditionMatch[2]),
-        true_branch: this.parseAction(conditionMatch[4]),
-        false_branch: null,
+        ...action,
         description: text,
       };
     }
 
+    // Check if this is a conditional step
+    const conditional = this.createConditionalStep(stepId, text);
+    if (conditional) {
+      return conditional;
+    }
+
     // Default to analysis/text step
     return {
       id: stepId,
@@ -278,221 +930,1806 @@ class TranspilerService {
   }
 
   /**
-   * Create choice step from unordered list
-   * @param {Object} listNode - List node
-   * @param {number} stepIndex - Step index
-   * @param {string} procedureId - Parent procedure ID
-   * @returns {Object} - Choice step
+   * Create loop step from "repeat until X (max 5 times, wait 2s)" or
+   * "for each item in $items, ..." text
+   * @param {string} stepId - Step ID
+   * @param {string} text - Step text
+   * @returns {Object|null} - Loop step or null if text is not a loop
+   */
+  createLoopStep(stepId, text) {
+    const forEachMatch = text.match(
+      /^for\s+(?:each|every)\s+\$?(\w+)\s+in\s+\$?(\w+)\s*[,:]?\s*(.*)$/i
+    );
+    if (forEachMatch) {
+      const bodyText = forEachMatch[3].trim();
+      return {
+        id: stepId,
+        type: "loop",
+        loop_type: "for_each",
+        variable: forEachMatch[1],
+        collection: forEachMatch[2],
+        max_iterations: null,
+        wait_ms: 0,
+        body: bodyText
+          ? [this.createStepFromText(`${stepId}_body`, bodyText)]
+          : [],
+        description: text,
+      };
+    }
+
+    const untilMatch = text.match(
+      /^(.*?)\b(?:repeat|retry)\b(.*?)\buntil\s+(.+)$/i
+    );
+    if (!untilMatch) {
+      return null;
+    }
+
+    // Trailing "(max 5 times, wait 2s)" or ", up to 5 times" modifiers
+    let conditionText = untilMatch[3].trim();
+    let modifiers = "";
+    const modifierMatch = conditionText.match(
+      /\s*(?:\(|,\s*)((?:max(?:imum)?|up to|at most|wait(?:ing)?|every)\b[^)]*)\)?\s*\.?$/i
+    );
+    if (modifierMatch) {
+      modifiers = modifierMatch[1];
+      conditionText = conditionText.substring(0, modifierMatch.index).trim();
+    }
+
+    const maxMatch = modifiers.match(/(?:max(?:imum)?|up to|at most)\s+(\d+)/i);
+    const bodyText = `${untilMatch[1]} ${untilMatch[2]}`
+      .replace(/(?:\s*[,;]|\s+(?:and|then))+\s*$/i, "")
+      .trim();
+    const bodyStep = bodyText
+      ? this.createStepFromText(`${stepId}_body`, bodyText)
+      : null;
+
+    return {
+      id: stepId,
+      type: "loop",
+      loop_type: "until",
+      condition: this.parseCondition(conditionText.replace(/\.$/, "")),
+      max_iterations: maxMatch ? parseInt(maxMatch[1], 10) : null,
+      wait_ms: this.parseLoopWait(modifiers),
+      // Prose such as "retry the check until ..." leaves the body empty so
+      // the loop retries the previous command instead
+      body: bodyStep && bodyStep.type !== "analysis" ? [bodyStep] : [],
+      description: text,
+    };
+  }
+
+  /**
+   * Parse "wait 2s" / "every 500ms" loop modifier into milliseconds
+   * @param {string} modifiers - Loop modifier text
+   * @returns {number} - Wait between iterations in milliseconds
+   */
+  parseLoopWait(modifiers) {
+    const waitMatch = modifiers.match(
+      /(?:wait(?:ing)?|every)\s+(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?)\b/i
+    );
+    if (!waitMatch) {
+      return 0;
+    }
+
+    const unit = waitMatch[2].toLowerCase();
+    const multiplier =
+      unit.startsWith("ms") || unit.startsWith("milli")
+        ? 1
+        : unit.startsWith("m")
+        ? 60000
+        : 1000;
+
+    return Math.round(parseFloat(waitMatch[1]) * multiplier);
+  }
+
+  /**
+   * Check whether step is a retry loop without a body of its own
+   * @param {Object} step - Step object
+   * @returns {boolean} - True for a bare "repeat until" loop
+   */
+  isBareLoop(step) {
+    return Boolean(
+      step &&
+        step.type === "loop" &&
+        step.loop_type === "until" &&
+        step.body.length === 0
+    );
+  }
+
+  /**
+   * Create conditional step from "If X, do A; otherwise do B" text
+   * @param {string} stepId - Step ID
+   * @param {string} text - Step text
+   * @returns {Object|null} - Conditional step or null if text has no condition
+   */
+  createConditionalStep(stepId, text) {
+    const { main, alternative } = this.splitElseClause(text);
+    const conditionMatch = main.match(
+      /\b(if|when|unless)\s+(.+?)(?:[,:]|\s+then\b)\s*(?:then\s+)?(.+)/i
+    );
+    if (!conditionMatch) {
+      return null;
+    }
+
+    return {
+      id: stepId,
+      type: "conditional",
+      condition: this.parseCondition(conditionMatch[2]),
+      true_branch: this.parseAction(conditionMatch[3]),
+      false_branch: alternative ? this.parseAction(alternative) : null,
+      description: text,
+    };
+  }
+
+  /**
+   * Split trailing "otherwise/else/if not" clause off conditional text
+   * @param {string} text - Conditional text
+   * @returns {Object} - { main, alternative } where alternative may be null
+   */
+  splitElseClause(text) {
+    const match = text.match(
+      /[;,.]\s*(?:\*\*)?(?:otherwise|else|if not(?=\s*[,:]))\b\s*:?(?:\*\*)?\s*[,:]?\s*(.+)$/i
+    );
+    if (!match) {
+      return { main: text, alternative: null };
+    }
+
+    return {
+      main: text.substring(0, match.index).trim(),
+      alternative: match[1].trim(),
+    };
+  }
+
+  /**
+   * Match text that opens with "Otherwise", "Else" or "If not,"
+   * @param {string} text - Item or paragraph text
+   * @returns {string|null} - Alternative action text
+   */
+  matchElseClause(text) {
+    const match = text.match(
+      /^(?:\*\*)?(?:otherwise|else|if not(?=\s*[,:]))\b\s*:?(?:\*\*)?\s*[,:]?\s*(.+)$/i
+    );
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Check whether step is a conditional still missing its false branch
+   * @param {Object} step - Step object
+   * @returns {boolean} - True if an else branch can be attached
+   */
+  acceptsElseBranch(step) {
+    return Boolean(step && step.type === "conditional" && !step.false_branch);
+  }
+
+  /**
+   * Attach alternative action as the false branch of a conditional
+   * @param {Object} step - Conditional step
+   * @param {string} alternative - Alternative action text
+   * @param {string} text - Source text of the else clause
+   */
+  attachElseBranch(step, alternative, text) {
+    step.false_branch = this.parseAction(alternative);
+    step.description = `${step.description} ${text}`;
+  }
+
+  /**
+   * Attach "**Otherwise:** ..." paragraph to the preceding conditional
+   * @param {Object} node - AST content node
+   * @param {Array} steps - Steps compiled so far in the procedure
+   * @returns {boolean} - True if the node was consumed as an else branch
+   */
+  attachElseParagraph(node, steps) {
+    if (node.type !== "paragraph") {
+      return false;
+    }
+
+    const text = (node.text || "").trim();
+    const alternative = /^\*\*/.test(text) ? this.matchElseClause(text) : null;
+    const previous = steps[steps.length - 1];
+    if (!alternative || !this.acceptsElseBranch(previous)) {
+      return false;
+    }
+
+    this.attachElseBranch(previous, alternative, text);
+    return true;
+  }
+
+  /**
+   * Attach a "**Rollback:** `command`" paragraph to the preceding step
+   * @param {Object} node - AST content node
+   * @param {Array} steps - Steps compiled so far in the procedure
+   * @returns {boolean} - True if the node was consumed as a rollback
+   */
+  attachRollbackParagraph(node, steps) {
+    if (node.type !== "paragraph") {
+      return false;
+    }
+
+    const rollback = this.matchRollbackClause((node.text || "").trim());
+    const previous = steps[steps.length - 1];
+    if (!rollback || !previous) {
+      return false;
+    }
+
+    previous.rollback = this.createRollbackAction(rollback);
+    return true;
+  }
+
+  /**
+   * Attach a text, output or console block to the preceding command, script
+   * or code step as the output it is expected to print. Console samples
+   * drop their "$ command" prompt lines.
+   * @param {Object} node - AST content node
+   * @param {Array} steps - Steps compiled so far
+   * @returns {boolean} - True if the node was consumed as a sample
+   */
+  attachSampleBlock(node, steps) {
+    if (node.type !== "code" || !isSampleLanguage(node.lang)) {
+      return false;
+    }
+
+    const previous = steps[steps.length - 1];
+    if (previous && ["command", "script", "code"].includes(previous.type)) {
+      previous.sample_output =
+        node.lang.toLowerCase() === "console"
+          ? node.text
+              .split("\n")
+              .filter((line) => !/^\$ /.test(line))
+              .join("\n")
+          : node.text;
+    }
+    return true;
+  }
+
+  /**
+   * Attach an "**On error:** retry 3 times" paragraph to the procedure
+   * @param {Object} node - AST content node
+   * @param {Object} procedure - Procedure being compiled
+   * @returns {boolean} - True if the node was consumed as an error policy
+   */
+  attachErrorPolicyParagraph(node, procedure) {
+    if (node.type !== "paragraph") {
+      return false;
+    }
+
+    const match = (node.text || "")
+      .trim()
+      .match(
+        /^(?:\*\*on (?:error|failure):?\*\*:?|on (?:error|failure):)\s*(.+)$/i
+      );
+    if (!match) {
+      return false;
+    }
+
+    procedure.on_error = this.parseErrorPolicy(match[1]);
+    return true;
+  }
+
+  /**
+   * Attach a "**Parameters:** domain (host), server (host, default 8.8.8.8)"
+   * or "**Returns:** $resolved" paragraph to the procedure. Parameters use
+   * the same declaration syntax as "## Inputs" bullets.
+   * @param {Object} node - AST content node
+   * @param {Object} procedure - Procedure being compiled
+   * @returns {boolean} - True if the node was consumed as a declaration
+   */
+  attachSignatureParagraph(node, procedure) {
+    if (node.type !== "paragraph") {
+      return false;
+    }
+
+    const match = (node.text || "")
+      .trim()
+      .match(/^\*\*(parameters|params|returns?):?\*\*:?\s*(.+)$/i);
+    if (!match) {
+      return false;
+    }
+
+    if (/^return/i.test(match[1])) {
+      procedure.returns = match[2].trim().replace(/^`(.*)`\.?$/, "$1");
+      return true;
+    }
+
+    procedure.parameters = procedure.parameters || {};
+    for (const entry of this.splitDeclarationList(match[2])) {
+      const declaration = parseInputDeclarationText(entry);
+      if (!declaration) {
+        procedure.parameters[entry] = {
+          name: entry,
+          parse_error: `Cannot read parameter '${entry}'`,
+        };
+        continue;
+      }
+
+      const { input, error } = normalizeInputDeclaration(
+        declaration.name,
+        declaration.spec,
+        "parameter"
+      );
+      procedure.parameters[declaration.name] = input || {
+        name: declaration.name,
+        parse_error: error,
+      };
+    }
+
+    return true;
+  }
+
+  /**
+   * Split a comma-separated declaration list, keeping commas inside
+   * parentheses: "a (integer, min 1), b" gives "a (integer, min 1)" and "b"
+   * @param {string} text - Declaration list
+   * @returns {Array} - Declarations
+   */
+  splitDeclarationList(text) {
+    const entries = [];
+    let depth = 0;
+    let current = "";
+
+    for (const char of text.replace(/\.$/, "")) {
+      if (char === "(") depth++;
+      if (char === ")") depth = Math.max(0, depth - 1);
+      if (char === "," && depth === 0) {
+        entries.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    entries.push(current);
+
+    return entries.map((entry) => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Split a trailing "(on error: continue)" annotation off a step's text
+   * @param {string} text - List item text
+   * @returns {Object} - Remaining text and the parsed policy, if any
+   */
+  extractStepErrorPolicy(text) {
+    const match = text.match(
+      /\s*\(\s*on (?:error|failure):\s*((?:[^()]|\([^()]*\))+)\)\s*\.?$/i
+    );
+    if (!match) {
+      return { text: text, policy: null };
+    }
+
+    return {
+      text: text.slice(0, match.index).trim(),
+      policy: this.parseErrorPolicy(match[1]),
+    };
+  }
+
+  /**
+   * Parse an error policy annotation: "continue", "abort",
+   * "retry 3 times, waiting 5s" or "go to [Recover](#recover)"
+   * @param {string} text - Annotation text
+   * @returns {Object} - Error policy; invalid text carries a parse_error
+   */
+  parseErrorPolicy(text) {
+    const policyText = text.trim().replace(/\.$/, "");
+    const lowered = policyText.toLowerCase();
+
+    const action = this.parseAction(policyText);
+    if (action.type === "jump") {
+      return { action: "jump", target: action, text: policyText };
+    }
+
+    if (/^(?:continue|ignore|skip|keep going)\b/.test(lowered)) {
+      return { action: "continue", text: policyText };
+    }
+
+    if (/^(?:abort|stop|halt|fail)\b/.test(lowered)) {
+      return { action: "abort", text: policyText };
+    }
+
+    const retryMatch = lowered.match(/^retry(?:\s+(\d+)\s*(?:times|x)?)?/);
+    if (retryMatch) {
+      const policy = { action: "retry", text: policyText };
+      if (retryMatch[1]) {
+        policy.max_retries = parseInt(retryMatch[1], 10);
+      }
+      const delay = this.parseLoopWait(lowered);
+      if (delay) {
+        policy.delay_ms = delay;
+      }
+      return policy;
+    }
+
+    return {
+      action: null,
+      text: policyText,
+      parse_error: `Unknown error policy '${policyText}'`,
+    };
+  }
+
+  /**
+   * Match a rollback declaration and return the action text
+   * @param {string} text - Paragraph or list item text
+   * @returns {string|null} - Rollback action text
+   */
+  matchRollbackClause(text) {
+    const match = text.match(
+      /^(?:\*\*rollback:?\*\*:?|rollback:|to roll back[^:]*:)\s*(.+)$/i
+    );
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Create a declared rollback action
+   * @param {string} text - Rollback text, e.g. "`systemctl start nginx`"
+   * @returns {Object} - Command or log action
+   */
+  createRollbackAction(text) {
+    const action = this.parseAction(text);
+    return {
+      ...(action.type === "command" ? action : { type: "log", message: text }),
+      source: "declared",
+    };
+  }
+
+  /**
+   * Infer the rollback of a command step from the inverse of known tools,
+   * e.g. "systemctl stop nginx" is undone by "systemctl start nginx"
+   * @param {Object} step - Step object
+   */
+  inferRollback(step) {
+    (step.body || []).forEach((bodyStep) => this.inferRollback(bodyStep));
+
+    if (step.type !== "command" || step.rollback) {
+      return;
+    }
+
+    for (const { pattern, invert } of this.rollbackInverses) {
+      const match = step.command.match(pattern);
+      if (match) {
+        const command = invert(match);
+        step.rollback = {
+          type: "command",
+          tool: extractTool(command),
+          command: command,
+          parameters: this.extractParameters(command),
+          source: "inferred",
+        };
+        return;
+      }
+    }
+  }
+
+  /**
+   * Initialize inverse commands for tools whose changes can be undone
+   * @returns {Array} - Patterns with a function building the inverse command
+   */
+  initializeRollbackInverses() {
+    const swap = (pairs) => (match) =>
+      `${match[1]}${pairs[match[2].toLowerCase()]}${match[3]}`;
+
+    return [
+      {
+        pattern:
+          /^(systemctl\s+(?:--?\S+\s+)*)(stop|start|enable|disable|mask|unmask)(\s.*)$/i,
+        invert: swap({
+          stop: "start",
+          start: "stop",
+          enable: "disable",
+          disable: "enable",
+          mask: "unmask",
+          unmask: "mask",
+        }),
+      },
+      {
+        pattern: /^(service\s+\S+\s+)(stop|start)(\s.*|)$/i,
+        invert: swap({ stop: "start", start: "stop" }),
+      },
+      {
+        pattern: /^(ip\s+link\s+set\s+(?:dev\s+)?\S+\s+)(down|up)(\s.*|)$/i,
+        invert: swap({ down: "up", up: "down" }),
+      },
+      {
+        pattern:
+          /^(ip\s+(?:route|addr|address|rule)\s+)(add|del|delete)(\s.*)$/i,
+        invert: swap({ add: "del", del: "add", delete: "add" }),
+      },
+      {
+        pattern: /^(ifdown|ifup)(\s.*)$/i,
+        invert: (match) =>
+          `${match[1].toLowerCase() === "ifdown" ? "ifup" : "ifdown"}${
+            match[2]
+          }`,
+      },
+      {
+        pattern:
+          /^(iptables\s+(?:-t\s+\S+\s+)?)(?:-A|--append|-I|--insert)\s+(\S+)(?:\s+\d+)?(\s.*)$/,
+        invert: (match) => `${match[1]}-D ${match[2]}${match[3]}`,
+      },
+    ];
+  }
+
+  /**
+   * Create choice step from unordered list
+   * @param {Object} listNode - List node
+   * @param {string} stepId - Step ID
+   * @returns {Object} - Choice step
+   */
+  createChoiceStep(listNode, stepId) {
+    return {
+      id: stepId,
+      type: "choice",
+      options: listNode.items.map((item, index) =>
+        this.createChoiceOption(item, `${stepId}_option_${index + 1}`)
+      ),
+      description: "Choose one of the following options",
+    };
+  }
+
+  /**
+   * Create choice option, keeping any "If X, do Y" guard as its condition
+   * @param {Object} item - List item
+   * @param {string} optionId - Option ID
+   * @returns {Object} - Choice option
+   */
+  createChoiceOption(item, optionId) {
+    const text = item.text.trim();
+    const guardMatch = text.match(
+      /^(?:if|when)\s+(.+?)[,:]\s*(?:then\s+)?(.+)$/i
+    );
+
+    return {
+      id: optionId,
+      description: item.text,
+      condition: guardMatch ? this.parseCondition(guardMatch[1]) : null,
+      action: this.parseAction(guardMatch ? guardMatch[2] : text),
+    };
+  }
+
+  /**
+   * Process paragraph nodes for conditional logic and assignments
+   * @param {Object} paragraphNode - Paragraph AST node
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @returns {Array} - Array of steps
+   */
+  processParagraphNode(paragraphNode, stepIndex, procedureId) {
+    const text = paragraphNode.text || "";
+    const steps = [];
+
+    // "[[include: dns-checks.md#verify-dns]]" on its own line
+    const include = this.createIncludeStep(
+      `${procedureId}_include_${stepIndex}`,
+      text.trim()
+    );
+    if (include) {
+      return [include];
+    }
+
+    // Check for conditional statements
+    const conditionalMatch = text.match(/\*\*(If .+?):\*\*\s*(.+)/);
+    if (conditionalMatch) {
+      const stepId = `${procedureId}_conditional_${stepIndex}`;
+      const { main, alternative } = this.splitElseClause(conditionalMatch[2]);
+      steps.push({
+        id: stepId,
+        type: "conditional",
+        condition: this.parseCondition(conditionalMatch[1].replace("If ", "")),
+        true_branch: this.parseAction(main),
+        false_branch: alternative ? this.parseAction(alternative) : null,
+        description: text,
+      });
+    }
+
+    // Check for output/assignment statements
+    const outputMatch = text.match(/\*\*(Output|Set to memory):\*\*\s*(.+)/i);
+    if (outputMatch) {
+      const stepId = `${procedureId}_output_${stepIndex}`;
+      steps.push({
+        id: stepId,
+        type: "assignment",
+        assign_to: outputMatch[1].toLowerCase().includes("memory")
+          ? "memory"
+          : "output",
+        value: outputMatch[2],
+        description: text,
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Process code blocks into command steps. Shell blocks (bash, sh, shell)
+   * run as one script step that keeps loops, heredocs and functions intact,
+   * unless the fence opts into stepping with "per-line" (```bash per-line).
+   * Every step records the markdown lines it came from in source_lines.
+   * @param {Object} codeNode - Code AST node
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @returns {Array} - Array of steps
+   */
+  processCodeNode(codeNode, stepIndex, procedureId) {
+    const language = (codeNode.lang || "text").toLowerCase();
+    const shell = this.shellLanguages[language] || null;
+    const perLine = /(?:^|\s)per-line(?:\s|$)/i.test(codeNode.meta || "");
+    // The block's first line follows its opening fence
+    const firstLine = codeNode.line + 1;
+
+    if (isSampleLanguage(codeNode.lang)) {
+      return [];
+    }
+
+    const runner = findCodeRunner(language);
+    if (runner) {
+      return [
+        this.createCodeStep(
+          codeNode,
+          runner,
+          firstLine,
+          stepIndex,
+          procedureId
+        ),
+      ];
+    }
+
+    if (shell && !perLine) {
+      const lines = codeNode.text.split("\n");
+      return [
+        {
+          id: `${procedureId}_script_${stepIndex}`,
+          type: "script",
+          language: language,
+          shell: shell,
+          script: codeNode.text,
+          shell_variables: listScriptVariables(codeNode.text),
+          source_lines: [firstLine, firstLine + lines.length - 1],
+          description: `Execute ${language} script (${lines.length} lines)`,
+        },
+      ];
+    }
+
+    // Logical lines: continuations joined, comments and blanks skipped
+    const shellVariables = shell ? listScriptVariables(codeNode.text) : [];
+    return splitScriptLines(codeNode.text).map((line, index) => {
+      const command = line.heredoc
+        ? `${line.text}\n${line.heredoc}`
+        : line.text;
+      const tool = extractTool(command);
+      const step = {
+        id: `${procedureId}_cmd_${stepIndex + index}`,
+        type: "command",
+        tool: tool,
+        command: this.parseCommand(command),
+        parameters: this.extractParameters(command),
+        expected_output: this.inferOutputType(tool, command),
+        source_lines: [firstLine + line.start, firstLine + line.end],
+        description: `Execute: ${line.text}`,
+      };
+      if (shell) {
+        step.shell = shell;
+        step.shell_variables = shellVariables;
+      }
+      return step;
+    });
+  }
+
+  /**
+   * Create a step running a code block through its language runner
+   * @param {Object} codeNode - Code AST node
+   * @param {Object} runner - Runner from the code runner registry
+   * @param {number} firstLine - Markdown line of the block's first line
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @returns {Object} - Code step, with parse_error if it cannot run
+   */
+  createCodeStep(codeNode, runner, firstLine, stepIndex, procedureId) {
+    const lines = codeNode.text.split("\n");
+    const built = runner.build(codeNode.text, codeNode.meta);
+
+    const step = {
+      id: `${procedureId}_code_${stepIndex}`,
+      type: "code",
+      language: runner.name,
+      tool: runner.tool,
+      code: codeNode.text,
+      command: built.command || null,
+      substitute: runner.substitute,
+      source_lines: [firstLine, firstLine + lines.length - 1],
+      description:
+        built.description || `Run ${runner.name} code (${lines.length} lines)`,
+    };
+    if (built.database) {
+      step.database = built.database;
+    }
+    if (built.error) {
+      step.parse_error = built.error;
+    }
+
+    return step;
+  }
+
+  /**
+   * Check whether a paragraph can caption the table after it
+   * @param {Object} node - AST content node
+   * @returns {boolean} - True for a paragraph ending in ":"
+   */
+  matchTableCaption(node) {
+    return node.type === "paragraph" && /:\s*$/.test(node.text || "");
+  }
+
+  /**
+   * Process a table into a decision table when its headers name both a
+   * condition and an action, or into a data table otherwise
+   * @param {Object} tableNode - Table AST node, with its caption if any
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @returns {Array} - Array of steps
+   */
+  processTableNode(tableNode, stepIndex, procedureId) {
+    const columns = tableNode.header.map((header) => {
+      const column = {
+        header: header.replace(/`/g, "").trim(),
+        key: toColumnKey(header),
+        role: inferColumnRole(header),
+      };
+      const reference = header.match(/\$\{[^}]+\}|\$\w+(?:\.\w+|\[-?\d+\])*/);
+      if (reference) {
+        column.reference = reference[0];
+      }
+      return column;
+    });
+
+    // A $variable in the caption names the data, or the output a decision
+    // table matches
+    const captionVariable = (tableNode.caption || "").match(/\$(\w+)/);
+
+    const isDecision =
+      columns.some((column) => column.role === "condition") &&
+      columns.some((column) => column.role === "action");
+    if (!isDecision) {
+      const variable = captionVariable
+        ? captionVariable[1]
+        : `table_${stepIndex}`;
+      return [
+        {
+          id: `${procedureId}_table_${stepIndex}`,
+          type: "data_table",
+          variable: variable,
+          columns: columns,
+          rows: tableNode.rows.map((cells) =>
+            Object.fromEntries(
+              columns.map((column, index) => [
+                column.key,
+                parseCellValue(cells[index] || ""),
+              ])
+            )
+          ),
+          description:
+            tableNode.caption ||
+            `Load ${tableNode.rows.length} rows into $${variable}`,
+          source_line: tableNode.line,
+        },
+      ];
+    }
+
+    const stepId = `${procedureId}_decision_${stepIndex}`;
+    const action = columns.find((column) => column.role === "action");
+
+    return [
+      {
+        id: stepId,
+        type: "decision_table",
+        columns: columns,
+        rows: tableNode.rows.map((cells, index) =>
+          this.createDecisionRow(
+            columns,
+            cells,
+            action,
+            `${stepId}_row_${index + 1}`
+          )
+        ),
+        source: captionVariable ? { variable: captionVariable[1] } : null,
+        description:
+          tableNode.caption ||
+          `Decide by ${columns
+            .filter((column) => column.role === "condition")
+            .map((column) => column.header)
+            .join(" and ")}`,
+        source_line: tableNode.line,
+      },
+    ];
+  }
+
+  /**
+   * Create one decision table row: its condition cells must all hold for
+   * the first action column to run; other columns describe it
+   * @param {Array} columns - Table columns with inferred roles
+   * @param {Array} cells - Row cell texts
+   * @param {Object} action - First action column
+   * @param {string} rowId - Row ID
+   * @returns {Object} - Decision row
+   */
+  createDecisionRow(columns, cells, action, rowId) {
+    const text = (column) => (cells[columns.indexOf(column)] || "").trim();
+    const actionText = text(action);
+
+    return {
+      id: rowId,
+      description: columns
+        .filter((column) => column !== action && text(column))
+        .map((column) => `${column.header}: ${text(column)}`)
+        .join("; "),
+      conditions: columns
+        .filter((column) => column.role === "condition")
+        .filter((column) => !isWildcardCell(text(column)))
+        .map((column) => ({
+          column: column.key,
+          ...this.parseTableCondition(column, text(column)),
+        })),
+      action: isWildcardCell(actionText) ? null : this.parseAction(actionText),
+      values: Object.fromEntries(
+        columns.map((column) => [column.key, parseCellValue(text(column))])
+      ),
+    };
+  }
+
+  /**
+   * Parse a condition cell. Under a header naming a $variable the cell is
+   * the value it must equal, or a comparison such as "> 50%"; elsewhere it
+   * is a condition, or text the table's source output must contain.
+   * @param {Object} column - Condition column
+   * @param {string} cell - Cell text
+   * @returns {Object} - Condition
+   */
+  parseTableCondition(column, cell) {
+    const text = cell.replace(/^`([^`]*)`$/, "$1");
+
+    if (column.reference) {
+      const isComparison =
+        /^(?:[<>]=?|[!=]=|=|is\b|not\b|contains?\b|match(?:es)?\b|does\b|exceeds\b|includes?\b)/i.test(
+          text
+        );
+      return this.parseCondition(
+        `${column.reference} ${isComparison ? "" : "== "}${text}`
+      );
+    }
+
+    if (this.translateCondition(text) !== null) {
+      return this.parseCondition(text);
+    }
+
+    return {
+      type: "output_match",
+      text: text.replace(/^["']|["']$/g, ""),
+    };
+  }
+
+  /**
+   * Bind a decision table that looks for text in output, and has no
+   * caption variable, to the output of the latest command, script or code
+   * step before it
+   * @param {Object} step - Step object
+   * @param {Array} previousSteps - Steps before it in the procedure
+   */
+  bindDecisionSource(step, previousSteps) {
+    const matchesOutput =
+      step.type === "decision_table" &&
+      step.rows.some((row) =>
+        row.conditions.some((condition) => condition.type === "output_match")
+      );
+    if (!matchesOutput || step.source) {
+      return;
+    }
+
+    const command = [...previousSteps]
+      .reverse()
+      .find((candidate) =>
+        ["command", "script", "code"].includes(candidate.type)
+      );
+    step.source = command ? { step_id: command.id } : null;
+  }
+
+  /**
+   * Process blockquote nodes (typically conditions or warnings)
+   * @param {Object} blockquoteNode - Blockquote AST node
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @returns {Array} - Array of steps
+   */
+  processBlockquoteNode(blockquoteNode, stepIndex, procedureId) {
+    const stepId = `${procedureId}_note_${stepIndex}`;
+
+    return [
+      {
+        id: stepId,
+        type: "note",
+        level: "warning",
+        message: blockquoteNode.text,
+        description: blockquoteNode.text,
+      },
+    ];
+  }
+
+  /**
+   * Process subsection headings into calls to their sub-procedures
+   * @param {Object} headingNode - Heading AST node
+   * @param {number} stepIndex - Step index
+   * @param {string} procedureId - Parent procedure ID
+   * @returns {Array} - Array of steps
+   */
+  processHeadingNode(headingNode, stepIndex, procedureId) {
+    // Only subsections carry content; deeper headings are plain labels
+    if (!headingNode.children) {
+      return [];
+    }
+
+    return [
+      {
+        id: `${procedureId}_call_${stepIndex}`,
+        type: "call",
+        procedure: this.generateSubprocedureId(procedureId, headingNode.text),
+        description: `Run sub-procedure: ${headingNode.text}`,
+      },
+    ];
+  }
+
+  /**
+   * Create a call step from "[[include: dns-checks.md#verify-dns]]" or
+   * "Run procedure Verify DNS from dns-checks.md", optionally followed by
+   * "with domain=$host" arguments and "save as resolved"
+   * @param {string} stepId - Step ID
+   * @param {string} text - Step text
+   * @returns {Object|null} - Call step or null if text includes nothing
+   */
+  createIncludeStep(stepId, text) {
+    const call = this.createIncludeCall(text);
+    if (!call) {
+      return null;
+    }
+
+    return {
+      id: stepId,
+      ...call,
+      description: text,
+    };
+  }
+
+  /**
+   * Create the call action of an include, as run by an include step or by
+   * a branch, choice option or table row
+   * @param {string} text - Step or action text
+   * @returns {Object|null} - Call action or null if text includes nothing
+   */
+  createIncludeCall(text) {
+    const reference = this.parseIncludeReference(text);
+    if (!reference) {
+      return null;
+    }
+
+    return {
+      type: "call",
+      procedure: null, // Resolved when the included runbook is linked
+      include: {
+        file: reference.file,
+        anchor: reference.anchor,
+        name: reference.name,
+      },
+      arguments: this.extractCallArguments(reference.rest),
+      assign_to: this.extractAssignment(reference.rest),
+    };
+  }
+
+  /**
+   * Find the runbook and procedure an include names
+   * @param {string} text - Step text
+   * @returns {Object|null} - File, anchor or name, and the text after it
+   */
+  parseIncludeReference(text) {
+    const marker = text.match(
+      /\[\[\s*include:\s*([^\]#\s]+)(?:#([^\]\s]+))?\s*\]\]/i
+    );
+    if (marker) {
+      return {
+        file: marker[1],
+        anchor: marker[2] || null,
+        name: null,
+        rest: text.slice(marker.index + marker[0].length),
+      };
+    }
+
+    const prose = text.match(
+      /^run\s+(?:the\s+)?procedure\s+(?:"([^"]+)"|'([^']+)'|(.+?))\s+from\s+(?:file\s+)?`?([^\s`#]+\.md)(?:#([^\s`]+))?`?/i
+    );
+    if (prose) {
+      return {
+        file: prose[4],
+        anchor: prose[5] || null,
+        name: (prose[1] || prose[2] || prose[3]).trim(),
+        rest: text.slice(prose[0].length),
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract "with domain=$host, server=8.8.8.8" call arguments
+   * @param {string} text - Text after the include reference
+   * @returns {Object} - Argument expressions by parameter name
+   */
+  extractCallArguments(text) {
+    const match = text.match(
+      /\bwith\s+(.+?)(?:[\s,;]+(?:and\s+)?(?:save\s+as|store\s+in|assign\s+to)\b.*)?\.?$/i
+    );
+    const args = {};
+    if (!match) {
+      return args;
+    }
+
+    for (const part of match[1].split(/\s*,\s*|\s+and\s+/)) {
+      const pair = part.match(/^\$?([A-Za-z_]\w*)\s*=\s*(.+)$/);
+      if (pair) {
+        args[pair[1]] = pair[2].trim().replace(/^(["'`])(.*)\1$/, "$2");
+      }
+    }
+
+    return args;
+  }
+
+  /**
+   * Parse command string into structured format
+   * @param {string} command - Raw command string
+   * @returns {string} - Parsed command
+   */
+  parseCommand(command) {
+    // Remove sudo if present for tool identification
+    return command.replace(/^sudo\s+/, "").trim();
+  }
+
+  /**
+   * Extract parameters from command
+   * @param {string} command - Command string
+   * @returns {Object} - Parameters object
+   */
+  extractParameters(command) {
+    const parts = command.trim().split(/\s+/);
+    const tool = parts[0] === "sudo" ? parts[1] : parts[0];
+    const args = parts.slice(parts[0] === "sudo" ? 2 : 1);
+
+    // Basic parameter extraction - can be enhanced
+    const parameters = {};
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg.startsWith("-")) {
+        // Flag parameter
+        const flagName = arg.replace(/^-+/, "");
+        const nextArg = args[i + 1];
+        if (nextArg && !nextArg.startsWith("-")) {
+          parameters[flagName] = nextArg;
+          i++; // Skip next argument
+        } else {
+          parameters[flagName] = true;
+        }
+      } else {
+        // Positional parameter
+        if (!parameters.args) parameters.args = [];
+        parameters.args.push(arg);
+      }
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Parse condition string into structured format. Conditions that reference
+   * variables are translated into the expression language; prose conditions
+   * ("If DNS fails") cannot be checked automatically.
+   * @param {string} condition - Condition text
+   * @returns {Object} - Condition object
+   */
+  parseCondition(condition) {
+    const text = condition.trim();
+    const expression = this.translateCondition(text);
+
+    if (expression === null) {
+      return {
+        type: "prose_check",
+        text: text,
+      };
+    }
+
+    const parsed = {
+      type: "expression",
+      expression: expression,
+      text: text,
+    };
+
+    try {
+      parseExpression(expression);
+    } catch (error) {
+      parsed.parse_error = error.message;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Translate an English condition into an expression, clause by clause:
+   * "$loss is greater than 50% and $status is not active" becomes
+   * '$loss > 50% and $status != "active"'
+   * @param {string} text - Condition text
+   * @returns {string|null} - Expression, or null for prose
+   */
+  translateCondition(text) {
+    if (!/\$|[<>]|[!=]=/.test(text)) {
+      return null;
+    }
+
+    // "is greater than or equal to" holds an "or", so comparison phrases
+    // are set aside while the text is split into clauses
+    const phrases = [];
+    const masked = text.replace(
+      new RegExp(
+        this.conditionPhrases.map(({ pattern }) => pattern).join("|"),
+        "gi"
+      ),
+      (phrase) => `\u0000${phrases.push(phrase) - 1}\u0000`
+    );
+    const restore = (clause) =>
+      clause.replace(/\u0000(\d+)\u0000/g, (_, index) => phrases[index]);
+
+    return masked
+      .split(/\s+(and|or)\s+/i)
+      .map((clause, index) =>
+        index % 2 === 1
+          ? clause.toLowerCase()
+          : this.translateClause(restore(clause))
+      )
+      .join(" ");
+  }
+
+  /**
+   * Translate one comparison clause, quoting bare words on the right
+   * @param {string} clause - Clause text
+   * @returns {string} - Expression clause
+   */
+  translateClause(clause) {
+    const text = clause.trim().replace(/[.;]$/, "");
+    const reference = "\\$\\{[^}]+\\}|\\$\\w+(?:\\.\\w+|\\[-?\\d+\\])*";
+
+    const unaryMatch = text.match(
+      new RegExp(
+        `^(${reference})\\s+(is\\s+(?:not\\s+)?empty|exists|is\\s+set)$`,
+        "i"
+      )
+    );
+    if (unaryMatch) {
+      const check = unaryMatch[2].toLowerCase();
+      if (check === "exists" || check === "is set") {
+        return `exists(${unaryMatch[1]})`;
+      }
+      return check.includes("not")
+        ? `not empty(${unaryMatch[1]})`
+        : `empty(${unaryMatch[1]})`;
+    }
+
+    for (const { pattern, operator } of this.conditionPhrases) {
+      const match = text.match(
+        new RegExp(`^(not\\s+)?(${reference})\\s*(?:${pattern})\\s*(.+)$`, "i")
+      );
+      if (match) {
+        const negation = match[1] ? "not " : "";
+        return `${negation}${
+          match[2]
+        } ${operator} ${this.formatConditionOperand(match[3])}`;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Format the right-hand side of a comparison as an expression operand
+   * @param {string} operand - Operand text
+   * @returns {string} - Operand, quoted unless it is already an expression
+   */
+  formatConditionOperand(operand) {
+    const text = operand.trim();
+    const quantity = text.match(/^(-?\d+(?:\.\d+)?)\s+([a-z]+|%)$/i);
+    if (quantity) {
+      return `${quantity[1]}${quantity[2]}`;
+    }
+
+    const isOperand =
+      /^(\$\{[^}]+\}|\$\w+(?:\.\w+|\[-?\d+\])*|-?\d+(?:\.\d+)?[a-z%]*|"[^"]*"|'[^']*'|true|false|null|\/.+\/[a-z]*|\w+\(.*\))$/i.test(
+        text
+      );
+    if (isOperand) {
+      return text;
+    }
+
+    // Quote bare words, hostnames, addresses and paths; leave anything else
+    // for the expression parser to reject
+    if (/^`[^`]*`$|^[\w\s.:/@-]+$/.test(text)) {
+      return JSON.stringify(text.replace(/^`|`$/g, ""));
+    }
+
+    return text;
+  }
+
+  /**
+   * Initialize English comparison phrases, longest first
+   * @returns {Array} - Phrase patterns with the operator they translate to
+   */
+  initializeConditionPhrases() {
+    return [
+      {
+        pattern:
+          "\\bis\\s+greater\\s+than\\s+or\\s+equal\\s+to\\b|\\bis\\s+at\\s+least\\b|\\bis\\s+no\\s+less\\s+than\\b|>=",
+        operator: ">=",
+      },
+      {
+        pattern:
+          "\\bis\\s+less\\s+than\\s+or\\s+equal\\s+to\\b|\\bis\\s+at\\s+most\\b|\\bis\\s+no\\s+more\\s+than\\b|<=",
+        operator: "<=",
+      },
+      {
+        pattern:
+          "\\bis\\s+(?:greater|more|higher)\\s+than\\b|\\bis\\s+(?:above|over)\\b|\\bexceeds\\b|>",
+        operator: ">",
+      },
+      {
+        pattern:
+          "\\bis\\s+(?:less|lower|fewer)\\s+than\\b|\\bis\\s+(?:below|under)\\b|<",
+        operator: "<",
+      },
+      {
+        pattern:
+          "\\b(?:does\\s+not|doesn't)\\s+(?:contain|include)\\b|\\bnot\\s+contains\\b",
+        operator: "not contains",
+      },
+      {
+        pattern: "\\bcontains?\\b|\\bincludes?\\b",
+        operator: "contains",
+      },
+      {
+        pattern: "\\b(?:does\\s+not|doesn't)\\s+match\\b|\\bnot\\s+matches\\b",
+        operator: "not matches",
+      },
+      {
+        pattern: "\\bmatch(?:es)?\\b",
+        operator: "matches",
+      },
+      {
+        pattern:
+          "\\bis\\s+not\\s+equal\\s+to\\b|\\b(?:does\\s+not|doesn't)\\s+equal\\b|\\bis\\s+not\\b|\\bisn't\\b|!=",
+        operator: "!=",
+      },
+      {
+        pattern: "\\bis\\s+equal\\s+to\\b|\\bequals?\\b|\\bis\\b|==|=",
+        operator: "==",
+      },
+    ];
+  }
+
+  /**
+   * Parse action string into structured format
+   * @param {string} action - Action text
+   * @returns {Object} - Action object
+   */
+  parseAction(action) {
+    // Includes come first: "Run procedure X from `file.md`" quotes its file
+    const call = this.createIncludeCall(action.trim());
+    if (call) {
+      return call;
+    }
+
+    const commandMatch = action.match(/`([^`]+)`/);
+    if (commandMatch) {
+      const command = commandMatch[1];
+      return {
+        type: "command",
+        tool: extractTool(command),
+        command: this.parseCommand(command),
+        parameters: this.extractParameters(command),
+      };
+    }
+
+    // Intra-document links ("go to [Fix DNS](#fix-dns)") jump to a procedure
+    const linkMatch = action.match(/\[([^\]]+)\]\(#([^)\s]+)\)/);
+    if (linkMatch) {
+      return {
+        type: "jump",
+        label: linkMatch[1].trim(),
+        anchor: linkMatch[2],
+        procedure: null, // Resolved once all procedures are known
+      };
+    }
+
+    return {
+      type: "log",
+      message: action.trim(),
+    };
+  }
+
+  /**
+   * Link the runbooks that include steps name: each is compiled under its
+   * own namespace and the called procedure, plus everything it calls or
+   * jumps to, is added to the program
+   * @param {Array} procedures - Procedures of this runbook, extended in place
+   * @param {Array} includeChain - Resolved paths of the including runbooks
+   * @returns {Object} - Linking errors
+   */
+  async linkIncludes(procedures, includeChain) {
+    const errors = [];
+    const runbooks = new Map();
+    const calls = procedures
+      .flatMap((procedure) => procedure.steps)
+      .flatMap((step) =>
+        this.collectStepActions(step).map((action) => [step.id, action])
+      )
+      .filter(([, action]) => action.type === "call" && action.include);
+
+    for (const [stepId, call] of calls) {
+      const { file } = call.include;
+      if (!runbooks.has(file)) {
+        const loaded = await this.loadIncludedRunbook(file, includeChain);
+        errors.push(...(loaded.errors || []));
+        runbooks.set(file, loaded);
+      }
+
+      const runbook = runbooks.get(file);
+      if (!runbook.program) {
+        continue;
+      }
+
+      const target = this.findIncludedProcedure(runbook, call.include);
+      if (!target) {
+        errors.push({
+          type: "include_error",
+          message: `'${file}' has no procedure '${
+            call.include.anchor ? `#${call.include.anchor}` : call.include.name
+          }' (included by step '${stepId}')`,
+          suggestion:
+            "Name an H2 or H3 heading of that runbook, e.g. [[include: file.md#heading-anchor]]",
+        });
+        continue;
+      }
+
+      call.procedure = target.id;
+      for (const procedure of this.collectReachableProcedures(
+        runbook.program.procedures,
+        target.id
+      )) {
+        if (!procedures.some((existing) => existing.id === procedure.id)) {
+          procedures.push(procedure);
+        }
+      }
+    }
+
+    return { errors };
+  }
+
+  /**
+   * Read and compile an included runbook from the document root
+   * @param {string} file - Path relative to the document root
+   * @param {Array} includeChain - Resolved paths of the including runbooks
+   * @returns {Object} - { program, path } or { errors }
+   */
+  async loadIncludedRunbook(file, includeChain) {
+    const resolved = path.resolve(this.documentRoot, file);
+    const relative = path.relative(this.documentRoot, resolved);
+    const fail = (type, message, suggestion) => ({
+      errors: [{ type, message, suggestion }],
+    });
+
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      return fail(
+        "include_error",
+        `Included runbook '${file}' is outside the document root`,
+        `Keep shared runbooks under ${this.documentRoot}`
+      );
+    }
+    if (includeChain.includes(resolved)) {
+      const cycle = includeChain
+        .slice(includeChain.indexOf(resolved))
+        .concat(resolved)
+        .map((entry) => path.relative(this.documentRoot, entry));
+      return fail(
+        "include_cycle",
+        `Include cycle: ${cycle.join(" -> ")}`,
+        "Move the shared steps into a runbook that includes neither"
+      );
+    }
+
+    let markdown;
+    try {
+      markdown = fs.readFileSync(resolved, "utf8");
+    } catch (error) {
+      return fail(
+        "include_error",
+        `Cannot read included runbook '${file}': ${
+          error.code === "ENOENT" ? "no such file" : error.message
+        }`,
+        `Paths are resolved from the document root ${this.documentRoot}`
+      );
+    }
+
+    const parsed = await this.lexerService.parse(markdown);
+    if (!parsed.success) {
+      return {
+        errors: parsed.errors.map((error) => ({
+          ...error,
+          message: `${relative}: ${error.message}`,
+        })),
+      };
+    }
+
+    const transpiled = await this.transpile(parsed.ast, {
+      optimize: false,
+      include_metadata: false,
+      tool_validation: false,
+      namespace: this.generateNamespace(relative),
+      include_chain: [...includeChain, resolved],
+    });
+    if (!transpiled.success) {
+      return { errors: transpiled.errors };
+    }
+
+    transpiled.program.procedures.forEach((procedure) => {
+      procedure.library = procedure.library || relative;
+    });
+
+    return { program: transpiled.program, path: relative };
+  }
+
+  /**
+   * Find the procedure an include names by anchor or heading text
+   * @param {Object} runbook - Included runbook's program and path
+   * @param {Object} include - Include reference
+   * @returns {Object|undefined} - Procedure
+   */
+  findIncludedProcedure(runbook, include) {
+    // Procedures the runbook itself includes are not part of its interface
+    const own = runbook.program.procedures.filter(
+      (procedure) => procedure.library === runbook.path
+    );
+    if (include.anchor) {
+      return own.find((procedure) => procedure.anchor === include.anchor);
+    }
+
+    const name = include.name.toLowerCase();
+    return own.find(
+      (procedure) =>
+        procedure.name.toLowerCase() === name ||
+        procedure.anchor === name.replace(/[^\w\s-]/g, "").replace(/\s+/g, "-")
+    );
+  }
+
+  /**
+   * Collect a procedure and every procedure it calls or jumps to
+   * @param {Array} procedures - Procedures to search
+   * @param {string} procedureId - Starting procedure ID
+   * @returns {Array} - Reachable procedures
+   */
+  collectReachableProcedures(procedures, procedureId) {
+    const reachable = new Map();
+    const pending = [procedureId];
+
+    while (pending.length > 0) {
+      const procedureId = pending.pop();
+      const procedure = procedures.find((proc) => proc.id === procedureId);
+      if (!procedure || reachable.has(procedure.id)) {
+        continue;
+      }
+
+      reachable.set(procedure.id, procedure);
+      const actions = procedure.steps.flatMap((step) =>
+        this.collectStepActions(step)
+      );
+      if (procedure.on_error && procedure.on_error.target) {
+        actions.push(procedure.on_error.target);
+      }
+      actions
+        .filter((action) => action.type === "call" || action.type === "jump")
+        .forEach((action) => pending.push(action.procedure));
+    }
+
+    return Array.from(reachable.values());
+  }
+
+  /**
+   * Resolve jump actions to the procedures whose heading anchors they link to
+   * @param {Array} procedures - Procedures
+   * @returns {Object} - Validation result
+   */
+  resolveJumpTargets(procedures) {
+    const anchors = new Map(
+      procedures
+        .filter((proc) => !proc.library)
+        .map((proc) => [proc.anchor, proc.id])
+    );
+    const errors = [];
+
+    const resolve = (action, ownerId) => {
+      if (action.type !== "jump") return;
+
+      action.procedure = anchors.get(action.anchor) || null;
+      if (!action.procedure) {
+        errors.push({
+          type: "unknown_jump_target",
+          message: `Link target '#${action.anchor}' in step '${ownerId}' does not match any procedure`,
+          suggestion: "Link to an H2 or H3 heading in this document",
+        });
+      }
+    };
+
+    for (const procedure of procedures) {
+      // Included procedures were resolved against their own runbook
+      if (procedure.library) {
+        continue;
+      }
+      if (procedure.on_error && procedure.on_error.target) {
+        resolve(procedure.on_error.target, procedure.id);
+      }
+      for (const step of procedure.steps) {
+        for (const action of this.collectStepActions(step)) {
+          resolve(action, step.id);
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Warn about prose conditions such as "If DNS fails", which have no
+   * expression to evaluate: debug sessions ask the user about them and
+   * headless runs leave them unresolved
+   * @param {Array} procedures - Procedures
+   * @returns {Array} - prose_condition warnings
    */
-  createChoiceStep(listNode, stepIndex, procedureId) {
-    const stepId = `${procedureId}_choice_${stepIndex}`;
+  findProseConditions(procedures) {
+    const warnings = [];
 
-    return {
-      id: stepId,
-      type: "choice",
-      options: listNode.items.map((item, index) => ({
-        id: `${stepId}_option_${index + 1}`,
-        description: item.text,
-        action: this.parseAction(item.text),
-      })),
-      description: "Choose one of the following options",
-    };
+    for (const procedure of procedures) {
+      for (const step of procedure.steps) {
+        for (const { step_id, condition } of this.collectStepConditions(step)) {
+          if (condition.type === "prose_check") {
+            warnings.push({
+              type: "prose_condition",
+              step_id: step_id,
+              message: `Condition '${condition.text}' in step '${step_id}' cannot be checked automatically`,
+              suggestion:
+                'Compare a variable instead, e.g. "If $dns.status != NOERROR"',
+            });
+          }
+        }
+      }
+    }
+
+    return warnings;
   }
 
   /**
-   * Process paragraph nodes for conditional logic and assignments
-   * @param {Object} paragraphNode - Paragraph AST node
-   * @param {number} stepIndex - Step index
-   * @param {string} procedureId - Parent procedure ID
-   * @returns {Array} - Array of steps
+   * Check that every condition compiled to a valid expression
+   * @param {Array} procedures - Procedures
+   * @returns {Object} - Validation result
    */
-  processParagraphNode(paragraphNode, stepIndex, procedureId) {
-    const text = paragraphNode.text || "";
-    const steps = [];
-
-    // Check for conditional statements
-    const conditionalMatch = text.match(/\*\*(If .+?):\*\*\s*(.+)/);
-    if (conditionalMatch) {
-      const stepId = `${procedureId}_conditional_${stepIndex}`;
-      steps.push({
-        id: stepId,
-        type: "conditional",
-        condition: this.parseCondition(conditionalMatch[1].replace("If ", "")),
-        true_branch: this.parseAction(conditionalMatch[2]),
-        description: text,
-      });
-    }
+  validateConditions(procedures) {
+    const errors = [];
 
-    // Check for output/assignment statements
-    const outputMatch = text.match(/\*\*(Output|Set to memory):\*\*\s*(.+)/i);
-    if (outputMatch) {
-      const stepId = `${procedureId}_output_${stepIndex}`;
-      steps.push({
-        id: stepId,
-        type: "assignment",
-        assign_to: outputMatch[1].toLowerCase().includes("memory")
-          ? "memory"
-          : "output",
-        value: outputMatch[2],
-        description: text,
-      });
+    for (const procedure of procedures) {
+      for (const step of procedure.steps) {
+        for (const { step_id, condition } of this.collectStepConditions(step)) {
+          if (condition.parse_error) {
+            errors.push({
+              type: "condition_parse_error",
+              message: `Condition '${
+                condition.text
+              }' in step '${step_id}' does not parse: ${condition.parse_error}${
+                condition.expression !== condition.text
+                  ? ` (translated to '${condition.expression}')`
+                  : ""
+              }`,
+              suggestion:
+                'Quote text values and prefix variables with $, e.g. $status == "active"',
+            });
+          }
+        }
+      }
     }
 
-    return steps;
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
   }
 
   /**
-   * Process code blocks into command steps
-   * @param {Object} codeNode - Code AST node
-   * @param {number} stepIndex - Step index
-   * @param {string} procedureId - Parent procedure ID
-   * @returns {Array} - Array of steps
+   * Check that every "on error" annotation names a known policy
+   * @param {Array} procedures - Procedures
+   * @returns {Object} - Validation result
    */
-  processCodeNode(codeNode, stepIndex, procedureId) {
-    const commands = codeNode.text.split("\n").filter((line) => line.trim());
-    const steps = [];
+  validateErrorPolicies(procedures) {
+    const errors = [];
 
-    commands.forEach((command, index) => {
-      const stepId = `${procedureId}_cmd_${stepIndex + index}`;
-      const tool = extractTool(command);
+    const check = (policy, ownerId) => {
+      if (policy && policy.parse_error) {
+        errors.push({
+          type: "invalid_error_policy",
+          message: `${policy.parse_error} in '${ownerId}'`,
+          suggestion:
+            "Use continue, abort, retry N times (waiting Ns) or go to [Handler](#anchor)",
+        });
+      }
+    };
 
-      steps.push({
-        id: stepId,
-        type: "command",
-        tool: tool,
-        command: this.parseCommand(command),
-        parameters: this.extractParameters(command),
-        expected_output: this.inferOutputType(tool, command),
-        description: `Execute: ${command}`,
-      });
-    });
+    for (const procedure of procedures) {
+      check(procedure.on_error, procedure.id);
+      procedure.steps.forEach((step) => check(step.on_error, step.id));
+    }
 
-    return steps;
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
   }
 
   /**
-   * Process blockquote nodes (typically conditions or warnings)
-   * @param {Object} blockquoteNode - Blockquote AST node
-   * @param {number} stepIndex - Step index
-   * @param {string} procedureId - Parent procedure ID
-   * @returns {Array} - Array of steps
+   * Check that every procedure parameter declares a valid input
+   * @param {Array} procedures - Procedures
+   * @returns {Object} - Validation result
    */
-  processBlockquoteNode(blockquoteNode, stepIndex, procedureId) {
-    const stepId = `${procedureId}_note_${stepIndex}`;
+  validateParameters(procedures) {
+    const errors = [];
 
-    return [
-      {
-        id: stepId,
-        type: "note",
-        level: "warning",
-        message: blockquoteNode.text,
-        description: blockquoteNode.text,
-      },
-    ];
-  }
+    for (const procedure of procedures) {
+      for (const parameter of Object.values(procedure.parameters || {})) {
+        if (parameter.parse_error) {
+          errors.push({
+            type: "invalid_parameter",
+            message: `${parameter.parse_error} in procedure '${procedure.id}'`,
+            suggestion:
+              "Declare parameters like inputs, e.g. **Parameters:** domain (host), retries (integer, default 3)",
+          });
+        }
+      }
+    }
 
-  /**
-   * Parse command string into structured format
-   * @param {string} command - Raw command string
-   * @returns {string} - Parsed command
-   */
-  parseCommand(command) {
-    // Remove sudo if present for tool identification
-    return command.replace(/^sudo\s+/, "").trim();
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
   }
 
   /**
-   * Extract parameters from command
-   * @param {string} command - Command string
-   * @returns {Object} - Parameters object
+   * Check that every code block could be turned into a command
+   * @param {Array} procedures - Array of procedures
+   * @returns {Object} - Validation result
    */
-  extractParameters(command) {
-    const parts = command.trim().split(/\s+/);
-    const tool = parts[0] === "sudo" ? parts[1] : parts[0];
-    const args = parts.slice(parts[0] === "sudo" ? 2 : 1);
-
-    // Basic parameter extraction - can be enhanced
-    const parameters = {};
+  validateCodeBlocks(procedures) {
+    const errors = [];
 
-    for (let i = 0; i < args.length; i++) {
-      const arg = args[i];
-      if (arg.startsWith("-")) {
-        // Flag parameter
-        const flagName = arg.replace(/^-+/, "");
-        const nextArg = args[i + 1];
-        if (nextArg && !nextArg.startsWith("-")) {
-          parameters[flagName] = nextArg;
-          i++; // Skip next argument
-        } else {
-          parameters[flagName] = true;
+    for (const procedure of procedures) {
+      for (const step of procedure.steps) {
+        if (step.type === "code" && step.parse_error) {
+          errors.push({
+            type: "invalid_code_block",
+            message: `${step.parse_error} in step '${step.id}' (line ${step.source_lines[0]})`,
+            suggestion:
+              step.language === "sqlite"
+                ? "Name the database after the language, e.g. ```sqlite db=inventory.db"
+                : "Start an http block with a request line such as GET https://example.com/health",
+          });
         }
-      } else {
-        // Positional parameter
-        if (!parameters.args) parameters.args = [];
-        parameters.args.push(arg);
       }
     }
 
-    return parameters;
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
   }
 
   /**
-   * Parse condition string into structured format
-   * @param {string} condition - Condition text
-   * @returns {Object} - Condition object
+   * Check that data table columns have distinct keys and that decision
+   * tables matching output text have output to match
+   * @param {Array} procedures - Array of procedures
+   * @returns {Object} - Validation result
    */
-  parseCondition(condition) {
-    // Simple condition parsing - can be enhanced with more sophisticated logic
-    const equalityMatch = condition.match(/(.+?)\s*(==|equals?|is)\s*(.+)/i);
-    if (equalityMatch) {
-      return {
-        type: "equality_check",
-        variable: equalityMatch[1].trim(),
-        operator: "==",
-        value: equalityMatch[3].trim(),
-      };
-    }
+  validateTables(procedures) {
+    const errors = [];
 
-    const containsMatch = condition.match(
-      /(.+?)\s*(contains?|includes?)\s*(.+)/i
-    );
-    if (containsMatch) {
-      return {
-        type: "contains_check",
-        variable: containsMatch[1].trim(),
-        operator: "contains",
-        value: containsMatch[3].trim(),
-      };
+    for (const procedure of procedures) {
+      for (const step of procedure.steps) {
+        if (step.type === "data_table") {
+          const keys = step.columns.map((column) => column.key);
+          const duplicate = keys.find(
+            (key, index) => keys.indexOf(key) !== index
+          );
+          if (duplicate) {
+            errors.push({
+              type: "invalid_table",
+              message: `Table '${step.id}' (line ${step.source_line}) has two columns named '${duplicate}'`,
+              suggestion: "Give every column a distinct header",
+            });
+          }
+        }
+
+        if (step.type === "decision_table" && !step.source) {
+          const unbound = step.rows
+            .flatMap((row) => row.conditions)
+            .find((condition) => condition.type === "output_match");
+          if (unbound) {
+            errors.push({
+              type: "invalid_table",
+              message: `Decision table '${step.id}' (line ${step.source_line}) looks for '${unbound.text}' but no command runs before it`,
+              suggestion:
+                'Run the command whose output the table matches just before it, or name a variable in a caption such as "Match $health against:"',
+            });
+          }
+        }
+      }
     }
 
-    // Default condition
     return {
-      type: "boolean_check",
-      expression: condition.trim(),
+      valid: errors.length === 0,
+      errors: errors,
     };
   }
 
   /**
-   * Parse action string into structured format
-   * @param {string} action - Action text
-   * @returns {Object} - Action object
+   * Collect the conditions of a step, its choice options, decision table
+   * rows and loop body
+   * @param {Object} step - Step object
+   * @returns {Array} - Conditions with the ID of the step holding them
    */
-  parseAction(action) {
-    const commandMatch = action.match(/`([^`]+)`/);
-    if (commandMatch) {
-      const command = commandMatch[1];
-      return {
-        type: "command",
-        tool: extractTool(command),
-        command: this.parseCommand(command),
-        parameters: this.extractParameters(command),
-      };
+  collectStepConditions(step) {
+    const conditions = [];
+    if (step.condition) {
+      conditions.push({ step_id: step.id, condition: step.condition });
+    }
+    (step.options || [])
+      .filter((option) => option.condition)
+      .forEach((option) =>
+        conditions.push({ step_id: step.id, condition: option.condition })
+      );
+    if (step.type === "decision_table") {
+      step.rows
+        .flatMap((row) => row.conditions)
+        .forEach((condition) =>
+          conditions.push({ step_id: step.id, condition: condition })
+        );
     }
+    (step.body || []).forEach((bodyStep) =>
+      conditions.push(...this.collectStepConditions(bodyStep))
+    );
+    return conditions;
+  }
 
-    return {
-      type: "log",
-      message: action.trim(),
-    };
+  /**
+   * Collect the actions a step may perform (itself, branches, options,
+   * decision table rows)
+   * @param {Object} step - Step object
+   * @returns {Array} - Actions
+   */
+  collectStepActions(step) {
+    const actions = [
+      step,
+      step.true_branch,
+      step.false_branch,
+      step.rollback,
+      step.on_error && step.on_error.target,
+    ];
+    (step.options || []).forEach((option) => actions.push(option.action));
+    if (step.type === "decision_table") {
+      step.rows.forEach((row) => actions.push(row.action));
+    }
+    (step.body || []).forEach((bodyStep) =>
+      actions.push(...this.collectStepActions(bodyStep))
+    );
+    return actions.filter(Boolean);
   }
 
   /**
@@ -541,6 +2778,12 @@ class TranspilerService {
    * @returns {string} - Output type
    */
   inferOutputType(tool, command) {
+    // Commands with a structured output parser produce its typed object
+    const parser = findOutputParser(command);
+    if (parser) {
+      return parser.output_type;
+    }
+
     const toolInfo = this.toolRegistry[tool];
     if (toolInfo) {
       // Match command pattern to registered commands
@@ -579,11 +2822,22 @@ class TranspilerService {
 
     for (const procedure of procedures) {
       for (const step of procedure.steps) {
-        if (step.tool) {
-          tools.add(step.tool);
-        }
-        if (step.true_branch && step.true_branch.tool) {
-          tools.add(step.true_branch.tool);
+        for (const action of this.collectStepActions(step)) {
+          if (action.tool && action.type !== "command") {
+            tools.add(action.tool);
+          }
+          // Every tool in a pipeline or list runs, e.g. grep in
+          // "ip addr | grep inet"; builtins such as cd are not tools
+          if (action.type === "command" && action.command) {
+            extractCommandTools(action.command).forEach((tool) =>
+              tools.add(tool)
+            );
+          }
+          if (action.type === "script") {
+            extractScriptTools(action.script).forEach((tool) =>
+              tools.add(tool)
+            );
+          }
         }
       }
     }
@@ -622,7 +2876,11 @@ class TranspilerService {
    */
   buildExecutionOrder(procedures) {
     // Simple sequential order for now - can be enhanced with dependency analysis
-    return procedures.map((proc) => proc.id);
+    // Sub-procedures are reached through call steps, not the top-level order
+    // and procedures included from other runbooks only run when called
+    return procedures
+      .filter((proc) => !proc.parent && !proc.library)
+      .map((proc) => proc.id);
   }
 
   /**
@@ -661,14 +2919,40 @@ class TranspilerService {
   /**
    * Generate unique procedure ID from name
    * @param {string} name - Procedure name
+   * @param {string|null} namespace - ID prefix for an included runbook
    * @returns {string} - Unique ID
    */
-  generateProcedureId(name) {
-    return name
+  generateProcedureId(name, namespace = null) {
+    const id = name
       .toLowerCase()
       .replace(/[^\w\s]/g, "")
       .replace(/\s+/g, "_")
       .substring(0, 32);
+
+    return namespace ? `${namespace}.${id}` : id;
+  }
+
+  /**
+   * Generate the ID prefix for procedures included from a runbook
+   * @param {string} relativePath - Runbook path relative to the document root
+   * @returns {string} - Namespace, e.g. net_dns_checks for net/dns-checks.md
+   */
+  generateNamespace(relativePath) {
+    return relativePath
+      .replace(/\.md$/i, "")
+      .toLowerCase()
+      .replace(/\W+/g, "_")
+      .replace(/^_+|_+$/g, "");
+  }
+
+  /**
+   * Generate sub-procedure ID scoped to its parent procedure
+   * @param {string} parentId - Parent procedure ID
+   * @param {string} name - Sub-procedure name
+   * @returns {string} - Unique ID
+   */
+  generateSubprocedureId(parentId, name) {
+    return `${parentId}_${this.generateProcedureId(name)}`;
   }
 
   /**
@@ -717,6 +3001,7 @@ class TranspilerService {
         });
       }
     }
+    warnings.push(...this.findProseConditions(program.procedures || []));
 
     return {
       valid: errors.length === 0,
@@ -725,6 +3010,39 @@ class TranspilerService {
     };
   }
 
+  /**
+   * Initialize keywords in "Expected Results" bullets and the tools they
+   * refer to
+   * @returns {Object} - Keyword to tool names map
+   */
+  initializeExpectationTools() {
+    return {
+      ping: ["ping"],
+      rtt: ["ping"],
+      latency: ["ping"],
+      dns: ["nslookup", "dig", "host"],
+      resolution: ["nslookup", "dig", "host"],
+      http: ["curl", "wget"],
+      interface: ["ip", "ifconfig"],
+      route: ["ip", "route"],
+      service: ["systemctl"],
+      port: ["netstat", "ss"],
+    };
+  }
+
+  /**
+   * Initialize the fenced code languages that run as shell scripts, and the
+   * shell each one runs under
+   * @returns {Object} - Shell by language tag
+   */
+  initializeShellLanguages() {
+    return {
+      bash: "bash",
+      shell: "bash",
+      sh: "sh",
+    };
+  }
+
   /**
    * Initialize comprehensive tool registry
    * @returns {Object} - Tool registry
@@ -765,6 +3083,18 @@ class TranspilerService {
           },
         },
       },
+      dig: {
+        name: "dig",
+        description: "DNS lookup utility with detailed answers",
+        category: "network",
+        commands: {
+          lookup: {
+            syntax: "dig [@dns_server] <hostname> [type]",
+            output_type: "dns_record",
+            parameters: ["hostname", "dns_server?", "type?"],
+          },
+        },
+      },
       ping: {
         name: "ping",
         description: "Send ICMP echo requests",
@@ -830,6 +3160,42 @@ class TranspilerService {
           },
         },
       },
+      python3: {
+        name: "python3",
+        description: "Run python code blocks",
+        category: "runtime",
+        commands: {
+          run: {
+            syntax: "python3 - <<'EOF' ... EOF",
+            output_type: "text_output",
+            parameters: ["code"],
+          },
+        },
+      },
+      node: {
+        name: "node",
+        description: "Run node code blocks",
+        category: "runtime",
+        commands: {
+          run: {
+            syntax: "node - <<'EOF' ... EOF",
+            output_type: "text_output",
+            parameters: ["code"],
+          },
+        },
+      },
+      sqlite3: {
+        name: "sqlite3",
+        description: "Run SQL against a SQLite database file",
+        category: "database",
+        commands: {
+          query: {
+            syntax: "sqlite3 -bail -header <database> <<'EOF' ... EOF",
+            output_type: "text_output",
+            parameters: ["database", "sql"],
+          },
+        },
+      },
       netstat: {
         name: "netstat",
         description: "Display network connections",
@@ -0,0 +1,210 @@
+/**
+ * Code runners: fenced code blocks in languages other than shell run through
+ * a local interpreter, keyed by the fence's language tag
+ *
+ *   ```python          ```sqlite db=inventory.db     ```http
+ *   print(2 + 2)       SELECT count(*) FROM hosts;   GET https://$host/health
+ *   ```                ```                           Accept: application/json
+ *                                                    ```
+ *
+ * Each runner turns a block into one shell command, so code steps go through
+ * the same policy, timeout, output capture and dry run as commands.
+ */
+
+// Fence tags whose blocks show what a command printed rather than run
+const SAMPLE_LANGUAGES = ["text", "output", "console"];
+
+const HTTP_METHODS = [
+  "GET",
+  "HEAD",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+];
+
+/**
+ * Quote a word for the shell in single quotes
+ * @param {string} text - Word
+ * @returns {string} - Quoted word
+ */
+function singleQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Feed code to a command on stdin through a quoted heredoc, so the shell
+ * expands nothing inside it
+ * @param {string} command - Command reading the code from stdin
+ * @param {string} code - Code
+ * @returns {string} - Shell command
+ */
+function withHeredoc(command, code) {
+  let delimiter = "ENTRAN_CODE";
+  while (code.split("\n").includes(delimiter)) {
+    delimiter += "_";
+  }
+  return `${command} <<'${delimiter}'\n${code}\n${delimiter}`;
+}
+
+/**
+ * Read "key=value" pairs and bare words from a fence's info string after
+ * the language, e.g. "db=inventory.db" or "inventory.db"
+ * @param {string|null} meta - Info string after the language
+ * @returns {Object} - { options, words }
+ */
+function parseFenceMeta(meta) {
+  const options = {};
+  const words = [];
+  for (const word of (meta || "").split(/\s+/).filter(Boolean)) {
+    const match = word.match(/^([\w-]+)=(.*)$/);
+    if (match) {
+      options[match[1].toLowerCase()] = match[2].replace(/^["']|["']$/g, "");
+    } else {
+      words.push(word);
+    }
+  }
+  return { options, words };
+}
+
+/**
+ * Build a curl command from a raw HTTP request: a request line (method
+ * optional, default GET), header lines, then a blank line and the body
+ * @param {string} code - Raw request
+ * @returns {Object} - { command, description } or { error }
+ */
+function buildHttpCommand(code) {
+  const lines = code.replace(/^\s*\n/, "").split("\n");
+  const requestLine = (lines.shift() || "").trim();
+  const match = requestLine.match(
+    /^(?:([A-Z]+)\s+)?(\S+)(?:\s+HTTP\/[\d.]+)?$/
+  );
+  if (!match) {
+    return { error: `Invalid HTTP request line '${requestLine}'` };
+  }
+
+  const method = match[1] || "GET";
+  if (!HTTP_METHODS.includes(method)) {
+    return { error: `Unknown HTTP method '${method}'` };
+  }
+
+  const headers = [];
+  while (lines.length > 0 && lines[0].trim() !== "") {
+    const header = lines.shift().trim();
+    if (!/^[\w-]+:/.test(header)) {
+      return { error: `Invalid HTTP header '${header}'` };
+    }
+    headers.push(header);
+  }
+  const body = lines.slice(1).join("\n").trim();
+
+  const args = ["curl", "-sS", "-i", "-X", method];
+  headers.forEach((header) => args.push("-H", singleQuote(header)));
+  if (body) {
+    args.push("--data-raw", singleQuote(body));
+  }
+  args.push(singleQuote(match[2]));
+
+  return {
+    command: args.join(" "),
+    description: `Send HTTP request: ${method} ${match[2]}`,
+  };
+}
+
+/**
+ * Runner registry. tool is the program the allowlist must permit;
+ * substitute says whether $variables in the block are replaced (only where
+ * the language has no use for $ itself). build returns the command, an
+ * optional description, or an error.
+ */
+const CODE_RUNNERS = {
+  python: {
+    tool: "python3",
+    aliases: ["py", "python3"],
+    substitute: false,
+    build: (code) => ({ command: withHeredoc("python3 -", code) }),
+  },
+  node: {
+    tool: "node",
+    aliases: ["js", "javascript", "nodejs"],
+    substitute: false,
+    build: (code) => ({ command: withHeredoc("node -", code) }),
+  },
+  sqlite: {
+    tool: "sqlite3",
+    aliases: ["sql", "sqlite3"],
+    substitute: false,
+    build: (code, meta) => {
+      const { options, words } = parseFenceMeta(meta);
+      const database = options.db || options.database || words[0];
+      if (!database) {
+        return {
+          error: "SQL block names no database file",
+        };
+      }
+      return {
+        command: withHeredoc(
+          `sqlite3 -bail -header ${singleQuote(database)}`,
+          code
+        ),
+        database: database,
+        description: `Query ${database}`,
+      };
+    },
+  },
+  http: {
+    tool: "curl",
+    aliases: ["https"],
+    substitute: true,
+    build: (code) => buildHttpCommand(code),
+  },
+};
+
+/**
+ * Find the runner for a fence language
+ * @param {string} language - Fence language tag
+ * @returns {Object|null} - Runner with its name, or null if none runs it
+ */
+function findCodeRunner(language) {
+  const tag = String(language || "").toLowerCase();
+  const name = Object.keys(CODE_RUNNERS).find(
+    (key) => key === tag || CODE_RUNNERS[key].aliases.includes(tag)
+  );
+  return name ? { name, ...CODE_RUNNERS[name] } : null;
+}
+
+/**
+ * Check whether a fence language marks an expected-output sample
+ * @param {string} language - Fence language tag
+ * @returns {boolean} - True for text, output and console blocks
+ */
+function isSampleLanguage(language) {
+  return SAMPLE_LANGUAGES.includes(String(language || "").toLowerCase());
+}
+
+/**
+ * Compare command output with a sample, ignoring trailing whitespace and
+ * blank lines at either end
+ * @param {string} output - Command output
+ * @param {string} sample - Sample from the document
+ * @returns {boolean} - True if they match
+ */
+function matchesSample(output, sample) {
+  const normalize = (text) =>
+    String(text || "")
+      .split("\n")
+      .map((line) => line.trimEnd())
+      .join("\n")
+      .trim();
+  return normalize(output) === normalize(sample);
+}
+
+module.exports = {
+  CODE_RUNNERS,
+  SAMPLE_LANGUAGES,
+  findCodeRunner,
+  isSampleLanguage,
+  matchesSample,
+  parseFenceMeta,
+};
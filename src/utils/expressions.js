@@ -0,0 +1,733 @@
+const { VARIABLE_REFERENCE_PATTERN } = require("./variableReferences");
+
+/**
+ * Condition expression language
+ *
+ *   $loss > 50% and $service.active_state == "active"
+ *   not ($http.status >= 500 or $rtt > 100ms)
+ *   lower($out) contains "ok" and $host matches /^web-\d+$/i
+ *   length($dns.answers) > 0 and $disk_free >= 2GB
+ *   lookup($hosts, "name", $host, "port") == 22
+ *
+ * Expressions are parsed into a small AST and evaluated without eval, so
+ * they can only read variables and call the functions listed below.
+ */
+
+/**
+ * Unit multipliers: times are normalized to milliseconds, sizes to bytes
+ */
+const UNIT_MULTIPLIERS = {
+  ms: 1,
+  s: 1000,
+  sec: 1000,
+  secs: 1000,
+  second: 1000,
+  seconds: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  mins: 60 * 1000,
+  minute: 60 * 1000,
+  minutes: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  hours: 60 * 60 * 1000,
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+  tb: 1024 ** 4,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+  "%": 1,
+};
+
+const QUANTITY_PATTERN = new RegExp(
+  `^(-?\\d+(?:\\.\\d+)?)\\s*(${Object.keys(UNIT_MULTIPLIERS).join("|")})?$`,
+  "i"
+);
+
+/**
+ * Functions callable from expressions
+ */
+const EXPRESSION_FUNCTIONS = {
+  length: (value) => {
+    if (value === null || value === undefined) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (typeof value === "object") return Object.keys(value).length;
+    return String(value).length;
+  },
+  lower: (value) => toText(value).toLowerCase(),
+  upper: (value) => toText(value).toUpperCase(),
+  trim: (value) => toText(value).trim(),
+  starts_with: (value, prefix) => toText(value).startsWith(toText(prefix)),
+  ends_with: (value, suffix) => toText(value).endsWith(toText(suffix)),
+  contains: (value, part) => containsValue(value, part),
+  replace: (value, search, replacement) =>
+    toText(value).split(toText(search)).join(toText(replacement)),
+  split: (value, separator) => toText(value).split(toText(separator)),
+  lines: (value) => toText(value).split("\n"),
+  number: (value) => toNumber(value),
+  string: (value) => toText(value),
+  exists: (value) => value !== null && value !== undefined,
+  empty: (value) => EXPRESSION_FUNCTIONS.length(value) === 0,
+  // lookup($hosts, "name", "web-1", "port"): first row whose column equals
+  // the value, or that row's result column; null when no row matches
+  lookup: (rows, column, value, result) => {
+    const row = (Array.isArray(rows) ? rows : []).find(
+      (candidate) =>
+        candidate !== null &&
+        typeof candidate === "object" &&
+        valuesEqual(candidate[toText(column)], value)
+    );
+    if (!row) return null;
+    return result === undefined ? row : row[toText(result)] ?? null;
+  },
+};
+
+const KEYWORDS = new Set([
+  "and",
+  "or",
+  "not",
+  "contains",
+  "matches",
+  "true",
+  "false",
+  "null",
+]);
+
+const COMPARISON_OPERATORS = new Set(["==", "!=", "<", "<=", ">", ">="]);
+
+/**
+ * Parse a quantity such as 100ms, 2GB, 50% or 42 into a number
+ * @param {*} value - Number or text
+ * @returns {number} - Number in base units, or NaN if not a quantity
+ */
+function parseQuantity(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (typeof value !== "string") {
+    return NaN;
+  }
+
+  const match = value.trim().match(QUANTITY_PATTERN);
+  if (!match) {
+    return NaN;
+  }
+
+  const multiplier = match[2] ? UNIT_MULTIPLIERS[match[2].toLowerCase()] : 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
+/**
+ * Split expression text into tokens
+ * @param {string} text - Expression text
+ * @returns {Array} - Tokens with type, value and position
+ */
+function tokenize(text) {
+  const tokens = [];
+  const referencePattern = new RegExp(VARIABLE_REFERENCE_PATTERN.source, "y");
+  const numberPattern = new RegExp(
+    `(\\d+(?:\\.\\d+)?)(${Object.keys(UNIT_MULTIPLIERS)
+      .filter((unit) => unit !== "%")
+      .join("|")}|%)?(?![\\w.])`,
+    "iy"
+  );
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const previous = tokens[tokens.length - 1];
+
+    if (char === "$") {
+      referencePattern.lastIndex = position;
+      const match = referencePattern.exec(text);
+      if (!match) {
+        throw expressionError("Invalid variable reference", position);
+      }
+      tokens.push({ type: "reference", value: match[0], position });
+      position += match[0].length;
+      continue;
+    }
+
+    if (/\d/.test(char)) {
+      numberPattern.lastIndex = position;
+      const match = numberPattern.exec(text);
+      if (!match) {
+        throw expressionError("Invalid number", position);
+      }
+      tokens.push({
+        type: "number",
+        value: parseQuantity(match[0]),
+        position,
+      });
+      position += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      let end = position + 1;
+      while (end < text.length && text[end] !== char) {
+        if (text[end] === "\\" && end + 1 < text.length) end++;
+        value += text[end++];
+      }
+      if (end >= text.length) {
+        throw expressionError("Unterminated string", position);
+      }
+      tokens.push({ type: "string", value, position });
+      position = end + 1;
+      continue;
+    }
+
+    // A slash after "matches" opens a regex literal
+    if (char === "/" && previous && previous.value === "matches") {
+      const match = text
+        .substring(position)
+        .match(/^\/((?:\\.|[^\\/])+)\/([gimsuy]*)/);
+      if (!match) {
+        throw expressionError("Unterminated regular expression", position);
+      }
+      tokens.push({
+        type: "regex",
+        value: { source: match[1], flags: match[2] },
+        position,
+      });
+      position += match[0].length;
+      continue;
+    }
+
+    const wordMatch = text.substring(position).match(/^[A-Za-z_]\w*/);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const lower = word.toLowerCase();
+      tokens.push(
+        KEYWORDS.has(lower)
+          ? { type: "keyword", value: lower, position }
+          : { type: "identifier", value: word, position }
+      );
+      position += word.length;
+      continue;
+    }
+
+    const operatorMatch = text
+      .substring(position)
+      .match(/^(==|!=|<=|>=|&&|\|\||[<>=!+\-*/%(),])/);
+    if (operatorMatch) {
+      const operator = operatorMatch[0];
+      tokens.push({
+        type: "operator",
+        value: operator === "=" ? "==" : operator,
+        position,
+      });
+      position += operator.length;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character '${char}'`, position);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse expression text into an AST
+ * @param {string} text - Expression text
+ * @returns {Object} - AST node
+ * @throws {Error} - Parse error with message and position
+ */
+function parseExpression(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isToken = (value) => peek() && peek().value === value;
+  const next = () => tokens[index++];
+  const expect = (value) => {
+    if (!isToken(value)) {
+      throw unexpectedToken(peek(), `expected '${value}'`);
+    }
+    return next();
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isToken("or") || isToken("||")) {
+      next();
+      node = { type: "logical", operator: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isToken("and") || isToken("&&")) {
+      next();
+      node = {
+        type: "logical",
+        operator: "and",
+        left: node,
+        right: parseNot(),
+      };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isToken("not") || isToken("!")) {
+      next();
+      return { type: "not", operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    const token = peek();
+    if (!token) {
+      return left;
+    }
+
+    if (token.type === "operator" && COMPARISON_OPERATORS.has(token.value)) {
+      next();
+      return {
+        type: "compare",
+        operator: token.value,
+        left,
+        right: parseAdditive(),
+      };
+    }
+
+    // "contains", "matches" and their "not" forms
+    const negated =
+      token.value === "not" &&
+      tokens[index + 1] &&
+      ["contains", "matches"].includes(tokens[index + 1].value);
+    if (negated) next();
+
+    if (isToken("contains")) {
+      next();
+      const node = { type: "contains", left, right: parseAdditive() };
+      return negated ? { type: "not", operand: node } : node;
+    }
+
+    if (isToken("matches")) {
+      next();
+      const pattern = peek();
+      if (!pattern || !["regex", "string"].includes(pattern.type)) {
+        throw unexpectedToken(pattern, "expected /regex/ after 'matches'");
+      }
+      next();
+      const regex = compileRegex(pattern);
+      const node = { type: "matches", left, regex };
+      return negated ? { type: "not", operand: node } : node;
+    }
+
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isToken("+") || isToken("-")) {
+      const operator = next().value;
+      node = {
+        type: "arithmetic",
+        operator,
+        left: node,
+        right: parseMultiplicative(),
+      };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isToken("*") || isToken("/") || isToken("%")) {
+      const operator = next().value;
+      node = {
+        type: "arithmetic",
+        operator,
+        left: node,
+        right: parseUnary(),
+      };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isToken("-")) {
+      next();
+      return { type: "negate", operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw expressionError("Unexpected end of expression", text.length);
+    }
+
+    switch (token.type) {
+      case "number":
+      case "string":
+        return { type: "literal", value: token.value };
+
+      case "reference":
+        return { type: "reference", reference: token.value };
+
+      case "keyword":
+        if (token.value === "true") return { type: "literal", value: true };
+        if (token.value === "false") return { type: "literal", value: false };
+        if (token.value === "null") return { type: "literal", value: null };
+        throw unexpectedToken(token);
+
+      case "identifier": {
+        if (!isToken("(")) {
+          throw expressionError(
+            `Unknown name '${token.value}'; prefix variables with $ or quote text`,
+            token.position
+          );
+        }
+        // Own names only: constructor or __proto__ must not reach Object
+        const name = token.value.toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, name)) {
+          throw expressionError(
+            `Unknown function '${token.value}'`,
+            token.position
+          );
+        }
+        next();
+        const args = [];
+        while (!isToken(")")) {
+          args.push(parseOr());
+          if (!isToken(")")) expect(",");
+        }
+        next();
+        return { type: "call", name, args };
+      }
+
+      case "operator":
+        if (token.value === "(") {
+          const node = parseOr();
+          expect(")");
+          return node;
+        }
+        throw unexpectedToken(token);
+
+      default:
+        throw unexpectedToken(token);
+    }
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw unexpectedToken(peek());
+  }
+  return ast;
+}
+
+/**
+ * Evaluate an expression AST
+ * @param {Object} node - AST node from parseExpression
+ * @param {Function} resolveReference - Returns the value of a $reference
+ * @returns {*} - Result value
+ */
+function evaluateAst(node, resolveReference) {
+  const evaluate = (child) => evaluateAst(child, resolveReference);
+
+  switch (node.type) {
+    case "literal":
+      return node.value;
+
+    case "reference": {
+      const value = resolveReference(node.reference);
+      return value === undefined ? null : value;
+    }
+
+    case "logical":
+      return node.operator === "and"
+        ? isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right))
+        : isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+
+    case "not":
+      return !isTruthy(evaluate(node.operand));
+
+    case "compare":
+      return compareValues(
+        evaluate(node.left),
+        node.operator,
+        evaluate(node.right)
+      );
+
+    case "contains":
+      return containsValue(evaluate(node.left), evaluate(node.right));
+
+    case "matches": {
+      const value = evaluate(node.left);
+      const regex = new RegExp(node.regex.source, node.regex.flags);
+      return value !== null && regex.test(toText(value));
+    }
+
+    case "arithmetic":
+      return applyArithmetic(
+        evaluate(node.left),
+        node.operator,
+        evaluate(node.right)
+      );
+
+    case "negate": {
+      const value = toNumber(evaluate(node.operand));
+      if (Number.isNaN(value)) {
+        throw new Error("Cannot negate a non-numeric value");
+      }
+      return -value;
+    }
+
+    case "call":
+      return EXPRESSION_FUNCTIONS[node.name](...node.args.map(evaluate));
+
+    default:
+      throw new Error(`Unknown expression node '${node.type}'`);
+  }
+}
+
+/**
+ * Parse and evaluate expression text
+ * @param {string} text - Expression text
+ * @param {Function} resolveReference - Returns the value of a $reference
+ * @returns {*} - Result value
+ */
+function evaluateExpressionText(text, resolveReference) {
+  return evaluateAst(parseExpression(text), resolveReference);
+}
+
+/**
+ * Compare two values. Numbers and quantity strings ("250ms", "2GB")
+ * compare numerically; anything else compares as text.
+ * @param {*} left - Left value
+ * @param {string} operator - ==, !=, <, <=, >, >=
+ * @param {*} right - Right value
+ * @returns {boolean} - Comparison result
+ */
+function compareValues(left, operator, right) {
+  if (operator === "==" || operator === "!=") {
+    const equal = valuesEqual(left, right);
+    return operator === "==" ? equal : !equal;
+  }
+
+  if (left === null || right === null) {
+    return false;
+  }
+
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  const numeric = !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber);
+  const order = numeric
+    ? leftNumber - rightNumber
+    : toText(left).localeCompare(toText(right));
+
+  switch (operator) {
+    case "<":
+      return order < 0;
+    case "<=":
+      return order <= 0;
+    case ">":
+      return order > 0;
+    default:
+      return order >= 0;
+  }
+}
+
+/**
+ * Strict equality with numeric comparison for quantities
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} - True if equal
+ */
+function valuesEqual(left, right) {
+  if (left === null || right === null) {
+    return left === right;
+  }
+
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  if (!Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+    return leftNumber === rightNumber;
+  }
+
+  if (typeof left === "boolean" || typeof right === "boolean") {
+    return toText(left).trim().toLowerCase() === toText(right).toLowerCase();
+  }
+
+  return toText(left).trim() === toText(right).trim();
+}
+
+/**
+ * Check whether a string, array or object contains a value
+ * @param {*} container - String, array or object
+ * @param {*} part - Value to look for
+ * @returns {boolean} - True if contained
+ */
+function containsValue(container, part) {
+  if (container === null || container === undefined) {
+    return false;
+  }
+  if (Array.isArray(container)) {
+    return container.some((item) => valuesEqual(item, part));
+  }
+  if (typeof container === "object") {
+    return Object.prototype.hasOwnProperty.call(container, toText(part));
+  }
+  return toText(container).includes(toText(part));
+}
+
+/**
+ * Apply an arithmetic operator; + concatenates when either side is text
+ * @param {*} left - Left value
+ * @param {string} operator - +, -, *, /, %
+ * @param {*} right - Right value
+ * @returns {number|string} - Result
+ */
+function applyArithmetic(left, operator, right) {
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+
+  if (Number.isNaN(leftNumber) || Number.isNaN(rightNumber)) {
+    if (operator === "+") {
+      return toText(left) + toText(right);
+    }
+    throw new Error(
+      `Cannot apply '${operator}' to ${JSON.stringify(
+        left
+      )} and ${JSON.stringify(right)}`
+    );
+  }
+
+  switch (operator) {
+    case "+":
+      return leftNumber + rightNumber;
+    case "-":
+      return leftNumber - rightNumber;
+    case "*":
+      return leftNumber * rightNumber;
+    case "/":
+      if (rightNumber === 0) throw new Error("Division by zero");
+      return leftNumber / rightNumber;
+    default:
+      if (rightNumber === 0) throw new Error("Division by zero");
+      return leftNumber % rightNumber;
+  }
+}
+
+/**
+ * Truthiness for conditions: empty text, "false", "0", empty lists, 0 and
+ * null are false
+ * @param {*} value - Value
+ * @returns {boolean} - Truth value
+ */
+function isTruthy(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0 && !Number.isNaN(value);
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object") return true;
+
+  const text = String(value).trim().toLowerCase();
+  return text !== "" && text !== "false" && text !== "0";
+}
+
+/**
+ * Convert value to number, reading quantities with units
+ * @param {*} value - Value
+ * @returns {number} - Number or NaN
+ */
+function toNumber(value) {
+  if (typeof value === "boolean" || value === null) {
+    return NaN;
+  }
+  return parseQuantity(value);
+}
+
+/**
+ * Convert value to text
+ * @param {*} value - Value
+ * @returns {string} - Text
+ */
+function toText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Compile a regex or string token into a regex description
+ * @param {Object} token - Regex or string token
+ * @returns {Object} - { source, flags }
+ */
+function compileRegex(token) {
+  const regex =
+    token.type === "regex"
+      ? { source: token.value.source, flags: token.value.flags }
+      : { source: token.value, flags: "" };
+
+  try {
+    new RegExp(regex.source, regex.flags);
+  } catch (error) {
+    throw expressionError(error.message, token.position);
+  }
+  return regex;
+}
+
+/**
+ * Build an error for an unexpected token
+ * @param {Object} token - Token or undefined at end of input
+ * @param {string} detail - Optional detail
+ * @returns {Error} - Parse error
+ */
+function unexpectedToken(token, detail) {
+  if (!token) {
+    return expressionError(
+      `Unexpected end of expression${detail ? `, ${detail}` : ""}`,
+      null
+    );
+  }
+  return expressionError(
+    `Unexpected '${typeof token.value === "object" ? "/regex/" : token.value}'${
+      detail ? `, ${detail}` : ""
+    }`,
+    token.position
+  );
+}
+
+/**
+ * Build a parse error carrying the character position
+ * @param {string} message - Error message
+ * @param {number|null} position - Character position
+ * @returns {Error} - Parse error
+ */
+function expressionError(message, position) {
+  const error = new Error(
+    position === null ? message : `${message} at position ${position + 1}`
+  );
+  error.position = position;
+  return error;
+}
+
+module.exports = {
+  parseExpression,
+  evaluateAst,
+  evaluateExpressionText,
+  parseQuantity,
+  isTruthy,
+  EXPRESSION_FUNCTIONS,
+};
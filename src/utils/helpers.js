@@ -144,6 +144,22 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Cut text to at most maxBytes of UTF-8 without splitting a character
+ * @param {string} text - Text to cut
+ * @param {number} maxBytes - Maximum length in bytes
+ * @returns {string} - Whole characters that fit in maxBytes
+ */
+function truncateUtf8(text, maxBytes) {
+  const buffer = Buffer.from(text, "utf8");
+  if (buffer.length <= maxBytes) return text;
+
+  // Continuation bytes are 10xxxxxx; back off to the character's first byte
+  let end = Math.max(maxBytes, 0);
+  while (end > 0 && (buffer[end] & 0xc0) === 0x80) end--;
+  return buffer.subarray(0, end).toString("utf8");
+}
+
 /**
  * Retry a function with exponential backoff
  * @param {Function} fn - Function to retry
@@ -271,6 +287,7 @@ module.exports = {
   retryWithBackoff,
   safeJsonParse,
   truncate,
+  truncateUtf8,
   getFileExtension,
   isValidUrl,
   deepMerge,
@@ -0,0 +1,268 @@
+/**
+ * Program inputs: typed parameters a runbook declares in YAML front matter
+ * or an "## Inputs" section, and the values a run supplies for them
+ *
+ *   inputs:
+ *     host: { type: host, description: Server to check }
+ *     port: { type: integer, default: 22, min: 1, max: 65535 }
+ *
+ *   - `host` (host, required): Server to check
+ *   - `port` (integer, default 22, min 1, max 65535): SSH port
+ */
+
+const INPUT_TYPES = ["string", "number", "integer", "boolean", "host", "list"];
+
+const HOST_PATTERN =
+  /^(?:(?:[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)(?:\.(?:[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?))*\.?|\d{1,3}(?:\.\d{1,3}){3}|\[?[\da-f:]+\]?)$/i;
+
+/**
+ * Normalize one input declaration and check its default against its type.
+ * Procedure parameters share the syntax and pass kind "parameter".
+ * @param {string} name - Input name
+ * @param {Object|string} spec - Declaration, or just a type name
+ * @param {string} kind - Word used in messages: input or parameter
+ * @returns {Object} - { input } or { error }
+ */
+function normalizeInputDeclaration(name, spec, kind = "input") {
+  const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+  if (!/^[A-Za-z_]\w*$/.test(name)) {
+    return { error: `${label} name '${name}' must be a plain identifier` };
+  }
+
+  const declaration = typeof spec === "string" ? { type: spec } : spec || {};
+  if (typeof declaration !== "object" || Array.isArray(declaration)) {
+    return { error: `${label} '${name}' must be a type name or a mapping` };
+  }
+
+  const type = String(declaration.type || "string").toLowerCase();
+  if (!INPUT_TYPES.includes(type)) {
+    return {
+      error: `${label} '${name}' has unknown type '${
+        declaration.type
+      }' (expected ${INPUT_TYPES.join(", ")})`,
+    };
+  }
+
+  const input = {
+    name: name,
+    type: type,
+    required:
+      declaration.required !== undefined
+        ? Boolean(declaration.required)
+        : declaration.default === undefined,
+    description: declaration.description || null,
+  };
+
+  if (declaration.values !== undefined) {
+    input.values = [].concat(declaration.values);
+  }
+  if (declaration.min !== undefined) input.min = Number(declaration.min);
+  if (declaration.max !== undefined) input.max = Number(declaration.max);
+  if (declaration.pattern !== undefined) {
+    try {
+      new RegExp(declaration.pattern);
+    } catch (error) {
+      return {
+        error: `${label} '${name}' has an invalid pattern: ${error.message}`,
+      };
+    }
+    input.pattern = String(declaration.pattern);
+  }
+
+  if (declaration.default !== undefined && declaration.default !== null) {
+    const checked = checkInputValue(input, declaration.default, kind);
+    if (checked.error) {
+      return { error: `Default of ${checked.error}` };
+    }
+    input.default = checked.value;
+  }
+
+  return { input };
+}
+
+/**
+ * Parse an "## Inputs" bullet such as
+ * "`port` (integer, default 22, min 1): SSH port" into a declaration
+ * @param {string} text - Bullet text
+ * @returns {Object|null} - { name, spec } or null if the bullet names no input
+ */
+function parseInputDeclarationText(text) {
+  const match = text
+    .trim()
+    .match(
+      /^(?:`|\*\*)?\$?([A-Za-z_]\w*)(?:`|\*\*)?\s*(?:\((.*)\))?\s*(?:[:–—-]\s*(.*))?$/
+    );
+  if (!match) {
+    return null;
+  }
+
+  const clauses = match[2] || "";
+  const spec = {};
+
+  const typeMatch = clauses.match(/^\s*(\w+)/);
+  if (typeMatch && !/^(?:required|optional|default)$/i.test(typeMatch[1])) {
+    spec.type = typeMatch[1];
+  }
+  if (/\brequired\b/i.test(clauses)) spec.required = true;
+  if (/\boptional\b/i.test(clauses)) spec.required = false;
+
+  const defaultMatch = clauses.match(
+    /\bdefault:?\s+(?:"([^"]*)"|'([^']*)'|`([^`]*)`|([^,]+))/i
+  );
+  if (defaultMatch) {
+    spec.default = [1, 2, 3, 4]
+      .map((group) => defaultMatch[group])
+      .find((value) => value !== undefined)
+      .trim();
+  }
+
+  const minMatch = clauses.match(/\bmin:?\s+(-?\d+(?:\.\d+)?)/i);
+  if (minMatch) spec.min = Number(minMatch[1]);
+  const maxMatch = clauses.match(/\bmax:?\s+(-?\d+(?:\.\d+)?)/i);
+  if (maxMatch) spec.max = Number(maxMatch[1]);
+
+  const valuesMatch = clauses.match(/\bone of:?\s+([^,]+)/i);
+  if (valuesMatch) {
+    spec.values = valuesMatch[1]
+      .split(/[|/]/)
+      .map((value) => value.trim().replace(/^["'`]|["'`]$/g, ""))
+      .filter(Boolean);
+  }
+
+  const patternMatch = clauses.match(/\bmatches:?\s+\/(.+)\/(?=\s*(?:,|$))/i);
+  if (patternMatch) spec.pattern = patternMatch[1];
+
+  if (match[3]) spec.description = match[3].trim();
+
+  return { name: match[1], spec };
+}
+
+/**
+ * Coerce a supplied value to an input's type and check its constraints.
+ * Strings from the command line or forms convert to numbers, booleans
+ * and comma-separated lists.
+ * @param {Object} input - Normalized input declaration
+ * @param {*} value - Supplied value
+ * @param {string} kind - Word used in messages: input or parameter
+ * @returns {Object} - { value } or { error }
+ */
+function checkInputValue(input, value, kind = "input") {
+  const fail = (reason) => ({
+    error: `${kind} '${input.name}' ${reason}`,
+  });
+
+  let coerced = value;
+  switch (input.type) {
+    case "number":
+    case "integer":
+      coerced = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof coerced !== "number" || Number.isNaN(coerced)) {
+        return fail(`must be a number, got '${value}'`);
+      }
+      if (input.type === "integer" && !Number.isInteger(coerced)) {
+        return fail(`must be an integer, got '${value}'`);
+      }
+      break;
+
+    case "boolean":
+      if (typeof value === "string") {
+        const text = value.trim().toLowerCase();
+        if (["true", "yes", "1", "on"].includes(text)) coerced = true;
+        else if (["false", "no", "0", "off"].includes(text)) coerced = false;
+      }
+      if (typeof coerced !== "boolean") {
+        return fail(`must be true or false, got '${value}'`);
+      }
+      break;
+
+    case "list":
+      coerced = Array.isArray(value)
+        ? value
+        : String(value)
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean);
+      break;
+
+    default:
+      if (typeof value === "object" && value !== null) {
+        return fail("must be text");
+      }
+      coerced = String(value);
+      if (input.type === "host" && !HOST_PATTERN.test(coerced)) {
+        return fail(`must be a hostname or IP address, got '${value}'`);
+      }
+  }
+
+  if (
+    input.values &&
+    !input.values.some((allowed) => String(allowed) === String(coerced))
+  ) {
+    return fail(`must be one of ${input.values.join(", ")}, got '${value}'`);
+  }
+  if (input.pattern && !new RegExp(input.pattern).test(String(coerced))) {
+    return fail(`must match /${input.pattern}/, got '${value}'`);
+  }
+  if (typeof coerced === "number") {
+    if (input.min !== undefined && coerced < input.min) {
+      return fail(`must be at least ${input.min}, got ${coerced}`);
+    }
+    if (input.max !== undefined && coerced > input.max) {
+      return fail(`must be at most ${input.max}, got ${coerced}`);
+    }
+  }
+
+  return { value: coerced };
+}
+
+/**
+ * Resolve the values of a run against the program's inputs: defaults fill
+ * gaps, required inputs must be given and undeclared names are rejected
+ * @param {Object} inputs - Normalized declarations by name
+ * @param {Object} supplied - Supplied values by name
+ * @param {string} kind - Word used in messages: input or parameter
+ * @returns {Object} - { values, errors } where errors are message strings
+ */
+function resolveInputValues(inputs = {}, supplied = {}, kind = "input") {
+  const values = {};
+  const errors = [];
+
+  for (const name of Object.keys(supplied)) {
+    if (!inputs[name]) {
+      errors.push(`Unknown ${kind} '${name}'`);
+    }
+  }
+
+  for (const input of Object.values(inputs)) {
+    const value = supplied[input.name];
+    if (value === undefined || value === null || value === "") {
+      if (input.default !== undefined) {
+        values[input.name] = input.default;
+      } else if (input.required) {
+        errors.push(
+          `Missing required ${kind} '${input.name}'${
+            input.description ? ` (${input.description})` : ""
+          }`
+        );
+      }
+      continue;
+    }
+
+    const checked = checkInputValue(input, value, kind);
+    if (checked.error) {
+      errors.push(`Invalid ${checked.error}`);
+    } else {
+      values[input.name] = checked.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  INPUT_TYPES,
+  normalizeInputDeclaration,
+  parseInputDeclarationText,
+  checkInputValue,
+  resolveInputValues,
+};
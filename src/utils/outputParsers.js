@@ -0,0 +1,477 @@
+const { extractTool } = require("./markdownValidator");
+
+/**
+ * Structured output parsers for registered tools
+ *
+ * Each parser turns the raw text output of a command into a typed object
+ * that is stored on the execution heap under the parser's name, so
+ * conditions can reference fields such as $ping.packet_loss or $http.status.
+ */
+
+/**
+ * Parse ping output
+ * @param {string} output - Raw ping output
+ * @returns {Object} - ping_result
+ */
+function parsePing(output) {
+  const target = output.match(/^PING\s+(\S+)\s+\(([^)]+)\)/m);
+  const stats = output.match(
+    /(\d+)\s+packets transmitted,\s+(\d+)\s+(?:packets\s+)?received,.*?([\d.]+)%\s+packet loss/
+  );
+  const rtt = output.match(
+    /(?:rtt|round-trip)\s+min\/avg\/max\/(?:mdev|stddev)\s*=\s*([\d.]+)\/([\d.]+)\/([\d.]+)\/([\d.]+)/
+  );
+  const replies = [...output.matchAll(/time[=<]\s*([\d.]+)\s*ms/g)].map(
+    (match) => parseFloat(match[1])
+  );
+
+  const transmitted = stats ? parseInt(stats[1], 10) : replies.length;
+  const received = stats ? parseInt(stats[2], 10) : replies.length;
+
+  return {
+    host: target ? target[1] : null,
+    address: target ? target[2] : null,
+    transmitted: transmitted,
+    received: received,
+    packet_loss: stats
+      ? parseFloat(stats[3])
+      : transmitted
+      ? 100 * (1 - received / transmitted)
+      : 100,
+    rtt: rtt
+      ? {
+          min: parseFloat(rtt[1]),
+          avg: parseFloat(rtt[2]),
+          max: parseFloat(rtt[3]),
+          mdev: parseFloat(rtt[4]),
+        }
+      : null,
+    replies: replies,
+    reachable: received > 0,
+  };
+}
+
+/**
+ * Parse nslookup output
+ * @param {string} output - Raw nslookup output
+ * @returns {Object} - dns_record
+ */
+function parseNslookup(output) {
+  const server = output.match(/^Server:\s+(\S+)/m);
+  const answers = [];
+
+  // The first block describes the server; answers follow as "Name:" lines
+  // each followed by one or more addresses
+  let currentName = null;
+  output
+    .split(/\n\s*\n/)
+    .slice(server ? 1 : 0)
+    .join("\n")
+    .split("\n")
+    .forEach((line) => {
+      const nameMatch = line.match(/^Name:\s+(\S+)/);
+      const addressMatch = line.match(/^Address(?:es)?:\s+(\S+)/);
+      if (nameMatch) {
+        currentName = nameMatch[1];
+      } else if (addressMatch && currentName) {
+        answers.push({
+          name: currentName,
+          type: addressMatch[1].includes(":") ? "AAAA" : "A",
+          address: addressMatch[1],
+        });
+      }
+    });
+
+  const failure = output.match(/\*\*\s*server can't find\s+\S+:\s*(\w+)/i);
+
+  return {
+    server: server ? server[1] : null,
+    status: failure ? failure[1] : answers.length ? "NOERROR" : "NODATA",
+    answers: answers,
+    addresses: answers.map((answer) => answer.address),
+    resolved: answers.length > 0,
+  };
+}
+
+/**
+ * Parse dig output, including +short output
+ * @param {string} output - Raw dig output
+ * @returns {Object} - dns_record
+ */
+function parseDig(output) {
+  const header = output.match(/status:\s*(\w+)/);
+  const server = output.match(/^;;\s*SERVER:\s*([^#(\s]+)/m);
+  const queryTime = output.match(/^;;\s*Query time:\s*(\d+)\s*msec/m);
+  const answers = [];
+
+  if (header) {
+    const section = output.match(/;; ANSWER SECTION:\n([\s\S]*?)(?:\n\n|$)/);
+    (section ? section[1].split("\n") : []).forEach((line) => {
+      const record = line
+        .trim()
+        .match(/^(\S+)\s+(\d+)\s+(\w+)\s+(\w+)\s+(.+)$/);
+      if (record) {
+        answers.push({
+          name: record[1].replace(/\.$/, ""),
+          ttl: parseInt(record[2], 10),
+          type: record[4],
+          address: record[5].trim(),
+        });
+      }
+    });
+  } else {
+    // dig +short prints one record per line
+    output
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith(";"))
+      .forEach((line) => {
+        answers.push({
+          name: null,
+          type: line.includes(":")
+            ? "AAAA"
+            : /^[\d.]+$/.test(line)
+            ? "A"
+            : "CNAME",
+          address: line,
+        });
+      });
+  }
+
+  return {
+    server: server ? server[1] : null,
+    status: header ? header[1] : answers.length ? "NOERROR" : "NODATA",
+    query_time_ms: queryTime ? parseInt(queryTime[1], 10) : null,
+    answers: answers,
+    addresses: answers.map((answer) => answer.address),
+    resolved: answers.length > 0,
+  };
+}
+
+/**
+ * Parse ip addr output
+ * @param {string} output - Raw `ip addr` output
+ * @returns {Object} - interface_list
+ */
+function parseIpAddr(output) {
+  const interfaces = [];
+  let current = null;
+
+  output.split("\n").forEach((line) => {
+    const header = line.match(
+      /^(\d+):\s+([^:@\s]+)(?:@\S+)?:\s+<([^>]*)>(.*)$/
+    );
+    if (header) {
+      const mtu = header[4].match(/\bmtu\s+(\d+)/);
+      const state = header[4].match(/\bstate\s+(\S+)/);
+      current = {
+        index: parseInt(header[1], 10),
+        name: header[2],
+        flags: header[3] ? header[3].split(",") : [],
+        mtu: mtu ? parseInt(mtu[1], 10) : null,
+        state: state ? state[1] : null,
+        mac: null,
+        addresses: [],
+      };
+      interfaces.push(current);
+      return;
+    }
+
+    if (!current) return;
+
+    const link = line.match(/^\s+link\/\w+\s+(\S+)/);
+    const inet = line.match(
+      /^\s+(inet6?)\s+([^/\s]+)\/(\d+)(?:.*\bscope\s+(\w+))?/
+    );
+    if (link) {
+      current.mac = link[1];
+    } else if (inet) {
+      current.addresses.push({
+        family: inet[1],
+        address: inet[2],
+        prefix: parseInt(inet[3], 10),
+        scope: inet[4] || null,
+      });
+    }
+  });
+
+  return {
+    interfaces: interfaces,
+    names: interfaces.map((iface) => iface.name),
+    up: interfaces
+      .filter((iface) => iface.state === "UP" || iface.flags.includes("UP"))
+      .map((iface) => iface.name),
+  };
+}
+
+/**
+ * Parse ip route output
+ * @param {string} output - Raw `ip route` output
+ * @returns {Object} - route_table
+ */
+function parseIpRoute(output) {
+  const routes = output
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [destination, ...rest] = line.split(/\s+/);
+      const route = { destination: destination };
+      for (let i = 0; i < rest.length - 1; i++) {
+        if (
+          ["via", "dev", "proto", "scope", "src", "metric"].includes(rest[i])
+        ) {
+          route[rest[i] === "via" ? "gateway" : rest[i]] = rest[i + 1];
+          i++;
+        }
+      }
+      if (route.metric !== undefined) {
+        route.metric = parseInt(route.metric, 10);
+      }
+      return route;
+    });
+
+  const defaultRoute = routes.find((route) => route.destination === "default");
+
+  return {
+    routes: routes,
+    default_gateway: defaultRoute ? defaultRoute.gateway || null : null,
+    default_device: defaultRoute ? defaultRoute.dev || null : null,
+  };
+}
+
+/**
+ * Parse systemctl status output
+ * @param {string} output - Raw `systemctl status` output
+ * @returns {Object} - service_status
+ */
+function parseSystemctlStatus(output) {
+  const unit = output.match(/^\S*\s*(\S+\.\w+)\s+-\s+(.*)$/m);
+  const notFound = output.match(/Unit\s+(\S+)\s+could not be found/);
+  const loaded = output.match(/^\s*Loaded:\s+(\S+)(?:\s+\(([^)]*)\))?/m);
+  const active = output.match(
+    /^\s*Active:\s+(\S+)(?:\s+\(([^)]*)\))?(?:\s+since\s+([^;]+))?/m
+  );
+  const mainPid = output.match(/^\s*Main PID:\s+(\d+)/m);
+
+  const loadedDetails = loaded && loaded[2] ? loaded[2].split(";") : [];
+  const enabledState = loadedDetails[1] ? loadedDetails[1].trim() : null;
+  const activeState = active ? active[1] : "inactive";
+
+  return {
+    unit: unit ? unit[1] : notFound ? notFound[1] : null,
+    description: unit ? unit[2].trim() : null,
+    loaded: loaded ? loaded[1] : notFound ? "not-found" : null,
+    enabled: enabledState ? enabledState === "enabled" : null,
+    active_state: activeState,
+    sub_state: active && active[2] ? active[2] : null,
+    since: active && active[3] ? active[3].trim() : null,
+    main_pid: mainPid ? parseInt(mainPid[1], 10) : null,
+    running: activeState === "active",
+  };
+}
+
+/**
+ * Parse netstat -tlnp output
+ * @param {string} output - Raw netstat output
+ * @returns {Object} - port_list
+ */
+function parseNetstat(output) {
+  const listeners = output
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => /^(tcp|udp)6?\s/.test(line))
+    .map((line) => {
+      const columns = line.split(/\s+/);
+      const [protocol, , , localAddress, foreignAddress] = columns;
+      const hasState = /^[A-Z_]+\d?$/.test(columns[5] || "");
+      const processInfo = columns.slice(hasState ? 6 : 5).join(" ");
+      const processMatch = processInfo.match(/^(\d+)\/(.+)$/);
+      const separator = localAddress.lastIndexOf(":");
+
+      return {
+        protocol: protocol,
+        local_address: localAddress.substring(0, separator),
+        port: parseInt(localAddress.substring(separator + 1), 10),
+        foreign_address: foreignAddress,
+        state: hasState ? columns[5] : null,
+        pid: processMatch ? parseInt(processMatch[1], 10) : null,
+        program: processMatch ? processMatch[2] : null,
+      };
+    });
+
+  return {
+    listeners: listeners,
+    ports: [...new Set(listeners.map((listener) => listener.port))],
+  };
+}
+
+/**
+ * Parse curl -I output, keeping the last response when redirects were followed
+ * @param {string} output - Raw curl header output
+ * @returns {Object} - http_response
+ */
+function parseCurlHeaders(output) {
+  const blocks = output.split(/\r?\n(?=HTTP\/)/);
+  const lines = blocks[blocks.length - 1].split(/\r?\n/);
+  const statusLine = lines[0].match(/^HTTP\/([\d.]+)\s+(\d{3})\s*(.*)$/);
+  const headers = {};
+
+  lines.slice(1).forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator > 0) {
+      headers[line.substring(0, separator).trim().toLowerCase()] = line
+        .substring(separator + 1)
+        .trim();
+    }
+  });
+
+  return {
+    http_version: statusLine ? statusLine[1] : null,
+    status: statusLine ? parseInt(statusLine[2], 10) : null,
+    reason: statusLine ? statusLine[3].trim() : null,
+    headers: headers,
+    redirects: blocks.length - 1,
+  };
+}
+
+/**
+ * Parse curl -i output: the last response's status and headers, plus the body
+ * @param {string} output - Raw curl output with headers included
+ * @returns {Object} - http_response
+ */
+function parseCurlResponse(output) {
+  // Interim (100 Continue) and redirect responses each add a header block
+  let rest = output;
+  const heads = [];
+  while (/^HTTP\//.test(rest)) {
+    const end = rest.search(/\r?\n\r?\n/);
+    if (end === -1) {
+      heads.push(rest);
+      rest = "";
+      break;
+    }
+    heads.push(rest.slice(0, end));
+    rest = rest.slice(end).replace(/^\r?\n\r?\n/, "");
+  }
+
+  return {
+    ...parseCurlHeaders(heads.join("\n")),
+    body: rest,
+  };
+}
+
+/**
+ * Output parser registry. The first parser whose matcher accepts the
+ * command wins; name is the heap key the typed object is stored under.
+ */
+const OUTPUT_PARSERS = [
+  {
+    name: "ping",
+    output_type: "ping_result",
+    matches: (tool) => tool === "ping" || tool === "ping6",
+    parse: parsePing,
+  },
+  {
+    name: "dns",
+    output_type: "dns_record",
+    matches: (tool) => tool === "nslookup",
+    parse: parseNslookup,
+  },
+  {
+    name: "dns",
+    output_type: "dns_record",
+    matches: (tool) => tool === "dig",
+    parse: parseDig,
+  },
+  {
+    name: "interfaces",
+    output_type: "interface_list",
+    matches: (tool, command) =>
+      tool === "ip" && /\bip\s+(?:-\S+\s+)*(?:a|addr|address)\b/.test(command),
+    parse: parseIpAddr,
+  },
+  {
+    name: "routes",
+    output_type: "route_table",
+    matches: (tool, command) =>
+      tool === "ip" && /\bip\s+(?:-\S+\s+)*(?:r|ro|route)\b/.test(command),
+    parse: parseIpRoute,
+  },
+  {
+    name: "service",
+    output_type: "service_status",
+    matches: (tool, command) =>
+      tool === "systemctl" && /\bstatus\b/.test(command),
+    parse: parseSystemctlStatus,
+  },
+  {
+    name: "ports",
+    output_type: "port_list",
+    matches: (tool, command) => tool === "netstat" && /\s-\w*l/.test(command),
+    parse: parseNetstat,
+  },
+  {
+    name: "http",
+    output_type: "http_response",
+    matches: (tool, command) =>
+      tool === "curl" && /\s(?:-[a-zA-Z]*I[a-zA-Z]*|--head)\b/.test(command),
+    parse: parseCurlHeaders,
+  },
+  {
+    name: "http",
+    output_type: "http_response",
+    matches: (tool, command) =>
+      tool === "curl" && /\s(?:-[a-zA-Z]*i[a-zA-Z]*|--include)\b/.test(command),
+    parse: parseCurlResponse,
+  },
+];
+
+/**
+ * Find the parser registered for a command
+ * @param {string} command - Command string
+ * @returns {Object|null} - Parser entry or null if none applies
+ */
+function findOutputParser(command) {
+  const tool = extractTool(command);
+  return OUTPUT_PARSERS.find((parser) => parser.matches(tool, command)) || null;
+}
+
+/**
+ * Parse command output into a typed object
+ * @param {string} command - Command that produced the output
+ * @param {string} output - Raw command output
+ * @returns {Object|null} - { name, output_type, value } or null if the
+ *   command has no parser or its output could not be parsed
+ */
+function parseToolOutput(command, output) {
+  const parser = findOutputParser(command);
+  if (!parser || !output) {
+    return null;
+  }
+
+  try {
+    return {
+      name: parser.name,
+      output_type: parser.output_type,
+      value: parser.parse(output),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  OUTPUT_PARSERS,
+  findOutputParser,
+  parseToolOutput,
+  parsePing,
+  parseNslookup,
+  parseDig,
+  parseIpAddr,
+  parseIpRoute,
+  parseSystemctlStatus,
+  parseNetstat,
+  parseCurlHeaders,
+  parseCurlResponse,
+};
@@ -0,0 +1,511 @@
+/**
+ * Shell helpers for the execution policy: quoting values spliced into
+ * commands and finding every tool a command line would run
+ */
+
+/**
+ * Quote a value as a single shell word. Values made only of characters
+ * the shell treats literally are left as they are.
+ * @param {string} value - Value to quote
+ * @returns {string} - Shell word
+ */
+function shellQuote(value) {
+  const text = String(value);
+  if (/^[\w@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quote a value for the quoting context it is spliced into
+ * @param {string} value - Value to quote
+ * @param {string} context - none, single or double
+ * @returns {string} - Quoted value
+ */
+function quoteForContext(value, context) {
+  const text = String(value);
+  switch (context) {
+    case "single":
+      return text.replace(/'/g, "'\\''");
+    case "double":
+      return text.replace(/([\\"$`])/g, "\\$1");
+    default:
+      return shellQuote(text);
+  }
+}
+
+/**
+ * Find the quoting context at a position in a command line
+ * @param {string} command - Command line
+ * @param {number} index - Character position
+ * @returns {string} - none, single or double
+ */
+function quoteContextAt(command, index) {
+  let context = "none";
+
+  for (let i = 0; i < index; i++) {
+    const char = command[i];
+    if (context === "single") {
+      if (char === "'") context = "none";
+    } else if (char === "\\") {
+      i++;
+    } else if (char === "'" && context === "none") {
+      context = "single";
+    } else if (char === '"') {
+      context = context === "double" ? "none" : "double";
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Split a command line into the simple commands it runs: pipelines,
+ * lists (;, &&, ||, &) and command substitutions are all separated
+ * @param {string} command - Command line
+ * @returns {Array} - Simple command strings
+ */
+function splitCommandSegments(command) {
+  const segments = [];
+  let current = "";
+  let context = "none";
+
+  const flush = () => {
+    if (current.trim()) segments.push(current.trim());
+    current = "";
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (context === "single") {
+      if (char === "'") context = "none";
+      current += char;
+      continue;
+    }
+
+    if (char === "\\") {
+      current += char + (command[i + 1] || "");
+      i++;
+      continue;
+    }
+
+    if (char === "'" && context === "none") {
+      context = "single";
+      current += char;
+      continue;
+    }
+
+    if (char === '"') {
+      context = context === "double" ? "none" : "double";
+      current += char;
+      continue;
+    }
+
+    // Command substitutions run even inside double quotes
+    if (char === "$" && command[i + 1] === "(") {
+      flush();
+      i++;
+      continue;
+    }
+    if (char === "`") {
+      flush();
+      continue;
+    }
+
+    if (context === "none" && /[|;&()\n]/.test(char)) {
+      flush();
+      continue;
+    }
+
+    current += char;
+  }
+
+  flush();
+  return segments;
+}
+
+/**
+ * Split a simple command into words, removing quotes and backslashes
+ * @param {string} segment - Simple command
+ * @returns {Array} - Words
+ */
+function splitShellWords(segment) {
+  const words = [];
+  let current = null;
+  let context = "none";
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+
+    if (context === "single") {
+      if (char === "'") context = "none";
+      else current += char;
+      continue;
+    }
+    if (context === "double") {
+      if (char === '"') context = "none";
+      else if (char === "\\" && /["\\$`]/.test(segment[i + 1] || "")) {
+        current += segment[++i];
+      } else current += char;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (current !== null) words.push(current);
+      current = null;
+      continue;
+    }
+
+    current = current || "";
+    if (char === "\\") {
+      current += segment[++i] || "";
+    } else if (char === "'") {
+      context = "single";
+    } else if (char === '"') {
+      context = "double";
+    } else {
+      current += char;
+    }
+  }
+
+  if (current !== null) words.push(current);
+  return words;
+}
+
+/**
+ * List the programs a simple command runs: the command word, and the
+ * command a wrapper such as env or xargs runs in turn. sudo itself is not
+ * listed, only what it runs. A trap runs its action string later, so the
+ * tools of that string are listed instead of trap itself.
+ * @param {string} segment - Simple command
+ * @returns {Array} - Tool names, possibly with builtins and redirections
+ */
+function listSegmentTools(segment) {
+  const words = splitShellWords(segment);
+  const tools = [];
+
+  while (words.length > 0 && /^\w+=/.test(words[0])) {
+    words.shift();
+  }
+
+  while (words.length > 0) {
+    const tool = words.shift().replace(/^.*\//, "");
+
+    if (tool === "trap") {
+      const [action, ...signals] = words.filter(
+        (word) => !/^-[-lp]?$/.test(word) || word === "-"
+      );
+      if (action && action !== "-" && signals.length > 0) {
+        tools.push(...extractCommandTools(action));
+      }
+      break;
+    }
+
+    const wrapper = COMMAND_WRAPPERS[tool];
+    if (!wrapper) {
+      tools.push(tool);
+      break;
+    }
+    if (tool !== "sudo") {
+      tools.push(tool);
+    }
+
+    // Skip the wrapper's options, assignments and operands to reach the
+    // command it runs
+    while (words.length > 0 && /^-/.test(words[0])) {
+      const option = words.shift();
+      if (option === "--") break;
+      if (wrapper.options && wrapper.options.test(option)) words.shift();
+    }
+    while (wrapper.assignments && /^\w+=/.test(words[0] || "")) {
+      words.shift();
+    }
+    words.splice(0, wrapper.operands || 0);
+  }
+
+  return tools;
+}
+
+/**
+ * List the tools a command line runs, skipping leading VAR=value words and
+ * self-contained builtins such as cd or echo, and looking through command
+ * wrappers and trap actions
+ * @param {string} command - Command line
+ * @returns {Array} - Unique tool names
+ */
+function extractCommandTools(command) {
+  const tools = splitCommandSegments(command)
+    .flatMap((segment) => listSegmentTools(segment))
+    .filter(
+      (tool) => tool && !/^[<>\d]/.test(tool) && !SHELL_BUILTINS.includes(tool)
+    );
+
+  return Array.from(new Set(tools));
+}
+
+// Words that structure a script rather than run a program
+const SHELL_KEYWORDS = [
+  "if",
+  "then",
+  "else",
+  "elif",
+  "fi",
+  "for",
+  "select",
+  "while",
+  "until",
+  "do",
+  "done",
+  "case",
+  "esac",
+  "in",
+  "function",
+  "time",
+  "!",
+  "{",
+  "}",
+  "[[",
+  "]]",
+];
+
+// Builtins that only affect the script itself or print; eval and source
+// run other code and stay subject to the allowlist, and exec, command and
+// trap are checked for the command they run
+const SHELL_BUILTINS = [
+  "echo",
+  "printf",
+  "set",
+  "unset",
+  "export",
+  "local",
+  "declare",
+  "readonly",
+  "shift",
+  "return",
+  "exit",
+  "break",
+  "continue",
+  "cd",
+  "pushd",
+  "popd",
+  "read",
+  "test",
+  "[",
+  "true",
+  "false",
+  ":",
+  "wait",
+  "let",
+];
+
+// Programs that run a command given in their arguments, with the options
+// that take a value and the operands before the command
+const COMMAND_WRAPPERS = {
+  sudo: { options: /^-[CDghpRrTtUu]$/ },
+  env: { options: /^-[CSu]$/, assignments: true },
+  nohup: {},
+  timeout: { options: /^-[ks]$/, operands: 1 },
+  xargs: { options: /^-[adEeIiLlnPs]$/ },
+  nice: { options: /^-n$/ },
+  stdbuf: { options: /^-[eio]$/ },
+  command: {},
+  exec: { options: /^-a$/ },
+};
+
+/**
+ * Strip a trailing "# comment" from a script line. A # only starts a
+ * comment at the beginning of a word and outside quotes.
+ * @param {string} line - Script line
+ * @returns {string} - Line without its comment
+ */
+function stripShellComment(line) {
+  for (let i = 0; i < line.length; i++) {
+    if (
+      line[i] === "#" &&
+      (i === 0 || /\s/.test(line[i - 1])) &&
+      quoteContextAt(line, i) === "none"
+    ) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line;
+}
+
+/**
+ * Split a script into logical command lines: backslash continuations are
+ * joined, comments and blank lines dropped, and heredoc bodies kept with
+ * the line that opens them. Offsets are 0-based lines of the script.
+ * @param {string} script - Shell script
+ * @returns {Array} - { text, heredoc, start, end } per command line
+ */
+function splitScriptLines(script) {
+  const lines = script.split("\n");
+  const result = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const start = i;
+    let text = lines[i];
+    while (/\\$/.test(text) && i + 1 < lines.length) {
+      text = `${text.slice(0, -1)} ${lines[++i].trim()}`;
+    }
+
+    text = stripShellComment(text);
+    if (!text.trim()) {
+      continue;
+    }
+
+    let heredoc = null;
+    const heredocMatch = text.match(/<<-?\s*(['"]?)(\w+)\1/);
+    if (heredocMatch) {
+      const body = [];
+      while (i + 1 < lines.length) {
+        const line = lines[++i];
+        if (line.trim() === heredocMatch[2]) {
+          body.push(line);
+          break;
+        }
+        body.push(line);
+      }
+      heredoc = body.join("\n");
+    }
+
+    result.push({ text: text.trim(), heredoc, start, end: i });
+  }
+
+  return result;
+}
+
+/**
+ * List the tools a script runs. Keywords, self-contained builtins, case
+ * patterns, heredoc bodies and functions the script defines are skipped.
+ * @param {string} script - Shell script
+ * @returns {Array} - Unique tool names
+ */
+function extractScriptTools(script) {
+  const functions = new Set();
+  const tools = new Set();
+  let inCase = false;
+
+  for (const { text } of splitScriptLines(script)) {
+    let line = text;
+
+    const functionMatch = line.match(
+      /^(?:function\s+([A-Za-z_][\w-]*)\s*(?:\(\))?|([A-Za-z_][\w-]*)\s*\(\))\s*\{?/
+    );
+    if (functionMatch) {
+      functions.add(functionMatch[1] || functionMatch[2]);
+      line = line.slice(functionMatch[0].length);
+    }
+
+    if (/^case\b/.test(line)) {
+      inCase = true;
+      continue;
+    }
+    if (inCase) {
+      line = line.replace(/^\(?[^()]*\)\s*/, "");
+      if (/\besac\b/.test(line)) inCase = false;
+    }
+
+    for (let segment of splitCommandSegments(line)) {
+      segment = segment
+        .replace(/^(?:(?:if|then|else|elif|while|until|do|time|!|\{)\s+)+/, "")
+        .replace(/^(\w+=\S*\s+)+/, "");
+      if (
+        !segment ||
+        /^\w+=\S*$/.test(segment) ||
+        /^(?:for|select|case)\s/.test(segment)
+      ) {
+        continue;
+      }
+
+      listSegmentTools(segment)
+        .filter(
+          (tool) =>
+            tool &&
+            !SHELL_KEYWORDS.includes(tool) &&
+            !SHELL_BUILTINS.includes(tool) &&
+            !/^[<>\d]|[+*<>=;]/.test(tool)
+        )
+        .forEach((tool) => tools.add(tool));
+    }
+  }
+
+  // A trap may name a function defined further down
+  return Array.from(tools).filter((tool) => !functions.has(tool));
+}
+
+/**
+ * List the variables a script assigns itself (loop variables, read
+ * targets, local and plain assignments). Their $references belong to the
+ * shell, so the interpreter leaves them alone.
+ * @param {string} script - Shell script
+ * @returns {Array} - Unique variable names
+ */
+function listScriptVariables(script) {
+  const names = new Set();
+  const identifier = /^[A-Za-z_]\w*$/;
+
+  for (const { text } of splitScriptLines(script)) {
+    for (let segment of splitCommandSegments(text)) {
+      segment = segment.replace(
+        /^(?:(?:if|then|else|elif|while|until|do|!|\{)\s+)+/,
+        ""
+      );
+
+      // Assignments only count before the command word: "x=1 cmd"
+      let assignment;
+      while (
+        (assignment = segment.match(
+          /^([A-Za-z_]\w*)(?:\[[^\]]*\])?\+?=(?:"[^"]*"|'[^']*'|\S*)\s*/
+        ))
+      ) {
+        names.add(assignment[1]);
+        segment = segment.slice(assignment[0].length);
+      }
+
+      const [command, ...words] = segment.split(/\s+/);
+      switch (command) {
+        case "for":
+        case "select":
+          if (identifier.test(words[0])) names.add(words[0]);
+          break;
+        case "local":
+        case "declare":
+        case "typeset":
+        case "readonly":
+        case "export":
+          words
+            .map((word) => word.split("=")[0])
+            .filter((word) => identifier.test(word))
+            .forEach((word) => names.add(word));
+          break;
+        case "read":
+          for (let i = 0; i < words.length; i++) {
+            if (/^-[ptdnNu]$/.test(words[i])) {
+              i++;
+            } else if (identifier.test(words[i])) {
+              names.add(words[i]);
+            }
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return Array.from(names);
+}
+
+module.exports = {
+  shellQuote,
+  quoteForContext,
+  quoteContextAt,
+  splitCommandSegments,
+  extractCommandTools,
+  splitScriptLines,
+  extractScriptTools,
+  listScriptVariables,
+};
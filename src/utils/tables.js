@@ -0,0 +1,97 @@
+/**
+ * Markdown tables: a table whose headers name both a condition and an
+ * action is a decision table, where the first row whose conditions hold
+ * selects its action; any other table is data loaded into a variable
+ *
+ *   | Symptom            | Likely cause   | Fix command               |
+ *   | ------------------ | -------------- | ------------------------- |
+ *   | Connection refused | Service down   | `systemctl start nginx`   |
+ *   | *                  | Unknown        | Go to [Escalate](#escalate) |
+ *
+ *   Known hosts ($hosts):
+ *
+ *   | Host  | Port |
+ *   | ----- | ---- |
+ *   | web-1 | 22   |
+ *
+ * Column roles are inferred from the header text.
+ */
+
+// Header words by role, checked in order so that "Command output" is a
+// condition; headers naming a $variable are always condition columns
+const COLUMN_ROLES = [
+  {
+    role: "condition",
+    pattern:
+      /\b(?:if|when|conditions?|symptoms?|signals?|errors?|messages?|outputs?|cases?|match(?:es)?|patterns?|observed)\b/i,
+  },
+  {
+    role: "action",
+    pattern:
+      /\b(?:actions?|fix(?:es)?|remed(?:y|ies)|remediation|resolution|solution|workaround|response|then|do|run|commands?|next\s+steps?)\b/i,
+  },
+];
+
+// Condition cells that match anything, for a catch-all last row
+const WILDCARD_CELLS = ["", "*", "-", "any", "anything", "otherwise", "else"];
+
+/**
+ * Infer the role of a column from its header
+ * @param {string} header - Header text
+ * @returns {string} - condition, action or info
+ */
+function inferColumnRole(header) {
+  if (/\$\w/.test(header)) {
+    return "condition";
+  }
+  const match = COLUMN_ROLES.find(({ pattern }) => pattern.test(header));
+  return match ? match.role : "info";
+}
+
+/**
+ * Turn a header into the key its values are stored under,
+ * e.g. "Fix command" into fix_command
+ * @param {string} header - Header text
+ * @returns {string} - Column key
+ */
+function toColumnKey(header) {
+  return (
+    header
+      .replace(/[`*_]/g, " ")
+      .trim()
+      .toLowerCase()
+      .replace(/[^\w]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "column"
+  );
+}
+
+/**
+ * Read a data cell: a code span is its text, a number is a number
+ * @param {string} text - Cell text
+ * @returns {string|number} - Cell value
+ */
+function parseCellValue(text) {
+  const value = text.trim().replace(/^`([^`]*)`$/, "$1");
+  return /^-?\d+(?:\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Check whether a condition cell matches anything
+ * @param {string} text - Cell text
+ * @returns {boolean} - True for blank, "*", "-", "any" and "otherwise"
+ */
+function isWildcardCell(text) {
+  return WILDCARD_CELLS.includes(
+    text
+      .trim()
+      .replace(/^\*\*(.*)\*\*$/, "$1")
+      .toLowerCase()
+  );
+}
+
+module.exports = {
+  inferColumnRole,
+  toColumnKey,
+  parseCellValue,
+  isWildcardCell,
+};
@@ -0,0 +1,141 @@
+/**
+ * Variable reference grammar for the interpreter
+ *
+ *   $name                 plain variable
+ *   $dns.answers[0].address
+ *                         fields and array indexes (negative counts from end)
+ *   $out.lines[2]         string outputs expose .lines and .length
+ *   ${name}               braces delimit a reference inside text
+ *   ${name.field:-text}   default used when the reference is undefined
+ */
+
+/**
+ * Matches variable references in text: ${...} or $name with a path
+ */
+const VARIABLE_REFERENCE_PATTERN = /\$\{([^}]+)\}|\$(\w+(?:\.\w+|\[-?\d+\])*)/g;
+
+/**
+ * Parse a variable reference into its name, path and default
+ * @param {string} reference - Reference with or without the leading $/braces
+ * @returns {Object} - { name, path, fallback } where path holds field names
+ *   and numeric indexes, and fallback is undefined when no default is given
+ */
+function parseVariableReference(reference) {
+  let text = reference.trim().replace(/^\$/, "");
+  if (text.startsWith("{") && text.endsWith("}")) {
+    text = text.slice(1, -1);
+  }
+
+  let fallback;
+  const defaultIndex = text.indexOf(":-");
+  if (defaultIndex !== -1) {
+    fallback = text.substring(defaultIndex + 2);
+    text = text.substring(0, defaultIndex);
+  }
+
+  const nameMatch = text.match(/^\w+/);
+  const name = nameMatch ? nameMatch[0] : text;
+  const path = [];
+  const segmentPattern = /\.(\w+)|\[(-?\d+)\]/g;
+  let segment;
+  segmentPattern.lastIndex = name.length;
+  while ((segment = segmentPattern.exec(text)) !== null) {
+    path.push(segment[1] !== undefined ? segment[1] : parseInt(segment[2], 10));
+  }
+
+  return { name: name, path: path, fallback: fallback };
+}
+
+/**
+ * Read a path from a value. Strings expose virtual .lines and .length
+ * fields and JSON strings can be navigated like objects.
+ * @param {*} value - Root value
+ * @param {Array} path - Field names and numeric indexes
+ * @returns {*} - Value at path or undefined
+ */
+function readPath(value, path) {
+  return path.reduce((current, segment) => {
+    if (current === undefined || current === null) {
+      return undefined;
+    }
+
+    if (typeof current === "string") {
+      if (segment === "lines") return current.split("\n");
+      if (segment === "length") return current.length;
+      if (typeof segment === "number") return indexInto(current, segment);
+
+      const json = parseJsonObject(current);
+      return json && Object.prototype.hasOwnProperty.call(json, segment)
+        ? json[segment]
+        : undefined;
+    }
+
+    if (typeof segment === "number") {
+      return Array.isArray(current) ? indexInto(current, segment) : undefined;
+    }
+
+    return typeof current === "object" &&
+      Object.prototype.hasOwnProperty.call(current, segment)
+      ? current[segment]
+      : undefined;
+  }, value);
+}
+
+/**
+ * Index into an array or string, counting negative indexes from the end
+ * @param {Array|string} list - Array or string
+ * @param {number} index - Index
+ * @returns {*} - Element or undefined
+ */
+function indexInto(list, index) {
+  return list[index < 0 ? list.length + index : index];
+}
+
+/**
+ * Parse a string holding a JSON object or array
+ * @param {string} text - Text to parse
+ * @returns {Object|Array|null} - Parsed value or null
+ */
+function parseJsonObject(text) {
+  const trimmed = text.trim();
+  if (!/^[[{]/.test(trimmed)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe the type of a variable value
+ * @param {*} value - Value
+ * @returns {string} - string, number, boolean, array, object, null or undefined
+ */
+function describeValueType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Format a variable value for splicing into text
+ * @param {*} value - Value
+ * @returns {string} - Text representation
+ */
+function formatVariableValue(value) {
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+module.exports = {
+  VARIABLE_REFERENCE_PATTERN,
+  parseVariableReference,
+  readPath,
+  describeValueType,
+  formatVariableValue,
+};
@@ -0,0 +1,149 @@
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { markdown, createWorkdir, removeWorkdir } = require("../helpers");
+
+const ENTRAN = path.join(__dirname, "../../src/cli/entran.js");
+
+describe("entran CLI", () => {
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({
+      "runbook.md": markdown(
+        "# Web",
+        "",
+        "## Inputs",
+        "",
+        "- `file` (string, default ok.txt): File to read",
+        "",
+        "## Check",
+        "",
+        "1. Run `cat $file` and save as status",
+        "2. Run `grep active $file`"
+      ),
+      "scan.md": markdown("# Scan", "", "## Scan", "", "1. Run `nmap web-01`"),
+      "ok.txt": "active\n",
+      "idle.txt": "idle\n",
+    });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // Run the CLI from the working directory, feeding it input lines
+  const entran = (args, input = "") => {
+    const result = spawnSync(process.execPath, [ENTRAN, ...args], {
+      cwd: workdir,
+      input: input,
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    return {
+      code: result.status,
+      stdout: result.stdout,
+      stderr: result.stderr,
+    };
+  };
+
+  test("validate prints the AST", () => {
+    const result = entran(["validate", "runbook.md"]);
+
+    expect(result.code).toBe(0);
+    expect(JSON.parse(result.stdout)).toMatchObject({ type: "document" });
+  });
+
+  test("compile prints the program, with its analysis on request", () => {
+    const plain = entran(["compile", "runbook.md"]);
+    const analyzed = entran(["compile", "runbook.md", "--analysis"]);
+
+    expect(plain.code).toBe(0);
+    expect(JSON.parse(plain.stdout)).toMatchObject({
+      name: "Web",
+      tools: ["cat", "grep"],
+    });
+    expect(Object.keys(JSON.parse(analyzed.stdout))).toEqual([
+      "program",
+      "analysis",
+    ]);
+  });
+
+  test("run exits zero when every step passes", () => {
+    const result = entran(["run", "runbook.md", "--cwd", workdir]);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain("✅ Web: completed - 2 passed, 0 failed");
+  });
+
+  test("run exits non-zero on a failure", () => {
+    const result = entran([
+      "run",
+      "runbook.md",
+      "--cwd",
+      workdir,
+      "--input",
+      "file=idle.txt",
+    ]);
+
+    expect(result.code).toBe(1);
+    expect(result.stdout).toContain("Command exited with code 1");
+    expect(result.stdout).toContain("❌ Web: completed - 1 passed");
+  });
+
+  test("run --json prints the run report", () => {
+    const result = entran(["run", "runbook.md", "--cwd", workdir, "--json"]);
+
+    const report = JSON.parse(result.stdout);
+    expect(report).toMatchObject({
+      success: true,
+      status: "completed",
+      variables: { file: "ok.txt", status: "active" },
+    });
+  });
+
+  test("reports compile errors and exits non-zero", () => {
+    const result = entran(["run", "scan.md"]);
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain("Tool 'nmap' is not registered");
+  });
+
+  test.each([
+    [[], "Usage: entran"],
+    [["deploy", "runbook.md"], "Unknown command 'deploy'"],
+    [["run"], "Missing markdown file"],
+    [["run", "missing.md"], "no such file or directory"],
+    [["run", "runbook.md", "--input", "file"], "expected NAME=VALUE"],
+  ])("exits with a usage error for %j", (args, message) => {
+    const result = entran(args);
+
+    expect(result.code).toBe(2);
+    expect(result.stdout + result.stderr).toContain(message);
+  });
+
+  test("debug steps, inspects and evaluates from its input", () => {
+    const result = entran(
+      ["debug", "runbook.md", "--cwd", workdir],
+      [
+        "b check_step_2",
+        "c",
+        "p status",
+        'e $status == "active"',
+        "c",
+        "q",
+        "",
+      ].join("\n")
+    );
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain("🔴 Breakpoint set at check_step_2");
+    expect(result.stdout).toContain("🔴 check_step_2 [command]");
+    expect(result.stdout).toContain("active\n  (string, from local_variable)");
+    expect(result.stdout).toContain("(entran) true");
+    expect(result.stdout).toContain("🏁 Execution completed");
+  });
+
+  test("debug exits non-zero when quit before the end", () => {
+    const result = entran(["debug", "runbook.md"], "q\n");
+
+    expect(result.code).toBe(1);
+  });
+});
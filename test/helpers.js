@@ -0,0 +1,65 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PipelineService = require("../src/services/PipelineService");
+const TranspilerService = require("../src/services/TranspilerService");
+const ExecutionService = require("../src/services/ExecutionService");
+const { MemorySessionStore } = require("../src/services/SessionStore");
+
+/**
+ * Shared fixtures for the service tests
+ */
+
+/**
+ * Create a pipeline whose sessions live in memory, whatever REDIS_URL says
+ * @param {Object} options - ExecutionService options
+ * @param {Object} transpilerOptions - TranspilerService options, such as
+ *   the documentRoot included runbooks are read from
+ * @returns {PipelineService} - Pipeline
+ */
+function createPipeline(options = {}, transpilerOptions = {}) {
+  return new PipelineService({
+    transpilerService: new TranspilerService(transpilerOptions),
+    executionService: new ExecutionService({
+      store: new MemorySessionStore(),
+      ...options,
+    }),
+  });
+}
+
+/**
+ * Join runbook lines into a markdown document
+ * @param {...string} lines - Document lines
+ * @returns {string} - Markdown
+ */
+function markdown(...lines) {
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Create a scratch working directory holding the given files
+ * @param {Object} files - File contents by name
+ * @returns {string} - Directory path
+ */
+function createWorkdir(files = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "entran-test-"));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(directory, name), content);
+  });
+  return directory;
+}
+
+/**
+ * Remove a directory made by createWorkdir
+ * @param {string} directory - Directory path
+ */
+function removeWorkdir(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+module.exports = {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+};
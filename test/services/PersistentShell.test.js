@@ -0,0 +1,163 @@
+const fs = require("fs");
+const PersistentShell = require("../../src/services/PersistentShell");
+const { createWorkdir, removeWorkdir } = require("../helpers");
+
+describe("PersistentShell", () => {
+  let workdir;
+  let shell;
+
+  beforeEach(() => {
+    workdir = createWorkdir({});
+    fs.mkdirSync(`${workdir}/logs dir`);
+    shell = new PersistentShell({
+      cwd: workdir,
+      env: { PATH: process.env.PATH },
+    });
+  });
+
+  afterEach(() => {
+    shell.close();
+    removeWorkdir(workdir);
+  });
+
+  test("keeps the directory and environment between commands", async () => {
+    await shell.run('cd "logs dir" && export GREETING=hello');
+    const result = await shell.run('echo "$GREETING from $PWD"');
+
+    expect(result).toMatchObject({
+      stdout: `hello from ${workdir}/logs dir\n`,
+      exit_code: 0,
+      shell_exited: false,
+      cwd: `${workdir}/logs dir`,
+    });
+  });
+
+  test("reports each command's exit status and stderr", async () => {
+    const result = await shell.run("echo oops >&2; (exit 3)");
+
+    expect(result).toMatchObject({
+      stdout: "",
+      stderr: "oops\n",
+      exit_code: 3,
+      timed_out: false,
+    });
+  });
+
+  test("keeps output that does not end in a newline", async () => {
+    const result = await shell.run("printf 'no newline'");
+
+    expect(result.stdout).toBe("no newline");
+  });
+
+  test("passes large output through intact", async () => {
+    const result = await shell.run("head -c 200000 /dev/zero | tr '\\0' x");
+
+    expect(result.stdout).toBe("x".repeat(200000));
+    expect(result.exit_code).toBe(0);
+  });
+
+  test("recognises a sentinel split across chunks", async () => {
+    // Hold the command back from the shell and feed its output by hand
+    shell.start();
+    let written = "";
+    shell.child.stdin.write = (input) => {
+      written += input;
+    };
+    const result = shell.run("ignored");
+    await new Promise(setImmediate);
+
+    const token = written.match(/__entran_\w+__/)[0];
+    const stdout = `abc\n${token} 2 ${workdir}/logs dir\n`;
+    [stdout.slice(0, 5), stdout.slice(5, 12), stdout.slice(12)].forEach(
+      (chunk) => shell.pending.receive("stdout", chunk)
+    );
+    shell.pending.receive("stderr", `\n${token.slice(0, 9)}`);
+    shell.pending.receive("stderr", `${token.slice(9)}\n`);
+
+    expect(await result).toMatchObject({
+      stdout: "abc",
+      stderr: "",
+      exit_code: 2,
+      cwd: `${workdir}/logs dir`,
+    });
+  });
+
+  test("cannot be fooled by output that looks like a sentinel", async () => {
+    const result = await shell.run(
+      "printf '\\n__entran_0123abcd__ 0 /fake\\n'; (exit 4)"
+    );
+
+    expect(result.stdout).toBe("\n__entran_0123abcd__ 0 /fake\n");
+    expect(result.exit_code).toBe(4);
+    expect(result.cwd).toBe(workdir);
+  });
+
+  test("a syntax error does not swallow the next command", async () => {
+    const broken = await shell.run("if then fi 'unterminated");
+    const next = await shell.run("echo still here");
+
+    expect(broken.exit_code).not.toBe(0);
+    expect(broken.shell_exited).toBe(false);
+    expect(next.stdout).toBe("still here\n");
+  });
+
+  test("commands cannot read the commands queued after them", async () => {
+    const [read, next] = await Promise.all([
+      shell.run("cat"),
+      shell.run("echo second"),
+    ]);
+
+    expect(read).toMatchObject({ stdout: "", exit_code: 0 });
+    expect(next.stdout).toBe("second\n");
+  });
+
+  test("runs a subshell that cannot change the shell", async () => {
+    const result = await shell.run('cd "logs dir"; export X=1; exit 7', {
+      subshell: true,
+    });
+    const after = await shell.run('echo "${X:-unset} $PWD"');
+
+    expect(result).toMatchObject({ exit_code: 7, shell_exited: false });
+    expect(after.stdout).toBe(`unset ${workdir}\n`);
+  });
+
+  test("starts a fresh shell after a command exits it", async () => {
+    await shell.run('cd "logs dir"');
+    const pid = shell.pid;
+    const exited = await shell.run("exit 5");
+    const next = await shell.run("pwd");
+
+    expect(exited).toMatchObject({ exit_code: 5, shell_exited: true });
+    expect(shell.pid).not.toBe(pid);
+    expect(next.stdout).toBe(`${workdir}\n`);
+  });
+
+  test("kills the shell when a command times out", async () => {
+    const result = await shell.run("echo started; sleep 10", {
+      timeout: 300,
+    });
+
+    expect(result).toMatchObject({
+      stdout: "started\n",
+      timed_out: true,
+      shell_exited: true,
+    });
+    expect(shell.pid).toBeNull();
+    expect((await shell.run("echo again")).stdout).toBe("again\n");
+  });
+
+  test("streams output to onOutput without the sentinel", async () => {
+    const chunks = [];
+    await shell.run("echo out; echo err >&2", {
+      onOutput: (stream, chunk) => chunks.push([stream, chunk]),
+    });
+
+    const streamed = (name) =>
+      chunks
+        .filter(([stream]) => stream === name)
+        .map(([, chunk]) => chunk)
+        .join("");
+    expect(streamed("stdout")).toBe("out\n");
+    expect(streamed("stderr")).toBe("err\n");
+  });
+});
@@ -0,0 +1,257 @@
+const EventEmitter = require("events");
+const {
+  MemorySessionStore,
+  RedisSessionStore,
+  serializeSession,
+  deserializeSession,
+} = require("../../src/services/SessionStore");
+const ExecutionService = require("../../src/services/ExecutionService");
+const { createPipeline, markdown } = require("../helpers");
+
+/**
+ * In-process stand-in for a node-redis v4 client. Every call yields to the
+ * event loop first, like a network round trip, so unlocked read-modify-
+ * write sequences interleave the way they do against a real server.
+ */
+class FakeRedisClient extends EventEmitter {
+  constructor() {
+    super();
+    this.isOpen = true;
+    this.values = new Map();
+    this.sets = new Map();
+  }
+
+  async tick() {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  async get(key) {
+    await this.tick();
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  async set(key, value, options = {}) {
+    await this.tick();
+    if (options.NX && this.values.has(key)) {
+      return null;
+    }
+    this.values.set(key, value);
+    return "OK";
+  }
+
+  async del(key) {
+    await this.tick();
+    return this.values.delete(key) ? 1 : 0;
+  }
+
+  async exists(key) {
+    await this.tick();
+    return this.values.has(key) ? 1 : 0;
+  }
+
+  async pExpire(key) {
+    await this.tick();
+    return this.values.has(key) ? 1 : 0;
+  }
+
+  async sAdd(key, member) {
+    await this.tick();
+    const set = this.sets.get(key) || new Set();
+    set.add(member);
+    this.sets.set(key, set);
+    return 1;
+  }
+
+  async sRem(key, member) {
+    await this.tick();
+    return this.sets.has(key) && this.sets.get(key).delete(member) ? 1 : 0;
+  }
+
+  async sMembers(key) {
+    await this.tick();
+    return Array.from(this.sets.get(key) || []);
+  }
+
+  // Only the store's compare-and-delete lock release script
+  async eval(script, { keys, arguments: args }) {
+    await this.tick();
+    if (this.values.get(keys[0]) !== args[0]) {
+      return 0;
+    }
+    this.values.delete(keys[0]);
+    return 1;
+  }
+}
+
+const session = (id) => ({
+  id: id,
+  createdAt: new Date("2024-01-01T00:00:00Z"),
+  lastActivity: new Date("2024-01-01T00:05:00Z"),
+  state: { counter: 0 },
+});
+
+describe("session serialization", () => {
+  test("round-trips dates", () => {
+    const restored = deserializeSession(serializeSession(session("a")));
+
+    expect(restored.createdAt).toBeInstanceOf(Date);
+    expect(restored.lastActivity.toISOString()).toBe(
+      "2024-01-01T00:05:00.000Z"
+    );
+  });
+});
+
+describe.each([
+  ["MemorySessionStore", () => new MemorySessionStore()],
+  [
+    "RedisSessionStore",
+    () =>
+      new RedisSessionStore({
+        client: new FakeRedisClient(),
+        lockRetryDelay: 1,
+      }),
+  ],
+])("%s", (name, createStore) => {
+  test("stores, lists and deletes sessions", async () => {
+    const store = createStore();
+    await store.set("a", session("a"));
+    await store.set("b", session("b"));
+
+    expect(await store.has("a")).toBe(true);
+    expect((await store.get("a")).createdAt).toBeInstanceOf(Date);
+    expect(await store.size()).toBe(2);
+    expect(await store.delete("a")).toBe(true);
+    expect(await store.get("a")).toBeNull();
+    expect((await store.list()).map((stored) => stored.id)).toEqual(["b"]);
+  });
+
+  test("runs locked tasks on a session one at a time", async () => {
+    const store = createStore();
+    await store.set("a", session("a"));
+
+    const increment = () =>
+      store.withLock("a", async () => {
+        const stored = await store.get("a");
+        stored.state.counter++;
+        await store.set("a", stored);
+      });
+    await Promise.all([increment(), increment(), increment()]);
+
+    expect((await store.get("a")).state.counter).toBe(3);
+  });
+
+  test("releases the lock when a task fails", async () => {
+    const store = createStore();
+
+    await expect(
+      store.withLock("a", async () => {
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+
+    expect(await store.withLock("a", async () => "next")).toBe("next");
+  });
+});
+
+describe("RedisSessionStore", () => {
+  test("survives client error events", () => {
+    const client = new FakeRedisClient();
+    const store = new RedisSessionStore({ client });
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    expect(() => client.emit("error", new Error("ECONNRESET"))).not.toThrow();
+    expect(store.lastError.message).toBe("ECONNRESET");
+    consoleError.mockRestore();
+  });
+
+  test("drops expired sessions from the index", async () => {
+    const client = new FakeRedisClient();
+    const store = new RedisSessionStore({ client });
+    await store.set("a", session("a"));
+    client.values.delete(store.sessionKey("a"));
+
+    expect(await store.list()).toEqual([]);
+    expect(await client.sMembers(store.indexKey())).toEqual([]);
+  });
+
+  test("locks a session across processes sharing the server", async () => {
+    const client = new FakeRedisClient();
+    const stores = [1, 2].map(
+      () => new RedisSessionStore({ client, lockRetryDelay: 1 })
+    );
+    await stores[0].set("a", session("a"));
+
+    await Promise.all(
+      [0, 1, 0, 1].map((index) =>
+        stores[index].withLock("a", async () => {
+          const stored = await stores[index].get("a");
+          stored.state.counter++;
+          await stores[index].set("a", stored);
+        })
+      )
+    );
+
+    expect((await stores[0].get("a")).state.counter).toBe(4);
+    expect(client.values.has(stores[0].lockKey("a"))).toBe(false);
+  });
+
+  test("gives up on a session another process keeps locked", async () => {
+    const client = new FakeRedisClient();
+    const store = new RedisSessionStore({
+      client,
+      lockTimeout: 20,
+      lockRetryDelay: 5,
+    });
+    await client.set(store.lockKey("a"), "other-process");
+
+    await expect(store.withLock("a", async () => "ran")).rejects.toThrow(
+      "Session a is locked by another process"
+    );
+  });
+});
+
+describe("ExecutionService on a shared store", () => {
+  test("keeps concurrent changes to one session", async () => {
+    const store = new RedisSessionStore({
+      client: new FakeRedisClient(),
+      lockRetryDelay: 1,
+    });
+    const executionService = new ExecutionService({ store });
+    const compiled = await createPipeline().compile(
+      markdown(
+        "# Two",
+        "",
+        "## Steps",
+        "",
+        "1. Run `cat a.txt`",
+        "2. Run `cat b.txt`"
+      )
+    );
+    expect(compiled.success).toBe(true);
+    const started = await executionService.startExecution(
+      compiled.program,
+      compiled.analysis
+    );
+
+    await Promise.all([
+      executionService.manageBreakpoint(
+        started.execution_id,
+        "steps_step_1",
+        "set"
+      ),
+      executionService.manageBreakpoint(
+        started.execution_id,
+        "steps_step_2",
+        "set"
+      ),
+    ]);
+
+    const { state } = await executionService.getExecutionState(
+      started.execution_id
+    );
+    expect(state.breakpoints.sort()).toEqual(["steps_step_1", "steps_step_2"]);
+    await executionService.stopExecution(started.execution_id);
+  });
+});
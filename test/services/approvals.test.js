@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Approval gate", () => {
+  const pipeline = createPipeline();
+  const executionService = pipeline.executionService;
+  let workdir;
+
+  const document = markdown(
+    "# Web",
+    "",
+    "## Clean up",
+    "",
+    "1. Run `cat ok.txt`",
+    "2. Run `rm scratch.txt`",
+    "3. Run `cat ok.txt`"
+  );
+
+  // rm is not a registered tool, so it is allowed for these runs
+  const options = { allowed_tools: ["rm"] };
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "ok.txt": "ok\n", "scratch.txt": "x" });
+    options.working_directory = workdir;
+  });
+
+  // Start a session and run it up to its first approval request
+  const startGated = async (threshold) => {
+    const compiled = await pipeline.compile(document, {
+      tool_validation: false,
+    });
+    const started = await executionService.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { ...options, approval_threshold: threshold }
+    );
+    const result = await executionService.executeStep(
+      started.execution_id,
+      "continue"
+    );
+    return { id: started.execution_id, result };
+  };
+
+  afterEach(async () => {
+    const sessions = await executionService.getActiveSessions();
+    await Promise.all(
+      sessions.map((session) => executionService.stopExecution(session.id))
+    );
+    removeWorkdir(workdir);
+  });
+
+  test("pauses before a step at or above the threshold", async () => {
+    const { result } = await startGated("high");
+
+    expect(result.state.status).toBe("pending_approval");
+    expect(result.state.execution_history).toEqual([
+      expect.objectContaining({ step_id: "clean_up_step_1", success: true }),
+    ]);
+    expect(result.state.pending_approval).toMatchObject({
+      step_id: "clean_up_step_2",
+      risk_level: "high",
+      commands: ["rm scratch.txt"],
+      reasons: expect.arrayContaining(["Command may cause data loss"]),
+    });
+    expect(fs.existsSync(path.join(workdir, "scratch.txt"))).toBe(true);
+  });
+
+  test("is never asked for under the none threshold", async () => {
+    const { result } = await startGated("none");
+
+    expect(result.state.pending_approval).toBeNull();
+    expect(result.state.execution_history).toHaveLength(3);
+    expect(fs.existsSync(path.join(workdir, "scratch.txt"))).toBe(false);
+  });
+
+  test("runs the step once approved and records who approved it", async () => {
+    const { id } = await startGated("low");
+
+    const result = await executionService.executeStep(id, "approve", {
+      approver: "sam",
+      reason: "read-only",
+    });
+
+    expect(result.state.execution_history[0]).toMatchObject({
+      step_id: "clean_up_step_1",
+      success: true,
+    });
+    expect(result.state.current_step.step_id).toBe("clean_up_step_2");
+    const details = await executionService.getSessionDetails(id);
+    expect(details.audit_trail).toEqual([
+      expect.objectContaining({
+        event: "approval_requested",
+        step_id: "clean_up_step_1",
+        risk_level: "low",
+      }),
+      expect.objectContaining({
+        event: "approved",
+        step_id: "clean_up_step_1",
+        approver: "sam",
+        reason: "read-only",
+      }),
+    ]);
+  });
+
+  test("fails the step without running it once rejected", async () => {
+    const { id } = await startGated("high");
+
+    const result = await executionService.executeStep(id, "reject", {
+      approver: "sam",
+      reason: "peak traffic",
+    });
+
+    expect(result.state.status).toBe("error");
+    expect(result.state.error_state).toMatchObject({
+      step_id: "clean_up_step_2",
+      error: "Step rejected by sam: peak traffic",
+    });
+    expect(result.state.execution_history[1]).toMatchObject({
+      step_id: "clean_up_step_2",
+      type: "approval",
+      success: false,
+    });
+    expect(fs.existsSync(path.join(workdir, "scratch.txt"))).toBe(true);
+    const details = await executionService.getSessionDetails(id);
+    expect(details.audit_trail[1]).toMatchObject({
+      event: "rejected",
+      reason: "peak traffic",
+    });
+  });
+
+  test("requires a reason for the decision", async () => {
+    const { id } = await startGated("high");
+
+    const result = await executionService.executeStep(id, "approve", {
+      approver: "sam",
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe(
+      "A reason is required to approve or reject a step"
+    );
+    const { state } = await executionService.getExecutionState(id);
+    expect(state.status).toBe("pending_approval");
+  });
+
+  test("stops a headless run at the gate", async () => {
+    const result = await pipeline.run(document, {
+      ...options,
+      tool_validation: false,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.report.status).toBe("pending_approval");
+    expect(result.report.pending_approval).toMatchObject({
+      step_id: "clean_up_step_2",
+    });
+    expect(result.report.steps[1].status).toBe("not_run");
+  });
+});
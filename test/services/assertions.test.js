@@ -0,0 +1,95 @@
+const ExecutionService = require("../../src/services/ExecutionService");
+const { MemorySessionStore } = require("../../src/services/SessionStore");
+
+describe("Expected Results assertions", () => {
+  const service = new ExecutionService({ store: new MemorySessionStore() });
+
+  const sessionWith = (...history) => ({
+    program: { procedures: [], variables: {} },
+    options: {},
+    state: { execution_history: history, assertions: [], call_stack: [] },
+  });
+
+  const pingAssertion = {
+    id: "expected_results_assert_1",
+    type: "assertion",
+    subject: "Ping responses",
+    source: { step_id: "check_1", tool: "ping" },
+    comparator: { type: "latency", operator: "<", value_ms: 100 },
+  };
+
+  test("passes on the rtt the command reported", () => {
+    const session = sessionWith({
+      step_id: "check_1",
+      success: true,
+      output: "rtt min/avg/max/mdev = 10.1/12.5/15.0/1.2 ms",
+      duration_ms: 4000,
+    });
+
+    const result = service.executeAssertion(session, pingAssertion);
+
+    expect(result.success).toBe(true);
+    expect(session.state.assertions[0]).toMatchObject({
+      passed: true,
+      actual: "12.5ms",
+    });
+  });
+
+  test("fails when the output has no latency, however fast the command", () => {
+    const session = sessionWith({
+      step_id: "check_1",
+      success: true,
+      output: "PING 10.0.0.1: 56 data bytes",
+      duration_ms: 5,
+    });
+
+    const result = service.executeAssertion(session, pingAssertion);
+
+    expect(result.success).toBe(false);
+    expect(result.diff.actual).toBe("no latency in output");
+  });
+
+  test("fails when the source step failed", () => {
+    const session = sessionWith({
+      step_id: "check_1",
+      success: false,
+      output: "sh: 1: ping: not found",
+      error: "Command exited with code 127",
+      duration_ms: 3,
+    });
+
+    const result = service.executeAssertion(session, {
+      ...pingAssertion,
+      comparator: { type: "substring", value: "not found" },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.diff.actual).toBe(
+      "check_1 failed: Command exited with code 127"
+    );
+    expect(session.state.assertions[0].passed).toBe(false);
+  });
+
+  test("fails when the source step never ran", () => {
+    const result = service.executeAssertion(sessionWith(), pingAssertion);
+
+    expect(result.success).toBe(false);
+    expect(result.diff.actual).toBe("no output recorded for check_1");
+  });
+
+  test("is not checked in a dry run", () => {
+    const session = sessionWith({
+      step_id: "check_1",
+      success: true,
+      output: "[dry run] ping -c 4 web-1",
+      dry_run: true,
+    });
+    session.options.dry_run = true;
+
+    const result = service.executeAssertion(session, pingAssertion);
+
+    expect(result.success).toBe(true);
+    expect(result.output).toMatch(/^\[dry run\] expectation not checked/);
+    expect(session.state.assertions).toEqual([]);
+  });
+});
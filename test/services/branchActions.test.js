@@ -0,0 +1,173 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Branch actions", () => {
+  let workdir;
+  let pipeline;
+
+  beforeEach(() => {
+    workdir = createWorkdir({
+      "hosts.txt": "example.com\nexample.org\n",
+      "dns.md": markdown(
+        "# DNS checks",
+        "",
+        "## Verify DNS",
+        "",
+        "**Parameters:** domain (host)",
+        "",
+        "1. Run `grep $domain hosts.txt`",
+        "",
+        "**Returns:** $domain"
+      ),
+    });
+    pipeline = createPipeline({}, { documentRoot: workdir });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const run = (source, options = {}) =>
+    pipeline.run(source, { working_directory: workdir, ...options });
+
+  const document = markdown(
+    "# Site",
+    "",
+    "## Inputs",
+    "",
+    "- `mode` (string, default full): How much to check",
+    "",
+    "## Check",
+    "",
+    "1. If $mode is full, run procedure Verify DNS from `dns.md` with domain=example.org save as checked",
+    "2. Run `cat hosts.txt`",
+    "",
+    "| $mode | Action                                                                       |",
+    "| ----- | ---------------------------------------------------------------------------- |",
+    "| full  | Run procedure Verify DNS from `dns.md` with domain=example.com save as again |"
+  );
+
+  test("compile includes to call actions", async () => {
+    const compiled = await pipeline.compile(document);
+    const [conditional, , table] = compiled.program.procedures[0].steps;
+
+    expect(conditional.true_branch).toEqual({
+      type: "call",
+      procedure: "dns.verify_dns",
+      include: { file: "dns.md", anchor: null, name: "Verify DNS" },
+      arguments: { domain: "example.org" },
+      assign_to: "checked",
+    });
+    expect(table.rows[0].action).toMatchObject({
+      type: "call",
+      procedure: "dns.verify_dns",
+    });
+  });
+
+  test("call the included procedure and return to the next step", async () => {
+    const result = await run(document);
+
+    expect(result.report.status).toBe("completed");
+    expect(result.report.steps.map((step) => step.status)).toEqual([
+      "passed",
+      "passed",
+      "passed",
+      "passed",
+    ]);
+    expect(result.report.steps[0].output).toBe("Entered procedure: Verify DNS");
+    expect(result.report.steps[2].output).toBe(
+      "Matched row 1: $mode: full\nEntered procedure: Verify DNS"
+    );
+    expect(result.report.variables).toMatchObject({
+      checked: "example.org",
+      again: "example.com",
+    });
+  });
+
+  test("call a procedure from a choice option", async () => {
+    const result = await run(
+      markdown(
+        "# Site",
+        "",
+        "## Check",
+        "",
+        "1. Choose a path:",
+        "   - Run procedure Verify DNS from `dns.md` with domain=example.com save as checked",
+        "   - Skip the check",
+        "2. Run `cat hosts.txt`"
+      ),
+      { choice_policy: "first" }
+    );
+
+    expect(result.report.status).toBe("completed");
+    expect(result.report.steps[0]).toMatchObject({
+      status: "passed",
+      output: expect.stringContaining("\nEntered procedure: Verify DNS"),
+    });
+    expect(result.report.steps[1].status).toBe("passed");
+    expect(result.report.variables.checked).toBe("example.com");
+  });
+
+  test("report an include the runbook does not have", async () => {
+    const compiled = await pipeline.compile(
+      markdown(
+        "# Site",
+        "",
+        "## Check",
+        "",
+        "1. If $mode is full, run procedure Nope from `dns.md`"
+      )
+    );
+
+    expect(compiled.success).toBe(false);
+    expect(compiled.errors[0]).toMatchObject({
+      type: "include_error",
+      message:
+        "'dns.md' has no procedure 'Nope' (included by step 'check_step_1')",
+    });
+  });
+
+  test("keep rollbacks to commands", async () => {
+    const compiled = await pipeline.compile(
+      markdown(
+        "# Site",
+        "",
+        "## Apply",
+        "",
+        "1. Run `cat hosts.txt`",
+        "2. Rollback: run procedure Verify DNS from `dns.md`"
+      )
+    );
+
+    expect(compiled.program.procedures[0].steps[0].rollback).toEqual({
+      type: "log",
+      message: "run procedure Verify DNS from `dns.md`",
+      source: "declared",
+    });
+  });
+
+  test("run script actions in one shell", async () => {
+    const compiled = await pipeline.compile(
+      markdown("# Site", "", "## Check", "", "1. Run `cat hosts.txt`")
+    );
+    const service = pipeline.executionService;
+    const started = await service.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { working_directory: workdir }
+    );
+    const session = await service.store.get(started.execution_id);
+
+    const result = await service.executeAction(session, {
+      type: "script",
+      shell: "bash",
+      script: 'for host in a b; do echo "$host"; done',
+      shell_variables: ["host"],
+    });
+
+    expect(result).toMatchObject({ success: true, stdout: "a\nb\n" });
+    await service.stopExecution(started.execution_id);
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Choice steps", () => {
+  const pipeline = createPipeline();
+  const executionService = pipeline.executionService;
+  let workdir;
+
+  const document = markdown(
+    "# DNS",
+    "",
+    "## Check",
+    "",
+    "1. Choose a path:",
+    "   - Read the file: `cat ok.txt`",
+    "   - Go to [Fix DNS](#fix-dns)",
+    "2. Run `cat ok.txt`",
+    "",
+    "## Fix DNS",
+    "",
+    "1. Run `grep ok ok.txt`"
+  );
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "ok.txt": "ok\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // Start a prompted run and choose the option with the given number
+  const choose = async (number) => {
+    const compiled = await pipeline.compile(document);
+    const started = await executionService.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { working_directory: workdir, choice_policy: "prompt" }
+    );
+    const id = started.execution_id;
+
+    const paused = await executionService.executeStep(id, "continue");
+    expect(paused.state.status).toBe("awaiting_input");
+
+    const result = await executionService.executeStep(id, "choose", {
+      option_id: `check_step_1_option_${number}`,
+    });
+    await executionService.stopExecution(id);
+    return result;
+  };
+
+  test("keep the output of the command an option runs", async () => {
+    const result = await choose(1);
+
+    expect(result.step_result).toMatchObject({
+      success: true,
+      output: "Selected option: Read the file: `cat ok.txt`\nok",
+      stdout: "ok\n",
+      exit_code: 0,
+      selected_by: "user",
+    });
+    expect(result.state.current_step.step_id).toBe("check_step_2");
+  });
+
+  test("move to the procedure an option jumps to", async () => {
+    const result = await choose(2);
+
+    expect(result.step_result).toMatchObject({
+      output:
+        "Selected option: Go to [Fix DNS](#fix-dns)\nJumped to procedure: Fix DNS",
+      jumped_to: "fix_dns",
+    });
+    expect(result.state.current_step.step_id).toBe("fix_dns_step_1");
+  });
+
+  test("report the option's output in a headless run", async () => {
+    const result = await pipeline.run(document, {
+      working_directory: workdir,
+      choice_policy: "first",
+    });
+
+    expect(result.report.status).toBe("completed");
+    expect(result.report.steps[0]).toMatchObject({
+      step_id: "check_step_1",
+      output: expect.stringContaining("\nok"),
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+const FENCE = "```";
+
+describe("Code blocks", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({});
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // A procedure holding the given fenced blocks, each as [info, ...lines]
+  const document = (...blocks) =>
+    markdown(
+      "# Site",
+      "",
+      "## Inputs",
+      "",
+      "- `host` (host, default web-01): Server",
+      "",
+      "## Check",
+      "",
+      ...blocks.flatMap(([info, ...lines]) => [
+        FENCE + info,
+        ...lines,
+        FENCE,
+        "",
+      ])
+    );
+
+  const run = (source, options = {}) =>
+    pipeline.run(source, { working_directory: workdir, ...options });
+
+  test("compile each language through its runner", async () => {
+    const compiled = await pipeline.compile(
+      document(
+        ["python", "print(2 + 2)"],
+        ["js", "console.log(6 * 7)"],
+        ["sqlite db=inventory.db", "SELECT 1;"],
+        ["http", "GET https://$host/health", "Accept: application/json"]
+      )
+    );
+
+    expect(compiled.program.procedures[0].steps).toEqual([
+      expect.objectContaining({
+        id: "check_code_1",
+        type: "code",
+        language: "python",
+        tool: "python3",
+        command: "python3 - <<'ENTRAN_CODE'\nprint(2 + 2)\nENTRAN_CODE",
+        substitute: false,
+        source_lines: [10, 10],
+      }),
+      expect.objectContaining({ language: "node", tool: "node" }),
+      expect.objectContaining({
+        language: "sqlite",
+        tool: "sqlite3",
+        database: "inventory.db",
+        command:
+          "sqlite3 -bail -header 'inventory.db' <<'ENTRAN_CODE'\nSELECT 1;\nENTRAN_CODE",
+        description: "Query inventory.db",
+      }),
+      expect.objectContaining({
+        language: "http",
+        tool: "curl",
+        command:
+          "curl -sS -i -X GET -H 'Accept: application/json' 'https://$host/health'",
+        substitute: true,
+        description: "Send HTTP request: GET https://$host/health",
+      }),
+    ]);
+    expect(compiled.program.tools).toEqual(
+      expect.arrayContaining(["python3", "node", "sqlite3", "curl"])
+    );
+  });
+
+  test("run python and node code as written", async () => {
+    const result = await run(
+      document(
+        ["python", "print('$HOME' == '$' + 'HOME', 2 + 2)"],
+        ["node", "console.log(`node ${6 * 7}`)"]
+      )
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.report.steps.map((step) => step.output)).toEqual([
+      "True 4",
+      "node 42",
+    ]);
+  });
+
+  test("run SQL against the named database", async () => {
+    const result = await run(
+      document([
+        "sqlite db=inventory.db",
+        "CREATE TABLE hosts (name TEXT);",
+        "INSERT INTO hosts VALUES ('web-01');",
+        "SELECT count(*) AS hosts FROM hosts;",
+      ])
+    );
+
+    expect(result.report.steps[0]).toMatchObject({
+      type: "code",
+      status: "passed",
+      output: "hosts\n1",
+    });
+  });
+
+  test("substitute variables into http requests only", async () => {
+    const result = await run(
+      document(
+        ["http", "DELETE https://$host/cache"],
+        ["python", "print('$host')"]
+      ),
+      { dry_run: true }
+    );
+
+    expect(result.report.planned_commands).toEqual([
+      expect.objectContaining({
+        command: "curl -sS -i -X DELETE 'https://web-01/cache'",
+        risk_level: "medium",
+      }),
+      expect.objectContaining({
+        command: "python3 - <<'ENTRAN_CODE'\nprint('$host')\nENTRAN_CODE",
+      }),
+    ]);
+  });
+
+  test("rate risk by what the language can change", async () => {
+    const compiled = await pipeline.compile(
+      document(
+        ["sqlite db=inventory.db", "DELETE FROM hosts;"],
+        ["sqlite db=inventory.db", "UPDATE hosts SET name = 'web-02';"],
+        ["http", "POST https://$host/restart"],
+        ["python", "import shutil; print('rm -rf /')"]
+      )
+    );
+
+    expect(
+      compiled.analysis.procedures[0].steps.map((step) => step.risk_factors)
+    ).toEqual([
+      [expect.objectContaining({ type: "data_loss", level: "high" })],
+      [expect.objectContaining({ type: "data_change", level: "medium" })],
+      [expect.objectContaining({ type: "remote_change", level: "medium" })],
+      [],
+    ]);
+  });
+
+  test.each([
+    [["sqlite", "SELECT 1;"], "SQL block names no database file"],
+    [["http", "FETCH https://example.com"], "Unknown HTTP method 'FETCH'"],
+    [
+      ["http", "GET https://example.com", "not a header"],
+      "Invalid HTTP header 'not a header'",
+    ],
+  ])("reject a block that cannot run: %j", async (block, message) => {
+    const compiled = await pipeline.compile(document(block));
+
+    expect(compiled.success).toBe(false);
+    expect(compiled.errors).toEqual([
+      expect.objectContaining({
+        type: "invalid_code_block",
+        message: `${message} in step 'check_code_1' (line 10)`,
+      }),
+    ]);
+  });
+
+  test("compare output with a following sample without failing on it", async () => {
+    const source = document(
+      ["python", "print(2 + 2)"],
+      ["output", "4"],
+      ["node", "console.log(6 * 7)"],
+      ["console", "$ node -", "41"]
+    );
+    const compiled = await pipeline.compile(source);
+    const result = await run(source);
+
+    expect(
+      compiled.program.procedures[0].steps.map((step) => step.sample_output)
+    ).toEqual(["4", "41"]);
+    expect(result.success).toBe(true);
+    expect(result.report.steps.map((step) => step.sample_matched)).toEqual([
+      true,
+      false,
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Command output limit", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    // 2-byte characters after one ASCII byte, so a 10-byte limit falls
+    // inside a character
+    workdir = createWorkdir({ "utf8.txt": `a${"é".repeat(20)}\n` });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  test.each([false, true])(
+    "truncates on a character boundary (persistent shell: %p)",
+    async (persistentShell) => {
+      const result = await pipeline.run(
+        markdown("# Output", "", "## Read", "", "1. Run `cat utf8.txt`"),
+        {
+          working_directory: workdir,
+          output_limit: 10,
+          persistent_shell: persistentShell,
+        }
+      );
+
+      const output = result.report.steps[0].output;
+      expect(output).not.toContain("�");
+      expect(output.startsWith(`a${"é".repeat(4)}\n`)).toBe(true);
+      expect(output).toContain("[... output truncated: 33 bytes omitted ...]");
+    }
+  );
+});
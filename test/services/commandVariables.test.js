@@ -0,0 +1,74 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Variables in shell commands", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({
+      "app.log": "from app.log\n",
+      "default.log": "from default.log\n",
+    });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const runScript = (script, options = {}, ...inputs) =>
+    pipeline.run(
+      markdown(
+        "# Logs",
+        "",
+        ...inputs,
+        "## Read",
+        "",
+        "1. Read the log:",
+        "",
+        "```bash",
+        script,
+        "```"
+      ),
+      { working_directory: workdir, ...options }
+    );
+
+  test("leaves the shell's own ${VAR:-default} to the shell", async () => {
+    const result = await runScript("cat ${LOGFILE:-default.log}", {
+      env: { LOGFILE: "app.log" },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.report.steps[1].output).toContain("from app.log");
+  });
+
+  test("substitutes the default of a declared input", async () => {
+    const result = await runScript(
+      "cat ${logfile:-default.log}",
+      { env: { logfile: "app.log" } },
+      "## Inputs",
+      "",
+      "- `logfile` (string, optional): Log to read",
+      ""
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.report.steps[1].output).toContain("from default.log");
+  });
+
+  test("quotes a supplied input value", async () => {
+    const result = await runScript(
+      "cat ${logfile:-default.log}",
+      { inputs: { logfile: "app.log; cat default.log" } },
+      "## Inputs",
+      "",
+      "- `logfile` (string, optional): Log to read",
+      ""
+    );
+
+    expect(result.report.steps[1].exit_code).not.toBe(0);
+    expect(result.report.steps[1].output).not.toContain("from default.log");
+  });
+});
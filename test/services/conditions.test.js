@@ -0,0 +1,51 @@
+const TranspilerService = require("../../src/services/TranspilerService");
+const { evaluateExpressionText } = require("../../src/utils/expressions");
+
+describe("Condition translation", () => {
+  const transpiler = new TranspilerService();
+
+  test.each([
+    ["$x is greater than or equal to 3", "$x >= 3"],
+    ["$x is less than or equal to 10", "$x <= 10"],
+    [
+      "$x is greater than or equal to 3 and $y is less than or equal to 5",
+      "$x >= 3 and $y <= 5",
+    ],
+    [
+      "$x is less than or equal to 3 or $mode is not fast",
+      '$x <= 3 or $mode != "fast"',
+    ],
+    [
+      "$loss is greater than 50% and $status is not active",
+      '$loss > 50% and $status != "active"',
+    ],
+    [
+      "$count is at least 2 or $retries is at most 1",
+      "$count >= 2 or $retries <= 1",
+    ],
+  ])("%s compiles to %s", (text, expression) => {
+    const condition = transpiler.parseCondition(text);
+
+    expect(condition).toEqual({
+      type: "expression",
+      expression: expression,
+      text: text,
+    });
+  });
+
+  test("evaluates an inclusive bound at its edge", () => {
+    const { expression } = transpiler.parseCondition(
+      "$x is greater than or equal to 3 and $y is less than or equal to 5"
+    );
+
+    const evaluate = (variables) =>
+      evaluateExpressionText(
+        expression,
+        (reference) => variables[reference.slice(1)]
+      );
+
+    expect(evaluate({ x: 3, y: 5 })).toBe(true);
+    expect(evaluate({ x: 2, y: 5 })).toBe(false);
+    expect(evaluate({ x: 3, y: 6 })).toBe(false);
+  });
+});
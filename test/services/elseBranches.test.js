@@ -0,0 +1,120 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Else branches", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "a.txt": "A\n", "b.txt": "B\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // A check procedure whose $mode input defaults to "full"
+  const document = (...lines) =>
+    markdown(
+      "# Site",
+      "",
+      "## Inputs",
+      "",
+      "- `mode` (string, default full): How much to check",
+      "",
+      "## Check",
+      "",
+      ...lines
+    );
+
+  const branches = (step) => [
+    step.true_branch && step.true_branch.command,
+    step.false_branch && step.false_branch.command,
+  ];
+
+  test.each([
+    [
+      "in the same item",
+      ["1. If $mode is quick, run `cat a.txt`; otherwise run `cat b.txt`"],
+    ],
+    [
+      'after "else"',
+      ["1. If $mode is quick, run `cat a.txt`, else run `cat b.txt`"],
+    ],
+    [
+      'after "if not"',
+      ["1. If $mode is quick, run `cat a.txt`; if not, run `cat b.txt`"],
+    ],
+    [
+      "in the next item",
+      [
+        "1. If $mode is quick, run `cat a.txt`",
+        "2. Otherwise, run `cat b.txt`",
+      ],
+    ],
+    [
+      "in an Otherwise paragraph",
+      [
+        "1. Run `cat a.txt`",
+        "",
+        "**If $mode is quick:** run `cat a.txt`",
+        "",
+        "**Otherwise:** run `cat b.txt`",
+      ],
+    ],
+  ])("are read %s", async (_, lines) => {
+    const compiled = await pipeline.compile(document(...lines));
+    const conditionals = compiled.program.procedures[0].steps.filter(
+      (step) => step.type === "conditional"
+    );
+
+    expect(conditionals).toHaveLength(1);
+    expect(branches(conditionals[0])).toEqual(["cat a.txt", "cat b.txt"]);
+  });
+
+  test("run when the condition does not hold", async () => {
+    const result = await pipeline.run(
+      document(
+        "1. If $mode is quick, run `cat a.txt`; otherwise run `cat b.txt`",
+        "2. If $mode is full, run `cat a.txt`; otherwise run `cat b.txt`"
+      ),
+      { working_directory: workdir }
+    );
+
+    expect(result.report.status).toBe("completed");
+    expect(result.report.steps.map((step) => step.output)).toEqual(["B", "A"]);
+  });
+
+  test("add a false edge to the execution graph", async () => {
+    const compiled = await pipeline.compile(
+      document(
+        "1. If $mode is quick, run `cat a.txt`; otherwise run `cat b.txt`"
+      )
+    );
+
+    expect(compiled.analysis.execution_graph.edges).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          source: "check_step_1",
+          target: "check_step_1_true",
+          condition: "true",
+        }),
+        expect.objectContaining({
+          source: "check_step_1",
+          target: "check_step_1_false",
+          condition: "false",
+        }),
+      ])
+    );
+  });
+
+  test("leave the false branch empty without an alternative", async () => {
+    const compiled = await pipeline.compile(
+      document("1. If $mode is quick, run `cat a.txt`")
+    );
+
+    expect(compiled.program.procedures[0].steps[0].false_branch).toBeNull();
+  });
+});
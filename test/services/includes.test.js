@@ -0,0 +1,146 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Includes", () => {
+  let pipeline;
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({
+      "hosts.txt": "example.com\nexample.org\n",
+      "dns.md": markdown(
+        "# DNS checks",
+        "",
+        "## Verify DNS",
+        "",
+        "**Parameters:** domain (host), retries (integer, default 3)",
+        "",
+        "1. Run `grep $domain hosts.txt` and save as line",
+        "",
+        "**Returns:** $line"
+      ),
+      "a.md": markdown("# A", "", "## Go", "", "1. [[include: b.md#go]]"),
+      "b.md": markdown("# B", "", "## Go", "", "1. [[include: a.md#go]]"),
+    });
+    pipeline = createPipeline({}, { documentRoot: workdir });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const document = (...lines) =>
+    markdown("# Site", "", "## Check", "", ...lines);
+
+  const run = (source) => pipeline.run(source, { working_directory: workdir });
+
+  test.each([
+    [
+      "Run procedure Verify DNS from `dns.md` with domain=example.com save as found",
+      { anchor: null, name: "Verify DNS" },
+    ],
+    [
+      "[[include: dns.md#verify-dns]] with domain=example.com store in found",
+      { anchor: "verify-dns", name: null },
+    ],
+    [
+      "Run procedure Verify DNS from `dns.md` with domain=example.com, assign to found",
+      { anchor: null, name: "Verify DNS" },
+    ],
+  ])("compile %s to a call", async (step, reference) => {
+    const compiled = await pipeline.compile(document(`1. ${step}`));
+
+    expect(compiled.program.procedures[0].steps[0]).toMatchObject({
+      type: "call",
+      procedure: "dns.verify_dns",
+      include: { file: "dns.md", ...reference },
+      arguments: { domain: "example.com" },
+      assign_to: "found",
+    });
+  });
+
+  test("add the included procedure with its parameters and return value", async () => {
+    const compiled = await pipeline.compile(
+      document("1. [[include: dns.md#verify-dns]] with domain=example.com")
+    );
+    const included = compiled.program.procedures[1];
+
+    expect(included).toMatchObject({
+      id: "dns.verify_dns",
+      library: "dns.md",
+      returns: "$line",
+      parameters: {
+        domain: { type: "host", required: true },
+        retries: { type: "integer", required: false, default: 3 },
+      },
+    });
+  });
+
+  test("pass arguments in and save the returned value", async () => {
+    const result = await run(
+      document(
+        "1. Run procedure Verify DNS from `dns.md` with domain=example.org save as found",
+        "2. [[include: dns.md#verify-dns]] with domain=example.com store in again"
+      )
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.report.steps.map((step) => step.step_id)).toEqual([
+      "check_step_1",
+      "check_step_2",
+      "dns.verify_dns_step_1",
+    ]);
+    expect(result.report.steps[0].output).toBe("Entered procedure: Verify DNS");
+    expect(result.report.steps[2].runs).toBe(2);
+    expect(result.report.variables).toMatchObject({
+      found: "example.org",
+      again: "example.com",
+    });
+  });
+
+  test("refuse a call whose argument fails its parameter's type", async () => {
+    const result = await run(
+      document("1. [[include: dns.md#verify-dns]] with domain=web_01")
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.report.steps[0]).toMatchObject({
+      status: "handled",
+      error:
+        "Cannot call Verify DNS: Invalid parameter 'domain' must be a hostname or IP address, got 'web_01'",
+    });
+    expect(result.report.steps[1].status).toBe("not_run");
+  });
+
+  test.each([
+    [
+      "[[include: a.md#go]]",
+      "include_cycle",
+      "Include cycle: a.md -> b.md -> a.md",
+    ],
+    [
+      "[[include: ../dns.md#verify-dns]]",
+      "include_error",
+      "Included runbook '../dns.md' is outside the document root",
+    ],
+    [
+      "[[include: missing.md#go]]",
+      "include_error",
+      "Cannot read included runbook 'missing.md': no such file",
+    ],
+    [
+      "[[include: dns.md#resolve]]",
+      "include_error",
+      "'dns.md' has no procedure '#resolve' (included by step 'check_step_1')",
+    ],
+  ])("reject %s", async (step, type, message) => {
+    const compiled = await pipeline.compile(document(`1. ${step}`));
+
+    expect(compiled.success).toBe(false);
+    expect(compiled.errors).toEqual([
+      expect.objectContaining({ type: type, message: message }),
+    ]);
+  });
+});
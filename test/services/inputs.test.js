@@ -0,0 +1,137 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Declared inputs", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "web.txt": "active\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const frontMatter = markdown(
+    "---",
+    "inputs:",
+    "  file: { type: string, description: Status file }",
+    "  port: { type: integer, default: 22, min: 1, max: 65535 }",
+    "---",
+    "",
+    "# Web",
+    "",
+    "## Check",
+    "",
+    "1. Run `cat $file` and save as status"
+  );
+
+  const section = markdown(
+    "# Web",
+    "",
+    "## Inputs",
+    "",
+    "- `file` (string, required): Status file",
+    "- `port` (integer, default 22, min 1, max 65535): SSH port",
+    "",
+    "## Check",
+    "",
+    "1. Run `cat $file` and save as status"
+  );
+
+  test.each([
+    ["front matter", frontMatter],
+    ["an Inputs section", section],
+  ])("are read from %s", async (_, source) => {
+    const compiled = await pipeline.compile(source);
+
+    expect(compiled.program.inputs).toEqual({
+      file: {
+        name: "file",
+        type: "string",
+        required: true,
+        description: "Status file",
+      },
+      port: expect.objectContaining({
+        type: "integer",
+        required: false,
+        default: 22,
+        min: 1,
+        max: 65535,
+      }),
+    });
+    expect(compiled.program.procedures.map((p) => p.id)).toEqual(["check"]);
+  });
+
+  test("reject a declaration they cannot read", async () => {
+    const compiled = await pipeline.compile(
+      markdown(
+        "# Web",
+        "",
+        "## Inputs",
+        "",
+        "- `port` (integer, default ssh): SSH port",
+        "- `host` (host)",
+        "- `host` (string)",
+        "",
+        "## Check",
+        "",
+        "1. Run `cat web.txt`"
+      )
+    );
+
+    expect(compiled.success).toBe(false);
+    expect(compiled.errors.map((error) => error.type)).toEqual([
+      "input_declaration_error",
+      "input_declaration_error",
+    ]);
+    expect(compiled.errors[0].message).toBe(
+      "Default of input 'port' must be a number, got 'ssh'"
+    );
+    expect(compiled.errors[1].message).toBe(
+      "Input 'host' is declared more than once"
+    );
+  });
+
+  test("seed the run's variables, with defaults filling gaps", async () => {
+    const result = await pipeline.run(section, {
+      working_directory: workdir,
+      inputs: { file: "web.txt" },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.report.variables).toMatchObject({
+      file: "web.txt",
+      port: 22,
+      status: "active",
+    });
+  });
+
+  test("stop a run that is missing or misusing one", async () => {
+    const compiled = await pipeline.compile(section);
+
+    const started = await pipeline.executionService.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { working_directory: workdir, inputs: { port: "70000", user: "root" } }
+    );
+
+    expect(started).toEqual({
+      success: false,
+      errors: [
+        { type: "input_error", message: "Unknown input 'user'" },
+        {
+          type: "input_error",
+          message: "Missing required input 'file' (Status file)",
+        },
+        {
+          type: "input_error",
+          message: "Invalid input 'port' must be at most 65535, got 70000",
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+// Prints how many times it has run
+const TICK = [
+  "import pathlib",
+  "p = pathlib.Path('count.txt')",
+  "n = int(p.read_text()) + 1 if p.exists() else 1",
+  "p.write_text(str(n))",
+  "print(n)",
+  "",
+].join("\n");
+
+describe("Loops", () => {
+  let pipeline;
+  let workdir;
+
+  beforeEach(() => {
+    pipeline = createPipeline();
+    workdir = createWorkdir({
+      "hosts.txt": "alpha\nbeta\n",
+      "known.txt": "alpha\nbeta\ngamma\n",
+      "tick.py": TICK,
+    });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const document = (...lines) =>
+    markdown("# Site", "", "## Check", "", ...lines);
+
+  const run = (source) => pipeline.run(source, { working_directory: workdir });
+
+  test("compile retry and for-each phrasing", async () => {
+    const compiled = await pipeline.compile(
+      document(
+        "1. Run `cat hosts.txt` and save as hosts",
+        "2. For each host in $hosts, run `grep $host known.txt`",
+        "3. Run `python3 tick.py` and store in count, repeat until $count is at least 3 (max 5 times, wait 10ms)"
+      )
+    );
+    const [, forEach, until] = compiled.program.procedures[0].steps;
+
+    expect(forEach).toMatchObject({
+      type: "loop",
+      loop_type: "for_each",
+      variable: "host",
+      collection: "hosts",
+      body: [{ type: "command", command: "grep $host known.txt" }],
+    });
+    expect(until).toMatchObject({
+      type: "loop",
+      loop_type: "until",
+      condition: { type: "expression", expression: "$count >= 3" },
+      max_iterations: 5,
+      wait_ms: 10,
+      body: [{ command: "python3 tick.py", assign_to: "count" }],
+    });
+  });
+
+  test("retry their body until the condition holds, waiting in between", async () => {
+    const result = await run(
+      document(
+        "1. Run `python3 tick.py` and store in count, repeat until $count is at least 3 (max 5 times, wait 10ms)"
+      )
+    );
+
+    expect(result.report.steps[0]).toMatchObject({
+      status: "passed",
+      runs: 3,
+      output: "Loop finished after 3 iteration(s)",
+    });
+    expect(result.report.steps[0].duration_ms).toBeGreaterThanOrEqual(20);
+    expect(result.report.variables.count).toBe("3");
+  });
+
+  test("retry the previous command when bare", async () => {
+    const result = await run(
+      document(
+        "1. Run `python3 tick.py` and assign to count",
+        "2. Repeat until $count is at least 2"
+      )
+    );
+
+    expect(result.report.steps).toHaveLength(1);
+    expect(result.report.steps[0]).toMatchObject({
+      status: "passed",
+      runs: 2,
+    });
+  });
+
+  test("fail once the iteration limit is reached", async () => {
+    const result = await run(
+      document(
+        "1. Run `python3 tick.py` and save as count, repeat until $count is at least 99 (max 2 times)"
+      )
+    );
+
+    expect(result.report.steps[0]).toMatchObject({
+      status: "handled",
+      runs: 2,
+      error: "Loop condition not met after 2 iteration(s)",
+    });
+    expect(result.success).toBe(false);
+  });
+
+  test("never run past the hard iteration cap", async () => {
+    pipeline.executionService.maxLoopIterations = 3;
+
+    const result = await run(
+      document(
+        "1. Run `python3 tick.py` and save as count, repeat until $count is at least 99 (max 50 times)"
+      )
+    );
+
+    expect(result.report.steps[0]).toMatchObject({
+      runs: 3,
+      error: "Loop condition not met after 3 iteration(s)",
+    });
+  });
+
+  test("run their body once for each line of a command's output", async () => {
+    const result = await run(
+      document(
+        "1. Run `cat hosts.txt` and save as hosts",
+        "2. For each host in $hosts, run `grep $host known.txt`"
+      )
+    );
+
+    expect(result.report.steps[1]).toMatchObject({
+      status: "passed",
+      runs: 2,
+      output: "Loop finished after 2 iteration(s)",
+    });
+    expect(result.report.variables.host).toBe("beta");
+  });
+
+  test("show their counter in the stack frame while stepping", async () => {
+    const compiled = await pipeline.compile(
+      document(
+        "1. Run `cat hosts.txt` and save as hosts",
+        "2. For each host in $hosts, run `grep $host known.txt`"
+      )
+    );
+    const service = pipeline.executionService;
+    const started = await service.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { working_directory: workdir }
+    );
+    const id = started.execution_id;
+
+    await service.executeStep(id, "step_over");
+    const result = await service.executeStep(id, "step_over");
+
+    expect(result.state.current_step.step_id).toBe("check_step_2");
+    expect(result.state.stack[0].loops.check_step_2).toMatchObject({
+      iteration: 1,
+      max_iterations: 2,
+      items: ["alpha", "beta"],
+      item: "alpha",
+    });
+    expect(result.state.stack[0].variables.host).toBe("alpha");
+    await service.stopExecution(id);
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Prose conditions", () => {
+  const pipeline = createPipeline();
+  const executionService = pipeline.executionService;
+  let workdir;
+
+  const document = markdown(
+    "# DNS",
+    "",
+    "## Check",
+    "",
+    "1. Run `cat ok.txt`",
+    "2. If DNS fails, go to [Fix DNS](#fix-dns)",
+    "3. Pick a path:",
+    "   - If the cache is stale, run `cat ok.txt`",
+    "   - If the server is down, go to [Fix DNS](#fix-dns)",
+    "",
+    "## Fix DNS",
+    "",
+    "1. Run `cat ok.txt`"
+  );
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "ok.txt": "ok\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  test("are reported as compile warnings", async () => {
+    const compiled = await pipeline.compile(document);
+
+    expect(compiled.warnings.map((warning) => warning.step_id)).toEqual([
+      "check_step_2",
+      "check_step_3",
+      "check_step_3",
+    ]);
+    expect(compiled.warnings[0]).toMatchObject({
+      type: "prose_condition",
+      message: expect.stringContaining("'DNS fails'"),
+    });
+  });
+
+  test("are left unresolved by auto runs instead of stopping them", async () => {
+    const result = await pipeline.run(document, {
+      working_directory: workdir,
+      choice_policy: "auto",
+    });
+
+    expect(result.report.status).toBe("completed");
+    expect(result.report.pending_input).toBeNull();
+    expect(result.report.summary.unresolved).toBe(2);
+    const conditional = result.report.steps[1];
+    expect(conditional).toMatchObject({ status: "passed", unresolved: true });
+    expect(result.report.warnings).toHaveLength(3);
+  });
+
+  test("are asked about under the prompt policy", async () => {
+    const compiled = await pipeline.compile(document);
+    const started = await executionService.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { working_directory: workdir, choice_policy: "prompt" }
+    );
+    const id = started.execution_id;
+
+    const paused = await executionService.executeStep(id, "continue");
+    expect(paused.state.status).toBe("awaiting_input");
+    expect(paused.state.pending_input).toMatchObject({
+      step_id: "check_step_2",
+      type: "condition",
+      options: [{ id: "yes" }, { id: "no" }],
+    });
+
+    await executionService.executeStep(id, "choose", { option_id: "yes" });
+    const { state } = await executionService.getExecutionState(id);
+    expect(state.current_step.procedure_id).toBe("fix_dns");
+    expect(state.execution_history[1]).toMatchObject({
+      step_id: "check_step_2",
+      branch_taken: "true",
+    });
+
+    await executionService.stopExecution(id);
+  });
+});
@@ -0,0 +1,130 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Rollback", () => {
+  const pipeline = createPipeline();
+  const service = pipeline.executionService;
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "ok.txt": "ok\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // A step that registers "grep ok ok.txt" as its rollback, then a failing
+  // step under the given policy annotations
+  const document = ({ procedurePolicy = null, stepPolicy = "" } = {}) =>
+    markdown(
+      "# Deploy",
+      "",
+      "## Apply",
+      "",
+      ...(procedurePolicy ? [`**On error:** ${procedurePolicy}`, ""] : []),
+      "1. Run `cat ok.txt`",
+      "2. Rollback: `grep ok ok.txt`",
+      `3. Run \`cat missing.txt\`${stepPolicy}`,
+      "4. Run `cat ok.txt`"
+    );
+
+  const run = (source, options = {}) =>
+    pipeline.run(source, { working_directory: workdir, ...options });
+
+  test("declares the rollback of the step before it", async () => {
+    const compiled = await pipeline.compile(document());
+
+    expect(compiled.program.procedures[0].steps[0].rollback).toMatchObject({
+      type: "command",
+      command: "grep ok ok.txt",
+      source: "declared",
+    });
+  });
+
+  test("infers the inverse of known commands", async () => {
+    const compiled = await pipeline.compile(
+      markdown("# Web", "", "## Stop", "", "1. Run `systemctl stop nginx`")
+    );
+
+    expect(compiled.program.procedures[0].steps[0].rollback).toMatchObject({
+      command: "systemctl start nginx",
+      source: "inferred",
+    });
+  });
+
+  test("is not offered for a failure the step itself tolerates", async () => {
+    const result = await run(document({ stepPolicy: " (on error: continue)" }));
+
+    expect(result.report.steps[1]).toMatchObject({
+      status: "handled",
+      tolerated: true,
+    });
+    expect(result.report.rollback).toBeNull();
+    expect(result.success).toBe(true);
+  });
+
+  test.each([
+    ["the program's default policy", {}],
+    ["a procedure's continue policy", { procedurePolicy: "continue" }],
+  ])(
+    "is offered once the run ends after a failure %s continued past",
+    async (_, policies) => {
+      const result = await run(document(policies));
+
+      expect(result.report.status).toBe("completed");
+      expect(result.report.steps[1].tolerated).toBe(false);
+      expect(result.report.rollback).toMatchObject({
+        status: "available",
+        failed_step_id: "apply_step_2",
+      });
+      expect(result.success).toBe(false);
+    }
+  );
+
+  test("is offered when an abort policy stops the run", async () => {
+    const result = await run(document({ procedurePolicy: "abort" }));
+
+    expect(result.report.status).toBe("error");
+    expect(result.report.steps[2].status).toBe("not_run");
+    expect(result.report.rollback).toMatchObject({
+      status: "available",
+      failed_step_id: "apply_step_2",
+    });
+  });
+
+  test("runs right away under the auto policy", async () => {
+    const result = await run(document(), { rollback_policy: "auto" });
+
+    expect(result.report.rollback).toMatchObject({
+      status: "completed",
+      results: [{ step_id: "apply_step_1", success: true, output: "ok" }],
+    });
+  });
+
+  test("is never offered under the off policy", async () => {
+    const result = await run(document(), { rollback_policy: "off" });
+
+    expect(result.report.rollback).toBeNull();
+    expect(result.success).toBe(false);
+  });
+
+  test("runs on request after a completed run with an untolerated failure", async () => {
+    const compiled = await pipeline.compile(document());
+    const started = await service.startExecution(
+      compiled.program,
+      compiled.analysis,
+      { working_directory: workdir, debug_mode: false }
+    );
+    await service.executeStep(started.execution_id, "continue");
+
+    const result = await service.executeStep(started.execution_id, "rollback");
+
+    expect(result.success).toBe(true);
+    expect(result.rollback.results).toHaveLength(1);
+    expect(result.state.compensation_stack).toEqual([]);
+    await service.stopExecution(started.execution_id);
+  });
+});
@@ -0,0 +1,139 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Headless run report", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "status.txt": "active\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  const document = markdown(
+    "# Web",
+    "",
+    "## Check",
+    "",
+    "1. Run `cat status.txt` and save as status",
+    "2. Run `grep failed status.txt`",
+    "",
+    "## Expected Results",
+    "",
+    '- **Service**: $status contains "active"',
+    '- **Service again**: $status contains "broken"'
+  );
+
+  const run = (source, options = {}) =>
+    pipeline.run(source, { working_directory: workdir, ...options });
+
+  test("reports every step's status, output and duration", async () => {
+    const { report } = await run(document);
+
+    // The failed assertion stops the run
+    expect(report.status).toBe("error");
+    expect(report.steps.slice(0, 2)).toEqual([
+      expect.objectContaining({
+        step_id: "check_step_1",
+        procedure_id: "check",
+        type: "command",
+        status: "passed",
+        runs: 1,
+        output: "active",
+        exit_code: 0,
+        duration_ms: expect.any(Number),
+      }),
+      expect.objectContaining({
+        step_id: "check_step_2",
+        status: "handled",
+        error: "Command exited with code 1",
+        exit_code: 1,
+      }),
+    ]);
+    expect(report.duration_ms).toEqual(expect.any(Number));
+  });
+
+  test("reports assertion results and the final variables", async () => {
+    const { report } = await run(document);
+
+    expect(report.assertions).toEqual([
+      expect.objectContaining({
+        subject: "Service",
+        passed: true,
+        source: { variable: "status" },
+      }),
+      expect.objectContaining({
+        subject: "Service again",
+        passed: false,
+        expected: 'output containing "broken"',
+        actual: '"active"',
+      }),
+    ]);
+    expect(report.variables).toMatchObject({
+      status: "active",
+      last_error_step: "check_step_2",
+    });
+  });
+
+  test("summarises the run and fails it on any failure", async () => {
+    const result = await run(document);
+
+    expect(result.report.summary).toEqual({
+      total_steps: 4,
+      passed: 2,
+      failed: 1,
+      handled: 1,
+      not_run: 0,
+      unresolved: 0,
+      assertions_passed: 1,
+      assertions_failed: 1,
+    });
+    expect(result.success).toBe(false);
+    expect(result.report.success).toBe(false);
+  });
+
+  test("succeeds when every step and assertion passes", async () => {
+    const result = await run(
+      markdown("# Web", "", "## Check", "", "1. Run `cat status.txt`")
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.report.summary.passed).toBe(1);
+  });
+
+  test("closes the session once the report is made", async () => {
+    const { report } = await run(document);
+
+    expect(
+      await pipeline.executionService.getExecutionState(report.execution_id)
+    ).toBeNull();
+  });
+
+  test("lists the commands a dry run would run", async () => {
+    const { report } = await run(document, { dry_run: true });
+
+    expect(report.dry_run).toBe(true);
+    expect(report.planned_commands.map((planned) => planned.command)).toEqual([
+      "cat status.txt",
+      "grep failed status.txt",
+    ]);
+    expect(report.assertions).toEqual([]);
+  });
+
+  test("returns the failing stage's errors instead of a report", async () => {
+    const result = await run(
+      markdown("# Web", "", "## Scan", "", "1. Run `nmap -sS web-01`")
+    );
+
+    expect(result).toEqual({
+      success: false,
+      stage: "transpiler",
+      errors: [expect.objectContaining({ type: "unknown_tool" })],
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Nested sub-steps", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({ "a.txt": "A\n", "b.txt": "B\n" });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // A check procedure whose $mode input defaults to "full"
+  const document = markdown(
+    "# Site",
+    "",
+    "## Inputs",
+    "",
+    "- `mode` (string, default full): How much to check",
+    "",
+    "## Check",
+    "",
+    "1. Run `cat a.txt`",
+    "2. If $mode is quick:",
+    "   1. Run `cat a.txt`",
+    "   2. Run `cat b.txt`",
+    "      1. Run `cat a.txt`",
+    "3. Otherwise, run `cat b.txt`",
+    "4. Pick a fix:",
+    "   - Run `cat a.txt`",
+    "   - Run `cat b.txt`",
+    "5. Run `cat b.txt`",
+    "   1. Run `cat a.txt`",
+    "   - Run `cat a.txt`",
+    "   - Run `cat b.txt`"
+  );
+
+  const run = (options = {}) =>
+    pipeline.run(document, {
+      working_directory: workdir,
+      choice_policy: "first",
+      ...options,
+    });
+
+  const summarize = (step) => ({
+    id: step.id,
+    type: step.type,
+    number: step.number,
+    parent_step: step.parent_step,
+    substeps: step.substeps,
+  });
+
+  test("compile to numbered steps under their parent", async () => {
+    const compiled = await pipeline.compile(document);
+    const steps = compiled.program.procedures[0].steps;
+
+    expect(steps.map(summarize)).toEqual([
+      { id: "check_step_1", type: "command" },
+      {
+        id: "check_step_2",
+        type: "conditional",
+        substeps: ["check_step_2_1", "check_step_2_2", "check_step_2_2_1"],
+      },
+      {
+        id: "check_step_2_1",
+        type: "command",
+        number: "2.1",
+        parent_step: "check_step_2",
+      },
+      {
+        id: "check_step_2_2",
+        type: "command",
+        number: "2.2",
+        parent_step: "check_step_2",
+        substeps: ["check_step_2_2_1"],
+      },
+      {
+        id: "check_step_2_2_1",
+        type: "command",
+        number: "2.2.1",
+        parent_step: "check_step_2_2",
+      },
+      { id: "check_step_3", type: "choice" },
+      {
+        id: "check_step_4",
+        type: "command",
+        substeps: ["check_step_4_1", "check_step_4_2"],
+      },
+      {
+        id: "check_step_4_1",
+        type: "command",
+        number: "4.1",
+        parent_step: "check_step_4",
+      },
+      {
+        id: "check_step_4_2",
+        type: "choice",
+        number: "4.2",
+        parent_step: "check_step_4",
+      },
+    ]);
+  });
+
+  test("make a guard of an item that only introduces them", async () => {
+    const compiled = await pipeline.compile(document);
+    const guard = compiled.program.procedures[0].steps[1];
+
+    expect(guard).toMatchObject({
+      condition: { type: "expression" },
+      true_branch: null,
+      false_branch: { type: "command", command: "cat b.txt" },
+    });
+  });
+
+  test("make choices of nested bullets", async () => {
+    const compiled = await pipeline.compile(document);
+    const steps = compiled.program.procedures[0].steps;
+
+    expect(steps[5].options.map((option) => option.description)).toEqual([
+      "Run `cat a.txt`",
+      "Run `cat b.txt`",
+    ]);
+    expect(steps[8].options.map((option) => option.id)).toEqual([
+      "check_step_4_2_option_1",
+      "check_step_4_2_option_2",
+    ]);
+  });
+
+  test("run right after their parent when the guard holds", async () => {
+    const result = await run({ inputs: { mode: "quick" } });
+
+    expect(
+      result.report.steps.map((step) => [step.step_id, step.output])
+    ).toEqual([
+      ["check_step_1", "A"],
+      ["check_step_2", "Condition evaluated to: true"],
+      ["check_step_2_1", "A"],
+      ["check_step_2_2", "B"],
+      ["check_step_2_2_1", "A"],
+      ["check_step_3", "Selected option: Run `cat a.txt`\nA"],
+      ["check_step_4", "B"],
+      ["check_step_4_1", "A"],
+      ["check_step_4_2", "Selected option: Run `cat a.txt`\nA"],
+    ]);
+  });
+
+  test("are skipped, at any depth, when the guard does not hold", async () => {
+    const result = await run();
+
+    expect(
+      result.report.steps.slice(1, 6).map((step) => [step.step_id, step.status])
+    ).toEqual([
+      ["check_step_2", "passed"],
+      ["check_step_2_1", "not_run"],
+      ["check_step_2_2", "not_run"],
+      ["check_step_2_2_1", "not_run"],
+      ["check_step_3", "passed"],
+    ]);
+    expect(result.report.steps[1].output).toBe("B");
+  });
+
+  test("hang off their parent in the execution graph", async () => {
+    const compiled = await pipeline.compile(document);
+    const graph = compiled.analysis.execution_graph;
+
+    expect(graph.edges.filter((edge) => edge.type === "substep")).toEqual([
+      expect.objectContaining({
+        source: "check_step_2",
+        target: "check_step_2_1",
+        label: "Sub-step 2.1 of check_step_2",
+      }),
+      expect.objectContaining({
+        source: "check_step_2",
+        target: "check_step_2_2",
+      }),
+      expect.objectContaining({
+        source: "check_step_2_2",
+        target: "check_step_2_2_1",
+      }),
+      expect.objectContaining({
+        source: "check_step_4",
+        target: "check_step_4_1",
+      }),
+      expect.objectContaining({
+        source: "check_step_4",
+        target: "check_step_4_2",
+      }),
+    ]);
+    expect(
+      graph.nodes.find((node) => node.id === "check_step_2_2_1")
+    ).toMatchObject({ label: "2.2.1 command", parent: "check_step_2_2" });
+    expect(
+      graph.nodes.filter((node) => node.parent === "check_step_4_2")
+    ).toEqual([
+      expect.objectContaining({ id: "check_step_4_2_option_1" }),
+      expect.objectContaining({ id: "check_step_4_2_option_2" }),
+    ]);
+  });
+});
@@ -0,0 +1,272 @@
+const {
+  createPipeline,
+  markdown,
+  createWorkdir,
+  removeWorkdir,
+} = require("../helpers");
+
+describe("Tables", () => {
+  const pipeline = createPipeline();
+  let workdir;
+
+  beforeEach(() => {
+    workdir = createWorkdir({
+      "a.txt": "A\n",
+      "b.txt": "B\n",
+      "status.txt": "Connection refused by peer\n",
+    });
+  });
+
+  afterEach(() => removeWorkdir(workdir));
+
+  // A check procedure whose $code input defaults to 404
+  const document = (...lines) =>
+    markdown(
+      "# Site",
+      "",
+      "## Inputs",
+      "",
+      "- `code` (integer, default 404): HTTP status",
+      "",
+      "## Check",
+      "",
+      ...lines
+    );
+
+  const byCode = [
+    "1. Run `cat status.txt` and save as health",
+    "",
+    "| $code  | Fix                 |",
+    "| ------ | ------------------- |",
+    "| 404    | Run `cat a.txt`     |",
+    "| >= 500 | Run `cat b.txt`     |",
+    "| *      | Escalate to on-call |",
+  ];
+
+  const run = (source, options = {}) =>
+    pipeline.run(source, { working_directory: workdir, ...options });
+
+  describe("decision tables", () => {
+    test("compile each row to its conditions and action", async () => {
+      const compiled = await pipeline.compile(document(...byCode));
+      const table = compiled.program.procedures[0].steps[1];
+
+      expect(table).toMatchObject({
+        id: "check_decision_2",
+        type: "decision_table",
+        columns: [
+          { key: "code", role: "condition", reference: "$code" },
+          { key: "fix", role: "action" },
+        ],
+      });
+      expect(
+        table.rows.map((row) => [row.id, row.conditions, row.action.type])
+      ).toEqual([
+        [
+          "check_decision_2_row_1",
+          [expect.objectContaining({ expression: "$code == 404" })],
+          "command",
+        ],
+        [
+          "check_decision_2_row_2",
+          [expect.objectContaining({ expression: "$code >= 500" })],
+          "command",
+        ],
+        ["check_decision_2_row_3", [], "log"],
+      ]);
+    });
+
+    test.each([
+      [404, "Matched row 1: $code: 404\nA"],
+      [503, "Matched row 2: $code: >= 500\nB"],
+      [302, "Matched row 3: $code: *\nEscalate to on-call"],
+    ])(
+      "run the first row matching $code %s, down to the wildcard",
+      async (code, output) => {
+        const result = await run(document(...byCode), { inputs: { code } });
+
+        expect(result.report.steps[1]).toMatchObject({
+          type: "decision_table",
+          status: "passed",
+          output: output,
+        });
+      }
+    );
+
+    test("match text against the output of the step before", async () => {
+      const source = document(
+        "1. Run `cat status.txt`",
+        "",
+        "| Symptom            | Fix             |",
+        "| ------------------ | --------------- |",
+        "| Timeout            | Run `cat a.txt` |",
+        "| connection refused | Run `cat b.txt` |"
+      );
+      const compiled = await pipeline.compile(source);
+      const result = await run(source);
+
+      expect(compiled.program.procedures[0].steps[1]).toMatchObject({
+        source: { step_id: "check_step_1" },
+        rows: [
+          { conditions: [{ type: "output_match", text: "Timeout" }] },
+          {
+            conditions: [{ type: "output_match", text: "connection refused" }],
+          },
+        ],
+      });
+      expect(result.report.steps[1].output).toBe(
+        "Matched row 2: Symptom: connection refused\nB"
+      );
+    });
+
+    test("match text against a variable named in the caption", async () => {
+      const source = document(
+        "1. Run `cat status.txt` and save as health",
+        "2. Run `cat a.txt`",
+        "",
+        "Match $health against:",
+        "",
+        "| Symptom            | Fix             |",
+        "| ------------------ | --------------- |",
+        "| connection refused | Run `cat b.txt` |"
+      );
+      const compiled = await pipeline.compile(source);
+      const result = await run(source);
+
+      expect(compiled.program.procedures[0].steps[2].source).toEqual({
+        variable: "health",
+      });
+      expect(result.report.steps[2].output).toBe(
+        "Matched row 1: Symptom: connection refused\nB"
+      );
+    });
+
+    test("pass when no row matches", async () => {
+      const compiled = await pipeline.compile(
+        document(
+          "| $code | Fix             |",
+          "| ----- | --------------- |",
+          "| 200   | Run `cat a.txt` |"
+        )
+      );
+      const service = pipeline.executionService;
+      const started = await service.startExecution(
+        compiled.program,
+        compiled.analysis,
+        { working_directory: workdir }
+      );
+
+      const result = await service.executeStep(
+        started.execution_id,
+        "step_over"
+      );
+
+      expect(result.state.execution_history).toEqual([
+        expect.objectContaining({
+          step_id: "check_decision_1",
+          success: true,
+          output: "No row of the decision table matched",
+          branch_taken: "none",
+        }),
+      ]);
+      await service.stopExecution(started.execution_id);
+    });
+
+    test("reject text with no output to match", async () => {
+      const compiled = await pipeline.compile(
+        document(
+          "| Symptom | Fix             |",
+          "| ------- | --------------- |",
+          "| Timeout | Run `cat a.txt` |"
+        )
+      );
+
+      expect(compiled.success).toBe(false);
+      expect(compiled.errors).toEqual([
+        expect.objectContaining({
+          type: "invalid_table",
+          message:
+            "Decision table 'check_decision_1' (line 9) looks for 'Timeout' but no command runs before it",
+        }),
+      ]);
+    });
+  });
+
+  describe("data tables", () => {
+    const hosts = [
+      "Known hosts ($hosts):",
+      "",
+      "| Host  | Port | Status file |",
+      "| ----- | ---- | ----------- |",
+      "| web-1 | 22   | `a.txt`     |",
+      "| web-2 | 2222 | `b.txt`     |",
+    ];
+
+    test("load their rows into the variable named in the caption", async () => {
+      const compiled = await pipeline.compile(document(...hosts));
+
+      expect(compiled.program.procedures[0].steps[0]).toMatchObject({
+        id: "check_table_1",
+        type: "data_table",
+        variable: "hosts",
+        rows: [
+          { host: "web-1", port: 22, status_file: "a.txt" },
+          { host: "web-2", port: 2222, status_file: "b.txt" },
+        ],
+      });
+    });
+
+    test("load into $table_N without a caption", async () => {
+      const result = await run(
+        document(
+          "1. Run `cat a.txt`",
+          "",
+          "| Name  | Role     |",
+          "| ----- | -------- |",
+          "| web-1 | frontend |"
+        )
+      );
+
+      expect(result.report.steps[1].output).toBe(
+        "Loaded 1 row(s) into $table_2"
+      );
+      expect(result.report.variables.table_2).toEqual([
+        { name: "web-1", role: "frontend" },
+      ]);
+    });
+
+    test("feed for-each loops and row references", async () => {
+      const result = await run(
+        document(
+          ...hosts,
+          "",
+          "1. For each host in $hosts, run `cat $host.status_file`",
+          "2. If $hosts[1].port == 2222, run `cat $hosts[1].status_file`"
+        )
+      );
+
+      expect(result.report.steps[1]).toMatchObject({
+        status: "passed",
+        runs: 2,
+      });
+      expect(result.report.steps[2]).toMatchObject({
+        status: "passed",
+        output: "B",
+      });
+    });
+
+    test("reject two columns with the same key", async () => {
+      const compiled = await pipeline.compile(
+        document("| Fix command | Fix-command |", "| --- | --- |", "| a | b |")
+      );
+
+      expect(compiled.errors).toEqual([
+        expect.objectContaining({
+          type: "invalid_table",
+          message:
+            "Table 'check_table_1' (line 9) has two columns named 'fix_command'",
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  findCodeRunner,
+  isSampleLanguage,
+  matchesSample,
+  parseFenceMeta,
+} = require("../../src/utils/codeRunners");
+
+describe("code runners", () => {
+  test.each([
+    ["py", "python"],
+    ["Python3", "python"],
+    ["javascript", "node"],
+    ["sql", "sqlite"],
+    ["https", "http"],
+    ["bash", undefined],
+  ])("find the runner for %s", (language, name) => {
+    const runner = findCodeRunner(language);
+
+    expect(runner ? runner.name : undefined).toBe(name);
+  });
+
+  test("read options and words after the language", () => {
+    expect(parseFenceMeta('db="inventory.db" readonly')).toEqual({
+      options: { db: "inventory.db" },
+      words: ["readonly"],
+    });
+    expect(
+      findCodeRunner("sqlite").build("SELECT 1;", "inventory.db").database
+    ).toBe("inventory.db");
+  });
+
+  test("keep the heredoc delimiter out of the code", () => {
+    const built = findCodeRunner("python").build(
+      "print('''\nENTRAN_CODE\n''')"
+    );
+
+    expect(built.command).toBe(
+      "python3 - <<'ENTRAN_CODE_'\nprint('''\nENTRAN_CODE\n''')\nENTRAN_CODE_"
+    );
+  });
+
+  test("build curl from a raw request with headers and a body", () => {
+    const built = findCodeRunner("http").build(
+      [
+        "POST https://example.com/api HTTP/1.1",
+        "Content-Type: application/json",
+        "",
+        `{"name": "it's"}`,
+      ].join("\n")
+    );
+
+    expect(built).toEqual({
+      command: `curl -sS -i -X POST -H 'Content-Type: application/json' --data-raw '{"name": "it'\\''s"}' 'https://example.com/api'`,
+      description: "Send HTTP request: POST https://example.com/api",
+    });
+  });
+
+  test("match samples ignoring trailing whitespace", () => {
+    expect(isSampleLanguage("Console")).toBe(true);
+    expect(isSampleLanguage("python")).toBe(false);
+    expect(matchesSample("4  \n\n", "\n4")).toBe(true);
+    expect(matchesSample("4\n5", "4")).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  parseExpression,
+  evaluateExpressionText,
+  parseQuantity,
+  isTruthy,
+} = require("../../src/utils/expressions");
+const { readPath } = require("../../src/utils/variableReferences");
+
+describe("expression language", () => {
+  const variables = {
+    loss: "60%",
+    status: "active",
+    rtt: "250ms",
+    out: "Server: OK\nLatency: 12ms",
+    hosts: [
+      { name: "web-1", port: 22 },
+      { name: "web-2", port: 2222 },
+    ],
+  };
+  const evaluate = (text) =>
+    evaluateExpressionText(text, (reference) => variables[reference.slice(1)]);
+
+  test.each([
+    ['$loss > 50% and $status == "active"', true],
+    ["not ($rtt > 1s)", true],
+    ["$rtt >= 250ms", true],
+    ['lower($out) contains "server: ok"', true],
+    ["$out matches /latency: \\d+ms/i", true],
+    ['lookup($hosts, "name", "web-2", "port") == 2222', true],
+    ['lookup($hosts, "name", "web-9") == null', true],
+    ["$missing == null", true],
+    ["2 + 3 * 4 == 14", true],
+    ['"10" == 10', true],
+    ['"b" > "a"', true],
+  ])("%s is %p", (text, expected) => {
+    expect(evaluate(text)).toBe(expected);
+  });
+
+  test("reads units into base units", () => {
+    expect(parseQuantity("2s")).toBe(2000);
+    expect(parseQuantity("512KB")).toBe(512 * 1024);
+    expect(parseQuantity("50%")).toBe(50);
+    expect(parseQuantity("fast")).toBeNaN();
+  });
+
+  test("treats empty text, false, 0 and empty lists as false", () => {
+    ["", "false", "0", 0, [], null].forEach((value) =>
+      expect(isTruthy(value)).toBe(false)
+    );
+    ["no", 1, ["x"]].forEach((value) => expect(isTruthy(value)).toBe(true));
+  });
+
+  test("reports the position of a parse error", () => {
+    expect(() => parseExpression("$a ==")).toThrow(/Unexpected end/);
+    expect(() => parseExpression("$a @ 1")).toThrow(/position 4/);
+  });
+});
+
+describe("expression sandbox", () => {
+  test.each([
+    'require("fs")',
+    "process.exit(1)",
+    "eval(1)",
+    "constructor(1)",
+    "__proto__(1)",
+    "toString()",
+    "status",
+  ])("rejects %s", (text) => {
+    expect(() => parseExpression(text)).toThrow();
+  });
+
+  test("does not read inherited fields of variables", () => {
+    expect(readPath({}, ["constructor"])).toBeUndefined();
+    expect(readPath('{"a": 1}', ["__proto__"])).toBeUndefined();
+    expect(readPath([1, 2], ["length"])).toBe(2);
+  });
+
+  test("never evaluates variable content as code", () => {
+    const value = evaluateExpressionText(
+      '$input == "x"',
+      () => '" or 1 == 1 or "'
+    );
+    expect(value).toBe(false);
+  });
+});
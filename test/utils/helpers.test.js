@@ -0,0 +1,27 @@
+const { truncateUtf8 } = require("../../src/utils/helpers");
+
+describe("truncateUtf8", () => {
+  test("keeps text that fits", () => {
+    expect(truncateUtf8("héllo", 6)).toBe("héllo");
+  });
+
+  test("cuts ASCII at the byte limit", () => {
+    expect(truncateUtf8("abcdef", 3)).toBe("abc");
+  });
+
+  test.each([
+    ["é", 2, "aé", "aéb", 3],
+    ["€", 3, "a", "a€", 3],
+    ["😀", 4, "a", "a😀", 4],
+  ])("never splits %s (%i bytes)", (char, size, expected, text, limit) => {
+    const cut = truncateUtf8(text, limit);
+
+    expect(cut).toBe(expected);
+    expect(cut).not.toContain("�");
+    expect(Buffer.byteLength(cut)).toBeLessThanOrEqual(limit);
+  });
+
+  test("returns nothing for a zero limit", () => {
+    expect(truncateUtf8("é", 0)).toBe("");
+  });
+});
@@ -0,0 +1,134 @@
+const {
+  normalizeInputDeclaration,
+  parseInputDeclarationText,
+  checkInputValue,
+  resolveInputValues,
+} = require("../../src/utils/inputs");
+
+describe("program inputs", () => {
+  const declare = (name, spec) => normalizeInputDeclaration(name, spec).input;
+
+  test("reads an Inputs bullet into a declaration", () => {
+    expect(
+      parseInputDeclarationText(
+        "`port` (integer, default 22, min 1, max 65535): SSH port"
+      )
+    ).toEqual({
+      name: "port",
+      spec: {
+        type: "integer",
+        default: "22",
+        min: 1,
+        max: 65535,
+        description: "SSH port",
+      },
+    });
+    expect(
+      parseInputDeclarationText(
+        "`mode` (string, one of quick|full, optional) - How much to check"
+      )
+    ).toEqual({
+      name: "mode",
+      spec: {
+        type: "string",
+        required: false,
+        values: ["quick", "full"],
+        description: "How much to check",
+      },
+    });
+    expect(
+      parseInputDeclarationText("`tag` (string, matches /^v\\d+$/)")
+    ).toEqual({
+      name: "tag",
+      spec: { type: "string", pattern: "^v\\d+$" },
+    });
+    expect(parseInputDeclarationText("Set these before running.")).toBeNull();
+  });
+
+  test("makes inputs without a default required", () => {
+    expect(declare("host", "host")).toEqual({
+      name: "host",
+      type: "host",
+      required: true,
+      description: null,
+    });
+    expect(declare("port", { type: "integer", default: "22" })).toMatchObject({
+      required: false,
+      default: 22,
+    });
+  });
+
+  test.each([
+    ["2host", "string", "Input name '2host' must be a plain identifier"],
+    [
+      "host",
+      { type: "ipv4" },
+      "Input 'host' has unknown type 'ipv4' (expected string, number, integer, boolean, host, list)",
+    ],
+    ["tag", { pattern: "(" }, "Input 'tag' has an invalid pattern"],
+    [
+      "port",
+      { type: "integer", default: "ssh" },
+      "Default of input 'port' must be a number, got 'ssh'",
+    ],
+  ])("rejects the declaration of %s", (name, spec, message) => {
+    expect(normalizeInputDeclaration(name, spec).error).toContain(message);
+  });
+
+  test.each([
+    ["number", "2.5", 2.5],
+    ["integer", " 22 ", 22],
+    ["boolean", "yes", true],
+    ["boolean", "off", false],
+    ["list", "web-1, web-2,", ["web-1", "web-2"]],
+    ["host", "10.0.0.1", "10.0.0.1"],
+    ["string", 42, "42"],
+  ])("coerces %s values", (type, value, expected) => {
+    expect(checkInputValue(declare("value", type), value)).toEqual({
+      value: expected,
+    });
+  });
+
+  test.each([
+    ["integer", {}, "2.5", "input 'value' must be an integer, got '2.5'"],
+    ["boolean", {}, "maybe", "input 'value' must be true or false"],
+    ["host", {}, "web 01", "must be a hostname or IP address"],
+    ["integer", { min: 1 }, "0", "must be at least 1, got 0"],
+    ["integer", { max: 10 }, "11", "must be at most 10, got 11"],
+    ["string", { values: ["quick", "full"] }, "all", "must be one of quick"],
+    ["string", { pattern: "^v\\d+$" }, "latest", "must match /^v\\d+$/"],
+  ])("rejects %s values outside %j", (type, constraints, value, message) => {
+    const input = declare("value", { type, ...constraints });
+
+    expect(checkInputValue(input, value).error).toContain(message);
+  });
+
+  test("resolves supplied values, defaults and missing inputs", () => {
+    const inputs = {
+      host: declare("host", { type: "host", description: "Server to check" }),
+      port: declare("port", { type: "integer", default: 22 }),
+      verbose: declare("verbose", { type: "boolean", required: false }),
+    };
+
+    expect(resolveInputValues(inputs, { host: "web-01" })).toEqual({
+      values: { host: "web-01", port: 22 },
+      errors: [],
+    });
+    expect(resolveInputValues(inputs, { port: "0.5", user: "root" })).toEqual({
+      values: {},
+      errors: [
+        "Unknown input 'user'",
+        "Missing required input 'host' (Server to check)",
+        "Invalid input 'port' must be an integer, got '0.5'",
+      ],
+    });
+  });
+
+  test("names procedure parameters in their messages", () => {
+    const parameters = { domain: declare("domain", "host") };
+
+    expect(resolveInputValues(parameters, {}, "parameter").errors).toEqual([
+      "Missing required parameter 'domain'",
+    ]);
+  });
+});
@@ -0,0 +1,468 @@
+const {
+  findOutputParser,
+  parseToolOutput,
+  parsePing,
+  parseNslookup,
+  parseDig,
+  parseIpAddr,
+  parseIpRoute,
+  parseSystemctlStatus,
+  parseNetstat,
+  parseCurlHeaders,
+  parseCurlResponse,
+} = require("../../src/utils/outputParsers");
+
+const lines = (...rows) => rows.join("\n");
+
+describe("findOutputParser", () => {
+  test.each([
+    ["ping -c 3 example.com", "ping"],
+    ["sudo ping6 -c 1 ::1", "ping"],
+    ["nslookup example.com", "dns"],
+    ["dig +short example.com", "dns"],
+    ["ip addr show eth0", "interfaces"],
+    ["ip -4 a", "interfaces"],
+    ["ip route", "routes"],
+    ["ip -6 r", "routes"],
+    ["systemctl status nginx", "service"],
+    ["netstat -tlnp", "ports"],
+    ["curl -sI https://example.com", "http"],
+    ["curl --include https://example.com", "http"],
+  ])("%s is parsed as %s", (command, name) => {
+    expect(findOutputParser(command).name).toBe(name);
+  });
+
+  test.each([
+    "systemctl restart nginx",
+    "netstat -tn",
+    "curl -s https://example.com",
+    "ip link set eth0 up",
+    "cat /etc/hosts",
+  ])("%s has no parser", (command) => {
+    expect(findOutputParser(command)).toBeNull();
+  });
+
+  test("tells curl -I from curl -i", () => {
+    expect(findOutputParser("curl -I https://x").parse).toBe(parseCurlHeaders);
+    expect(findOutputParser("curl -i https://x").parse).toBe(parseCurlResponse);
+  });
+});
+
+describe("parseToolOutput", () => {
+  test("wraps the parsed value with its heap name and output type", () => {
+    const result = parseToolOutput("dig +short example.com", "93.184.216.34\n");
+
+    expect(result).toEqual({
+      name: "dns",
+      output_type: "dns_record",
+      value: expect.objectContaining({ addresses: ["93.184.216.34"] }),
+    });
+  });
+
+  test("returns null for a command without a parser", () => {
+    expect(parseToolOutput("cat notes.txt", "hello")).toBeNull();
+  });
+
+  test("returns null for empty output", () => {
+    expect(parseToolOutput("ping -c 1 example.com", "")).toBeNull();
+  });
+
+  test("returns null when the parser cannot read the output", () => {
+    // A listener row cut short has no local address to split
+    expect(parseToolOutput("netstat -tlnp", "tcp 0\n")).toBeNull();
+  });
+});
+
+describe("parsePing", () => {
+  test("reads the summary and round-trip times", () => {
+    const output = lines(
+      "PING example.com (93.184.216.34) 56(84) bytes of data.",
+      "64 bytes from 93.184.216.34: icmp_seq=1 ttl=56 time=11.2 ms",
+      "64 bytes from 93.184.216.34: icmp_seq=2 ttl=56 time=10.8 ms",
+      "",
+      "--- example.com ping statistics ---",
+      "3 packets transmitted, 2 received, 33.3333% packet loss, time 2003ms",
+      "rtt min/avg/max/mdev = 10.800/11.000/11.200/0.200 ms"
+    );
+
+    expect(parsePing(output)).toEqual({
+      host: "example.com",
+      address: "93.184.216.34",
+      transmitted: 3,
+      received: 2,
+      packet_loss: 33.3333,
+      rtt: { min: 10.8, avg: 11, max: 11.2, mdev: 0.2 },
+      replies: [11.2, 10.8],
+      reachable: true,
+    });
+  });
+
+  test("reports an unreachable host", () => {
+    const output = lines(
+      "PING 10.0.0.99 (10.0.0.99) 56(84) bytes of data.",
+      "",
+      "--- 10.0.0.99 ping statistics ---",
+      "2 packets transmitted, 0 received, 100% packet loss, time 1015ms"
+    );
+
+    expect(parsePing(output)).toMatchObject({
+      received: 0,
+      packet_loss: 100,
+      rtt: null,
+      replies: [],
+      reachable: false,
+    });
+  });
+
+  test("counts replies when the summary is missing", () => {
+    const output = "64 bytes from 10.0.0.1: icmp_seq=1 ttl=64 time<1 ms\n";
+
+    expect(parsePing(output)).toMatchObject({
+      host: null,
+      transmitted: 1,
+      received: 1,
+      packet_loss: 0,
+    });
+    expect(parsePing("ping: unknown host nowhere")).toMatchObject({
+      packet_loss: 100,
+      reachable: false,
+    });
+  });
+});
+
+describe("parseNslookup", () => {
+  test("collects the answers after the server block", () => {
+    const output = lines(
+      "Server:\t\t127.0.0.53",
+      "Address:\t127.0.0.53#53",
+      "",
+      "Non-authoritative answer:",
+      "Name:\texample.com",
+      "Address: 93.184.216.34",
+      "Name:\texample.com",
+      "Address: 2606:2800:220:1:248:1893:25c8:1946"
+    );
+
+    expect(parseNslookup(output)).toEqual({
+      server: "127.0.0.53",
+      status: "NOERROR",
+      answers: [
+        { name: "example.com", type: "A", address: "93.184.216.34" },
+        {
+          name: "example.com",
+          type: "AAAA",
+          address: "2606:2800:220:1:248:1893:25c8:1946",
+        },
+      ],
+      addresses: ["93.184.216.34", "2606:2800:220:1:248:1893:25c8:1946"],
+      resolved: true,
+    });
+  });
+
+  test("reports the failure status of a missing name", () => {
+    const output = lines(
+      "Server:\t\t127.0.0.53",
+      "Address:\t127.0.0.53#53",
+      "",
+      "** server can't find nowhere.invalid: NXDOMAIN"
+    );
+
+    expect(parseNslookup(output)).toMatchObject({
+      status: "NXDOMAIN",
+      answers: [],
+      resolved: false,
+    });
+  });
+});
+
+describe("parseDig", () => {
+  test("reads the header, answer section and query time", () => {
+    const output = lines(
+      ";; ->>HEADER<<- opcode: QUERY, status: NOERROR, id: 4242",
+      "",
+      ";; ANSWER SECTION:",
+      "www.example.com.\t300\tIN\tCNAME\texample.com.",
+      "example.com.\t\t300\tIN\tA\t93.184.216.34",
+      "",
+      ";; Query time: 12 msec",
+      ";; SERVER: 127.0.0.53#53(127.0.0.53)"
+    );
+
+    expect(parseDig(output)).toEqual({
+      server: "127.0.0.53",
+      status: "NOERROR",
+      query_time_ms: 12,
+      answers: [
+        {
+          name: "www.example.com",
+          ttl: 300,
+          type: "CNAME",
+          address: "example.com.",
+        },
+        { name: "example.com", ttl: 300, type: "A", address: "93.184.216.34" },
+      ],
+      addresses: ["example.com.", "93.184.216.34"],
+      resolved: true,
+    });
+  });
+
+  test("keeps the status of a query without answers", () => {
+    const output = lines(
+      ";; ->>HEADER<<- opcode: QUERY, status: NXDOMAIN, id: 7",
+      "",
+      ";; Query time: 3 msec"
+    );
+
+    expect(parseDig(output)).toMatchObject({
+      status: "NXDOMAIN",
+      answers: [],
+      resolved: false,
+    });
+  });
+
+  test("types +short records by their shape", () => {
+    const output = lines("example.com.", "93.184.216.34", "::1", "");
+
+    expect(parseDig(output).answers.map((answer) => answer.type)).toEqual([
+      "CNAME",
+      "A",
+      "AAAA",
+    ]);
+    expect(parseDig(";; connection timed out\n")).toMatchObject({
+      status: "NODATA",
+      resolved: false,
+    });
+  });
+});
+
+describe("parseIpAddr", () => {
+  test("reads interfaces, their state and addresses", () => {
+    const output = lines(
+      "1: lo: <LOOPBACK,UP,LOWER_UP> mtu 65536 qdisc noqueue state UNKNOWN group default qlen 1000",
+      "    link/loopback 00:00:00:00:00:00 brd 00:00:00:00:00:00",
+      "    inet 127.0.0.1/8 scope host lo",
+      "2: eth0@if7: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 qdisc noqueue state UP group default",
+      "    link/ether 02:42:ac:11:00:02 brd ff:ff:ff:ff:ff:ff link-netnsid 0",
+      "    inet 172.17.0.2/16 brd 172.17.255.255 scope global eth0",
+      "       valid_lft forever preferred_lft forever",
+      "3: wlan0: <BROADCAST,MULTICAST> mtu 1500 qdisc noop state DOWN group default"
+    );
+
+    const result = parseIpAddr(output);
+
+    expect(result.names).toEqual(["lo", "eth0", "wlan0"]);
+    expect(result.up).toEqual(["lo", "eth0"]);
+    expect(result.interfaces[1]).toEqual({
+      index: 2,
+      name: "eth0",
+      flags: ["BROADCAST", "MULTICAST", "UP", "LOWER_UP"],
+      mtu: 1500,
+      state: "UP",
+      mac: "02:42:ac:11:00:02",
+      addresses: [
+        { family: "inet", address: "172.17.0.2", prefix: 16, scope: "global" },
+      ],
+    });
+  });
+
+  test("ignores lines before the first interface", () => {
+    expect(parseIpAddr("    inet 10.0.0.1/8 scope global\n")).toEqual({
+      interfaces: [],
+      names: [],
+      up: [],
+    });
+  });
+});
+
+describe("parseIpRoute", () => {
+  test("reads routes and the default gateway", () => {
+    const output = lines(
+      "default via 192.168.1.1 dev eth0 proto dhcp metric 100",
+      "192.168.1.0/24 dev eth0 proto kernel scope link src 192.168.1.20 metric 100"
+    );
+
+    expect(parseIpRoute(output)).toEqual({
+      routes: [
+        {
+          destination: "default",
+          gateway: "192.168.1.1",
+          dev: "eth0",
+          proto: "dhcp",
+          metric: 100,
+        },
+        {
+          destination: "192.168.1.0/24",
+          dev: "eth0",
+          proto: "kernel",
+          scope: "link",
+          src: "192.168.1.20",
+          metric: 100,
+        },
+      ],
+      default_gateway: "192.168.1.1",
+      default_device: "eth0",
+    });
+  });
+
+  test("has no default gateway without a default route", () => {
+    expect(parseIpRoute("10.0.0.0/8 dev tun0 scope link\n")).toMatchObject({
+      default_gateway: null,
+      default_device: null,
+    });
+  });
+});
+
+describe("parseSystemctlStatus", () => {
+  test("reads a running unit", () => {
+    const output = lines(
+      "● nginx.service - A high performance web server",
+      "     Loaded: loaded (/lib/systemd/system/nginx.service; enabled; vendor preset: enabled)",
+      "     Active: active (running) since Mon 2024-01-08 09:12:01 UTC; 2h ago",
+      "   Main PID: 812 (nginx)"
+    );
+
+    expect(parseSystemctlStatus(output)).toEqual({
+      unit: "nginx.service",
+      description: "A high performance web server",
+      loaded: "loaded",
+      enabled: true,
+      active_state: "active",
+      sub_state: "running",
+      since: "Mon 2024-01-08 09:12:01 UTC",
+      main_pid: 812,
+      running: true,
+    });
+  });
+
+  test("reads a stopped, disabled unit", () => {
+    const output = lines(
+      "○ redis.service - Redis",
+      "     Loaded: loaded (/lib/systemd/system/redis.service; disabled; vendor preset: enabled)",
+      "     Active: inactive (dead)"
+    );
+
+    expect(parseSystemctlStatus(output)).toMatchObject({
+      enabled: false,
+      active_state: "inactive",
+      sub_state: "dead",
+      main_pid: null,
+      running: false,
+    });
+  });
+
+  test("reports a unit that does not exist", () => {
+    const output = "Unit missing.service could not be found.\n";
+
+    expect(parseSystemctlStatus(output)).toMatchObject({
+      unit: "missing.service",
+      loaded: "not-found",
+      enabled: null,
+      running: false,
+    });
+  });
+});
+
+describe("parseNetstat", () => {
+  test("reads listening sockets and their programs", () => {
+    const output = lines(
+      "Active Internet connections (only servers)",
+      "Proto Recv-Q Send-Q Local Address           Foreign Address         State       PID/Program name",
+      "tcp        0      0 0.0.0.0:22              0.0.0.0:*               LISTEN      601/sshd: /usr/sbin",
+      "tcp6       0      0 :::80                   :::*                    LISTEN      812/nginx",
+      "udp        0      0 127.0.0.53:53           0.0.0.0:*                           -"
+    );
+
+    const result = parseNetstat(output);
+
+    expect(result.ports).toEqual([22, 80, 53]);
+    expect(result.listeners).toEqual([
+      {
+        protocol: "tcp",
+        local_address: "0.0.0.0",
+        port: 22,
+        foreign_address: "0.0.0.0:*",
+        state: "LISTEN",
+        pid: 601,
+        program: "sshd: /usr/sbin",
+      },
+      {
+        protocol: "tcp6",
+        local_address: "::",
+        port: 80,
+        foreign_address: ":::*",
+        state: "LISTEN",
+        pid: 812,
+        program: "nginx",
+      },
+      {
+        protocol: "udp",
+        local_address: "127.0.0.53",
+        port: 53,
+        foreign_address: "0.0.0.0:*",
+        state: null,
+        pid: null,
+        program: null,
+      },
+    ]);
+  });
+});
+
+describe("parseCurlHeaders", () => {
+  test("keeps the last response after redirects", () => {
+    const output = [
+      "HTTP/1.1 301 Moved Permanently",
+      "Location: https://example.com/",
+      "",
+      "HTTP/2 200 ",
+      "Content-Type: text/html; charset=UTF-8",
+      "Cache-Control: max-age=604800",
+      "",
+    ].join("\r\n");
+
+    expect(parseCurlHeaders(output)).toEqual({
+      http_version: "2",
+      status: 200,
+      reason: "",
+      headers: {
+        "content-type": "text/html; charset=UTF-8",
+        "cache-control": "max-age=604800",
+      },
+      redirects: 1,
+    });
+  });
+
+  test("has no status without a status line", () => {
+    expect(
+      parseCurlHeaders("curl: (6) Could not resolve host: nowhere\n")
+    ).toMatchObject({ http_version: null, status: null, reason: null });
+  });
+});
+
+describe("parseCurlResponse", () => {
+  test("separates the final headers from the body", () => {
+    const output = [
+      "HTTP/1.1 100 Continue",
+      "",
+      "HTTP/1.1 201 Created",
+      "Content-Type: application/json",
+      "",
+      '{"id": 7}',
+    ].join("\r\n");
+
+    expect(parseCurlResponse(output)).toEqual({
+      http_version: "1.1",
+      status: 201,
+      reason: "Created",
+      headers: { "content-type": "application/json" },
+      redirects: 1,
+      body: '{"id": 7}',
+    });
+  });
+
+  test("treats output without headers as the body", () => {
+    expect(parseCurlResponse("plain text")).toMatchObject({
+      status: null,
+      body: "plain text",
+    });
+  });
+});
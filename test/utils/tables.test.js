@@ -0,0 +1,44 @@
+const {
+  inferColumnRole,
+  toColumnKey,
+  parseCellValue,
+  isWildcardCell,
+} = require("../../src/utils/tables");
+
+describe("table helpers", () => {
+  test.each([
+    ["$status", "condition"],
+    ["Symptom", "condition"],
+    ["Command output", "condition"],
+    ["Fix command", "action"],
+    ["Next steps", "action"],
+    ["Likely cause", "info"],
+  ])("read %s as a %s column", (header, role) => {
+    expect(inferColumnRole(header)).toBe(role);
+  });
+
+  test("key columns by their snake_cased header", () => {
+    expect(toColumnKey("Fix command")).toBe("fix_command");
+    expect(toColumnKey("`$code`")).toBe("code");
+    expect(toColumnKey("**")).toBe("column");
+  });
+
+  test("read code spans as text and numbers as numbers", () => {
+    expect(parseCellValue(" `a.txt` ")).toBe("a.txt");
+    expect(parseCellValue("2222")).toBe(2222);
+    expect(parseCellValue("-0.5")).toBe(-0.5);
+    expect(parseCellValue("22/tcp")).toBe("22/tcp");
+  });
+
+  test.each(["", "*", "-", "Any", "**otherwise**", "else"])(
+    "treat %j as a wildcard",
+    (cell) => {
+      expect(isWildcardCell(cell)).toBe(true);
+    }
+  );
+
+  test("treat values as conditions", () => {
+    expect(isWildcardCell("404")).toBe(false);
+    expect(isWildcardCell("anywhere")).toBe(false);
+  });
+});